@@ -9,22 +9,122 @@ if (!process.env.FOLDER_ID || !process.env.API_KEY) {
   process.exit(1);
 }
 
-if (!process.env.SUPABASE_API_URL || !process.env.SUPABASE_API_KEY) {
+// Storage: 'supabase' (default), 'postgres' (DATABASE_URL), 'file' (an NDJSON capture in CAPTURE_DIR)
+// or 'simulator' (in-memory rows from services/simulator.js, for demos without the printer)
+const STORAGE_ADAPTERS = ['supabase', 'postgres', 'file', 'simulator'];
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'supabase';
+if (!STORAGE_ADAPTERS.includes(STORAGE_ADAPTER)) {
+  console.error(`STORAGE_ADAPTER must be one of ${STORAGE_ADAPTERS.join(', ')} (got "${STORAGE_ADAPTER}"). Exiting...`);
+  process.exit(1);
+}
+
+if (STORAGE_ADAPTER === 'supabase' && (!process.env.SUPABASE_API_URL || !process.env.SUPABASE_API_KEY)) {
   console.error("Missing SUPABASE_API_URL or SUPABASE_API_KEY in environment variables. Exiting...");
   process.exit(1);
 }
 
+if (STORAGE_ADAPTER === 'postgres' && !process.env.DATABASE_URL) {
+  console.error("Missing DATABASE_URL in environment variables. Exiting...");
+  process.exit(1);
+}
+
+const DATABASE_URL = process.env.DATABASE_URL || null;
+const CAPTURE_DIR = process.env.CAPTURE_DIR || path.join(__dirname, 'capture');
+const SIMULATOR_SEED = Number(process.env.SIMULATOR_SEED) || 1;
+const SIMULATOR_HISTORY_MS = Number(process.env.SIMULATOR_HISTORY_MS) || 2 * 60 * 60 * 1000;
+
 const FOLDER_ID = process.env.FOLDER_ID;
 const API_KEY = process.env.API_KEY;
 const PORT = process.env.PORT || 3000;
 const REVERSED_FILE_PATH = path.join(__dirname, 'reversed.txt');
+// Wall-clock zone of the display-log stamps, used to line log entries up with telemetry
+const DISPLAY_LOG_TIMEZONE = process.env.DISPLAY_LOG_TIMEZONE || 'America/Chicago';
+try {
+  new Intl.DateTimeFormat('en-US', { timeZone: DISPLAY_LOG_TIMEZONE });
+} catch {
+  console.error(`DISPLAY_LOG_TIMEZONE must be an IANA time zone such as America/Chicago (got "${DISPLAY_LOG_TIMEZONE}"). Exiting...`);
+  process.exit(1);
+}
+// Older Drive log files opened from the log archive, least recently used evicted past the limit
+const LOG_CACHE_DIR = process.env.LOG_CACHE_DIR || path.join(__dirname, 'tmp', 'log-cache');
+const LOG_CACHE_MAX_MB = process.env.LOG_CACHE_MAX_MB ? Number(process.env.LOG_CACHE_MAX_MB) : 200;
+if (!(LOG_CACHE_MAX_MB > 0)) {
+  console.error(`LOG_CACHE_MAX_MB must be a positive number (got "${process.env.LOG_CACHE_MAX_MB}"). Exiting...`);
+  process.exit(1);
+}
 const INACTIVE_THRESHOLD = 15 * 60 * 1000; // 15 min in ms
+// A field's reading is shown as stale once it is this much older than its last good value
+const FIELD_STALE_AFTER_MS = Number(process.env.FIELD_STALE_AFTER_MS) || 2 * 60 * 1000;
+const ALARM_RULES_FILE = process.env.ALARM_RULES_FILE || path.join(__dirname, 'alarm-rules.json');
+
+// Ingest: 'polling' fetches every 3s; 'realtime' applies Supabase Realtime INSERTs and polls only to fill gaps
+const INGEST_MODES = ['polling', 'realtime'];
+const INGEST_MODE = process.env.INGEST_MODE || 'polling';
+if (!INGEST_MODES.includes(INGEST_MODE)) {
+  console.error(`INGEST_MODE must be one of ${INGEST_MODES.join(', ')} (got "${INGEST_MODE}"). Exiting...`);
+  process.exit(1);
+}
+if (INGEST_MODE === 'realtime' && STORAGE_ADAPTER !== 'supabase') {
+  console.error("INGEST_MODE=realtime needs STORAGE_ADAPTER=supabase. Exiting...");
+  process.exit(1);
+}
+const REALTIME_RECONCILE_INTERVAL_MS = Number(process.env.REALTIME_RECONCILE_INTERVAL_MS) || 30 * 1000;
+
+// On-disk snapshot of the series caches and poll cursors, restored on boot instead of a full backfill
+const SNAPSHOT_FILE = process.env.SNAPSHOT_FILE || path.join(__dirname, 'tmp', 'cache-snapshot.json');
+const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MS) || 5 * 60 * 1000;
+const SNAPSHOT_MAX_AGE_MS = Number(process.env.SNAPSHOT_MAX_AGE_MS) || 6 * 60 * 60 * 1000;
+
+// Accounts: 'none' (default, every route open), 'file' (AUTH_USERS_FILE, managed with scripts/users.js)
+// or 'database' (the monitor_users table of the storage adapter)
+const AUTH_STORES = ['none', 'file', 'database'];
+const AUTH_STORE = process.env.AUTH_STORE || 'none';
+if (!AUTH_STORES.includes(AUTH_STORE)) {
+  console.error(`AUTH_STORE must be one of ${AUTH_STORES.join(', ')} (got "${AUTH_STORE}"). Exiting...`);
+  process.exit(1);
+}
+if (AUTH_STORE === 'database' && !['supabase', 'postgres'].includes(STORAGE_ADAPTER)) {
+  console.error("AUTH_STORE=database needs STORAGE_ADAPTER=supabase or postgres. Exiting...");
+  process.exit(1);
+}
+const AUTH_USERS_FILE = process.env.AUTH_USERS_FILE || path.join(__dirname, 'users.json');
+const AUTH_SESSION_TTL_MS = Number(process.env.AUTH_SESSION_TTL_MS) || 12 * 60 * 60 * 1000; // idle timeout
+// Failed logins (per username) and failed reset confirmations (per user) allowed in each window
+const AUTH_MAX_ATTEMPTS = Number(process.env.AUTH_MAX_ATTEMPTS) || 5;
+const AUTH_ATTEMPT_WINDOW_MS = Number(process.env.AUTH_ATTEMPT_WINDOW_MS) || 15 * 60 * 1000;
+
+// Runs: 'auto' also starts a new run at a gap longer than INACTIVE_THRESHOLD, a second HV-on period
+// or a vent after a pump-down below RUN_PUMP_DOWN_PRESSURE; 'manual' only when an operator closes the run
+const RUN_DETECTION_MODES = ['auto', 'manual'];
+const RUN_DETECTION = process.env.RUN_DETECTION || 'auto';
+if (!RUN_DETECTION_MODES.includes(RUN_DETECTION)) {
+  console.error(`RUN_DETECTION must be one of ${RUN_DETECTION_MODES.join(', ')} (got "${RUN_DETECTION}"). Exiting...`);
+  process.exit(1);
+}
+const RUN_PUMP_DOWN_PRESSURE = Number(process.env.RUN_PUMP_DOWN_PRESSURE) || 1e-4; // mbar
+
+// NDJSON files that POST /replay/start may play back by name
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+
+// Notifications (all optional) — comma-separated lists
+const splitList = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+const NOTIFY_WEBHOOK_URLS = splitList(process.env.NOTIFY_WEBHOOK_URLS);
+const NOTIFY_EMAIL_TO = splitList(process.env.NOTIFY_EMAIL_TO);
+const NOTIFY_MIN_INTERVAL_MS = Number(process.env.NOTIFY_MIN_INTERVAL_MS) || 60 * 1000; // per channel
+const NOTIFY_DEDUPE_WINDOW_MS = Number(process.env.NOTIFY_DEDUPE_WINDOW_MS) || 15 * 60 * 1000;
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST || null,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || null,
+  pass: process.env.SMTP_PASS || null,
+  from: process.env.SMTP_FROM || 'ebeam-webmonitor@localhost',
+};
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_API_URL,
-  process.env.SUPABASE_API_KEY
-);
+// Initialize Supabase client (only the supabase adapter and realtime ingest use it)
+const supabase = STORAGE_ADAPTER === 'supabase'
+  ? createClient(process.env.SUPABASE_API_URL, process.env.SUPABASE_API_KEY)
+  : null;
 
 // Initialize Google Drive API
 const drive = google.drive({ version: 'v3', auth: API_KEY });
@@ -36,5 +136,33 @@ module.exports = {
   API_KEY,
   PORT,
   REVERSED_FILE_PATH,
+  DISPLAY_LOG_TIMEZONE,
+  LOG_CACHE_DIR,
+  LOG_CACHE_MAX_MB,
   INACTIVE_THRESHOLD,
+  FIELD_STALE_AFTER_MS,
+  ALARM_RULES_FILE,
+  STORAGE_ADAPTER,
+  DATABASE_URL,
+  CAPTURE_DIR,
+  SIMULATOR_SEED,
+  SIMULATOR_HISTORY_MS,
+  INGEST_MODE,
+  REALTIME_RECONCILE_INTERVAL_MS,
+  SNAPSHOT_FILE,
+  SNAPSHOT_INTERVAL_MS,
+  SNAPSHOT_MAX_AGE_MS,
+  REPLAY_DIR,
+  RUN_DETECTION,
+  RUN_PUMP_DOWN_PRESSURE,
+  AUTH_STORE,
+  AUTH_USERS_FILE,
+  AUTH_SESSION_TTL_MS,
+  AUTH_MAX_ATTEMPTS,
+  AUTH_ATTEMPT_WINDOW_MS,
+  NOTIFY_WEBHOOK_URLS,
+  NOTIFY_EMAIL_TO,
+  NOTIFY_MIN_INTERVAL_MS,
+  NOTIFY_DEDUPE_WINDOW_MS,
+  SMTP_CONFIG,
 };
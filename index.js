@@ -1,55 +1,164 @@
-///////////////////////////////////////////////////////////////////////////////
-//  index.js - E-beam Log Monitor Server (Entry Point)
-//
-//  Fetches experimental data from Supabase database and serves
-//  a real-time web dashboard for monitoring E-beam operations.
-//
-//  Author: Brandon, Pratyush, Arundhati, Anurag
-///////////////////////////////////////////////////////////////////////////////
-
+///////////////////////////////////////////////////////////////////////////////
+//  index.js - E-beam Log Monitor Server (Entry Point)
+//
+//  Fetches experimental data from Supabase database and serves
+//  a real-time web dashboard for monitoring E-beam operations.
+//
+//  Author: Brandon, Pratyush, Arundhati, Anurag
+///////////////////////////////////////////////////////////////////////////////
+
 const express = require('express');
 const path = require('path');
-const { PORT } = require('./config');
-const { fetchAndUpdateFile, pollLongTerm, refreshDisplayLogs } = require('./services/polling');
-const { backfillShortTermGraph, backfillLongTermGraph, backfillCCSGraphs } = require('./services/supabase');
-const { shortTermPressureGraph, longTermPressureGraph, ccsGraphA, ccsGraphB, ccsGraphC } = require('./services/graphs');
-const state = require('./services/state');
-const registerRoutes = require('./routes');
-
-const app = express();
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'assets')));
-
-// Register all routes
-registerRoutes(app);
-
-// Start server
-(async function start() {
-  // 1) Backfill both pressure graph caches from Supabase
-  console.log('Backfilling short-term pressure cache...');
-  state.lastShortTermCursor = await backfillShortTermGraph(shortTermPressureGraph);
-
-  console.log('Backfilling long-term pressure cache...');
-  state.lastLongTermCursor = await backfillLongTermGraph(longTermPressureGraph);
-
-  console.log('Backfilling CCS temperature graphs...');
-  await backfillCCSGraphs(ccsGraphA, ccsGraphB, ccsGraphC);
-
+const {
+  supabase,
+  PORT,
+  INGEST_MODE,
+  REALTIME_RECONCILE_INTERVAL_MS,
+  SNAPSHOT_FILE,
+  SNAPSHOT_INTERVAL_MS,
+  SNAPSHOT_MAX_AGE_MS,
+  STORAGE_ADAPTER,
+  SIMULATOR_SEED,
+  SIMULATOR_HISTORY_MS,
+  AUTH_STORE,
+} = require('./config');
+const {
+  fetchAndUpdateFile,
+  pollLongTerm,
+  catchUpSinceCursors,
+  ingestRealtimeRows,
+  refreshDisplayLogs,
+} = require('./services/polling');
+const { createRealtimeIngest } = require('./services/realtime');
+const { backfillSeries, getStorageAdapter } = require('./services/storage');
+const { startSimulatorFeed } = require('./services/simulator');
+const { seriesRegistry } = require('./services/series');
+const { loadSnapshot, saveSnapshot } = require('./services/persistence');
+const { parseReplayArgs, replayController } = require('./services/replay');
+const { runManager } = require('./services/runs');
+const state = require('./services/state');
+const registerRoutes = require('./routes');
+
+const app = express();
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'assets')));
+
+// Register all routes
+registerRoutes(app);
+
+if (AUTH_STORE === 'none') {
+  console.warn('AUTH_STORE=none: the dashboard and control routes are open to anyone who can reach this port');
+}
+
+// Optional replay of a recorded run once the server is up, e.g. `node index.js --replay-from=... --replay-speed=10`
+let replayArgs = null;
+try {
+  replayArgs = parseReplayArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`${err.message}. Exiting...`);
+  process.exit(1);
+}
+
+// Simulated rows live only as long as this process, so they never go into or come out of a snapshot
+const simulated = STORAGE_ADAPTER === 'simulator';
+
+async function writeSnapshot() {
+  if (simulated) {
+    return;
+  }
+
+  // The caches hold the replayed run, not live data
+  if (state.replay) {
+    console.log('Cache snapshot skipped while a replay is running');
+    return;
+  }
+
+  try {
+    const bytes = await saveSnapshot(SNAPSHOT_FILE);
+    console.log(`Saved cache snapshot (${bytes} bytes) to ${SNAPSHOT_FILE}`);
+  } catch (err) {
+    console.error('Failed to save cache snapshot:', err);
+  }
+}
+
+// Start server
+(async function start() {
+  // 0) With STORAGE_ADAPTER=simulator, fill the in-memory store with recent history and keep it growing
+  if (simulated) {
+    startSimulatorFeed({ sink: getStorageAdapter(), historyMs: SIMULATOR_HISTORY_MS, seed: SIMULATOR_SEED });
+  }
+
+  // 1) Find where the current run starts, restore the series caches from the last snapshot of
+  //    this run and catch up the delta, or backfill every registered series from the run start
+  try {
+    const run = await runManager.load();
+    console.log(`Current run ${run.number}, started ${run.startedAt ?? 'with the first stored row'}`);
+  } catch (err) {
+    console.error('Failed to load the current run; showing all stored rows:', err);
+  }
+
+  const snapshot = simulated
+    ? { restored: false, reason: 'simulated data' }
+    : loadSnapshot(SNAPSHOT_FILE, { maxAgeMs: SNAPSHOT_MAX_AGE_MS });
+
+  if (snapshot.restored) {
+    console.log(`Restored cache snapshot from ${snapshot.savedAt}; catching up...`);
+    await catchUpSinceCursors();
+  } else {
+    console.log(`Cache snapshot not used (${snapshot.reason})`);
+
+    console.log('Backfilling short-term series...');
+    state.lastShortTermCursor = await backfillSeries(seriesRegistry.forSource('short_term_logs'), 'short_term_logs');
+
+    console.log('Backfilling long-term series...');
+    state.lastLongTermCursor = await backfillSeries(seriesRegistry.forSource('long_term_logs'), 'long_term_logs');
+  }
+
   // 2) Grab the latest scalar data right now
   await fetchAndUpdateFile();
 
   // 3) Warm the display-log cache on its own path
   await refreshDisplayLogs();
 
-  // 4) Poll short-term + scalars every 3 seconds
-  setInterval(fetchAndUpdateFile, 3_000);
+  if (INGEST_MODE === 'realtime') {
+    // 4-5) Apply Realtime INSERTs as they arrive; the cursor polls only fill gaps
+    console.log('Ingest mode: Supabase Realtime');
+    createRealtimeIngest({
+      client: supabase,
+      onRows: ingestRealtimeRows,
+      reconcile: async () => {
+        await fetchAndUpdateFile();
+        await pollLongTerm();
+      },
+      reconcileIntervalMs: REALTIME_RECONCILE_INTERVAL_MS,
+    }).start();
+  } else {
+    // 4) Poll short-term + scalars every 3 seconds
+    setInterval(fetchAndUpdateFile, 3_000);
 
-  // 5) Poll long-term every 60 seconds
-  setInterval(pollLongTerm, 60_000);
+    // 5) Poll long-term every 60 seconds
+    setInterval(pollLongTerm, 60_000);
+  }
 
   // 6) Refresh display logs every 60 seconds on a separate interval
   setInterval(refreshDisplayLogs, 60_000);
 
-  // 7) Open the HTTP port after caches are warm
+  // 7) Snapshot the caches periodically and once more on shutdown
+  setInterval(writeSnapshot, SNAPSHOT_INTERVAL_MS);
+  process.once('SIGTERM', async () => {
+    await writeSnapshot();
+    process.exit(0);
+  });
+
+  // 8) Open the HTTP port after caches are warm
   app.listen(PORT, () => console.log(`Listening on ${PORT}`));
+
+  // 9) Start a replay asked for on the command line; it hands back to live ingest when it ends
+  if (replayArgs) {
+    try {
+      await replayController.start(replayArgs);
+    } catch (err) {
+      console.error('Failed to start replay:', err);
+    }
+  }
 })();
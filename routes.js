@@ -1,26 +1,325 @@
 const fs = require('fs');
-const { supabase, REVERSED_FILE_PATH } = require('./config');
+const path = require('path');
+const { REVERSED_FILE_PATH, REPLAY_DIR, INGEST_MODE } = require('./config');
 const state = require('./services/state');
 const { computeAllColors } = require('./services/interlocks');
-const { fetchDisplayFileContents } = require('./services/gdrive');
+const { fetchDisplayFileContents, displayLogTail } = require('./services/gdrive');
 const {
-  shortTermPressureGraph,
-  longTermPressureGraph,
-  ccsGraphA,
-  ccsGraphB,
-  ccsGraphC,
-  getGraphMetadata,
-} = require('./services/graphs');
+  fetchInterlockEvents,
+  fetchAuditEvents,
+  checkStorageConnection,
+  getStorageAdapter,
+} = require('./services/storage');
+const { fetchPressureRange, parseRangeBoundary } = require('./services/history');
+const { buildDataPayload } = require('./services/telemetry');
+const { registerStreamClient, broadcast, getStreamClientCount } = require('./services/stream');
+const { alarmEngine } = require('./services/alarms');
+const {
+  EXPORT_TABLES,
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  generateExport,
+} = require('./services/export');
+const {
+  seriesRegistry,
+  getSeriesChartData,
+  describeSeries,
+  describeSeriesBuffer,
+} = require('./services/series');
+const { REPLAY_SPEEDS, replayController } = require('./services/replay');
+const { auth } = require('./services/auth');
+const { runManager } = require('./services/runs');
+const { ANNOTATION_MAX_LENGTH, annotationLog } = require('./services/annotations');
+const { displayLog } = require('./services/displaylog');
+const { logArchive } = require('./services/logarchive');
+const { monitorMetrics, PROMETHEUS_CONTENT_TYPE, OPENMETRICS_CONTENT_TYPE } = require('./services/metrics');
+const { loopHealth } = require('./services/health');
 const { renderDashboard } = require('./views/dashboard');
+const { renderLogin } = require('./views/login');
+const { renderRunsPage } = require('./views/runs');
+const { renderLogArchivePage } = require('./views/logarchive');
 
 const codeLastUpdated = new Date().toLocaleString('en-US', {
   timeZone: 'America/Chicago'
 });
 
+const DRIVE_FILE_ID = /^[\w-]+$/;
+
+// Newest-first paging shared by /events and /audit; pass nextBefore back as before/beforeId
+function parseEventPage(query) {
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || 50, 1), 500);
+  const before = query.before
+    ? { timestamp: String(query.before), id: query.beforeId != null ? Number(query.beforeId) : null }
+    : null;
+  return { before, limit };
+}
+
+function sendEventPage(res, events, limit) {
+  const last = events.at(-1);
+  res.json({
+    events,
+    nextBefore: events.length === limit && last ? { before: last.occurred_at, beforeId: last.id } : null,
+  });
+}
+
+// A run number or "current"; null for anything else
+function parseRunId(param) {
+  if (param === 'current') {
+    return 'current';
+  }
+  return /^\d+$/.test(param) ? Number(param) : null;
+}
+
+async function handleLogin(req, res) {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'username and password are required.' });
+  }
+
+  let result;
+  try {
+    result = await auth.login(username, password);
+  } catch (err) {
+    console.error('Error logging in:', err);
+    return res.status(500).json({ error: 'Could not check credentials.' });
+  }
+
+  if (result.retryAfterMs) {
+    res.setHeader('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    return res.status(429).json({ error: 'Too many failed attempts; try again later.' });
+  }
+  if (!result.user) {
+    await auth.audit(req, 'login-failed', {}, { username });
+    return res.status(401).json({ error: 'Incorrect username or password.' });
+  }
+
+  auth.setSessionCookie(req, res, result.sessionId);
+  await auth.audit(req, 'login', {}, result.user);
+  return res.status(200).json({ user: { username: result.user.username, role: result.user.role } });
+}
+
+/**
+ * Re-checks the password for a destructive action and answers the request itself when the check
+ * does not pass.
+ * @param {string} action - Audit action; a refusal is audited as `${action}-denied`
+ * @param {string} notConfigured - 503 message for when no shared password is set
+ * @returns {Promise<boolean>} Whether the action may go ahead
+ */
+async function confirmDestructiveAction(req, res, action, notConfigured) {
+  let confirmation;
+  try {
+    confirmation = await auth.confirmPassword(req, req.body?.password);
+  } catch (err) {
+    console.error(`Error checking the ${action} password:`, err);
+    res.status(500).json({ error: 'Could not check credentials.' });
+    return false;
+  }
+
+  if (confirmation.error) {
+    res.status(503).json({ error: notConfigured });
+    return false;
+  }
+  if (confirmation.retryAfterMs) {
+    res.setHeader('Retry-After', String(Math.ceil(confirmation.retryAfterMs / 1000)));
+    res.status(429).json({ error: 'Too many failed attempts; try again later.' });
+    return false;
+  }
+  if (!confirmation.ok) {
+    await auth.audit(req, `${action}-denied`);
+    res.status(401).json({ error: 'Incorrect password.' });
+    return false;
+  }
+  return true;
+}
+
+async function sendPressureRange(req, res) {
+  const toMs = parseRangeBoundary(req.query.to) ?? Date.now();
+  const fromMs = parseRangeBoundary(req.query.from);
+
+  if (fromMs == null || fromMs >= toMs) {
+    return res.status(400).json({ error: 'from must be a timestamp before to.' });
+  }
+
+  try {
+    const result = await fetchPressureRange({ fromMs, toMs, width: req.query.width });
+    return res.json(result);
+  } catch (err) {
+    console.error('Error serving pressure range:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Everything /status reports: the loops' run history, storage, the series buffers and the stream.
+ * Ready needs the storage connection on top of the loops' own readiness.
+ */
+async function buildStatus() {
+  const connected = await checkStorageConnection();
+  const { live, ready, loops } = loopHealth.report();
+  return {
+    live,
+    ready: ready && connected,
+    checkedAt: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    ingestMode: INGEST_MODE,
+    replaying: Boolean(state.replay),
+    storage: { adapter: getStorageAdapter().name, connected },
+    experimentRunning: state.experimentRunning,
+    lastUpdate: state.webMonitorLastModified,
+    displayLogLastModified: state.displayLogLastModified,
+    loops,
+    series: seriesRegistry.list().map(describeSeriesBuffer),
+    streamClients: getStreamClientCount(),
+  };
+}
+
+// Resolves on 'close' too, so a client that disconnects mid-export does not leave us waiting forever
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+async function streamExport(req, res) {
+  const table = req.query.table || 'short';
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_TABLES[table]) {
+    return res.status(400).json({ error: 'table must be "short", "long" or "annotations".' });
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be "csv" or "ndjson".' });
+  }
+
+  const toMs = parseRangeBoundary(req.query.to) ?? Date.now();
+  const fromMs = parseRangeBoundary(req.query.from);
+  if (fromMs == null || fromMs > toMs) {
+    return res.status(400).json({ error: 'from must be a timestamp no later than to.' });
+  }
+
+  let columns;
+  try {
+    columns = resolveExportColumns(table, req.query.columns);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const filename = `${EXPORT_TABLES[table].tableName}_${new Date(fromMs).toISOString()}_${new Date(toMs).toISOString()}`
+    .replace(/:/g, '-');
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${EXPORT_FORMATS[format].extension}"`);
+
+  try {
+    for await (const chunk of generateExport({ table, format, columns, fromMs, toMs })) {
+      if (clientGone) break;
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+    res.end();
+  } catch (err) {
+    console.error('Error streaming export:', err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: err.message });
+    }
+    // Headers are gone, so the only way to signal a truncated file is to drop the connection
+    res.destroy(err);
+  }
+}
+
+// Only plain file names inside REPLAY_DIR, so the route cannot be pointed at arbitrary paths
+function resolveReplayFile(name) {
+  const replayDir = path.resolve(REPLAY_DIR);
+  const filePath = path.resolve(replayDir, String(name));
+  return path.dirname(filePath) === replayDir ? filePath : null;
+}
+
+async function startReplay(req, res) {
+  const { file, from, to } = req.body || {};
+  const speed = Number(req.body?.speed ?? 1);
+
+  if (!REPLAY_SPEEDS.includes(speed)) {
+    return res.status(400).json({ error: `speed must be one of ${REPLAY_SPEEDS.join(', ')}.` });
+  }
+  if (state.replay) {
+    return res.status(409).json({ error: 'A replay is already running.' });
+  }
+
+  let source;
+  if (file) {
+    const filePath = resolveReplayFile(file);
+    if (!filePath) {
+      return res.status(400).json({ error: 'file must be the name of a file in the replay directory.' });
+    }
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: `No replay file "${file}".` });
+    }
+    source = { filePath };
+  } else {
+    const toMs = parseRangeBoundary(to) ?? Date.now();
+    const fromMs = parseRangeBoundary(from);
+    if (fromMs == null || fromMs >= toMs) {
+      return res.status(400).json({ error: 'Pass a file name, or a from timestamp before to.' });
+    }
+    source = { fromMs, toMs };
+  }
+
+  try {
+    const replay = await replayController.start({ ...source, speed });
+    if (!replay) {
+      return res.status(404).json({ error: 'No short_term_logs rows to replay in that source.' });
+    }
+    return res.status(200).json({ replay });
+  } catch (err) {
+    console.error('Error starting replay:', err);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
 function registerRoutes(app) {
+  const viewer = auth.requireRole('viewer');
+  const operator = auth.requireRole('operator');
+  const admin = auth.requireRole('admin');
+
+  // Accounts (AUTH_STORE=file|database): a session cookie from /login, or an API token as
+  // `Authorization: Bearer`. Viewers read; operators acknowledge, refresh,
+  // replay and close runs; admins purge.
+  app.get('/login', (req, res) => {
+    if (!auth.enabled) {
+      return res.redirect('/');
+    }
+    return res.send(renderLogin({ next: req.query.next }));
+  });
+
+  app.post('/login', (req, res) => {
+    if (!auth.enabled) {
+      return res.status(404).json({ error: 'Accounts are not enabled on this server.' });
+    }
+    return handleLogin(req, res);
+  });
+
+  app.post('/logout', (req, res) => {
+    auth.logout(req, res);
+    res.redirect(303, auth.enabled ? '/login' : '/');
+  });
+
+  app.get('/me', viewer, (req, res) => {
+    res.json({ authEnabled: auth.enabled, user: req.user });
+  });
 
   // Dashboard HTML page
-  app.get('/', async (req, res) => {
+  app.get('/', auth.requireRole('viewer', { redirectToLogin: true }), async (req, res) => {
     try {
       console.log('experimentRunning: ', state.experimentRunning);
 
@@ -31,11 +330,10 @@ function registerRoutes(app) {
         state,
         sicColors,
         vacColors,
-        shortTermPressureGraph,
-        longTermPressureGraph,
-        ccsGraphA,
-        ccsGraphB,
-        ccsGraphC,
+        series: seriesRegistry.list(),
+        alarms: alarmEngine.getActiveAlarms(),
+        user: req.user,
+        authEnabled: auth.enabled,
         codeLastUpdated,
       });
 
@@ -46,54 +344,58 @@ function registerRoutes(app) {
     }
   });
 
-  // JSON API endpoint for frontend polling
-  app.get('/data', (req, res) => {
-    const { sicColors, vacColors } = computeAllColors(state.data, state.experimentRunning);
+  // Runs list page
+  app.get('/run-history', auth.requireRole('viewer', { redirectToLogin: true }), (req, res) => {
+    res.send(renderRunsPage({ user: req.user }));
+  });
 
-    res.json({
-      pressure: state.data.pressure,
-      pressureTimestamp: state.data.pressureTimestamp,
-      safetyInputStatusFlags: state.data.safetyInputStatusFlags,
-      safetyOutputStatusFlags: state.data.safetyOutputStatusFlags,
-      safetyOutputDataFlags: state.data.safetyOutputDataFlags,
-      safetyInputDataFlags: state.data.safetyInputDataFlags,
-      temperatures: state.data.temperatures,
-      vacuumBits: state.data.vacuumBits,
-      vacuumColors: vacColors,
-      sicColors,
-      heaterCurrent_A: state.data.heaterCurrent_A,
-      heaterCurrent_B: state.data.heaterCurrent_B,
-      heaterCurrent_C: state.data.heaterCurrent_C,
-      heaterVoltage_A: state.data.heaterVoltage_A,
-      heaterVoltage_B: state.data.heaterVoltage_B,
-      heaterVoltage_C: state.data.heaterVoltage_C,
-      clamp_temperature_A: state.data.clamp_temperature_A,
-      clamp_temperature_B: state.data.clamp_temperature_B,
-      clamp_temperature_C: state.data.clamp_temperature_C,
-      siteLastUpdated: new Date().toISOString(),
-      webMonitorLastModified: state.webMonitorLastModified || null,
-      displayLogLastModified: state.displayLogLastModified || null
-    });
+  // Older Drive log files page
+  app.get('/log-archive', auth.requireRole('viewer', { redirectToLogin: true }), (req, res) => {
+    res.send(renderLogArchivePage({ user: req.user }));
   });
 
-  app.get('/refresh-display', async (req, res) => {
-    await fetchDisplayFileContents();
-    res.status(200).send('Refreshed display logs');
+  // JSON API endpoint for frontend polling (fallback when /stream is unavailable)
+  app.get('/data', viewer, (req, res) => {
+    res.json(buildDataPayload());
   });
 
-  // Health check endpoint
+  // Server-Sent Events stream: "state", "chart-append", "series-append" and "interlock-events" events
+  app.get('/stream', viewer, (req, res) => {
+    registerStreamClient(req, res, { event: 'state', payload: buildDataPayload() });
+  });
+
+  app.post('/refresh-display', operator, async (req, res) => {
+    try {
+      // The tail logs and swallows its own Drive errors, answering false when the refresh failed
+      if (!(await fetchDisplayFileContents())) {
+        return res.status(502).json({ error: 'Could not refresh the display log from Google Drive.' });
+      }
+    } catch (err) {
+      console.error('Failed to refresh the display log:', err);
+      return res.status(502).json({ error: err.message });
+    }
+    await auth.audit(req, 'refresh-display');
+    return res.status(200).send('Refreshed display logs');
+  });
+
+  // Liveness check (public, for Render's health checks): 503 only while a loop is hung, which a
+  // restart fixes. A storage outage leaves the process live but not ready
   app.get('/health', async (req, res) => {
     try {
-      const { data, error } = await supabase
-        .from('short_term_logs')
-        .select('count')
-        .limit(1);
+      const connected = await checkStorageConnection();
+      const { live, ready, loops } = loopHealth.report();
 
-      res.json({
-        status: 'ok',
-        supabase: error ? 'disconnected' : 'connected',
+      res.status(live ? 200 : 503).json({
+        status: live ? 'ok' : 'stalled',
+        live,
+        ready: ready && connected,
+        storage: getStorageAdapter().name,
+        // `supabase` predates the other storage adapters; existing monitors still read it
+        supabase: connected ? 'connected' : 'disconnected',
+        database: connected ? 'connected' : 'disconnected',
         experimentRunning: state.experimentRunning,
-        lastUpdate: state.webMonitorLastModified
+        lastUpdate: state.webMonitorLastModified,
+        loops: Object.fromEntries(loops.map(({ name, status }) => [name, status])),
       });
     } catch (err) {
       res.status(500).json({
@@ -103,69 +405,369 @@ function registerRoutes(app) {
     }
   });
 
-  // Chart data endpoint for live chart updates
-  app.get('/chart-data', (req, res) => {
+  // Readiness probe (public, for load balancers and uptime monitors): 503 while not ready. The
+  // reasons are on the admin-only /status
+  app.get('/ready', async (req, res) => {
+    try {
+      const connected = await checkStorageConnection();
+      const { live, ready: loopsReady } = loopHealth.report();
+      const ready = loopsReady && connected;
+      res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', live, ready });
+    } catch (err) {
+      res.status(500).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+  });
+
+  // Readiness check and diagnostics behind the dashboard's status panel: 503 while not ready
+  app.get('/status', admin, async (req, res) => {
+    try {
+      const status = await buildStatus();
+      res.status(status.ready ? 200 : 503).json(status);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Prometheus scrape endpoint; OpenMetrics when the scraper asks for it. With accounts enabled,
+  // scrape with a viewer API token as the bearer token
+  app.get('/metrics', viewer, (req, res) => {
+    const openMetrics = /application\/openmetrics-text/.test(req.headers.accept || '');
+    res.set('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+    res.send(monitorMetrics.render({ openMetrics }));
+  });
+
+  // Chart data endpoint for live chart updates: ?view=short|long for pressure, ?series=<name> for any
+  // registered series, ?from=&to=&width= for a historical pressure window
+  app.get('/chart-data', viewer, (req, res) => {
+    if (req.query.from != null || req.query.to != null) {
+      return sendPressureRange(req, res);
+    }
+
+    if (req.query.series) {
+      const series = seriesRegistry.get(String(req.query.series));
+      if (!series) {
+        return res.status(404).json({ error: `Unknown series "${req.query.series}".` });
+      }
+      return res.json(getSeriesChartData(series));
+    }
+
     const view = req.query.view === 'long' ? 'long' : 'short';
-    const graph = view === 'long' ? longTermPressureGraph : shortTermPressureGraph;
+    return res.json(getSeriesChartData(seriesRegistry.getByView(view)));
+  });
 
-    res.json({
-      view,
-      xVals: graph.displayXVals,
-      yVals: graph.displayYVals,
-      ...getGraphMetadata(graph),
-    });
+  // Declared series (see services/series.js), for clients that build charts dynamically
+  app.get('/series', viewer, (req, res) => {
+    res.json({ series: seriesRegistry.list().map(describeSeries) });
   });
 
-  // CCS clamp temperature chart data
-  app.get('/ccs-chart-data', (req, res) => {
+  // Threshold alarms: currently raised (active/acknowledged) plus cleared history
+  app.get('/alarms', viewer, (req, res) => {
     res.json({
-      A: { xVals: ccsGraphA.xVals, yVals: ccsGraphA.yVals },
-      B: { xVals: ccsGraphB.xVals, yVals: ccsGraphB.yVals },
-      C: { xVals: ccsGraphC.xVals, yVals: ccsGraphC.yVals },
+      active: alarmEngine.getActiveAlarms(),
+      history: alarmEngine.getAlarmHistory(),
+      rules: alarmEngine.getRules(),
     });
   });
 
-  // Experiment reset — deletes all log data
-  app.post('/experiment-reset', async (req, res) => {
-    const resetPassword = process.env.EXPERIMENT_RESET_PASSWORD;
-    if (!resetPassword) {
-      return res.status(503).json({ error: 'Experiment reset is not configured on this server.' });
+  app.post('/alarms/:id/acknowledge', operator, (req, res) => {
+    const alarm = alarmEngine.acknowledge(req.params.id, req.user?.username ?? req.body?.acknowledgedBy ?? null);
+    if (!alarm) {
+      return res.status(404).json({ error: 'No active alarm with that id.' });
+    }
+
+    broadcast('state', buildDataPayload());
+    return res.status(200).json({ alarm });
+  });
+
+  // Interlock/vacuum transition log, newest first; pass nextBefore back as before/beforeId to page
+  app.get('/events', viewer, async (req, res) => {
+    const { before, limit } = parseEventPage(req.query);
+
+    try {
+      sendEventPage(res, await fetchInterlockEvents({ before, limit }), limit);
+    } catch (err) {
+      console.error('Error fetching interlock events:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Logbook notes newest first, optionally within from/to and matching q; paged like /events
+  app.get('/annotations', viewer, async (req, res) => {
+    const { before, limit } = parseEventPage(req.query);
+    const fromMs = parseRangeBoundary(req.query.from);
+    const toMs = parseRangeBoundary(req.query.to);
+    if ((req.query.from && fromMs == null) || (req.query.to && toMs == null)) {
+      return res.status(400).json({ error: 'from and to must be timestamps.' });
+    }
+
+    try {
+      res.json(await annotationLog.list({ fromMs, toMs, query: String(req.query.q ?? ''), before, limit }));
+    } catch (err) {
+      console.error('Error fetching annotations:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Adds a note pinned to { at } (default now); every logged-in user may write to the logbook
+  app.post('/annotations', viewer, async (req, res) => {
+    const { text, at } = req.body || {};
+    if (typeof text !== 'string' || !text.trim() || text.length > ANNOTATION_MAX_LENGTH) {
+      return res.status(400).json({ error: `text must be 1 to ${ANNOTATION_MAX_LENGTH} characters.` });
+    }
+    const atMs = at == null ? Date.now() : parseRangeBoundary(at);
+    if (atMs == null) {
+      return res.status(400).json({ error: 'at must be a timestamp.' });
+    }
+
+    try {
+      const annotation = await annotationLog.add({ atMs, text, author: req.user?.username ?? null });
+      return res.status(201).json({ annotation });
+    } catch (err) {
+      console.error('Error adding annotation:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Who reset the experiment, refreshed the display or logged in, newest first; paged like /events
+  app.get('/audit', admin, async (req, res) => {
+    const { before, limit } = parseEventPage(req.query);
+
+    try {
+      sendEventPage(res, await fetchAuditEvents({ before, limit }), limit);
+    } catch (err) {
+      console.error('Error fetching audit events:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Telemetry export: /export?table=short|long&format=csv|ndjson&from=&to=&columns=a,b
+  app.get('/export', viewer, streamExport);
+
+  // Replay of a recorded run through the live pipeline (see services/replay.js):
+  // POST /replay/start with { file } (an NDJSON file in REPLAY_DIR) or { from, to }, plus { speed }
+  app.get('/replay', viewer, (req, res) => {
+    res.json({ replay: state.replay });
+  });
+
+  app.post('/replay/start', operator, startReplay);
+
+  app.post('/replay/speed', operator, (req, res) => {
+    const speed = Number(req.body?.speed);
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      return res.status(400).json({ error: `speed must be one of ${REPLAY_SPEEDS.join(', ')}.` });
     }
 
-    const { password } = req.body || {};
-    if (password !== resetPassword) {
-      return res.status(401).json({ error: 'Incorrect password.' });
+    const replay = replayController.setSpeed(speed);
+    if (!replay) {
+      return res.status(409).json({ error: 'No replay is running.' });
     }
+    return res.status(200).json({ replay });
+  });
 
-    const [longResult, shortResult] = await Promise.all([
-      supabase.from('long_term_logs').delete().gte('id', '00000000-0000-0000-0000-000000000000'),
-      supabase.from('short_term_logs').delete().gte('id', 0),
-    ]);
+  app.post('/replay/stop', operator, async (req, res) => {
+    const stopped = await replayController.stop();
+    return res.status(200).json({ stopped });
+  });
 
-    if (longResult.error || shortResult.error) {
-      const msg = (longResult.error?.message || '') + ' ' + (shortResult.error?.message || '');
-      console.error('Experiment reset Supabase error:', msg.trim());
-      return res.status(500).json({ error: msg.trim() });
+  // Experiment reset — archives the current run with the operator's note and starts a new one.
+  // Nothing is deleted; see services/runs.js.
+  app.post('/experiment-reset', operator, async (req, res) => {
+    const note = req.body?.note ?? '';
+    if (typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string.' });
+    }
+    if (state.replay) {
+      return res.status(409).json({ error: 'Stop the replay before closing the run.' });
+    }
+    // Without accounts anyone passes the operator check, so the shared password still guards the reset
+    if (!auth.enabled && !(await confirmDestructiveAction(req, res, 'experiment-reset', 'Experiment reset is not configured on this server.'))) {
+      return;
     }
 
-    longTermPressureGraph.fullXVals.length = 0;
-    longTermPressureGraph.fullYVals.length = 0;
-    longTermPressureGraph.displayXVals.length = 0;
-    longTermPressureGraph.displayYVals.length = 0;
+    try {
+      const { archived, run } = await runManager.close({ note, closedBy: req.user?.username ?? null });
+      await auth.audit(req, 'experiment-reset', { runId: archived.id, note: archived.note });
+      return res.status(200).json({ success: true, archived, run });
+    } catch (err) {
+      console.error('Experiment reset error:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Purge — deletes every log row and archived run. Admins confirm with their own password (without
+  // accounts, the shared EXPERIMENT_RESET_PASSWORD) and by sending confirm: "PURGE".
+  app.post('/experiment-purge', admin, async (req, res) => {
+    if (req.body?.confirm !== 'PURGE') {
+      return res.status(400).json({ error: 'Send confirm: "PURGE" to delete all log data.' });
+    }
+    if (state.replay) {
+      return res.status(409).json({ error: 'Stop the replay before purging.' });
+    }
+
+    if (!(await confirmDestructiveAction(req, res, 'experiment-purge', 'Purge is not configured on this server.'))) {
+      return;
+    }
+
+    try {
+      const run = await runManager.purge();
+      await auth.audit(req, 'experiment-purge');
+      console.log(`Purge by ${req.user?.username ?? 'shared password'}`);
+      return res.status(200).json({ success: true, run });
+    } catch (err) {
+      console.error('Purge storage error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
 
-    shortTermPressureGraph.fullXVals.length = 0;
-    shortTermPressureGraph.fullYVals.length = 0;
-    shortTermPressureGraph.displayXVals.length = 0;
-    shortTermPressureGraph.displayYVals.length = 0;
+  // Archived runs, most recently closed first and paged like /events, plus the current run
+  app.get('/runs', viewer, async (req, res) => {
+    const { before, limit } = parseEventPage(req.query);
 
-    console.log('Experiment reset: long_term_logs and short_term_logs cleared.');
-    return res.status(200).json({ success: true });
+    try {
+      const runs = await runManager.listRuns({ before, limit });
+      const last = runs.at(-1);
+      res.json({
+        current: state.currentRun,
+        runs,
+        nextBefore: runs.length === limit && last ? { before: last.ended_at, beforeId: last.id } : null,
+      });
+    } catch (err) {
+      console.error('Error fetching runs:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // One run (or "current") with its summary stats
+  app.get('/runs/:id', viewer, async (req, res) => {
+    const runId = parseRunId(req.params.id);
+    if (runId === null) {
+      return res.status(400).json({ error: 'id must be a run number or "current".' });
+    }
+
+    try {
+      const run = await runManager.fetchRun(runId);
+      if (!run) {
+        return res.status(404).json({ error: `No run ${req.params.id}.` });
+      }
+      return res.json(run);
+    } catch (err) {
+      console.error('Error fetching run:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Pressure over one run (or "current") against seconds since its start, for overlays
+  app.get('/runs/:id/pressure', viewer, async (req, res) => {
+    const runId = parseRunId(req.params.id);
+    if (runId === null) {
+      return res.status(400).json({ error: 'id must be a run number or "current".' });
+    }
+
+    try {
+      const result = await runManager.fetchRunPressure(runId, { width: req.query.width });
+      if (!result) {
+        return res.status(404).json({ error: `No run ${req.params.id}.` });
+      }
+      return res.json(result);
+    } catch (err) {
+      console.error('Error serving run pressure:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Parsed display log, newest first: ?level=ERROR,WARNING&subsystem=Vacuum&q=pump&from=&to=&limit=&before=<id>
+  app.get('/logs', viewer, (req, res) => {
+    const list = (value) => String(value ?? '').split(',').map((item) => item.trim()).filter(Boolean);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const before = req.query.before != null ? Number.parseInt(req.query.before, 10) : null;
+    if (Number.isNaN(before)) {
+      return res.status(400).json({ error: 'before must be an entry id.' });
+    }
+    const fromMs = parseRangeBoundary(req.query.from);
+    const toMs = parseRangeBoundary(req.query.to);
+    if ((req.query.from && fromMs === null) || (req.query.to && toMs === null)) {
+      return res.status(400).json({ error: 'from and to must be timestamps.' });
+    }
+
+    const page = displayLog.query({
+      levels: list(req.query.level),
+      subsystems: list(req.query.subsystem),
+      query: String(req.query.q ?? ''),
+      fromMs,
+      toMs,
+      before,
+      limit,
+    });
+    return res.json({ ...page, ...displayLog.facets() });
+  });
+
+  // Log archive: every text file of the Drive folder, newest first: ?q=<name part>&pageToken=&pageSize=
+  app.get('/logs/files', viewer, async (req, res) => {
+    const pageSize = Math.min(Math.max(Number.parseInt(req.query.pageSize, 10) || 50, 1), 100);
+    try {
+      return res.json(await logArchive.list({
+        pageToken: req.query.pageToken ? String(req.query.pageToken) : null,
+        pageSize,
+        query: String(req.query.q ?? ''),
+      }));
+    } catch (err) {
+      console.error('Failed to list the log files:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // One archived file's lines, oldest first: ?q=<text>&offset=&limit=&count=1, the last for the totals
+  app.get('/logs/files/:id', viewer, async (req, res) => {
+    if (!DRIVE_FILE_ID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid file id.' });
+    }
+    const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 500, 1), 5000);
+
+    try {
+      const page = await logArchive.read(req.params.id, {
+        query: String(req.query.q ?? ''),
+        offset,
+        limit,
+        count: req.query.count === '1',
+      });
+      if (!page) {
+        return res.status(404).json({ error: 'No such log file.' });
+      }
+      return res.json(page);
+    } catch (err) {
+      console.error('Failed to read the log file:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get('/logs/files/:id/download', viewer, async (req, res) => {
+    if (!DRIVE_FILE_ID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid file id.' });
+    }
+
+    try {
+      const opened = await logArchive.open(req.params.id);
+      if (!opened) {
+        return res.status(404).json({ error: 'No such log file.' });
+      }
+      return res.download(opened.filePath, opened.file.name);
+    } catch (err) {
+      console.error('Failed to download the log file:', err);
+      return res.status(500).json({ error: err.message });
+    }
   });
 
-  // Raw reversed log file
-  app.get('/raw', async (req, res) => {
+  // Raw display log, newest line first: the lines followed in memory, else the reversed.txt cache
+  app.get('/raw', viewer, async (req, res) => {
     try {
-      if (fs.existsSync(REVERSED_FILE_PATH)) {
+      const lines = displayLogTail.newestFirst();
+      if (lines) {
+        res.type('text/plain').send(lines.map((line) => `${line}\n`).join(''));
+      } else if (fs.existsSync(REVERSED_FILE_PATH)) {
         let content = await fs.promises.readFile(REVERSED_FILE_PATH, 'utf8');
         res.type('text/plain').send(content);
       } else {
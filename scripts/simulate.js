@@ -0,0 +1,61 @@
+// Writes simulated telemetry as an NDJSON capture that STORAGE_ADAPTER=file and --replay can read:
+//   node scripts/simulate.js [--out=capture] [--hours=2] [--seed=1] [--follow]
+// --follow keeps appending a row every 3 seconds after the history, like the logger would.
+
+const fs = require('fs');
+const path = require('path');
+const { startSimulatorFeed } = require('../services/simulator');
+const { createCaptureWriter } = require('../services/adapters/file');
+
+const HOUR = 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { out: path.join(__dirname, '..', 'capture'), hours: 2, seed: 1, follow: false };
+  for (const arg of argv) {
+    const match = /^--(out|hours|seed|follow)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+    const [, name, value] = match;
+    if (name === 'follow') {
+      options.follow = true;
+    } else if (name === 'out') {
+      options.out = path.resolve(value);
+    } else if (!(Number(value) > 0)) {
+      throw new Error(`--${name} must be a positive number`);
+    } else {
+      options[name] = Number(value);
+    }
+  }
+  return options;
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`${err.message}. Exiting...`);
+  process.exit(1);
+}
+
+// Appending a second run would repeat its ids, so never write over an earlier capture
+const existing = ['short_term_logs', 'long_term_logs']
+  .map((tableName) => path.join(options.out, `${tableName}.ndjson`))
+  .filter((file) => fs.existsSync(file));
+if (existing.length > 0) {
+  console.error(`${existing.join(' and ')} already exist; remove them or pick another --out. Exiting...`);
+  process.exit(1);
+}
+
+const feed = startSimulatorFeed({
+  sink: createCaptureWriter({ directory: options.out }),
+  historyMs: options.hours * HOUR,
+  seed: options.seed,
+});
+
+if (options.follow) {
+  console.log(`Appending to ${options.out} every 3 seconds; Ctrl+C to stop`);
+} else {
+  feed.stop();
+  console.log(`Capture written to ${options.out}`);
+}
@@ -0,0 +1,145 @@
+// Manages the accounts in the users file read with AUTH_STORE=file:
+//   node scripts/users.js list
+//   node scripts/users.js add <username> <viewer|operator|admin>   (asks for the password)
+//   node scripts/users.js passwd <username>
+//   node scripts/users.js role <username> <viewer|operator|admin>
+//   node scripts/users.js remove <username>
+//   node scripts/users.js token <username> [label]                 (prints a new API token once)
+//   node scripts/users.js revoke <username> <token id>
+//   node scripts/users.js sql <username>                           (monitor_users row for AUTH_STORE=database)
+// Pass --file=path to use another file than AUTH_USERS_FILE (default users.json). Passwords are read
+// from the terminal, or from the first line of stdin when it is piped.
+
+const path = require('path');
+const readline = require('readline');
+require('dotenv').config();
+const {
+  ROLES,
+  hashPassword,
+  createApiToken,
+  readUsersFile,
+  writeUsersFile,
+} = require('../services/accounts');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+function readPassword(prompt) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  if (process.stdin.isTTY) {
+    process.stdout.write(prompt);
+    rl._writeToOutput = () => {}; // keep the typed password off the screen
+  }
+
+  return new Promise((resolve) => {
+    rl.once('line', (line) => {
+      resolve(line);
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write('\n');
+    });
+    rl.once('close', () => resolve(''));
+  });
+}
+
+async function askNewPassword() {
+  const password = await readPassword('Password: ');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (process.stdin.isTTY && await readPassword('Repeat password: ') !== password) {
+    throw new Error('The passwords did not match');
+  }
+  return hashPassword(password);
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+async function run(argv) {
+  const fileArg = argv.find((arg) => arg.startsWith('--file='));
+  const filePath = path.resolve(
+    fileArg ? fileArg.slice('--file='.length) : process.env.AUTH_USERS_FILE || path.join(__dirname, '..', 'users.json')
+  );
+  const [command, username, extra] = argv.filter((arg) => arg !== fileArg);
+  const users = readUsersFile(filePath);
+  const user = users.find((candidate) => candidate.username === username);
+
+  if (command === 'list') {
+    for (const { username: name, role, tokens = [] } of users) {
+      console.log(`${name}\t${role}\t${tokens.map(({ id, label }) => (label ? `${id} (${label})` : id)).join(', ')}`);
+    }
+    return;
+  }
+
+  if (!username) {
+    throw new Error('Usage: node scripts/users.js <list|add|passwd|role|remove|token|revoke|sql> [username] ...');
+  }
+  if (command !== 'add' && !user) {
+    throw new Error(`No user "${username}" in ${filePath}`);
+  }
+
+  switch (command) {
+    case 'add': {
+      if (user) {
+        throw new Error(`User "${username}" already exists`);
+      }
+      if (!/^[\w.@-]+$/.test(username)) {
+        throw new Error('Usernames may only use letters, digits and . _ @ -');
+      }
+      const role = checkRole(extra);
+      users.push({ username, role, password_hash: await askNewPassword(), tokens: [], created_at: new Date().toISOString() });
+      console.log(`Added ${username} (${role})`);
+      break;
+    }
+    case 'passwd':
+      user.password_hash = await askNewPassword();
+      console.log(`Password changed for ${username}`);
+      break;
+    case 'role':
+      user.role = checkRole(extra);
+      console.log(`${username} is now ${user.role}`);
+      break;
+    case 'remove':
+      users.splice(users.indexOf(user), 1);
+      console.log(`Removed ${username}`);
+      break;
+    case 'token': {
+      const { token, entry } = createApiToken(username, extra ?? null);
+      user.tokens = [...(user.tokens || []), entry];
+      console.log(`Token ${entry.id} for ${username} (shown only once):\n${token}`);
+      break;
+    }
+    case 'revoke': {
+      const remaining = (user.tokens || []).filter(({ id }) => id !== extra);
+      if (remaining.length === (user.tokens || []).length) {
+        throw new Error(`${username} has no token "${extra}"`);
+      }
+      user.tokens = remaining;
+      console.log(`Revoked token ${extra} of ${username}`);
+      break;
+    }
+    case 'sql':
+      console.log([
+        'insert into monitor_users (username, role, password_hash, tokens, created_at) values',
+        `  (${[user.username, user.role, user.password_hash, JSON.stringify(user.tokens || []), user.created_at].map(sqlString).join(', ')})`,
+        'on conflict (username) do update set role = excluded.role, password_hash = excluded.password_hash, tokens = excluded.tokens;',
+      ].join('\n'));
+      return;
+    default:
+      throw new Error(`Unknown command "${command}"`);
+  }
+
+  writeUsersFile(filePath, users);
+}
+
+run(process.argv.slice(2)).catch((err) => {
+  console.error(`${err.message}. Exiting...`);
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Lowest to highest; each role can do everything the roles before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const TOKEN_PREFIX = 'ebm';
+
+/**
+ * Whether `role` is at least `required`. Unknown roles never pass.
+ */
+function hasRole(role, required) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank >= ROLES.indexOf(required);
+}
+
+/**
+ * Hashes a password as `scrypt$N$r$p$<salt>$<hash>` (base64), the form kept in password_hash.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Verified against when the user does not exist, so a wrong username takes as long as a wrong password
+let dummyHash = null;
+
+/**
+ * Checks a password against a stored hash in constant time. A missing or malformed hash fails.
+ */
+async function verifyPassword(password, encoded) {
+  if (!encoded) {
+    dummyHash ??= await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return false;
+  }
+
+  const [scheme, N, r, p, salt, expected] = String(encoded).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const expectedBytes = Buffer.from(expected, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expectedBytes.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expectedBytes);
+}
+
+function hashTokenSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Issues an API token for a user. Only the entry (with the secret's SHA-256) is stored in the
+ * user's `tokens`; the token itself is shown once.
+ *
+ * @returns {{ token: string, entry: { id: string, label: string|null, hash: string, created_at: string } }}
+ */
+function createApiToken(username, label = null) {
+  const id = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+
+  return {
+    token: [TOKEN_PREFIX, Buffer.from(username).toString('hex'), id, secret].join('_'),
+    entry: { id, label, hash: hashTokenSecret(secret), created_at: new Date().toISOString() },
+  };
+}
+
+/**
+ * Splits an `ebm_<hex username>_<id>_<secret>` token; null for anything else.
+ */
+function parseApiToken(token) {
+  const parts = String(token || '').split('_');
+  if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX) {
+    return null;
+  }
+
+  const username = /^(?:[0-9a-f]{2})+$/.test(parts[1]) ? Buffer.from(parts[1], 'hex').toString() : '';
+  return username ? { username, id: parts[2], secret: parts[3] } : null;
+}
+
+/**
+ * The token entry of `user` that `secret` belongs to, or null.
+ */
+function findTokenEntry(user, id, secret) {
+  const entry = (user?.tokens || []).find((candidate) => candidate.id === id);
+  if (!entry) {
+    return null;
+  }
+
+  const expected = Buffer.from(entry.hash, 'hex');
+  const actual = Buffer.from(hashTokenSecret(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? entry : null;
+}
+
+/**
+ * Reads a users file: `{ "users": [{ username, role, password_hash, tokens, created_at }] }`, the
+ * same row shape as the monitor_users table. A missing file has no users.
+ */
+function readUsersFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(parsed.users)) {
+    throw new Error(`${filePath} has no "users" array`);
+  }
+  return parsed.users;
+}
+
+// Written to a temp file and renamed, so the server never reads half a file
+function writeUsersFile(filePath, users) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify({ users }, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  createApiToken,
+  parseApiToken,
+  findTokenEntry,
+  readUsersFile,
+  writeUsersFile,
+};
@@ -0,0 +1,141 @@
+// Shared by every storage adapter: the tables the monitor reads, and the (timestamp, id) row order
+
+const PAGE_SIZE = 1000;
+
+const TABLES = {
+  short_term_logs: { columns: ['id', 'created_at', 'data'], timestampColumn: 'created_at' },
+  long_term_logs: { columns: ['id', 'recorded_at', 'avg_pressure'], timestampColumn: 'recorded_at' },
+  interlock_events: {
+    columns: ['id', 'occurred_at', 'signal', 'signal_group', 'old_value', 'new_value', 'flags'],
+    timestampColumn: 'occurred_at',
+    jsonColumns: ['flags'],
+  },
+  audit_events: {
+    columns: ['id', 'occurred_at', 'actor', 'role', 'action', 'detail'],
+    timestampColumn: 'occurred_at',
+    jsonColumns: ['detail'],
+  },
+  // One row per closed run: the experiment reset archives [started_at, ended_at) of the log tables
+  runs: {
+    columns: [
+      'id', 'started_at', 'ended_at', 'end_reason', 'note', 'closed_by',
+      'min_pressure', 'max_pressure', 'peak_clamp_temperatures', 'hv_on_seconds', 'interlock_trips',
+    ],
+    timestampColumn: 'ended_at',
+    jsonColumns: ['peak_clamp_temperatures'],
+  },
+  // Operator logbook notes, ordered by the time they are pinned to rather than when they were written
+  annotations: {
+    columns: ['id', 'at', 'text', 'author', 'created_at'],
+    timestampColumn: 'at',
+  },
+  // Accounts for AUTH_STORE=database, looked up by username only
+  monitor_users: {
+    columns: ['username', 'role', 'password_hash', 'tokens', 'created_at'],
+    timestampColumn: 'created_at',
+    jsonColumns: ['tokens'],
+  },
+};
+
+const LOG_TABLE_NAMES = ['short_term_logs', 'long_term_logs'];
+
+// Append-only tables read newest-first with insertEvents() / fetchEvents()
+const EVENT_TABLE_NAMES = ['interlock_events', 'audit_events', 'runs', 'annotations'];
+
+function getTable(tableName) {
+  const table = TABLES[tableName];
+  if (!table) {
+    throw new Error(`Unknown table "${tableName}"`);
+  }
+  return table;
+}
+
+function getEventTable(tableName) {
+  if (!EVENT_TABLE_NAMES.includes(tableName)) {
+    throw new Error(`"${tableName}" is not an event table`);
+  }
+  return TABLES[tableName];
+}
+
+function normalizeCursor(cursor) {
+  if (!cursor?.timestamp) {
+    return null;
+  }
+
+  return {
+    timestamp: cursor.timestamp,
+    id: cursor.id ?? null,
+  };
+}
+
+/**
+ * Sort comparator for rows of one table: by timestamp (ISO strings compare in time order), then id.
+ */
+function compareRows(timestampColumn) {
+  return (a, b) => {
+    if (a[timestampColumn] !== b[timestampColumn]) {
+      return a[timestampColumn] < b[timestampColumn] ? -1 : 1;
+    }
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -1 : 1;
+  };
+}
+
+function isRowAfterCursor(row, timestampColumn, cursor) {
+  if (!cursor) {
+    return true;
+  }
+
+  const rowTimestamp = row?.[timestampColumn];
+  if (!rowTimestamp) {
+    return false;
+  }
+
+  if (rowTimestamp > cursor.timestamp) {
+    return true;
+  }
+
+  if (rowTimestamp < cursor.timestamp) {
+    return false;
+  }
+
+  if (cursor.id == null) {
+    return false;
+  }
+
+  return row?.id > cursor.id;
+}
+
+function isRowBeforeCursor(row, timestampColumn, cursor) {
+  const rowTimestamp = row?.[timestampColumn];
+  if (!rowTimestamp) {
+    return false;
+  }
+
+  if (rowTimestamp < cursor.timestamp) {
+    return true;
+  }
+
+  if (rowTimestamp > cursor.timestamp) {
+    return false;
+  }
+
+  if (cursor.id == null) {
+    return false;
+  }
+
+  return row?.id < cursor.id;
+}
+
+module.exports = {
+  PAGE_SIZE,
+  TABLES,
+  LOG_TABLE_NAMES,
+  EVENT_TABLE_NAMES,
+  getTable,
+  getEventTable,
+  normalizeCursor,
+  compareRows,
+  isRowAfterCursor,
+  isRowBeforeCursor,
+};
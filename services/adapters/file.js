@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  PAGE_SIZE,
+  LOG_TABLE_NAMES,
+  getTable,
+  getEventTable,
+  normalizeCursor,
+  compareRows,
+  isRowAfterCursor,
+  isRowBeforeCursor,
+} = require('./common');
+
+/**
+ * Storage adapter over a local capture: one `<table>.ndjson` file per table in `directory`,
+ * one row per line exactly as the database returns it. Used offline in the lab and by the
+ * integration tests. Timestamps must share one ISO-8601 format per file, since rows are
+ * ordered by comparing them as strings, the same way the pollers compare cursors.
+ *
+ * @param {Object} options
+ * @param {string} options.directory
+ */
+function createFileAdapter({ directory }) {
+  const cache = new Map();
+
+  function tablePath(tableName) {
+    getTable(tableName);
+    return path.join(directory, `${tableName}.ndjson`);
+  }
+
+  // Rows oldest-first; the file is re-read only after it changes on disk
+  function readRows(tableName) {
+    const filePath = tablePath(tableName);
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const { mtimeMs, size } = fs.statSync(filePath);
+    const cached = cache.get(tableName);
+    if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+      return cached.rows;
+    }
+
+    const rows = fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter((line) => line.trim() !== '')
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          throw new Error(`${filePath}:${index + 1} is not valid JSON: ${err.message}`);
+        }
+      })
+      .sort(compareRows(getTable(tableName).timestampColumn));
+
+    cache.set(tableName, { mtimeMs, size, rows });
+    return rows;
+  }
+
+  async function fetchLatest(tableName) {
+    return readRows(tableName).at(-1) ?? null;
+  }
+
+  async function* fetchSince(tableName, { after = null, since = null, until = null } = {}) {
+    const { timestampColumn } = getTable(tableName);
+    const cursor = normalizeCursor(after);
+    const rows = readRows(tableName).filter((row) => (
+      isRowAfterCursor(row, timestampColumn, cursor)
+      && (!since || row[timestampColumn] >= since)
+      && (!until || row[timestampColumn] <= until)
+    ));
+
+    for (let from = 0; from < rows.length; from += PAGE_SIZE) {
+      yield rows.slice(from, from + PAGE_SIZE);
+    }
+  }
+
+  async function reset(tableNames = LOG_TABLE_NAMES) {
+    for (const tableName of tableNames) {
+      getTable(tableName);
+      if (fs.existsSync(tablePath(tableName))) {
+        fs.truncateSync(tablePath(tableName), 0);
+      }
+      cache.delete(tableName);
+    }
+  }
+
+  async function insertEvents(tableName, events) {
+    getEventTable(tableName);
+    const existing = readRows(tableName);
+    let nextId = existing.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+    const inserted = events.map((event) => ({ id: nextId++, ...event }));
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.appendFileSync(tablePath(tableName), inserted.map((row) => `${JSON.stringify(row)}\n`).join(''));
+    return inserted;
+  }
+
+  async function fetchEvents(tableName, { before = null, limit = 50 } = {}) {
+    const { timestampColumn } = getEventTable(tableName);
+    const cursor = normalizeCursor(before);
+    return readRows(tableName)
+      .filter((row) => !cursor || isRowBeforeCursor(row, timestampColumn, cursor))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async function fetchEvent(tableName, id) {
+    getEventTable(tableName);
+    return readRows(tableName).find((row) => row.id === id) ?? null;
+  }
+
+  async function fetchUser(username) {
+    return readRows('monitor_users').find((row) => row.username === username) ?? null;
+  }
+
+  async function ping() {
+    return fs.existsSync(directory);
+  }
+
+  return {
+    name: 'file',
+    fetchLatest,
+    fetchSince,
+    reset,
+    insertEvents,
+    fetchEvents,
+    fetchEvent,
+    fetchUser,
+    ping,
+    close: async () => {},
+  };
+}
+
+/**
+ * Appends rows to a capture in the format createFileAdapter() reads, e.g. from the simulator.
+ * @param {Object} options
+ * @param {string} options.directory
+ */
+function createCaptureWriter({ directory }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  return {
+    append(tableName, rows) {
+      getTable(tableName);
+      fs.appendFileSync(
+        path.join(directory, `${tableName}.ndjson`),
+        rows.map((row) => `${JSON.stringify(row)}\n`).join('')
+      );
+    },
+  };
+}
+
+module.exports = { createFileAdapter, createCaptureWriter };
@@ -0,0 +1,147 @@
+const {
+  PAGE_SIZE,
+  TABLES,
+  LOG_TABLE_NAMES,
+  getTable,
+  getEventTable,
+  normalizeCursor,
+  compareRows,
+  isRowAfterCursor,
+  isRowBeforeCursor,
+} = require('./common');
+
+// Like the hot table's purge job, so a simulator left running does not grow without bound
+const SHORT_TERM_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Storage adapter over in-process arrays, standing in for the database when the monitor runs
+ * against the simulator (STORAGE_ADAPTER=simulator). Rows are kept in (timestamp, id) order, so
+ * reads binary-search their starting point instead of scanning a day of rows every poll.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name] - Reported by /health
+ * @param {number} [options.shortTermRetentionMs] - short_term_logs rows older than this behind the newest are dropped
+ */
+function createMemoryAdapter({ name = 'memory', shortTermRetentionMs = SHORT_TERM_RETENTION_MS } = {}) {
+  const tables = new Map(Object.keys(TABLES).map((tableName) => [tableName, []]));
+
+  function rowsOf(tableName) {
+    getTable(tableName);
+    return tables.get(tableName);
+  }
+
+  // Index of the first row for which `isPast(row)` is false, given rows sorted so it flips once
+  function firstIndexWhere(rows, isPast) {
+    let low = 0;
+    let high = rows.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (isPast(rows[middle])) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Adds rows the way the logger would insert them; out-of-order rows are sorted into place.
+   */
+  function append(tableName, newRows) {
+    const rows = rowsOf(tableName);
+    if (newRows.length === 0) {
+      return;
+    }
+
+    const { timestampColumn } = getTable(tableName);
+    const compare = compareRows(timestampColumn);
+    const inOrder = rows.length === 0 || compare(rows.at(-1), newRows[0]) < 0;
+
+    rows.push(...newRows);
+    if (!inOrder) {
+      rows.sort(compare);
+    }
+
+    if (tableName === 'short_term_logs' && shortTermRetentionMs) {
+      const cutoff = new Date(Date.parse(rows.at(-1).created_at) - shortTermRetentionMs).toISOString();
+      const expired = firstIndexWhere(rows, (row) => row.created_at < cutoff);
+      if (expired > 0) {
+        rows.splice(0, expired);
+      }
+    }
+  }
+
+  async function fetchLatest(tableName) {
+    return rowsOf(tableName).at(-1) ?? null;
+  }
+
+  async function* fetchSince(tableName, { after = null, since = null, until = null } = {}) {
+    const rows = rowsOf(tableName);
+    const { timestampColumn } = getTable(tableName);
+    const cursor = normalizeCursor(after);
+
+    let from = 0;
+    if (cursor) {
+      from = firstIndexWhere(rows, (row) => !isRowAfterCursor(row, timestampColumn, cursor));
+    }
+    if (since) {
+      from = Math.max(from, firstIndexWhere(rows, (row) => row[timestampColumn] < since));
+    }
+    const to = until ? firstIndexWhere(rows, (row) => row[timestampColumn] <= until) : rows.length;
+
+    for (let start = from; start < to; start += PAGE_SIZE) {
+      yield rows.slice(start, Math.min(to, start + PAGE_SIZE));
+    }
+  }
+
+  async function reset(tableNames = LOG_TABLE_NAMES) {
+    for (const tableName of tableNames) {
+      rowsOf(tableName);
+      tables.set(tableName, []);
+    }
+  }
+
+  async function insertEvents(tableName, events) {
+    getEventTable(tableName);
+    const rows = rowsOf(tableName);
+    let nextId = rows.reduce((max, row) => Math.max(max, row.id), 0) + 1;
+    const inserted = events.map((event) => ({ id: nextId++, ...event }));
+    append(tableName, inserted);
+    return inserted;
+  }
+
+  async function fetchEvents(tableName, { before = null, limit = 50 } = {}) {
+    const { timestampColumn } = getEventTable(tableName);
+    const cursor = normalizeCursor(before);
+    return rowsOf(tableName)
+      .filter((row) => !cursor || isRowBeforeCursor(row, timestampColumn, cursor))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async function fetchEvent(tableName, id) {
+    getEventTable(tableName);
+    return rowsOf(tableName).find((row) => row.id === id) ?? null;
+  }
+
+  async function fetchUser(username) {
+    return rowsOf('monitor_users').find((row) => row.username === username) ?? null;
+  }
+
+  return {
+    name,
+    append,
+    fetchLatest,
+    fetchSince,
+    reset,
+    insertEvents,
+    fetchEvents,
+    fetchEvent,
+    fetchUser,
+    ping: async () => true,
+    close: async () => {},
+  };
+}
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,179 @@
+const pg = require('pg');
+const { PAGE_SIZE, LOG_TABLE_NAMES, getTable, getEventTable, normalizeCursor } = require('./common');
+
+const TIMESTAMPTZ_OID = 1184;
+const INT8_OID = 20;
+
+// ISO-8601 in UTC with microseconds: Date.parse() accepts it, and unlike a JS Date it keeps the
+// precision a (timestamp, id) cursor needs to resume exactly after a row. ORDER BY clauses name
+// the column table-qualified so they sort on the indexed timestamp rather than this text alias.
+function selectColumn(column, timestampColumn) {
+  if (column === timestampColumn) {
+    return `to_char(${column} at time zone 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') as ${column}`;
+  }
+  return column;
+}
+
+function selectList(tableName) {
+  const { columns, timestampColumn } = getTable(tableName);
+  return columns.map((column) => selectColumn(column, timestampColumn)).join(', ');
+}
+
+// bigint ids come back as strings by default, which would compare lexically in the pollers
+const rowTypes = {
+  getTypeParser: (oid, format) => {
+    if (oid === INT8_OID) return (value) => Number(value);
+    if (oid === TIMESTAMPTZ_OID) return (value) => value;
+    return pg.types.getTypeParser(oid, format);
+  },
+};
+
+/**
+ * Storage adapter over a plain PostgreSQL connection (node-postgres) holding the same tables as
+ * the Supabase project, for self-hosted or on-site databases.
+ * @param {Object} options
+ * @param {Object} [options.pool] - pg Pool (or anything with query({ text, values, types }))
+ * @param {string} [options.connectionString] - Used to create a Pool when none is given
+ */
+function createPostgresAdapter({ pool, connectionString } = {}) {
+  const db = pool ?? new pg.Pool({ connectionString });
+
+  async function query(text, values = []) {
+    const result = await db.query({ text, values, types: rowTypes });
+    return result.rows;
+  }
+
+  async function fetchLatest(tableName) {
+    const { timestampColumn } = getTable(tableName);
+    const rows = await query(
+      `select ${selectList(tableName)} from ${tableName} order by ${tableName}.${timestampColumn} desc, id desc limit 1`
+    );
+    return rows[0] ?? null;
+  }
+
+  // Keyset pagination: each page resumes strictly after the last (timestamp, id) it returned
+  async function* fetchSince(tableName, { after = null, since = null, until = null } = {}) {
+    const { timestampColumn } = getTable(tableName);
+    let cursor = normalizeCursor(after);
+
+    while (true) {
+      const conditions = [];
+      const values = [];
+
+      if (cursor) {
+        values.push(cursor.timestamp);
+        if (cursor.id == null) {
+          conditions.push(`${timestampColumn} > $${values.length}::timestamptz`);
+        } else {
+          values.push(cursor.id);
+          conditions.push(`(${timestampColumn}, id) > ($${values.length - 1}::timestamptz, $${values.length})`);
+        }
+      }
+      if (since) {
+        values.push(since);
+        conditions.push(`${timestampColumn} >= $${values.length}::timestamptz`);
+      }
+      if (until) {
+        values.push(until);
+        conditions.push(`${timestampColumn} <= $${values.length}::timestamptz`);
+      }
+
+      const where = conditions.length > 0 ? `where ${conditions.join(' and ')}` : '';
+      const rows = await query(
+        `select ${selectList(tableName)} from ${tableName} ${where} order by ${tableName}.${timestampColumn} asc, id asc limit ${PAGE_SIZE}`,
+        values
+      );
+
+      if (rows.length > 0) {
+        yield rows;
+      }
+
+      if (rows.length < PAGE_SIZE) {
+        break;
+      }
+
+      const lastRow = rows[rows.length - 1];
+      cursor = { timestamp: lastRow[timestampColumn], id: lastRow.id };
+    }
+  }
+
+  async function reset(tableNames = LOG_TABLE_NAMES) {
+    tableNames.forEach(getTable);
+    // restart identity so run numbers start again at 1 after a purge
+    await query(`truncate ${tableNames.join(', ')} restart identity`);
+  }
+
+  async function insertEvents(tableName, events) {
+    const { columns, jsonColumns = [] } = getEventTable(tableName);
+    const insertColumns = columns.filter((column) => column !== 'id');
+    const values = [];
+    const tuples = events.map((event) => {
+      const placeholders = insertColumns.map((column) => {
+        values.push(jsonColumns.includes(column) ? JSON.stringify(event[column] ?? null) : event[column]);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    return query(
+      `insert into ${tableName} (${insertColumns.join(', ')}) values ${tuples.join(', ')} returning ${selectList(tableName)}`,
+      values
+    );
+  }
+
+  async function fetchEvents(tableName, { before = null, limit = 50 } = {}) {
+    const { timestampColumn } = getEventTable(tableName);
+    const cursor = normalizeCursor(before);
+    const values = [];
+    let where = '';
+
+    if (cursor?.id != null) {
+      values.push(cursor.timestamp, cursor.id);
+      where = `where (${timestampColumn}, id) < ($1::timestamptz, $2)`;
+    } else if (cursor) {
+      values.push(cursor.timestamp);
+      where = `where ${timestampColumn} < $1::timestamptz`;
+    }
+
+    values.push(limit);
+    return query(
+      `select ${selectList(tableName)} from ${tableName} ${where} order by ${tableName}.${timestampColumn} desc, id desc limit $${values.length}`,
+      values
+    );
+  }
+
+  async function fetchEvent(tableName, id) {
+    getEventTable(tableName);
+    const rows = await query(`select ${selectList(tableName)} from ${tableName} where id = $1`, [id]);
+    return rows[0] ?? null;
+  }
+
+  async function fetchUser(username) {
+    const rows = await query(`select ${selectList('monitor_users')} from monitor_users where username = $1`, [username]);
+    return rows[0] ?? null;
+  }
+
+  async function ping() {
+    try {
+      await query('select 1');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return {
+    name: 'postgres',
+    fetchLatest,
+    fetchSince,
+    reset,
+    insertEvents,
+    fetchEvents,
+    fetchEvent,
+    fetchUser,
+    ping,
+    close: () => (pool ? Promise.resolve() : db.end()),
+  };
+}
+
+module.exports = { createPostgresAdapter };
@@ -0,0 +1,210 @@
+const {
+  PAGE_SIZE,
+  LOG_TABLE_NAMES,
+  getTable,
+  getEventTable,
+  normalizeCursor,
+  isRowAfterCursor,
+  isRowBeforeCursor,
+} = require('./common');
+
+// Matches every row: short_term_logs and runs ids are bigints, long_term_logs ids are uuids
+const DELETE_ALL_FILTERS = {
+  short_term_logs: 0,
+  long_term_logs: '00000000-0000-0000-0000-000000000000',
+  runs: 0,
+};
+
+/**
+ * Storage adapter over the supabase-js query builder (PostgREST).
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client from config.js
+ */
+function createSupabaseAdapter({ client }) {
+  async function fetchLatest(tableName) {
+    const { columns, timestampColumn } = getTable(tableName);
+    const { data, error } = await client
+      .from(tableName)
+      .select(columns.join(', '))
+      .order(timestampColumn, { ascending: false })
+      .order('id', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0] ?? null;
+  }
+
+  // PostgREST cannot express a (timestamp, id) row comparison, so pages are read with gte on the
+  // timestamp and the rows tied with the cursor are filtered out here.
+  async function* fetchSince(tableName, { after = null, since = null, until = null } = {}) {
+    const { columns, timestampColumn } = getTable(tableName);
+    const cursor = normalizeCursor(after);
+    let from = 0;
+
+    while (true) {
+      let query = client
+        .from(tableName)
+        .select(columns.join(', '))
+        .order(timestampColumn, { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (cursor) {
+        query = query.gte(timestampColumn, cursor.timestamp);
+      }
+      if (since) {
+        query = query.gte(timestampColumn, since);
+      }
+      if (until) {
+        query = query.lte(timestampColumn, until);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        break;
+      }
+
+      const unseenRows = cursor
+        ? data.filter((row) => isRowAfterCursor(row, timestampColumn, cursor))
+        : data;
+
+      if (unseenRows.length > 0) {
+        yield unseenRows;
+      }
+
+      if (data.length < PAGE_SIZE) {
+        break;
+      }
+
+      from += PAGE_SIZE;
+    }
+  }
+
+  async function reset(tableNames = LOG_TABLE_NAMES) {
+    const unknown = tableNames.filter((tableName) => !(tableName in DELETE_ALL_FILTERS));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot reset ${unknown.join(', ')}`);
+    }
+
+    const results = await Promise.all(tableNames.map((tableName) => (
+      client.from(tableName).delete().gte('id', DELETE_ALL_FILTERS[tableName])
+    )));
+
+    const message = results.map((result) => result.error?.message).filter(Boolean).join(' ');
+    if (message) {
+      throw new Error(message);
+    }
+  }
+
+  async function insertEvents(tableName, events) {
+    const { data, error } = await client
+      .from(tableName)
+      .insert(events)
+      .select(getEventTable(tableName).columns.join(', '));
+
+    if (error) {
+      throw error;
+    }
+
+    return data ?? [];
+  }
+
+  async function fetchEvents(tableName, { before = null, limit = 50 } = {}) {
+    const { columns, timestampColumn } = getEventTable(tableName);
+    const rows = [];
+    const cursor = normalizeCursor(before);
+    const pageSize = Math.min(PAGE_SIZE, limit + 50);
+    let from = 0;
+
+    while (rows.length < limit) {
+      let query = client
+        .from(tableName)
+        .select(columns.join(', '))
+        .order(timestampColumn, { ascending: false })
+        .order('id', { ascending: false })
+        .range(from, from + pageSize - 1);
+
+      if (cursor) {
+        query = query.lte(timestampColumn, cursor.timestamp);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data || data.length === 0) {
+        break;
+      }
+
+      rows.push(...(cursor
+        ? data.filter((row) => isRowBeforeCursor(row, timestampColumn, cursor))
+        : data));
+
+      if (data.length < pageSize) {
+        break;
+      }
+
+      from += pageSize;
+    }
+
+    return rows.slice(0, limit);
+  }
+
+  async function fetchEvent(tableName, id) {
+    const { data, error } = await client
+      .from(tableName)
+      .select(getEventTable(tableName).columns.join(', '))
+      .eq('id', id)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0] ?? null;
+  }
+
+  async function fetchUser(username) {
+    const { data, error } = await client
+      .from('monitor_users')
+      .select(getTable('monitor_users').columns.join(', '))
+      .eq('username', username)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data?.[0] ?? null;
+  }
+
+  async function ping() {
+    const { error } = await client.from('short_term_logs').select('count').limit(1);
+    return !error;
+  }
+
+  return {
+    name: 'supabase',
+    fetchLatest,
+    fetchSince,
+    reset,
+    insertEvents,
+    fetchEvents,
+    fetchEvent,
+    fetchUser,
+    ping,
+    close: async () => {},
+  };
+}
+
+module.exports = { createSupabaseAdapter };
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const { ALARM_RULES_FILE } = require('../config');
+const clock = require('./clock');
+
+// Fields of state.data that a rule may watch. Temperatures are addressed as "temperatures.1" .. "temperatures.6".
+const ALARM_FIELDS = [
+  'pressure',
+  'temperatures.1',
+  'temperatures.2',
+  'temperatures.3',
+  'temperatures.4',
+  'temperatures.5',
+  'temperatures.6',
+  'clamp_temperature_A',
+  'clamp_temperature_B',
+  'clamp_temperature_C',
+  'heaterCurrent_A',
+  'heaterCurrent_B',
+  'heaterCurrent_C',
+  'heaterVoltage_A',
+  'heaterVoltage_B',
+  'heaterVoltage_C',
+];
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_HISTORY_LIMIT = 500;
+
+/**
+ * Reads a numeric value out of a state.data-shaped object.
+ * Returns null for missing, "DISCONNECTED"/"None" and other non-numeric readings.
+ */
+function readAlarmField(data, field) {
+  if (!data) return null;
+
+  const [key, subKey] = field.split('.');
+  const raw = subKey === undefined ? data[key] : data[key]?.[subKey];
+  const value = typeof raw === 'number' ? raw : Number.parseFloat(raw);
+
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Validates one rule definition and fills in defaults.
+ * @throws {Error} when the rule cannot be evaluated
+ */
+function normalizeAlarmRule(rule, index = 0) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Alarm rule #${index} is not an object`);
+  }
+
+  const id = rule.id || `rule-${index}`;
+
+  if (!ALARM_FIELDS.includes(rule.field)) {
+    throw new Error(`Alarm rule "${id}" watches unknown field "${rule.field}"`);
+  }
+
+  if (!COMPARATORS[rule.comparator]) {
+    throw new Error(`Alarm rule "${id}" has unsupported comparator "${rule.comparator}"`);
+  }
+
+  const threshold = Number(rule.threshold);
+  if (!Number.isFinite(threshold)) {
+    throw new Error(`Alarm rule "${id}" has a non-numeric threshold`);
+  }
+
+  const severity = rule.severity ?? 'warning';
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Alarm rule "${id}" has unknown severity "${severity}"`);
+  }
+
+  const holdOffMs = Number(rule.holdOffMs ?? 0);
+  if (!Number.isFinite(holdOffMs) || holdOffMs < 0) {
+    throw new Error(`Alarm rule "${id}" has an invalid holdOffMs`);
+  }
+
+  return {
+    id,
+    label: rule.label || `${rule.field} ${rule.comparator} ${threshold}`,
+    field: rule.field,
+    comparator: rule.comparator,
+    threshold,
+    holdOffMs,
+    severity,
+  };
+}
+
+/**
+ * Loads alarm rules from a JSON file holding an array of rule objects.
+ * A missing file means "no alarms"; invalid rules are logged and skipped.
+ */
+function loadAlarmRules(filePath = ALARM_RULES_FILE, logger = console) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    logger.error(`Failed to read alarm rules from ${filePath}: ${err.message}`);
+    return [];
+  }
+
+  if (!Array.isArray(parsed)) {
+    logger.error(`Alarm rules file ${filePath} must contain a JSON array`);
+    return [];
+  }
+
+  const rules = [];
+  parsed.forEach((rule, index) => {
+    try {
+      const normalized = normalizeAlarmRule(rule, index);
+      if (rules.some(({ id }) => id === normalized.id)) {
+        throw new Error(`Alarm rule "${normalized.id}" is declared twice`);
+      }
+      rules.push(normalized);
+    } catch (err) {
+      logger.error(err.message);
+    }
+  });
+
+  logger.log(`Loaded ${rules.length} alarm rule(s) from ${filePath}`);
+  return rules;
+}
+
+/**
+ * Creates an alarm engine. Each rule moves through:
+ *   (normal) -> pending (violating, hold-off running) -> active -> acknowledged -> cleared
+ * An active alarm may also clear without being acknowledged. Cleared alarms move to history.
+ * Readings that are missing or non-numeric neither raise nor clear an alarm.
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.rules] - Rule definitions (normalized on creation)
+ * @param {number} [options.historyLimit] - Maximum number of cleared alarms kept in memory
+ */
+function createAlarmEngine(options = {}) {
+  const rules = (options.rules ?? []).map((rule, index) => normalizeAlarmRule(rule, index));
+  const historyLimit = options.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+  // Alarm state is kept per rule id, so two rules with one id would share it
+  const ruleState = new Map();
+  for (const rule of rules) {
+    if (ruleState.has(rule.id)) {
+      throw new Error(`Alarm rule "${rule.id}" is declared twice`);
+    }
+    ruleState.set(rule.id, { pendingSince: null, alarm: null });
+  }
+  const history = [];
+
+  function raise(rule, value, nowMs) {
+    return {
+      id: `${rule.id}-${nowMs}`,
+      ruleId: rule.id,
+      label: rule.label,
+      field: rule.field,
+      comparator: rule.comparator,
+      threshold: rule.threshold,
+      severity: rule.severity,
+      status: 'active',
+      value,
+      peakValue: value,
+      raisedAt: new Date(nowMs).toISOString(),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      clearedAt: null,
+    };
+  }
+
+  function isWorse(rule, value, reference) {
+    return rule.comparator.startsWith('>') ? value > reference : value < reference;
+  }
+
+  /**
+   * Evaluates every rule against the latest scalar data.
+   * @returns {{ type: 'raised'|'cleared', alarm: Object }[]} Transitions caused by this evaluation
+   */
+  function evaluate(data, nowMs = clock.now()) {
+    const transitions = [];
+
+    for (const rule of rules) {
+      const entry = ruleState.get(rule.id);
+      const value = readAlarmField(data, rule.field);
+
+      if (value === null) {
+        entry.pendingSince = null;
+        continue;
+      }
+
+      const violating = COMPARATORS[rule.comparator](value, rule.threshold);
+
+      if (violating) {
+        if (entry.alarm) {
+          entry.alarm.value = value;
+          if (isWorse(rule, value, entry.alarm.peakValue)) {
+            entry.alarm.peakValue = value;
+          }
+          continue;
+        }
+
+        entry.pendingSince ??= nowMs;
+        if (nowMs - entry.pendingSince >= rule.holdOffMs) {
+          entry.alarm = raise(rule, value, nowMs);
+          entry.pendingSince = null;
+          transitions.push({ type: 'raised', alarm: entry.alarm });
+        }
+        continue;
+      }
+
+      entry.pendingSince = null;
+
+      if (entry.alarm) {
+        const cleared = entry.alarm;
+        cleared.status = 'cleared';
+        cleared.value = value;
+        cleared.clearedAt = new Date(nowMs).toISOString();
+        entry.alarm = null;
+
+        history.unshift(cleared);
+        if (history.length > historyLimit) {
+          history.length = historyLimit;
+        }
+        transitions.push({ type: 'cleared', alarm: cleared });
+      }
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Marks an active alarm as acknowledged. Returns the alarm, or null if no such active alarm exists.
+   * Stamped on the same clock evaluate() runs on, which is the replay clock during a replay.
+   */
+  function acknowledge(alarmId, acknowledgedBy = null, nowMs = clock.now()) {
+    for (const entry of ruleState.values()) {
+      if (entry.alarm?.id !== alarmId) continue;
+
+      if (entry.alarm.status === 'active') {
+        entry.alarm.status = 'acknowledged';
+        entry.alarm.acknowledgedAt = new Date(nowMs).toISOString();
+        entry.alarm.acknowledgedBy = acknowledgedBy;
+      }
+      return entry.alarm;
+    }
+
+    return null;
+  }
+
+  function getActiveAlarms() {
+    return Array.from(ruleState.values())
+      .map((entry) => entry.alarm)
+      .filter(Boolean)
+      .sort((left, right) => SEVERITIES.indexOf(right.severity) - SEVERITIES.indexOf(left.severity));
+  }
+
+  function getAlarmHistory() {
+    return history.slice();
+  }
+
+  function getRules() {
+    return rules.slice();
+  }
+
+  return {
+    evaluate,
+    acknowledge,
+    getActiveAlarms,
+    getAlarmHistory,
+    getRules,
+  };
+}
+
+const alarmEngine = createAlarmEngine({ rules: loadAlarmRules() });
+
+module.exports = {
+  ALARM_FIELDS,
+  COMPARATORS,
+  SEVERITIES,
+  readAlarmField,
+  normalizeAlarmRule,
+  loadAlarmRules,
+  createAlarmEngine,
+  alarmEngine,
+};
@@ -0,0 +1,101 @@
+const { insertAnnotation, fetchAnnotations } = require('./storage');
+const { broadcast } = require('./stream');
+
+const ANNOTATION_MAX_LENGTH = 2000;
+// Notes read per storage call while searching; the logbook is small next to the log tables
+const SEARCH_PAGE_SIZE = 500;
+
+// Rows come back from Postgres as timestamptz text, so `at` is put back in toISOString() form
+function normalizeAnnotation(row) {
+  return { ...row, at: new Date(Date.parse(row.at)).toISOString() };
+}
+
+function matchesQuery(annotation, needle) {
+  return annotation.text.toLowerCase().includes(needle)
+    || (annotation.author ?? '').toLowerCase().includes(needle);
+}
+
+/**
+ * Operator logbook: free-text notes pinned to a moment of the telemetry, e.g. "opened valve".
+ * Notes are stored in the annotations table, drawn as markers on every chart, searchable and
+ * exported with `/export?table=annotations`.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.insert] - Stores one row and returns it with its id
+ * @param {Function} [options.fetchPage] - Newest-first pages, like fetchAnnotations()
+ * @param {Function} [options.publish] - SSE broadcaster for the "annotations" event
+ * @param {Function} [options.now]
+ */
+function createAnnotationLog(options = {}) {
+  const {
+    insert = insertAnnotation,
+    fetchPage = fetchAnnotations,
+    publish = broadcast,
+    now = Date.now,
+  } = options;
+
+  /**
+   * @param {Object} note
+   * @param {number} note.atMs - The moment the note is pinned to
+   * @param {string} note.text - Already checked to be 1..ANNOTATION_MAX_LENGTH characters
+   * @param {string|null} [note.author] - Username, null without accounts
+   * @returns {Promise<Object>} The stored row
+   */
+  async function add({ atMs, text, author = null }) {
+    const annotation = normalizeAnnotation(await insert({
+      at: new Date(atMs).toISOString(),
+      text: text.trim(),
+      author,
+      created_at: new Date(now()).toISOString(),
+    }));
+    publish('annotations', { annotations: [annotation] });
+    return annotation;
+  }
+
+  /**
+   * Notes newest first, optionally inside [fromMs, toMs] and matching `query` in the text or
+   * author (case-insensitive).
+   * @param {Object} [filter]
+   * @param {number|null} [filter.fromMs]
+   * @param {number|null} [filter.toMs]
+   * @param {string} [filter.query]
+   * @param {{ timestamp: string, id: number|null }|null} [filter.before] - Cursor of the last note already shown
+   * @param {number} [filter.limit]
+   * @returns {Promise<{ annotations: Object[], nextBefore: Object|null }>}
+   */
+  async function list({ fromMs = null, toMs = null, query = '', before = null, limit = 50 } = {}) {
+    const needle = query.trim().toLowerCase();
+    let cursor = before ?? (toMs == null ? null : { timestamp: new Date(toMs + 1).toISOString(), id: null });
+    const annotations = [];
+
+    while (annotations.length < limit) {
+      const page = (await fetchPage({ before: cursor, limit: SEARCH_PAGE_SIZE })).map(normalizeAnnotation);
+      for (const annotation of page) {
+        if (fromMs != null && Date.parse(annotation.at) < fromMs) {
+          return { annotations, nextBefore: null };
+        }
+        if (!needle || matchesQuery(annotation, needle)) {
+          annotations.push(annotation);
+          if (annotations.length === limit) break;
+        }
+      }
+      if (annotations.length < limit && page.length < SEARCH_PAGE_SIZE) {
+        return { annotations, nextBefore: null };
+      }
+      cursor = { timestamp: page.at(-1).at, id: page.at(-1).id };
+    }
+
+    const last = annotations.at(-1);
+    return { annotations, nextBefore: { before: last.at, beforeId: last.id } };
+  }
+
+  return { add, list };
+}
+
+const annotationLog = createAnnotationLog();
+
+module.exports = {
+  ANNOTATION_MAX_LENGTH,
+  createAnnotationLog,
+  annotationLog,
+};
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+  AUTH_STORE,
+  AUTH_USERS_FILE,
+  AUTH_SESSION_TTL_MS,
+  AUTH_MAX_ATTEMPTS,
+  AUTH_ATTEMPT_WINDOW_MS,
+} = require('../config');
+const { hasRole, verifyPassword, parseApiToken, findTokenEntry, readUsersFile } = require('./accounts');
+const { fetchUser, insertAuditEvents } = require('./storage');
+
+const SESSION_COOKIE = 'ebeam_session';
+
+// A database lookup per request would be one per /data poll, so rows are reused this long
+const DATABASE_USER_CACHE_MS = 30 * 1000;
+
+/**
+ * Counts failures per key in a fixed window; once `maxAttempts` are used up the key is blocked
+ * until the window that started with its first failure ends.
+ */
+function createRateLimiter({ maxAttempts = AUTH_MAX_ATTEMPTS, windowMs = AUTH_ATTEMPT_WINDOW_MS, now = Date.now } = {}) {
+  const failures = new Map();
+
+  function current(key) {
+    const entry = failures.get(key);
+    if (entry && now() - entry.startedAt >= windowMs) {
+      failures.delete(key);
+      return null;
+    }
+    return entry ?? null;
+  }
+
+  return {
+    /** @returns {number} ms until `key` may try again, 0 if it may now */
+    retryAfterMs(key) {
+      const entry = current(key);
+      return entry && entry.count >= maxAttempts ? entry.startedAt + windowMs - now() : 0;
+    },
+    fail(key) {
+      const entry = current(key) ?? { count: 0, startedAt: now() };
+      entry.count += 1;
+      failures.set(key, entry);
+    },
+    reset(key) {
+      failures.delete(key);
+    },
+  };
+}
+
+/**
+ * In-memory login sessions with an idle timeout. Sessions do not survive a restart, which only
+ * means logging in again.
+ */
+function createSessionStore({ ttlMs = AUTH_SESSION_TTL_MS, now = Date.now } = {}) {
+  const sessions = new Map();
+
+  return {
+    create(username) {
+      const id = crypto.randomBytes(32).toString('base64url');
+      sessions.set(id, { username, expiresAt: now() + ttlMs });
+      return id;
+    },
+    /** The session's username, extending the session; null once it expired */
+    touch(id) {
+      const session = sessions.get(id);
+      if (!session) {
+        return null;
+      }
+      if (session.expiresAt <= now()) {
+        sessions.delete(id);
+        return null;
+      }
+      session.expiresAt = now() + ttlMs;
+      return session.username;
+    },
+    destroy(id) {
+      sessions.delete(id);
+    },
+  };
+}
+
+/**
+ * Users from a JSON file (see services/accounts.js), re-read whenever its mtime changes so edits
+ * from scripts/users.js apply without a restart.
+ */
+function createFileUserStore({ filePath = AUTH_USERS_FILE } = {}) {
+  let cached = { mtimeMs: null, users: [] };
+
+  return {
+    async findUser(username) {
+      const mtimeMs = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null;
+      if (mtimeMs !== cached.mtimeMs) {
+        cached = { mtimeMs, users: readUsersFile(filePath) };
+      }
+      return cached.users.find((user) => user.username === username) ?? null;
+    },
+  };
+}
+
+/**
+ * Users from the storage adapter's monitor_users table.
+ */
+function createDatabaseUserStore({ lookup = fetchUser, cacheMs = DATABASE_USER_CACHE_MS, now = Date.now } = {}) {
+  const cache = new Map();
+
+  return {
+    async findUser(username) {
+      const hit = cache.get(username);
+      if (hit && now() - hit.fetchedAt < cacheMs) {
+        return hit.user;
+      }
+      const user = await lookup(username);
+      cache.set(username, { user, fetchedAt: now() });
+      return user;
+    },
+  };
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        // A malformed cookie from another app on the same host; not ours
+      }
+    }
+  }
+  return cookies;
+}
+
+// Render terminates TLS in front of the app, so the forwarded protocol decides
+function isSecureRequest(req) {
+  return Boolean(req.secure) || req.headers['x-forwarded-proto'] === 'https';
+}
+
+/**
+ * Accounts, sessions and the role checks the routes use. With store 'none' every check passes
+ * and `req.user` stays null, which is how the monitor ran before accounts existed.
+ *
+ * @param {Object} [options]
+ * @param {'none'|'file'|'database'} [options.store]
+ * @param {Object} [options.userStore] - { findUser(username) }, defaults from `store`
+ * @param {Function} [options.recordAudit] - Receives audit_events rows
+ */
+function createAuth({
+  store = AUTH_STORE,
+  userStore = store === 'file' ? createFileUserStore() : store === 'database' ? createDatabaseUserStore() : null,
+  sessions = createSessionStore(),
+  loginLimiter = createRateLimiter(),
+  resetLimiter = createRateLimiter(),
+  recordAudit = insertAuditEvents,
+  now = Date.now,
+} = {}) {
+  const enabled = store !== 'none';
+
+  function publicUser(user, via) {
+    return { username: user.username, role: user.role, via };
+  }
+
+  /**
+   * The user a request acts as, from an `Authorization: Bearer` API token or the session cookie.
+   */
+  async function identify(req) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers?.authorization || '');
+    if (bearer) {
+      const parsed = parseApiToken(bearer[1]);
+      const user = parsed && await userStore.findUser(parsed.username);
+      return user && findTokenEntry(user, parsed.id, parsed.secret) ? publicUser(user, 'token') : null;
+    }
+
+    const sessionId = parseCookies(req.headers?.cookie)[SESSION_COOKIE];
+    const username = sessionId && sessions.touch(sessionId);
+    const user = username && await userStore.findUser(username);
+    return user ? publicUser(user, 'session') : null;
+  }
+
+  /**
+   * Express middleware that lets the request through when its user has at least `role`. Browsers
+   * asking for a page are sent to /login instead of getting a 401.
+   */
+  function requireRole(role, { redirectToLogin = false } = {}) {
+    return async (req, res, next) => {
+      if (!enabled) {
+        req.user = null;
+        return next();
+      }
+
+      let user;
+      try {
+        user = await identify(req);
+      } catch (err) {
+        console.error('Error looking up user:', err);
+        return res.status(500).json({ error: 'Could not check credentials.' });
+      }
+
+      if (!user) {
+        return redirectToLogin
+          ? res.redirect(`/login?next=${encodeURIComponent(req.originalUrl || '/')}`)
+          : res.status(401).json({ error: 'Log in or pass an API token.' });
+      }
+      if (!hasRole(user.role, role)) {
+        return res.status(403).json({ error: `This needs the ${role} role.` });
+      }
+
+      req.user = user;
+      return next();
+    };
+  }
+
+  /**
+   * Checks a username/password pair, rate limited per username.
+   * @returns {{ user?: Object, sessionId?: string, retryAfterMs?: number }}
+   */
+  async function login(username, password) {
+    const key = String(username || '').toLowerCase();
+    const retryAfterMs = loginLimiter.retryAfterMs(key);
+    if (retryAfterMs > 0) {
+      return { retryAfterMs };
+    }
+
+    const user = username ? await userStore.findUser(String(username)) : null;
+    // Unknown users are still checked (against a throwaway hash) so they take as long to reject
+    const valid = await verifyPassword(String(password ?? ''), user?.password_hash);
+    if (!valid) {
+      loginLimiter.fail(key);
+      return {};
+    }
+
+    loginLimiter.reset(key);
+    return { user: publicUser(user, 'session'), sessionId: sessions.create(user.username) };
+  }
+
+  /**
+   * Re-checks the acting user's own password (or the shared EXPERIMENT_RESET_PASSWORD when
+   * accounts are off) before a destructive action, rate limited per user or per address.
+   * @returns {{ ok: boolean, retryAfterMs?: number, error?: string }}
+   */
+  async function confirmPassword(req, password) {
+    const key = req.user?.username ?? `ip:${req.ip}`;
+    const retryAfterMs = resetLimiter.retryAfterMs(key);
+    if (retryAfterMs > 0) {
+      return { ok: false, retryAfterMs };
+    }
+
+    let ok;
+    if (enabled) {
+      const user = await userStore.findUser(req.user.username);
+      ok = await verifyPassword(password, user?.password_hash);
+    } else {
+      const resetPassword = process.env.EXPERIMENT_RESET_PASSWORD;
+      if (!resetPassword) {
+        return { ok: false, error: 'not configured' };
+      }
+      const expected = crypto.createHash('sha256').update(resetPassword).digest();
+      const actual = crypto.createHash('sha256').update(String(password ?? '')).digest();
+      ok = crypto.timingSafeEqual(expected, actual);
+    }
+
+    if (ok) {
+      resetLimiter.reset(key);
+    } else {
+      resetLimiter.fail(key);
+    }
+    return { ok };
+  }
+
+  /**
+   * Writes one audit_events row. Failures are logged, never thrown, so an audit outage does not
+   * block the action itself.
+   * @param {Object} [actor] - Defaults to the request's user; login attempts pass the claimed username
+   */
+  async function audit(req, action, detail = {}, actor = req.user ?? null) {
+    try {
+      await recordAudit([{
+        occurred_at: new Date(now()).toISOString(),
+        actor: actor?.username ?? null,
+        role: actor?.role ?? null,
+        action,
+        detail: { ip: req.ip ?? null, via: actor?.via ?? null, ...detail },
+      }]);
+    } catch (err) {
+      console.error(`Failed to record audit event "${action}":`, err);
+    }
+  }
+
+  function setSessionCookie(req, res, sessionId) {
+    const attributes = [
+      `${SESSION_COOKIE}=${encodeURIComponent(sessionId)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${Math.floor(AUTH_SESSION_TTL_MS / 1000)}`,
+    ];
+    if (isSecureRequest(req)) {
+      attributes.push('Secure');
+    }
+    res.setHeader('Set-Cookie', attributes.join('; '));
+  }
+
+  function logout(req, res) {
+    const sessionId = parseCookies(req.headers?.cookie)[SESSION_COOKIE];
+    if (sessionId) {
+      sessions.destroy(sessionId);
+    }
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+  }
+
+  return {
+    enabled,
+    store,
+    identify,
+    requireRole,
+    login,
+    confirmPassword,
+    audit,
+    setSessionCookie,
+    logout,
+  };
+}
+
+const auth = createAuth();
+
+module.exports = {
+  SESSION_COOKIE,
+  createRateLimiter,
+  createSessionStore,
+  createFileUserStore,
+  createDatabaseUserStore,
+  createAuth,
+  auth,
+};
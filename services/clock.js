@@ -0,0 +1,52 @@
+// The monitor's notion of "now". Live it is the wall clock; during a replay it is the replay clock,
+// so inactivity and alarm hold-offs are judged against the recording rather than the present.
+
+let activeClock = null;
+
+function now() {
+  return activeClock ? activeClock.now() : Date.now();
+}
+
+/**
+ * Routes now() through another clock, or back to the wall clock when given null.
+ * @param {{ now: () => number }|null} clock
+ */
+function useClock(clock) {
+  activeClock = clock;
+}
+
+/**
+ * A clock that starts at `startMs` and advances `speed` times faster than the wall clock.
+ * @param {Object} options
+ * @param {number} options.startMs
+ * @param {number} [options.speed]
+ * @param {() => number} [options.wallNow] - Injectable for tests
+ */
+function createReplayClock({ startMs, speed = 1, wallNow = Date.now }) {
+  let anchorMs = startMs;
+  let anchorWallMs = wallNow();
+  let currentSpeed = speed;
+
+  function replayNow() {
+    return anchorMs + (wallNow() - anchorWallMs) * currentSpeed;
+  }
+
+  // Re-anchors at the current replay time so a speed change never jumps the clock
+  function setSpeed(nextSpeed) {
+    anchorMs = replayNow();
+    anchorWallMs = wallNow();
+    currentSpeed = nextSpeed;
+  }
+
+  return {
+    now: replayNow,
+    setSpeed,
+    getSpeed: () => currentSpeed,
+  };
+}
+
+module.exports = {
+  now,
+  useClock,
+  createReplayClock,
+};
@@ -0,0 +1,416 @@
+const fs = require('fs');
+const { REVERSED_FILE_PATH, DISPLAY_LOG_TIMEZONE } = require('../config');
+const { broadcast } = require('./stream');
+
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARNING', 'ERROR', 'CRITICAL'];
+const LEVEL_ALIASES = { WARN: 'WARNING', ERR: 'ERROR', FATAL: 'CRITICAL' };
+// Same cap as the reversed.txt cache
+const MAX_ENTRIES = 100000;
+
+const STAMP = String.raw`(?:\d{4}-\d{2}-\d{2}[ T])?\d{2}:\d{2}:\d{2}(?:[.,]\d+)?`;
+// The line shapes the lab software writes, tried in order:
+//   [2026-01-15 14:23:05] - INFO: [Vacuum] Pump started     ([14:23:05] when the file name carries the date)
+//   2026-01-15 14:23:05,123 - Vacuum - INFO - Pump started  (Python logging)
+//   2026-01-15 14:23:05 [INFO] Pump started
+const LINE_PATTERNS = [
+  new RegExp(String.raw`^\[(?<stamp>${STAMP})\]\s*-?\s*(?<level>[A-Za-z]+):\s?(?<rest>.*)$`),
+  new RegExp(String.raw`^(?<stamp>${STAMP})\s+-\s+(?<subsystem>[\w.]+)\s+-\s+(?<level>[A-Za-z]+)\s+-\s?(?<rest>.*)$`),
+  new RegExp(String.raw`^(?<stamp>${STAMP})\s+\[?(?<level>[A-Za-z]+)\]?:?\s+(?<rest>.*)$`),
+];
+const SUBSYSTEM_TAG = /^\[(?<subsystem>[^\]]{1,40})\]\s*(?<message>.*)$/;
+const STAMP_PARTS = /^(?:(?<date>\d{4}-\d{2}-\d{2})[ T])?(?<time>\d{2}:\d{2}:\d{2})(?:[.,](?<fraction>\d+))?$/;
+const FILE_NAME_DATE = /(\d{4})[-_]?(\d{2})[-_]?(\d{2})/;
+// A time-only stamp this far behind the one before it is the next day; smaller steps back are
+// lines written out of order
+const ROLLOVER_MIN_DROP_S = 12 * 3600;
+
+function normalizeLevel(level) {
+  const upper = String(level).toUpperCase();
+  const normalized = LEVEL_ALIASES[upper] ?? upper;
+  return LOG_LEVELS.includes(normalized) ? normalized : null;
+}
+
+function secondsOfDay(time) {
+  return Number(time.slice(0, 2)) * 3600 + Number(time.slice(3, 5)) * 60 + Number(time.slice(6, 8));
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86_400_000).toISOString().slice(0, 10);
+}
+
+const zoneFormats = new Map();
+// UTC offsets keyed by zone and local hour; zones change their offset on the hour
+const zoneOffsets = new Map();
+
+function zoneOffsetMs(utcMs, timeZone) {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  const parts = Object.fromEntries(zoneFormats.get(timeZone).formatToParts(new Date(utcMs)).map(({ type, value }) => [type, value]));
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallMs - (utcMs - (((utcMs % 1000) + 1000) % 1000));
+}
+
+/**
+ * Epoch ms of a wall-clock date and time in `timeZone`. In the hour repeated when clocks go back,
+ * the first of the two moments is used.
+ */
+function zonedTimeToMs(date, time, timeZone) {
+  const wallMs = Date.parse(`${date}T${time}Z`);
+  const hourKey = `${timeZone} ${date} ${time.slice(0, 2)}`;
+  if (!zoneOffsets.has(hourKey)) {
+    const guess = zoneOffsetMs(wallMs, timeZone);
+    zoneOffsets.set(hourKey, zoneOffsetMs(wallMs - guess, timeZone));
+  }
+  return wallMs - zoneOffsets.get(hourKey);
+}
+
+/**
+ * Splits one display-log line into its parts.
+ * @returns {{ date: string|null, time: string, level: string, subsystem: string|null, message: string }|null}
+ *   null for lines without a timestamp and known level, e.g. traceback continuation lines
+ */
+function parseDisplayLogLine(line) {
+  for (const pattern of LINE_PATTERNS) {
+    const match = pattern.exec(line);
+    const level = match && normalizeLevel(match.groups.level);
+    if (!level) continue;
+
+    const { date = null, time, fraction } = STAMP_PARTS.exec(match.groups.stamp).groups;
+    let subsystem = match.groups.subsystem ?? null;
+    let message = match.groups.rest.trim();
+    const tag = subsystem ? null : SUBSYSTEM_TAG.exec(message);
+    if (tag) {
+      subsystem = tag.groups.subsystem.trim();
+      message = tag.groups.message;
+    }
+
+    return {
+      date: date ?? null,
+      time: fraction ? `${time}.${fraction.slice(0, 3).padEnd(3, '0')}` : time,
+      level,
+      subsystem,
+      message,
+    };
+  }
+  return null;
+}
+
+/**
+ * Line-by-line parser that keeps the running date between calls, so a log can be parsed in the
+ * pieces it is downloaded in. Lines that do not parse are appended to the entry before them, so a
+ * multi-line traceback stays one entry. Time-only stamps take their date from the file name
+ * (log_2026-01-15_... ) and roll over to the next day when the clock goes back by more than
+ * 12 hours. Entries with a date also get
+ * `atMs`, the stamp read in `timeZone`, to line them up with telemetry.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fileName]
+ * @param {string} [options.timeZone] - Zone of the stamps
+ */
+function createDisplayLogParser({ fileName = '', timeZone = DISPLAY_LOG_TIMEZONE } = {}) {
+  const nameMatch = FILE_NAME_DATE.exec(fileName ?? '');
+  let currentDate = nameMatch ? `${nameMatch[1]}-${nameMatch[2]}-${nameMatch[3]}` : null;
+  let previousTime = null;
+  let nextId = 1;
+
+  /**
+   * @param {string[]} lines - Oldest first
+   * @param {Object|null} previous - The last entry of the earlier lines, which continuation lines extend
+   * @returns {{ extended: boolean, entries: Object[] }} Whether `previous` was extended, and the new entries
+   */
+  function push(lines, previous = null) {
+    const entries = [];
+    let extended = false;
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/\r$/, '');
+      if (line.trim() === '') continue;
+
+      const parsed = parseDisplayLogLine(line);
+      if (!parsed) {
+        const last = entries.at(-1) ?? previous;
+        if (last) {
+          last.message += `\n${line}`;
+          extended ||= last === previous;
+        } else {
+          entries.push({ id: nextId++, timestamp: null, atMs: null, level: null, subsystem: null, message: line });
+        }
+        continue;
+      }
+
+      if (parsed.date) {
+        currentDate = parsed.date;
+      } else if (currentDate && previousTime && secondsOfDay(previousTime) - secondsOfDay(parsed.time) > ROLLOVER_MIN_DROP_S) {
+        currentDate = addDays(currentDate, 1);
+      }
+      previousTime = parsed.time;
+
+      entries.push({
+        id: nextId++,
+        timestamp: currentDate ? `${currentDate} ${parsed.time}` : parsed.time,
+        atMs: currentDate ? zonedTimeToMs(currentDate, parsed.time, timeZone) : null,
+        level: parsed.level,
+        subsystem: parsed.subsystem,
+        message: parsed.message,
+      });
+    }
+
+    return { extended, entries };
+  }
+
+  return { push };
+}
+
+/**
+ * Parses a whole display log, oldest line first, into entries.
+ *
+ * @param {string[]} lines
+ * @param {Object} [options]
+ * @param {string} [options.fileName]
+ * @param {string} [options.timeZone]
+ * @returns {Object[]} { id, timestamp, atMs, level, subsystem, message }, id counting from 1 in file order
+ */
+function parseDisplayLog(lines, { fileName = '', timeZone = DISPLAY_LOG_TIMEZONE } = {}) {
+  const { entries } = createDisplayLogParser({ fileName, timeZone }).push(lines);
+  return entries.slice(-MAX_ENTRIES);
+}
+
+// Ascending id lists merged into one ascending list
+function mergeIds(lists) {
+  return lists.length === 1 ? lists[0] : lists.flat().sort((a, b) => a - b);
+}
+
+function intersectIds(a, b) {
+  const result = [];
+  let j = 0;
+  for (const id of a) {
+    while (j < b.length && b[j] < id) j++;
+    if (b[j] === id) result.push(id);
+  }
+  return result;
+}
+
+// First index of `list` whose value is not below `value`; `list` is sorted by `valueOf`
+function lowerBound(list, value, valueOf) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (valueOf(list[middle]) < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function dropIdsBelow(list, firstId) {
+  let count = 0;
+  while (count < list.length && list[count] < firstId) count++;
+  if (count > 0) list.splice(0, count);
+}
+
+/**
+ * The parsed display log, indexed by level, subsystem and time for /logs. Replaced when a new file is
+ * downloaded and extended when the same file grows; after a restart it is rebuilt from the
+ * reversed.txt cache on first use. Changes are pushed to dashboards as "logs" events.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - The reversed.txt cache, newest line first
+ * @param {Function} [options.publish] - SSE broadcaster for the "logs" event
+ * @param {string} [options.timeZone] - Zone of the log stamps
+ */
+function createDisplayLog({ filePath = REVERSED_FILE_PATH, publish = broadcast, timeZone = DISPLAY_LOG_TIMEZONE } = {}) {
+  let entries = [];
+  let byLevel = new Map();
+  let bySubsystem = new Map();
+  // Dated entries as { atMs, id }, in time order; log files are nearly always already in it
+  let byTime = [];
+  let searchText = [];
+  let parser = createDisplayLogParser({ timeZone });
+  let file = null;
+  let loaded = false;
+
+  const toSearchText = (entry) => `${entry.subsystem ?? ''} ${entry.message}`.toLowerCase();
+  const positionOf = (id) => id - entries[0].id;
+
+  function addToIndex(added) {
+    for (const entry of added) {
+      if (entry.level) {
+        if (!byLevel.has(entry.level)) byLevel.set(entry.level, []);
+        byLevel.get(entry.level).push(entry.id);
+      }
+      if (entry.subsystem) {
+        if (!bySubsystem.has(entry.subsystem)) bySubsystem.set(entry.subsystem, []);
+        bySubsystem.get(entry.subsystem).push(entry.id);
+      }
+      if (entry.atMs != null) {
+        const slot = { atMs: entry.atMs, id: entry.id };
+        if (byTime.length === 0 || byTime.at(-1).atMs <= entry.atMs) {
+          byTime.push(slot);
+        } else {
+          byTime.splice(lowerBound(byTime, entry.atMs + 1, (item) => item.atMs), 0, slot);
+        }
+      }
+      entries.push(entry);
+      searchText.push(toSearchText(entry));
+    }
+
+    const excess = entries.length - MAX_ENTRIES;
+    if (excess > 0) {
+      entries.splice(0, excess);
+      searchText.splice(0, excess);
+      for (const ids of [...byLevel.values(), ...bySubsystem.values()]) {
+        dropIdsBelow(ids, entries[0].id);
+      }
+      for (const [subsystem, ids] of bySubsystem) {
+        if (ids.length === 0) bySubsystem.delete(subsystem);
+      }
+      byTime = byTime.filter(({ id }) => id >= entries[0].id);
+    }
+  }
+
+  function index(lines, fileInfo) {
+    entries = [];
+    byLevel = new Map();
+    bySubsystem = new Map();
+    byTime = [];
+    searchText = [];
+    parser = createDisplayLogParser({ fileName: fileInfo.name, timeZone });
+    addToIndex(parser.push(lines).entries);
+    file = fileInfo;
+    loaded = true;
+  }
+
+  /**
+   * Indexes a freshly downloaded file. The same file (name and modified time) is not re-parsed.
+   * @param {string[]} lines - Oldest first, as downloaded
+   * @param {{ name: string, modifiedTime: string|null }} fileInfo
+   */
+  function replace(lines, fileInfo) {
+    if (file && file.name === fileInfo.name && file.modifiedTime === fileInfo.modifiedTime) {
+      return false;
+    }
+    index(lines, { name: fileInfo.name, modifiedTime: fileInfo.modifiedTime ?? null });
+    publish('logs', { reset: true, file });
+    return true;
+  }
+
+  /**
+   * Parses lines appended to the current file. A leading continuation line extends the last entry,
+   * which is then sent again with the new ones.
+   * @param {string[]} lines - The new complete lines, oldest first
+   * @param {{ name: string, modifiedTime: string|null }} fileInfo
+   * @returns {Object[]} The new and extended entries, oldest first
+   */
+  function append(lines, fileInfo) {
+    ensureLoaded();
+    const last = entries.at(-1) ?? null;
+    const { extended, entries: added } = parser.push(lines, last);
+    if (extended) searchText[searchText.length - 1] = toSearchText(last);
+    addToIndex(added);
+    file = { name: fileInfo.name, modifiedTime: fileInfo.modifiedTime ?? null };
+
+    const changed = extended ? [last, ...added] : added;
+    if (changed.length > 0) {
+      publish('logs', { file, entries: changed, ...facets() });
+    }
+    return changed;
+  }
+
+  function ensureLoaded() {
+    if (loaded) return;
+    loaded = true;
+    if (!fs.existsSync(filePath)) return;
+    try {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n').reverse();
+      index(lines, { name: null, modifiedTime: null });
+    } catch (err) {
+      console.error('Failed to read the cached display log:', err.message);
+    }
+  }
+
+  /**
+   * Entries newest first. Levels and subsystems are each "any of"; `query` matches the subsystem or
+   * message without regard to case. A time range leaves out entries without a date.
+   * @param {Object} [filter]
+   * @param {string[]} [filter.levels]
+   * @param {string[]} [filter.subsystems]
+   * @param {string} [filter.query]
+   * @param {number|null} [filter.fromMs]
+   * @param {number|null} [filter.toMs]
+   * @param {number|null} [filter.before] - Only entries with a smaller id, i.e. older
+   * @param {number} [filter.limit]
+   * @returns {{ file: Object|null, entries: Object[], total: number, nextBefore: number|null }}
+   */
+  function query({ levels = [], subsystems = [], query: text = '', fromMs = null, toMs = null, before = null, limit = 100 } = {}) {
+    ensureLoaded();
+
+    let ids = null;
+    if (fromMs != null || toMs != null) {
+      const start = fromMs == null ? 0 : lowerBound(byTime, fromMs, (item) => item.atMs);
+      const end = toMs == null ? byTime.length : lowerBound(byTime, toMs + 1, (item) => item.atMs);
+      ids = byTime.slice(start, end).map(({ id }) => id).sort((a, b) => a - b);
+    }
+    if (levels.length > 0) {
+      const matching = mergeIds(levels.map((level) => byLevel.get(normalizeLevel(level)) ?? []));
+      ids = ids ? intersectIds(ids, matching) : matching;
+    }
+    if (subsystems.length > 0) {
+      const matching = mergeIds(subsystems.map((subsystem) => bySubsystem.get(subsystem) ?? []));
+      ids = ids ? intersectIds(ids, matching) : matching;
+    }
+
+    const needle = text.trim().toLowerCase();
+    const page = [];
+    let total = 0;
+    let older = 0;
+    const count = ids ? ids.length : entries.length;
+    for (let i = count - 1; i >= 0; i--) {
+      const position = ids ? positionOf(ids[i]) : i;
+      if (needle && !searchText[position].includes(needle)) continue;
+      total++;
+      if (before == null || entries[position].id < before) {
+        older++;
+        if (page.length < limit) page.push(entries[position]);
+      }
+    }
+
+    return { file, entries: page, total, nextBefore: older > page.length ? page.at(-1).id : null };
+  }
+
+  /**
+   * Levels with their entry counts and the subsystems seen, for the viewer's filter controls.
+   */
+  function facets() {
+    ensureLoaded();
+    return {
+      levels: Object.fromEntries(LOG_LEVELS.map((level) => [level, byLevel.get(level)?.length ?? 0])),
+      subsystems: [...bySubsystem.keys()].sort(),
+    };
+  }
+
+  return { replace, append, query, facets };
+}
+
+const displayLog = createDisplayLog();
+
+module.exports = {
+  LOG_LEVELS,
+  parseDisplayLogLine,
+  createDisplayLogParser,
+  parseDisplayLog,
+  createDisplayLog,
+  displayLog,
+};
@@ -0,0 +1,222 @@
+const { iterateEntriesSince, mapSupabaseDataToAppFormat } = require('./storage');
+
+const TEMPERATURE_CHANNELS = ['1', '2', '3', '4', '5', '6'];
+
+/**
+ * Flattens a short_term_logs row into export columns. The `data` jsonb goes through
+ * mapSupabaseDataToAppFormat so exported names match what the dashboard shows.
+ */
+function flattenShortTermRow(row) {
+  const mapped = mapSupabaseDataToAppFormat(row.data) ?? {};
+  const temperatures = mapped.temperatures ?? {};
+
+  const flattened = {
+    id: row.id,
+    created_at: row.created_at,
+    pressure: mapped.pressure ?? null,
+    pressureTimestamp: mapped.pressureTimestamp ?? null,
+    safetyInputDataFlags: mapped.safetyInputDataFlags ?? null,
+    safetyOutputDataFlags: mapped.safetyOutputDataFlags ?? null,
+    safetyInputStatusFlags: mapped.safetyInputStatusFlags ?? null,
+    safetyOutputStatusFlags: mapped.safetyOutputStatusFlags ?? null,
+    vacuumBits: mapped.vacuumBits ?? null,
+  };
+
+  for (const channel of TEMPERATURE_CHANNELS) {
+    flattened[`temperature_${channel}`] = temperatures[channel] ?? null;
+  }
+
+  return {
+    ...flattened,
+    heaterCurrent_A: mapped.heaterCurrent_A ?? null,
+    heaterCurrent_B: mapped.heaterCurrent_B ?? null,
+    heaterCurrent_C: mapped.heaterCurrent_C ?? null,
+    heaterVoltage_A: mapped.heaterVoltage_A ?? null,
+    heaterVoltage_B: mapped.heaterVoltage_B ?? null,
+    heaterVoltage_C: mapped.heaterVoltage_C ?? null,
+    clamp_temperature_A: mapped.clamp_temperature_A ?? null,
+    clamp_temperature_B: mapped.clamp_temperature_B ?? null,
+    clamp_temperature_C: mapped.clamp_temperature_C ?? null,
+  };
+}
+
+/**
+ * Inverse of flattenShortTermRow(): rebuilds the raw row shape from an exported line, so a
+ * short-term NDJSON export can be replayed through the same code as rows read from storage.
+ */
+function restoreShortTermRow(flattened) {
+  const temperatures = {};
+  for (const channel of TEMPERATURE_CHANNELS) {
+    if (flattened[`temperature_${channel}`] != null) {
+      temperatures[channel] = flattened[`temperature_${channel}`];
+    }
+  }
+
+  const { vacuumBits } = flattened;
+
+  return {
+    id: flattened.id,
+    created_at: flattened.created_at,
+    data: {
+      pressure: flattened.pressure ?? null,
+      pressureTimestamp: flattened.pressureTimestamp ?? null,
+      safetyInputDataFlags: flattened.safetyInputDataFlags ?? null,
+      safetyOutputDataFlags: flattened.safetyOutputDataFlags ?? null,
+      safetyInputStatusFlags: flattened.safetyInputStatusFlags ?? null,
+      safetyOutputStatusFlags: flattened.safetyOutputStatusFlags ?? null,
+      temperatures: Object.keys(temperatures).length > 0 ? temperatures : null,
+      vacuumBits: Array.isArray(vacuumBits) ? vacuumBits.map((bit) => (bit ? '1' : '0')).join('') : (vacuumBits ?? null),
+      'Cathode A - Heater Current:': flattened.heaterCurrent_A ?? null,
+      'Cathode B - Heater Current:': flattened.heaterCurrent_B ?? null,
+      'Cathode C - Heater Current:': flattened.heaterCurrent_C ?? null,
+      'Cathode A - Heater Voltage:': flattened.heaterVoltage_A ?? null,
+      'Cathode B - Heater Voltage:': flattened.heaterVoltage_B ?? null,
+      'Cathode C - Heater Voltage:': flattened.heaterVoltage_C ?? null,
+      clamp_temperature_A: flattened.clamp_temperature_A ?? null,
+      clamp_temperature_B: flattened.clamp_temperature_B ?? null,
+      clamp_temperature_C: flattened.clamp_temperature_C ?? null,
+    },
+  };
+}
+
+function flattenLongTermRow(row) {
+  return {
+    id: row.id,
+    recorded_at: row.recorded_at,
+    avg_pressure: row.avg_pressure ?? null,
+  };
+}
+
+function flattenAnnotation(row) {
+  return {
+    id: row.id,
+    at: row.at,
+    text: row.text,
+    author: row.author ?? null,
+    created_at: row.created_at ?? null,
+  };
+}
+
+const EXPORT_TABLES = {
+  short: {
+    tableName: 'short_term_logs',
+    columns: [
+      'id',
+      'created_at',
+      'pressure',
+      'pressureTimestamp',
+      'safetyInputDataFlags',
+      'safetyOutputDataFlags',
+      'safetyInputStatusFlags',
+      'safetyOutputStatusFlags',
+      'vacuumBits',
+      ...TEMPERATURE_CHANNELS.map((channel) => `temperature_${channel}`),
+      'heaterCurrent_A',
+      'heaterCurrent_B',
+      'heaterCurrent_C',
+      'heaterVoltage_A',
+      'heaterVoltage_B',
+      'heaterVoltage_C',
+      'clamp_temperature_A',
+      'clamp_temperature_B',
+      'clamp_temperature_C',
+    ],
+    flatten: flattenShortTermRow,
+  },
+  long: {
+    tableName: 'long_term_logs',
+    columns: ['id', 'recorded_at', 'avg_pressure'],
+    flatten: flattenLongTermRow,
+  },
+  // Logbook notes over the same range, by the time they are pinned to
+  annotations: {
+    tableName: 'annotations',
+    columns: ['id', 'at', 'text', 'author', 'created_at'],
+    flatten: flattenAnnotation,
+  },
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+function formatCsvCell(value) {
+  if (value == null) {
+    return '';
+  }
+
+  // Flag arrays are written as JSON so a spreadsheet keeps them in one cell
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvLine(values) {
+  return `${values.map(formatCsvCell).join(',')}\r\n`;
+}
+
+/**
+ * Resolves a comma-separated column selection against a table's export columns.
+ * @throws {Error} naming the first unknown column
+ */
+function resolveExportColumns(table, requested) {
+  const available = EXPORT_TABLES[table].columns;
+  if (!requested) {
+    return available.slice();
+  }
+
+  const columns = String(requested).split(',').map((column) => column.trim()).filter(Boolean);
+  const unknown = columns.find((column) => !available.includes(column));
+  if (unknown) {
+    throw new Error(`Unknown export column "${unknown}" for ${EXPORT_TABLES[table].tableName}`);
+  }
+
+  return columns.length > 0 ? columns : available.slice();
+}
+
+/**
+ * Yields the export body chunk by chunk: an optional CSV header, then one chunk per storage page.
+ * @param {Object} options
+ * @param {'short'|'long'|'annotations'} options.table
+ * @param {'csv'|'ndjson'} options.format
+ * @param {string[]} options.columns - Already validated via resolveExportColumns()
+ * @param {number} options.fromMs - Inclusive start
+ * @param {number} options.toMs - Inclusive end
+ */
+async function* generateExport({ table, format, columns, fromMs, toMs }) {
+  const spec = EXPORT_TABLES[table];
+
+  if (format === 'csv') {
+    yield formatCsvLine(columns);
+  }
+
+  // The cursor is exclusive, so start 1ms early to include rows stamped exactly at fromMs
+  const cursor = { timestamp: new Date(fromMs - 1).toISOString(), id: null };
+  const until = new Date(toMs).toISOString();
+
+  for await (const page of iterateEntriesSince(spec.tableName, cursor, until)) {
+    const lines = page.map((row) => {
+      const flattened = spec.flatten(row);
+      if (format === 'csv') {
+        return formatCsvLine(columns.map((column) => flattened[column]));
+      }
+
+      const selected = {};
+      for (const column of columns) {
+        selected[column] = flattened[column];
+      }
+      return `${JSON.stringify(selected)}\n`;
+    });
+
+    yield lines.join('');
+  }
+}
+
+module.exports = {
+  EXPORT_TABLES,
+  EXPORT_FORMATS,
+  flattenShortTermRow,
+  restoreShortTermRow,
+  resolveExportColumns,
+  generateExport,
+};
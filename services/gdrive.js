@@ -1,11 +1,18 @@
 const fs = require('fs');
 const https = require('https');
+const { pipeline } = require('stream/promises');
 const { drive, FOLDER_ID, API_KEY, REVERSED_FILE_PATH } = require('../config');
 const state = require('./state');
+const { displayLog } = require('./displaylog');
+const { monitorMetrics } = require('./metrics');
+const { reportLoopError } = require('./health');
+
+// Lines kept for /raw, newest first; the same cap the reversed.txt cache always had
+const DISPLAY_LOG_CAPACITY = 100000;
 
 /**
  * Fetch the most recent plain-text log files from Google Drive.
- * Returns { displayFile } where displayFile may be null.
+ * Returns { displayFile } where displayFile ({ id, name, modifiedTime, size }) may be null.
  */
 async function getMostRecentFile() {
   try {
@@ -13,7 +20,7 @@ async function getMostRecentFile() {
       q: `'${FOLDER_ID}' in parents and mimeType='text/plain'`,
       orderBy: 'modifiedTime desc',
       pageSize: 5,
-      fields: 'files(id, name, modifiedTime)',
+      fields: 'files(id, name, modifiedTime, size)',
     });
 
     const files = res.data.files;
@@ -28,63 +35,191 @@ async function getMostRecentFile() {
 
   } catch (err) {
     console.error(`Google Drive API Error: ${err.message}`);
+    reportLoopError(err);
     return { displayFile: null };
   }
 }
 
+const LOG_FILE_FIELDS = 'id, name, modifiedTime, size';
+
 /**
- * Stream-downloads a text file from Google Drive and returns its lines.
+ * One page of the plain-text files in FOLDER_ID, newest first, for the log archive.
+ * @param {Object} [options]
+ * @param {string|null} [options.pageToken] - nextPageToken of the previous page
+ * @param {number} [options.pageSize]
+ * @param {string} [options.query] - Only files whose name contains this
+ * @returns {Promise<{ files: Object[], nextPageToken: string|null }>} Files as { id, name, modifiedTime, size }
  */
-async function fetchFileContents(fileId) {
+async function listLogFiles({ pageToken = null, pageSize = 50, query = '' } = {}) {
+  const clauses = [`'${FOLDER_ID}' in parents`, "mimeType='text/plain'", 'trashed=false'];
+  if (query.trim()) {
+    clauses.push(`name contains '${query.trim().replace(/[\\']/g, '\\$&')}'`);
+  }
+
+  const res = await drive.files.list({
+    q: clauses.join(' and '),
+    orderBy: 'modifiedTime desc',
+    pageSize,
+    pageToken: pageToken || undefined,
+    fields: `nextPageToken, files(${LOG_FILE_FIELDS})`,
+  });
+
+  return {
+    files: (res.data.files ?? []).map((file) => ({ ...file, size: file.size == null ? null : Number(file.size) })),
+    nextPageToken: res.data.nextPageToken ?? null,
+  };
+}
+
+/**
+ * Metadata of one file of the log folder, or null when Drive does not know the id or the file
+ * lives outside FOLDER_ID (the API key must not become a reader for any shared file).
+ * @returns {Promise<{ id: string, name: string, modifiedTime: string, size: number|null }|null>}
+ */
+async function getLogFile(fileId) {
+  try {
+    const res = await drive.files.get({ fileId, fields: `${LOG_FILE_FIELDS}, parents, mimeType, trashed` });
+    const { parents = [], mimeType, trashed, ...file } = res.data;
+    if (!parents.includes(FOLDER_ID) || mimeType !== 'text/plain' || trashed) {
+      return null;
+    }
+    return { ...file, size: file.size == null ? null : Number(file.size) };
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Opens a download of a Drive file from byte `start` on, with an HTTP Range request past 0.
+ * Resolves the response stream, or null when `start` is at or past the end of the file.
+ */
+function requestFile(fileId, start = 0) {
+  return new Promise((resolve, reject) => {
+    const headers = { Accept: 'text/plain' };
+    if (start > 0) headers.Range = `bytes=${start}-`;
+
+    https
+      .get(
+        `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media&key=${API_KEY}`,
+        { headers },
+        res => {
+          if (res.statusCode === 416) {
+            res.resume();
+            resolve(null);
+            return;
+          }
+          if (res.statusCode !== 200 && res.statusCode !== 206) {
+            res.resume();
+            reject(new Error(`Google API Failed: ${res.statusCode}`));
+            return;
+          }
+          resolve(res);
+        }
+      )
+      .on('error', reject);
+  });
+}
+
+// Three attempts, then false
+async function withRetries(attempt) {
   let retries = 3;
 
   while (retries > 0) {
     try {
-      const response = await new Promise((resolve, reject) => {
-        https
-          .get(
-            `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media&key=${API_KEY}`,
-            { headers: { Accept: 'text/plain' } },
-            res => {
-              if (res.statusCode !== 200) {
-                reject(new Error(`Google API Failed: ${res.statusCode}`));
-                return;
-              }
-              resolve(res);
-            }
-          )
-          .on('error', reject);
-      });
-
-      const lines = [];
-      let currentLine = '';
-
-      await new Promise((resolve, reject) => {
-        response.on('data', chunk => {
-          const chunkStr   = chunk.toString();
-          const chunkLines = (currentLine + chunkStr).split('\n');
-          currentLine = chunkLines.pop();
-          lines.push(...chunkLines);
-        });
-
-        response.on('end', () => {
-          if (currentLine){
-            lines.push(currentLine);
-          }
-          resolve();
-        });
+      return await attempt();
+    } catch (err) {
+      retries--;
+      console.log(`Retry attempt ${4 - retries}: ${err.message}`);
+      if (retries === 0) {
+        monitorMetrics.driveFetchFailed();
+        reportLoopError(err);
+        return false;
+      }
+      monitorMetrics.driveFetchRetried();
+    }
+  }
+}
 
-        response.on('error', reject);
-      });
+/**
+ * Downloads a Drive file from byte `start` on.
+ * Resolves { bytes, start } where `start` is 0 when Drive sent the whole file instead, or false
+ * once three attempts have failed. A start at or past the end of the file yields no bytes.
+ */
+function fetchFileBytes(fileId, start = 0) {
+  return withRetries(async () => {
+    const res = await requestFile(fileId, start);
+    if (!res) return { bytes: Buffer.alloc(0), start };
 
-      return lines;
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    return { bytes: Buffer.concat(chunks), start: res.statusCode === 206 ? start : 0 };
+  });
+}
 
+/**
+ * Streams a whole Drive file into `filePath`, through a temporary file so a failed download never
+ * leaves a partial file behind. Resolves the bytes written, or false once three attempts failed.
+ */
+function downloadFileTo(fileId, filePath) {
+  return withRetries(async () => {
+    const partialPath = `${filePath}.partial`;
+    try {
+      const res = await requestFile(fileId);
+      await pipeline(res, fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, filePath);
+      return (await fs.promises.stat(filePath)).size;
     } catch (err) {
-      retries--;
-      console.log(`Retry attempt ${4 - retries}: ${err.message}`);
-      if (retries === 0) return false;
+      await fs.promises.rm(partialPath, { force: true });
+      throw err;
+    }
+  });
+}
+
+/**
+ * Downloads a whole text file from Google Drive and returns its lines, or false.
+ */
+async function fetchFileContents(fileId) {
+  const result = await fetchFileBytes(fileId);
+  if (!result) return false;
+
+  const lines = result.bytes.toString('utf8').split('\n');
+  if (lines.at(-1) === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Fixed-size line buffer: pushing past the capacity drops the oldest lines.
+ */
+function createLineBuffer(capacity) {
+  const slots = new Array(capacity);
+  let first = 0;
+  let size = 0;
+
+  function push(lines) {
+    for (const line of lines) {
+      slots[(first + size) % capacity] = line;
+      if (size < capacity) {
+        size++;
+      } else {
+        first = (first + 1) % capacity;
+      }
     }
   }
+
+  function clear() {
+    first = 0;
+    size = 0;
+  }
+
+  function newestFirst() {
+    const lines = new Array(size);
+    for (let i = 0; i < size; i++) {
+      lines[i] = slots[(first + size - 1 - i) % capacity];
+    }
+    return lines;
+  }
+
+  return { push, clear, newestFirst, get size() { return size; } };
 }
 
 /**
@@ -123,50 +258,150 @@ function writeToFile(lines) {
 }
 
 /**
- * Fetch display log from Google Drive, reverse it, and write to local file.
+ * Follows the latest display log on Drive. The file id, size and modified time seen last are
+ * remembered, so a file that grew is fetched from where the last download stopped and only the new
+ * lines are parsed. A new log_ file (rotation) or a file that shrank is downloaded in full, which
+ * also rewrites the reversed.txt cache. A trailing line without its newline yet waits for the next
+ * refresh.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.getLatestFile] - Resolves { displayFile } like getMostRecentFile()
+ * @param {Function} [options.fetchBytes] - (fileId, start) => { bytes, start } | false, like fetchFileBytes()
+ * @param {Object} [options.log] - The parsed display log (replace/append)
+ * @param {Function} [options.writeCache] - Writes the newest-first lines to reversed.txt
+ * @param {number} [options.capacity] - Lines kept in memory
  */
-async function fetchDisplayFileContents() {
-  try {
-    const { displayFile } = await getMostRecentFile();
+function createDisplayLogTail(options = {}) {
+  const {
+    getLatestFile = getMostRecentFile,
+    fetchBytes = fetchFileBytes,
+    log = displayLog,
+    writeCache = writeToFile,
+    capacity = DISPLAY_LOG_CAPACITY,
+  } = options;
 
-    if (!displayFile) {
-      console.log("No display file found!");
-      return false;
+  const buffer = createLineBuffer(capacity);
+  let followed = null;
+  let pending = Buffer.alloc(0);
+
+  // Complete lines out of the bytes since the last newline; the rest waits in `pending`
+  function takeLines(bytes) {
+    const combined = pending.length > 0 ? Buffer.concat([pending, bytes]) : bytes;
+    const lastNewline = combined.lastIndexOf(0x0a);
+    if (lastNewline === -1) {
+      pending = combined;
+      return [];
     }
+    pending = Buffer.from(combined.subarray(lastNewline + 1));
+    return combined.subarray(0, lastNewline).toString('utf8').split('\n');
+  }
 
+  async function downloadAll(displayFile) {
     console.log("Fetching new display log file...");
-    let displayLines = null;
+    const result = await fetchBytes(displayFile.id, 0);
+    if (!result) {
+      console.warn("Display File fetch failed or returned no lines. Skipping extraction.");
+      return false;
+    }
+
+    pending = Buffer.alloc(0);
+    const lines = takeLines(result.bytes);
+    buffer.clear();
+    buffer.push(lines);
+    log.replace(lines, displayFile);
+    followed = { id: displayFile.id, name: displayFile.name, modifiedTime: displayFile.modifiedTime, size: result.bytes.length };
+
+    try {
+      await writeCache(buffer.newestFirst());
+      console.log("File write complete.");
+    } catch (err) {
+      console.error("File write failed:", err);
+    }
+    return true;
+  }
+
+  async function downloadTail(displayFile) {
+    const result = await fetchBytes(displayFile.id, followed.size);
+    if (!result) {
+      console.warn("Display log tail fetch failed. Will retry on the next refresh.");
+      return false;
+    }
+
+    // Drive ignored the Range header and sent everything: keep only what is new
+    const bytes = result.start === followed.size ? result.bytes : result.bytes.subarray(followed.size - result.start);
+    const lines = takeLines(bytes);
+    buffer.push(lines);
+    log.append(lines, displayFile);
+    followed = { ...followed, modifiedTime: displayFile.modifiedTime, size: followed.size + bytes.length };
+    if (lines.length > 0) {
+      console.log(`Display log grew by ${lines.length} lines.`);
+    }
+    return true;
+  }
+
+  /**
+   * Brings the followed log up to date with Drive. Resolves false when nothing could be fetched.
+   */
+  async function refresh() {
     try {
-      displayLines = await fetchFileContents(displayFile.id);
-      if (!Array.isArray(displayLines)) {
-        console.warn("Display File fetch failed or returned no lines. Skipping extraction.");
+      const { displayFile } = await getLatestFile();
+
+      if (!displayFile) {
+        console.log("No display file found!");
+        reportLoopError(new Error('No log_ file found in the Google Drive folder'));
         return false;
       }
-      displayLines.reverse();
-      displayLines = displayLines.slice(0, 100000);
-    } catch (e) {
-      console.error("Log file failed:", e);
-    }
 
-    const writePromise = writeToFile(displayLines);
-    const [writeResult] = await Promise.allSettled([writePromise]);
+      const size = displayFile.size == null ? null : Number(displayFile.size);
+      const sameFile = followed !== null && followed.id === displayFile.id;
+      let ok = true;
+      if (sameFile && size === followed.size && displayFile.modifiedTime === followed.modifiedTime) {
+        return true;
+      } else if (sameFile && size !== null && size >= followed.size) {
+        ok = await downloadTail(displayFile);
+      } else {
+        ok = await downloadAll(displayFile);
+      }
 
-    if (writeResult.status === 'fulfilled') {
-      console.log("File write complete.");
-      state.displayLogLastModified = displayFile.modifiedTime;
-    } else {
-      console.error("File write failed:", writeResult.reason);
+      if (ok) {
+        state.displayLogLastModified = displayFile.modifiedTime;
+      }
+      return ok;
+    } catch (err) {
+      console.error(`Error processing file: ${err.message}`);
+      reportLoopError(err);
+      return false;
     }
+  }
 
-  } catch (err) {
-    console.error(`Error processing file: ${err.message}`);
-    return false;
+  /**
+   * The lines held in memory, newest first, or null before the first download.
+   */
+  function newestFirst() {
+    return followed ? buffer.newestFirst() : null;
   }
+
+  return { refresh, newestFirst };
+}
+
+const displayLogTail = createDisplayLogTail();
+
+/**
+ * Fetch display log updates from Google Drive; see createDisplayLogTail().
+ */
+async function fetchDisplayFileContents() {
+  return displayLogTail.refresh();
 }
 
 module.exports = {
   getMostRecentFile,
+  listLogFiles,
+  getLogFile,
+  fetchFileBytes,
+  downloadFileTo,
   fetchFileContents,
   writeToFile,
+  createDisplayLogTail,
+  displayLogTail,
   fetchDisplayFileContents,
 };
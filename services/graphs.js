@@ -1,4 +1,12 @@
+// stride keeps every Nth raw point; minmax and lttb keep spikes that a stride would skip over
+const DECIMATION_STRATEGIES = ['stride', 'minmax', 'lttb'];
+
 function createGraphObj(options = {}) {
+  const decimation = options.decimation ?? 'stride';
+  if (!DECIMATION_STRATEGIES.includes(decimation)) {
+    throw new Error(`Unknown decimation strategy "${decimation}"`);
+  }
+
   return {
     fullXVals: options.fullXVals || [],
     fullYVals: options.fullYVals || [],
@@ -7,25 +15,93 @@ function createGraphObj(options = {}) {
     maxDataPoints: options.maxDataPoints ?? 1000,
     maxDisplayPoints: options.maxDisplayPoints ?? 256,
     sourceResolutionLabel: options.sourceResolutionLabel || 'source data',
+    decimation,
     lastUsedFactor: options.lastUsedFactor ?? 1,
     lastPermanentIndex: options.lastPermanentIndex ?? -1,
+    stableDisplayLength: options.stableDisplayLength ?? 0,
     chartDataIntervalCount: options.chartDataIntervalCount ?? 0,
     chartDataIntervalDuration: options.chartDataIntervalDuration ?? 1,
   };
 }
 
-const shortTermPressureGraph = createGraphObj({
-  maxDataPoints: 30000,
-  maxDisplayPoints: 1024,
-  sourceResolutionLabel: '~3s source data',
-});
-const longTermPressureGraph = createGraphObj({
-  maxDataPoints: 100000,
-  maxDisplayPoints: 256,
-  sourceResolutionLabel: '1-min averaged source data',
-});
+/**
+ * Empties a graph's raw and display arrays and restarts its decimation at factor 1.
+ */
+function resetGraph(graph) {
+  graph.fullXVals.length = 0;
+  graph.fullYVals.length = 0;
+  graph.displayXVals.length = 0;
+  graph.displayYVals.length = 0;
+  graph.lastUsedFactor = 1;
+  graph.lastPermanentIndex = -1;
+  graph.stableDisplayLength = 0;
+  graph.chartDataIntervalCount = 0;
+  graph.chartDataIntervalDuration = 1;
+}
+
+/**
+ * Drops the raw points older than minX and re-decimates what is left from factor 1, so the
+ * display matches a graph that was filled with the remaining points only.
+ * @returns {number} How many points were dropped
+ */
+function trimGraph(graph, minX) {
+  let dropped = 0;
+  while (dropped < graph.fullXVals.length && graph.fullXVals[dropped] < minX) dropped++;
+  if (dropped === 0) {
+    return 0;
+  }
+
+  graph.fullXVals.splice(0, dropped);
+  graph.fullYVals.splice(0, dropped);
+  graph.displayXVals.length = 0;
+  graph.displayYVals.length = 0;
+  graph.lastUsedFactor = 1;
+  graph.lastPermanentIndex = -1;
+  graph.stableDisplayLength = 0;
+
+  const len = graph.fullXVals.length;
+  if (len === 0) {
+    return dropped;
+  }
+
+  if (graph.decimation === 'minmax' || graph.decimation === 'lttb') {
+    while (predictBucketedDisplayPoints(graph, len, graph.lastUsedFactor) > graph.maxDisplayPoints) {
+      graph.lastUsedFactor *= 2;
+    }
+    finalizeBuckets(graph);
+    renderOpenTail(graph);
+    return dropped;
+  }
+
+  while (Math.ceil((len - 1) / graph.lastUsedFactor) + 1 > graph.maxDisplayPoints) {
+    graph.lastUsedFactor *= 2;
+  }
+  for (let i = 0; i < len - 1; i += graph.lastUsedFactor) {
+    graph.displayXVals.push(graph.fullXVals[i]);
+    graph.displayYVals.push(graph.fullYVals[i]);
+    graph.lastPermanentIndex = i;
+  }
+  graph.displayXVals.push(graph.fullXVals[len - 1]);
+  graph.displayYVals.push(graph.fullYVals[len - 1]);
+  graph.stableDisplayLength = graph.displayXVals.length - 1;
+  return dropped;
+}
 
+/**
+ * Updates the display arrays after one point was appended to fullXVals/fullYVals.
+ * Work per call is bounded by the current bucket size; the whole series is only
+ * re-decimated when the factor doubles.
+ */
 function updateDisplayData(graph) {
+  if (graph.decimation === 'minmax' || graph.decimation === 'lttb') {
+    updateBucketedDisplayData(graph);
+    return;
+  }
+
+  updateStrideDisplayData(graph);
+}
+
+function updateStrideDisplayData(graph) {
   const len = graph.fullXVals.length;
 
   const predictedPoints = Math.ceil((len - 1) / graph.lastUsedFactor) + 1;
@@ -61,6 +137,158 @@ function updateDisplayData(graph) {
       }
     }
   }
+
+  graph.stableDisplayLength = Math.max(0, graph.displayXVals.length - 1);
+}
+
+/*
+ * minmax and lttb split the raw series into buckets of lastUsedFactor points.
+ * displayXVals/displayYVals hold:
+ *   [0, stableDisplayLength)  - finalized buckets; never rewritten until the factor doubles
+ *   [stableDisplayLength, ..) - the open tail, rebuilt on every append and always ending
+ *                               with the latest raw point
+ * lastPermanentIndex is the last raw index covered by a finalized bucket.
+ *
+ * minmax keeps the lowest and highest point of every bucket (in time order).
+ * lttb (largest-triangle-three-buckets) keeps the point of each bucket that forms the
+ * largest triangle with the previously kept point and the next bucket's average. Since
+ * that needs the next bucket, an lttb bucket is finalized one bucket late.
+ */
+function predictBucketedDisplayPoints(graph, len, factor) {
+  if (graph.decimation === 'minmax') {
+    return 2 * Math.floor((len - 1) / factor) + 3;
+  }
+  return Math.ceil((len - 1) / factor) + 3;
+}
+
+function pushDisplayIndex(graph, index) {
+  graph.displayXVals.push(graph.fullXVals[index]);
+  graph.displayYVals.push(graph.fullYVals[index]);
+}
+
+function pushMinMaxIndices(graph, start, end) {
+  let minIndex = start;
+  let maxIndex = start;
+
+  for (let i = start + 1; i <= end; i++) {
+    if (graph.fullYVals[i] < graph.fullYVals[minIndex]) minIndex = i;
+    if (graph.fullYVals[i] > graph.fullYVals[maxIndex]) maxIndex = i;
+  }
+
+  pushDisplayIndex(graph, Math.min(minIndex, maxIndex));
+  if (minIndex !== maxIndex) {
+    pushDisplayIndex(graph, Math.max(minIndex, maxIndex));
+  }
+  return Math.max(minIndex, maxIndex);
+}
+
+function averagePoint(graph, start, end) {
+  let sumX = 0;
+  let sumY = 0;
+  for (let i = start; i <= end; i++) {
+    sumX += graph.fullXVals[i];
+    sumY += graph.fullYVals[i];
+  }
+  const count = end - start + 1;
+  return { x: sumX / count, y: sumY / count };
+}
+
+function pushLargestTriangleIndex(graph, start, end, next) {
+  const anchorX = graph.displayXVals[graph.displayXVals.length - 1];
+  const anchorY = graph.displayYVals[graph.displayYVals.length - 1];
+  let bestIndex = start;
+  let bestArea = -1;
+
+  for (let i = start; i <= end; i++) {
+    const area = Math.abs(
+      (anchorX - next.x) * (graph.fullYVals[i] - anchorY) -
+      (anchorX - graph.fullXVals[i]) * (next.y - anchorY)
+    );
+    if (area > bestArea) {
+      bestArea = area;
+      bestIndex = i;
+    }
+  }
+
+  pushDisplayIndex(graph, bestIndex);
+}
+
+function finalizeBuckets(graph) {
+  const len = graph.fullXVals.length;
+  const factor = graph.lastUsedFactor;
+
+  graph.displayXVals.length = graph.stableDisplayLength;
+  graph.displayYVals.length = graph.stableDisplayLength;
+
+  if (graph.decimation === 'minmax') {
+    while (len - 1 > graph.lastPermanentIndex + factor) {
+      pushMinMaxIndices(graph, graph.lastPermanentIndex + 1, graph.lastPermanentIndex + factor);
+      graph.lastPermanentIndex += factor;
+    }
+  } else {
+    // lttb always keeps the very first point as the initial anchor
+    if (graph.lastPermanentIndex < 0 && len > 0) {
+      pushDisplayIndex(graph, 0);
+      graph.lastPermanentIndex = 0;
+    }
+
+    while (len - 1 > graph.lastPermanentIndex + 2 * factor) {
+      const start = graph.lastPermanentIndex + 1;
+      const end = graph.lastPermanentIndex + factor;
+      pushLargestTriangleIndex(graph, start, end, averagePoint(graph, end + 1, end + factor));
+      graph.lastPermanentIndex = end;
+    }
+  }
+
+  graph.stableDisplayLength = graph.displayXVals.length;
+}
+
+function renderOpenTail(graph) {
+  const last = graph.fullXVals.length - 1;
+  const start = graph.lastPermanentIndex + 1;
+
+  graph.displayXVals.length = graph.stableDisplayLength;
+  graph.displayYVals.length = graph.stableDisplayLength;
+
+  if (start > last) {
+    return;
+  }
+
+  if (graph.decimation === 'minmax') {
+    if (pushMinMaxIndices(graph, start, last) !== last) {
+      pushDisplayIndex(graph, last);
+    }
+    return;
+  }
+
+  let partialStart = start;
+  if (last - start + 1 > graph.lastUsedFactor) {
+    partialStart = start + graph.lastUsedFactor;
+    pushLargestTriangleIndex(graph, start, partialStart - 1, averagePoint(graph, partialStart, last));
+  }
+
+  if (partialStart < last) {
+    pushLargestTriangleIndex(graph, partialStart, last - 1, {
+      x: graph.fullXVals[last],
+      y: graph.fullYVals[last],
+    });
+  }
+  pushDisplayIndex(graph, last);
+}
+
+function updateBucketedDisplayData(graph) {
+  const len = graph.fullXVals.length;
+
+  if (predictBucketedDisplayPoints(graph, len, graph.lastUsedFactor) > graph.maxDisplayPoints) {
+    while (predictBucketedDisplayPoints(graph, len, graph.lastUsedFactor) > graph.maxDisplayPoints) {
+      graph.lastUsedFactor *= 2;
+    }
+    graph.lastPermanentIndex = -1;
+    graph.stableDisplayLength = 0;
+  }
+
+  finalizeBuckets(graph);
+  renderOpenTail(graph);
 }
 
 function getGraphMetadata(graph) {
@@ -68,14 +296,102 @@ function getGraphMetadata(graph) {
     rawPointCount: graph.fullXVals.length,
     displayPointCount: graph.displayXVals.length,
     downsampleFactor: Math.max(1, graph.lastUsedFactor ?? 1),
+    decimation: graph.decimation || 'stride',
     sourceResolutionLabel: graph.sourceResolutionLabel || 'source data',
   };
 }
 
+/**
+ * Min/max decimation fed one point at a time, so a range query can reduce each storage page as
+ * it arrives instead of holding the whole window. Points must arrive in ascending time order.
+ * Windows of at most two points per pixel are returned as they came.
+ * @param {number} fromSec - Left edge of the window
+ * @param {number} toSec - Right edge of the window
+ * @param {number} width - Target width in pixels
+ * @returns {{ push: Function, finish: Function }}
+ */
+function createMinMaxDecimator(fromSec, toSec, width) {
+  const rawLimit = width * 2;
+  const bucketSpan = (toSec - fromSec) / width;
+  let raw = { xVals: [], yVals: [] }; // dropped once the window holds more than rawLimit points
+  const outX = [];
+  const outY = [];
+  let count = 0;
+  let bucket = null;
+  let min = null;
+  let max = null;
+
+  function flushBucket() {
+    if (min === null) return;
+    const [first, second] = min.index <= max.index ? [min, max] : [max, min];
+    outX.push(first.x);
+    outY.push(first.y);
+    if (second !== first) {
+      outX.push(second.x);
+      outY.push(second.y);
+    }
+  }
+
+  function push(x, y) {
+    const index = count++;
+    if (raw) {
+      raw.xVals.push(x);
+      raw.yVals.push(y);
+      if (count > rawLimit) raw = null;
+    }
+    if (toSec <= fromSec) return;
+
+    const currentBucket = Math.min(width - 1, Math.floor((x - fromSec) / bucketSpan));
+    if (currentBucket !== bucket) {
+      flushBucket();
+      bucket = currentBucket;
+      min = { x, y, index };
+      max = min;
+      return;
+    }
+
+    if (y < min.y) min = { x, y, index };
+    if (y > max.y) max = { x, y, index };
+  }
+
+  /**
+   * @returns {{ xVals: number[], yVals: number[], rawPointCount: number }}
+   */
+  function finish() {
+    if (raw || toSec <= fromSec) {
+      return { xVals: raw?.xVals ?? [], yVals: raw?.yVals ?? [], rawPointCount: count };
+    }
+    flushBucket();
+    return { xVals: outX, yVals: outY, rawPointCount: count };
+  }
+
+  return { push, finish };
+}
+
+/**
+ * Reduces a time series to at most two points (min and max, in time order) per pixel column.
+ * @param {number[]} xVals - Unix seconds, ascending
+ * @param {number[]} yVals
+ * @param {number} fromSec - Left edge of the window
+ * @param {number} toSec - Right edge of the window
+ * @param {number} width - Target width in pixels
+ * @returns {{ xVals: number[], yVals: number[] }}
+ */
+function decimateMinMaxByTime(xVals, yVals, fromSec, toSec, width) {
+  if (xVals.length <= width * 2 || toSec <= fromSec) {
+    return { xVals: xVals.slice(), yVals: yVals.slice() };
+  }
+
+  const decimator = createMinMaxDecimator(fromSec, toSec, width);
+  xVals.forEach((x, index) => decimator.push(x, yVals[index]));
+  const { xVals: outX, yVals: outY } = decimator.finish();
+  return { xVals: outX, yVals: outY };
+}
+
 const CCS_MAX_POINTS = 1200; // ~1 hour at 3s polling
 
-function createCCSGraphObj() {
-  return { xVals: [], yVals: [], maxPoints: CCS_MAX_POINTS };
+function createCCSGraphObj(maxPoints = CCS_MAX_POINTS) {
+  return { xVals: [], yVals: [], maxPoints };
 }
 
 function addCCSPoint(graph, tSec, temp) {
@@ -87,18 +403,25 @@ function addCCSPoint(graph, tSec, temp) {
   }
 }
 
-const ccsGraphA = createCCSGraphObj();
-const ccsGraphB = createCCSGraphObj();
-const ccsGraphC = createCCSGraphObj();
+function trimCCSPoints(graph, minX) {
+  let dropped = 0;
+  while (dropped < graph.xVals.length && graph.xVals[dropped] < minX) dropped++;
+  graph.xVals.splice(0, dropped);
+  graph.yVals.splice(0, dropped);
+  return dropped;
+}
 
 module.exports = {
+  DECIMATION_STRATEGIES,
   createGraphObj,
+  resetGraph,
+  trimGraph,
   updateDisplayData,
   getGraphMetadata,
-  shortTermPressureGraph,
-  longTermPressureGraph,
+  createMinMaxDecimator,
+  decimateMinMaxByTime,
+  CCS_MAX_POINTS,
+  createCCSGraphObj,
   addCCSPoint,
-  ccsGraphA,
-  ccsGraphB,
-  ccsGraphC,
+  trimCCSPoints,
 };
@@ -0,0 +1,145 @@
+// Run history of the background loops index.js starts, behind /health and /status
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { monitorMetrics } = require('./metrics');
+
+/**
+ * The loops, in the order they are reported. A run in progress for longer than stallAfterMs is
+ * taken as hung: its overlap guard would skip every later run, so the process is no longer live.
+ * A critical loop failing failuresBeforeUnready runs in a row makes the process unready.
+ */
+const LOOPS = [
+  { name: 'telemetry', label: 'Telemetry sync', critical: true, stallAfterMs: 60_000 },
+  { name: 'long_term', label: 'Long-term sync', critical: true, stallAfterMs: 5 * 60_000 },
+  { name: 'display_log', label: 'Display log refresh', critical: false, stallAfterMs: 5 * 60_000 },
+];
+const FAILURES_BEFORE_UNREADY = 3;
+
+// The run whose async context the current code is in, so errors caught deep in storage and Drive
+// calls count against the loop that made them
+const activeRun = new AsyncLocalStorage();
+
+/**
+ * Counts `err` against the loop run in progress in this async context, if any. For errors that
+ * are caught and logged where they happen instead of reaching the loop.
+ */
+function reportLoopError(err) {
+  activeRun.getStore()?.errors.push(err);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.loops]
+ * @param {number} [options.failuresBeforeUnready]
+ * @param {Object} [options.metrics] - Receives each run's duration and outcome
+ * @param {Function} [options.now]
+ */
+function createLoopHealth(options = {}) {
+  const {
+    loops = LOOPS,
+    failuresBeforeUnready = FAILURES_BEFORE_UNREADY,
+    metrics = monitorMetrics,
+    now = Date.now,
+  } = options;
+
+  const records = new Map(loops.map((loop) => [loop.name, {
+    ...loop,
+    startedMs: null, // set while a run is in progress
+    lastStartedAt: null,
+    lastSucceededAt: null,
+    lastFailedAt: null,
+    lastError: null,
+    lastDurationMs: null,
+    consecutiveFailures: 0,
+    runs: 0,
+    failures: 0,
+    skipped: 0,
+  }]));
+
+  function recordFor(name) {
+    const record = records.get(name);
+    if (!record) {
+      throw new Error(`Unknown loop "${name}"`);
+    }
+    return record;
+  }
+
+  /**
+   * Runs one pass of loop `name`. It fails if `run` throws or anything in its async context
+   * calls reportLoopError(). The first error reported is kept, as later ones tend to follow from it.
+   */
+  async function track(name, run) {
+    const record = recordFor(name);
+    const context = { errors: [] };
+    record.startedMs = now();
+    record.lastStartedAt = new Date(record.startedMs).toISOString();
+    record.runs++;
+
+    try {
+      return await activeRun.run(context, run);
+    } catch (err) {
+      context.errors.push(err);
+      throw err;
+    } finally {
+      const endedMs = now();
+      record.lastDurationMs = endedMs - record.startedMs;
+      record.startedMs = null;
+      metrics.observePollDuration(name, record.lastDurationMs / 1000);
+
+      if (context.errors.length > 0) {
+        const [err] = context.errors;
+        record.lastFailedAt = new Date(endedMs).toISOString();
+        record.lastError = { message: err?.message ?? String(err), at: record.lastFailedAt };
+        record.consecutiveFailures++;
+        record.failures++;
+        metrics.pollFailed(name);
+      } else {
+        record.lastSucceededAt = new Date(endedMs).toISOString();
+        record.consecutiveFailures = 0;
+      }
+    }
+  }
+
+  /**
+   * Counts a run of `name` skipped by its overlap guard.
+   */
+  function skipped(name) {
+    recordFor(name).skipped++;
+    metrics.pollSkipped(name);
+  }
+
+  function loopStatus(record, nowMs) {
+    if (record.startedMs !== null && nowMs - record.startedMs > record.stallAfterMs) return 'stalled';
+    if (record.consecutiveFailures > 0) return 'failing';
+    if (record.lastSucceededAt === null) return 'waiting';
+    return 'ok';
+  }
+
+  /**
+   * Every loop's run history and status: 'ok', 'waiting' before the first finished run,
+   * 'failing' after a failed run, or 'stalled'. Live while no loop is stalled; ready while live
+   * and no critical loop has failed failuresBeforeUnready runs in a row.
+   */
+  function report() {
+    const nowMs = now();
+    const loopReports = [...records.values()].map((record) => {
+      const { startedMs, ...rest } = record;
+      return { ...rest, status: loopStatus(record, nowMs), inProgress: startedMs !== null };
+    });
+    const live = loopReports.every((loop) => loop.status !== 'stalled');
+    const ready = live && loopReports.every((loop) => !loop.critical || loop.consecutiveFailures < failuresBeforeUnready);
+    return { live, ready, loops: loopReports };
+  }
+
+  return { track, skipped, report };
+}
+
+const loopHealth = createLoopHealth();
+
+module.exports = {
+  LOOPS,
+  FAILURES_BEFORE_UNREADY,
+  reportLoopError,
+  createLoopHealth,
+  loopHealth,
+};
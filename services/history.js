@@ -0,0 +1,145 @@
+const { iterateEntriesBetween } = require('./storage');
+const { createMinMaxDecimator } = require('./graphs');
+
+// short_term_logs keeps ~48h of 3s rows; windows longer than this read the 1-min averages instead
+const SHORT_TERM_RETENTION_MS = 48 * 60 * 60 * 1000;
+const SHORT_TERM_MAX_SPAN_MS = 6 * 60 * 60 * 1000; // ~7200 rows, a handful of 1000-row pages
+
+const RANGE_CACHE_MAX_ENTRIES = 50;
+const RANGE_CACHE_RECENT_TTL_MS = 30 * 1000; // windows that reach "now" keep changing
+const RANGE_CACHE_HISTORICAL_TTL_MS = 10 * 60 * 1000;
+
+const DEFAULT_RANGE_WIDTH = 1024;
+const MIN_RANGE_WIDTH = 16;
+const MAX_RANGE_WIDTH = 4096;
+
+const rangeCache = new Map();
+
+/**
+ * Picks the table for a window: short_term_logs for short, recent windows; long_term_logs otherwise.
+ */
+function chooseRangeSource(fromMs, toMs, nowMs = Date.now()) {
+  const fitsShortTerm = toMs - fromMs <= SHORT_TERM_MAX_SPAN_MS && fromMs >= nowMs - SHORT_TERM_RETENTION_MS;
+  return fitsShortTerm ? 'short_term_logs' : 'long_term_logs';
+}
+
+/**
+ * Parses a from/to query value: an ISO string, or a Unix timestamp in seconds (uPlot's unit) or milliseconds.
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function parseRangeBoundary(value) {
+  if (value == null || value === '') {
+    return null;
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(String(value))) {
+    const numeric = Number(value);
+    return numeric < 1e11 ? Math.round(numeric * 1000) : Math.round(numeric);
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function clampRangeWidth(width) {
+  const parsed = Number.parseInt(width, 10);
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_RANGE_WIDTH;
+  }
+  return Math.min(MAX_RANGE_WIDTH, Math.max(MIN_RANGE_WIDTH, parsed));
+}
+
+function readCachedRange(key, nowMs) {
+  const cached = rangeCache.get(key);
+  if (!cached) {
+    return null;
+  }
+
+  if (cached.expiresAt <= nowMs) {
+    rangeCache.delete(key);
+    return null;
+  }
+
+  // Re-insert so Map iteration order doubles as least-recently-used order
+  rangeCache.delete(key);
+  rangeCache.set(key, cached);
+  return cached.result;
+}
+
+function writeCachedRange(key, result, ttlMs, nowMs) {
+  rangeCache.set(key, { result, expiresAt: nowMs + ttlMs });
+
+  while (rangeCache.size > RANGE_CACHE_MAX_ENTRIES) {
+    rangeCache.delete(rangeCache.keys().next().value);
+  }
+}
+
+function clearRangeCache() {
+  rangeCache.clear();
+}
+
+function readPressureRow(source, row) {
+  return source === 'short_term_logs'
+    ? [row.created_at, Number.parseFloat(row.data?.pressure)]
+    : [row.recorded_at, Number.parseFloat(row.avg_pressure)];
+}
+
+/**
+ * Serves the pressure series for an arbitrary time window, decimated to the requested pixel width.
+ * @param {Object} options
+ * @param {number} options.fromMs
+ * @param {number} options.toMs
+ * @param {number} [options.width] - Chart width in pixels
+ * @param {number} [options.nowMs]
+ * @returns {Promise<Object>} Chart payload with the same metadata fields as getGraphMetadata()
+ */
+async function fetchPressureRange({ fromMs, toMs, width = DEFAULT_RANGE_WIDTH, nowMs = Date.now() }) {
+  const source = chooseRangeSource(fromMs, toMs, nowMs);
+  const pixelWidth = clampRangeWidth(width);
+  const cacheKey = `${source}|${fromMs}|${toMs}|${pixelWidth}`;
+
+  const cached = readCachedRange(cacheKey, nowMs);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  // Each page is reduced as it arrives, so a long window never sits in memory whole
+  const decimator = createMinMaxDecimator(fromMs / 1000, toMs / 1000, pixelWidth);
+  for await (const page of iterateEntriesBetween(source, new Date(fromMs).toISOString(), new Date(toMs).toISOString())) {
+    for (const row of page) {
+      const [timestamp, pressure] = readPressureRow(source, row);
+      const timestampMs = Date.parse(timestamp);
+      if (!Number.isFinite(pressure) || !Number.isFinite(timestampMs)) continue;
+      decimator.push(Math.floor(timestampMs / 1000), pressure);
+    }
+  }
+  const decimated = decimator.finish();
+
+  const result = {
+    view: 'range',
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    source,
+    xVals: decimated.xVals,
+    yVals: decimated.yVals,
+    rawPointCount: decimated.rawPointCount,
+    displayPointCount: decimated.xVals.length,
+    downsampleFactor: Math.max(1, Math.ceil(decimated.rawPointCount / Math.max(1, decimated.xVals.length))),
+    decimation: 'minmax',
+    sourceResolutionLabel: source === 'short_term_logs' ? '~3s source data' : '1-min averaged source data',
+  };
+
+  const touchesNow = toMs >= nowMs - 5 * 60 * 1000;
+  writeCachedRange(cacheKey, result, touchesNow ? RANGE_CACHE_RECENT_TTL_MS : RANGE_CACHE_HISTORICAL_TTL_MS, nowMs);
+  return { ...result, cached: false };
+}
+
+module.exports = {
+  SHORT_TERM_RETENTION_MS,
+  SHORT_TERM_MAX_SPAN_MS,
+  chooseRangeSource,
+  parseRangeBoundary,
+  clampRangeWidth,
+  clearRangeCache,
+  fetchPressureRange,
+};
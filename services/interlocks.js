@@ -97,6 +97,32 @@ function varBitToColor(bits, index) {
   return bits[index] ? "green" : "red";
 }
 
+// Signal names in the order computeAllColors returns them
+const SIC_SIGNALS = [
+  { key: 'door', label: 'Door' },
+  { key: 'water', label: 'Water' },
+  { key: 'vacuum-power', label: 'Vacuum Power' },
+  { key: 'vacuum-pressure', label: 'Vacuum Pressure' },
+  { key: 'oil-low', label: 'Low Oil' },
+  { key: 'oil-high', label: 'High Oil' },
+  { key: 'estop-internal', label: 'E-STOP Int' },
+  { key: 'estop-external', label: 'E-STOP Ext' },
+  { key: 'all-interlocks', label: 'All Interlocks' },
+  { key: 'g9-output', label: 'G9 Output' },
+  { key: 'hvolt', label: 'HVolt ON' },
+];
+
+const VACUUM_SIGNALS = [
+  { key: 'pumps-power', label: 'Pumps Power ON' },
+  { key: 'turbo-rotor', label: 'Turbo Rotor ON' },
+  { key: 'turbo-vent-open', label: 'Turbo Vent Open' },
+  { key: '972b-power', label: '972b Power On' },
+  { key: 'turbo-gate-closed', label: 'Turbo Gate Closed' },
+  { key: 'turbo-gate-open', label: 'Turbo Gate Open' },
+  { key: 'argon-gate-open', label: 'Argon Gate Open' },
+  { key: 'argon-gate-closed', label: 'Argon Gate Closed' },
+];
+
 /**
  * Compute all interlock and vacuum colors in one call.
  * Eliminates duplication between the / and /data routes.
@@ -143,4 +169,6 @@ module.exports = {
   getHvoltOn,
   varBitToColor,
   computeAllColors,
+  SIC_SIGNALS,
+  VACUUM_SIGNALS,
 };
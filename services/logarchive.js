@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { LOG_CACHE_DIR, LOG_CACHE_MAX_MB } = require('../config');
+const { listLogFiles, getLogFile, downloadFileTo } = require('./gdrive');
+
+const CACHE_FILE_SUFFIX = '.txt';
+
+/**
+ * Older display logs of the Drive folder: listed page by page, downloaded on first view and kept in
+ * a local cache. Each cached file's mtime is set to its Drive modifiedTime, so a file that changed
+ * on Drive is downloaded again, and its atime to the last use, so the least recently used files are
+ * deleted first once the cache grows past its limit. Both survive a restart.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Cache directory
+ * @param {number} [options.maxBytes] - Cache size limit; the file just opened is always kept
+ * @param {Function} [options.listFiles] - One page of files, like listLogFiles()
+ * @param {Function} [options.getFile] - One file's metadata or null, like getLogFile()
+ * @param {Function} [options.download] - (fileId, filePath) => bytes | false, like downloadFileTo()
+ * @param {Function} [options.now]
+ */
+function createLogArchive(options = {}) {
+  const {
+    dir = LOG_CACHE_DIR,
+    maxBytes = LOG_CACHE_MAX_MB * 1024 * 1024,
+    listFiles = listLogFiles,
+    getFile = getLogFile,
+    download = downloadFileTo,
+    now = Date.now,
+  } = options;
+
+  // Drive id -> { filePath, bytes, modifiedMs }, least recently used first
+  const cached = new Map();
+  const downloads = new Map();
+  let scanned = null;
+
+  async function scan() {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const found = [];
+    for (const name of await fs.promises.readdir(dir)) {
+      if (!name.endsWith(CACHE_FILE_SUFFIX)) continue;
+      const filePath = path.join(dir, name);
+      const stats = await fs.promises.stat(filePath);
+      found.push({ id: name.slice(0, -CACHE_FILE_SUFFIX.length), filePath, bytes: stats.size, modifiedMs: Math.round(stats.mtimeMs), usedMs: stats.atimeMs });
+    }
+    found.sort((a, b) => a.usedMs - b.usedMs);
+    for (const { id, filePath, bytes, modifiedMs } of found) {
+      cached.set(id, { filePath, bytes, modifiedMs });
+    }
+  }
+
+  function ensureScanned() {
+    scanned ??= scan().catch((err) => {
+      console.error('Failed to read the log cache directory:', err.message);
+    });
+    return scanned;
+  }
+
+  async function touch(id, entry) {
+    cached.delete(id);
+    cached.set(id, entry);
+    try {
+      await fs.promises.utimes(entry.filePath, new Date(now()), new Date(entry.modifiedMs));
+    } catch (err) {
+      console.warn(`Could not mark ${entry.filePath} as used:`, err.message);
+    }
+  }
+
+  async function evict(keepId) {
+    let total = 0;
+    for (const entry of cached.values()) total += entry.bytes;
+
+    for (const [id, entry] of cached) {
+      if (total <= maxBytes) break;
+      if (id === keepId) continue;
+      cached.delete(id);
+      total -= entry.bytes;
+      await fs.promises.rm(entry.filePath, { force: true });
+      console.log(`Evicted ${id} from the log cache`);
+    }
+  }
+
+  async function downloadToCache(file) {
+    const filePath = path.join(dir, `${file.id}${CACHE_FILE_SUFFIX}`);
+    console.log(`Downloading ${file.name} into the log cache...`);
+    const bytes = await download(file.id, filePath);
+    if (bytes === false) {
+      throw new Error(`Could not download ${file.name} from Google Drive`);
+    }
+
+    const entry = { filePath, bytes, modifiedMs: Date.parse(file.modifiedTime) };
+    await touch(file.id, entry);
+    await evict(file.id);
+    return entry;
+  }
+
+  /**
+   * The local copy of one file of the folder, downloaded unless the cached copy is current.
+   * @returns {Promise<{ file: Object, filePath: string }|null>} null for ids outside the folder
+   */
+  async function open(fileId) {
+    await ensureScanned();
+    const file = await getFile(fileId);
+    if (!file) return null;
+
+    const entry = cached.get(file.id);
+    if (entry && entry.modifiedMs === Date.parse(file.modifiedTime)) {
+      await touch(file.id, entry);
+      return { file, filePath: entry.filePath };
+    }
+
+    // Two viewers opening the same file share one download
+    if (!downloads.has(file.id)) {
+      downloads.set(file.id, downloadToCache(file).finally(() => downloads.delete(file.id)));
+    }
+    const downloaded = await downloads.get(file.id);
+    return { file, filePath: downloaded.filePath };
+  }
+
+  /**
+   * Lines of one file, oldest first, optionally only those containing `query` (case-insensitive).
+   * The file is streamed and reading stops after the page unless `count` asks for the totals.
+   * @param {string} fileId
+   * @param {Object} [options]
+   * @param {string} [options.query]
+   * @param {number} [options.offset] - Matching lines to skip
+   * @param {number} [options.limit]
+   * @param {boolean} [options.count] - Read to the end for `total` and `lineCount`, otherwise null
+   * @returns {Promise<Object|null>} { file, lines: [{ number, text }], total, lineCount, nextOffset }
+   */
+  async function read(fileId, { query = '', offset = 0, limit = 500, count = false } = {}) {
+    const opened = await open(fileId);
+    if (!opened) return null;
+
+    const needle = query.trim().toLowerCase();
+    const input = fs.createReadStream(opened.filePath);
+    const reader = readline.createInterface({ input, crlfDelay: Infinity });
+    const lines = [];
+    let lineCount = 0;
+    let total = 0;
+    let more = false;
+
+    try {
+      for await (const line of reader) {
+        lineCount++;
+        if (needle && !line.toLowerCase().includes(needle)) continue;
+        total++;
+        if (total <= offset) continue;
+        if (lines.length < limit) {
+          lines.push({ number: lineCount, text: line });
+          continue;
+        }
+        more = true;
+        if (!count) break;
+      }
+    } finally {
+      reader.close();
+      input.destroy();
+    }
+
+    return {
+      file: opened.file,
+      lines,
+      total: count ? total : null,
+      lineCount: count ? lineCount : null,
+      nextOffset: more ? offset + lines.length : null,
+    };
+  }
+
+  /**
+   * One page of the folder's files, each marked with whether a current copy is cached.
+   */
+  async function list(page = {}) {
+    await ensureScanned();
+    const { files, nextPageToken } = await listFiles(page);
+    return {
+      files: files.map((file) => ({
+        ...file,
+        cached: cached.get(file.id)?.modifiedMs === Date.parse(file.modifiedTime),
+      })),
+      nextPageToken,
+    };
+  }
+
+  return { list, open, read };
+}
+
+const logArchive = createLogArchive();
+
+module.exports = {
+  createLogArchive,
+  logArchive,
+};
@@ -0,0 +1,255 @@
+// Prometheus / OpenMetrics exposition for /metrics: live telemetry gauges read at scrape time plus
+// counters and histograms the pollers, backfill and Drive fetches record as they run
+
+const state = require('./state');
+const { computeAllColors, SIC_SIGNALS, VACUUM_SIGNALS } = require('./interlocks');
+const { getStreamClientCount } = require('./stream');
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const POLL_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const CATHODES = ['A', 'B', 'C'];
+const TEMPERATURE_SENSORS = ['1', '2', '3', '4', '5', '6'];
+
+function formatNumber(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Readings arrive as numbers or strings such as "23.50", "DISCONNECTED" and "None"; only finite
+ * numbers become samples, so a missing reading is absent from the scrape instead of 0.
+ */
+function toSampleValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * A set of metric families rendered together. Counters and histograms keep their values in
+ * memory; collectors are called on every scrape for values that are read, not counted.
+ */
+function createMetricsRegistry() {
+  const families = [];
+  const collectors = [];
+
+  function register(family) {
+    if (families.some((existing) => existing.name === family.name)) {
+      throw new Error(`Metric ${family.name} is already registered`);
+    }
+    families.push(family);
+    return family;
+  }
+
+  /**
+   * @param {string} name - Without the _total suffix, which the exposition adds
+   * @param {string} help
+   */
+  function counter(name, help) {
+    const values = new Map();
+    const family = register({
+      name,
+      help,
+      type: 'counter',
+      samples: () => [...values.values()].map(({ labels, value }) => ({ suffix: '_total', labels, value })),
+    });
+    return {
+      family,
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const current = values.get(key) ?? { labels, value: 0 };
+        current.value += amount;
+        values.set(key, current);
+      },
+      get(labels = {}) {
+        return values.get(labelKey(labels))?.value ?? 0;
+      },
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {number[]} buckets - Upper bounds in ascending order; +Inf is added
+   */
+  function histogram(name, help, buckets) {
+    const values = new Map();
+    const family = register({
+      name,
+      help,
+      type: 'histogram',
+      samples: () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => ({ suffix: '_bucket', labels: { ...labels, le: formatNumber(bound) }, value: counts[index] })),
+        { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+        { suffix: '_sum', labels, value: sum },
+        { suffix: '_count', labels, value: count },
+      ]),
+    });
+    return {
+      family,
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const current = values.get(key) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) current.counts[index]++;
+        });
+        current.sum += value;
+        current.count++;
+        values.set(key, current);
+      },
+    };
+  }
+
+  /**
+   * Gauges whose samples are read at scrape time.
+   * @param {string} name
+   * @param {string} help
+   * @param {Function} read - () => [{ labels, value }], value null to leave the sample out
+   */
+  function gauge(name, help, read) {
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      samples: () => read()
+        .filter(({ value }) => value !== null && value !== undefined)
+        .map(({ labels = {}, value }) => ({ suffix: '', labels, value })),
+    });
+  }
+
+  function addCollector(collect) {
+    collectors.push(collect);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.openMetrics] - OpenMetrics 1.0 instead of the Prometheus 0.0.4 text format
+   * @returns {string}
+   */
+  function render({ openMetrics = false } = {}) {
+    collectors.forEach((collect) => collect());
+    const lines = [];
+    for (const family of families) {
+      // Prometheus text names the counter family after its samples, OpenMetrics without the suffix
+      const familyName = family.type === 'counter' && !openMetrics ? `${family.name}_total` : family.name;
+      lines.push(`# HELP ${familyName} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${familyName} ${family.type}`);
+      for (const { suffix, labels, value } of family.samples()) {
+        lines.push(`${family.name}${suffix}${formatLabels(labels)} ${formatNumber(value)}`);
+      }
+    }
+    if (openMetrics) lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, addCollector, render };
+}
+
+/**
+ * The monitor's own metrics. Telemetry gauges read `stateRef` when scraped; they are left out
+ * while the experiment is not running, except ebeam_experiment_running itself.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.stateRef]
+ * @param {Function} [options.streamClientCount]
+ * @param {Function} [options.now]
+ */
+function createMonitorMetrics(options = {}) {
+  const {
+    stateRef = state,
+    streamClientCount = getStreamClientCount,
+    now = Date.now,
+  } = options;
+
+  const registry = createMetricsRegistry();
+  const processStartSeconds = Math.floor((now() - process.uptime() * 1000) / 1000);
+  const running = () => stateRef.experimentRunning === true;
+  const reading = (value) => (running() ? toSampleValue(value) : null);
+  const colorValue = (color) => (color === 'green' ? 1 : color === 'red' ? 0 : null);
+
+  registry.gauge('ebeam_experiment_running', 'Whether the latest telemetry row is recent enough to count as a running experiment (1) or not (0).', () => [
+    { value: running() ? 1 : 0 },
+  ]);
+  registry.gauge('ebeam_pressure_mbar', 'Chamber pressure of the latest row, in mbar.', () => [
+    { value: reading(stateRef.data.pressure) },
+  ]);
+  registry.gauge('ebeam_temperature_celsius', 'Environmental temperature sensors 1-6, in degrees Celsius.', () => (
+    TEMPERATURE_SENSORS.map((sensor) => ({ labels: { sensor }, value: reading(stateRef.data.temperatures?.[sensor]) }))
+  ));
+  registry.gauge('ebeam_heater_current_amps', 'Cathode heater current, in amperes.', () => (
+    CATHODES.map((cathode) => ({ labels: { cathode }, value: reading(stateRef.data[`heaterCurrent_${cathode}`]) }))
+  ));
+  registry.gauge('ebeam_heater_voltage_volts', 'Cathode heater voltage, in volts.', () => (
+    CATHODES.map((cathode) => ({ labels: { cathode }, value: reading(stateRef.data[`heaterVoltage_${cathode}`]) }))
+  ));
+  registry.gauge('ebeam_clamp_temperature_celsius', 'Cathode clamp temperature, in degrees Celsius.', () => (
+    CATHODES.map((cathode) => ({ labels: { cathode }, value: reading(stateRef.data[`clamp_temperature_${cathode}`]) }))
+  ));
+
+  // Both families come from the same colors the dashboard shows: green 1, red 0, grey left out
+  let colors = null;
+  registry.addCollector(() => {
+    colors = computeAllColors(stateRef.data, running());
+  });
+  registry.gauge('ebeam_interlock_ok', 'Safety interlock signal: 1 when it shows green on the dashboard, 0 when red.', () => (
+    SIC_SIGNALS.map(({ key }, index) => ({ labels: { signal: key }, value: colorValue(colors.sicColors[index]) }))
+  ));
+  registry.gauge('ebeam_vacuum_state', 'Vacuum system bit: 1 when set (green on the dashboard), 0 when clear.', () => (
+    VACUUM_SIGNALS.map(({ key }, index) => ({ labels: { signal: key }, value: colorValue(colors.vacColors[index]) }))
+  ));
+
+  const pollDuration = registry.histogram('ebeam_poll_duration_seconds', 'Duration of one sync loop run, by loop.', POLL_DURATION_BUCKETS);
+  const pollFailures = registry.counter('ebeam_poll_failures', 'Sync loop runs that failed, by loop.');
+  const pollSkipped = registry.counter('ebeam_poll_skipped', 'Sync loop runs skipped because the previous run was still in progress, by loop.');
+  const rowsProcessed = registry.counter('ebeam_rows_processed', 'Telemetry rows applied to the caches, by table.');
+  const rowsSkipped = registry.counter('ebeam_rows_skipped', 'Telemetry rows skipped as already seen or unplottable, by table.');
+  const syncGaps = registry.counter('ebeam_sync_gaps', 'Gaps of more than twice the expected interval between consecutive rows, by table.');
+  const backfillPoints = registry.counter('ebeam_backfill_points', 'Points loaded into each series by startup backfills.');
+  const driveFetchRetries = registry.counter('ebeam_drive_fetch_retries', 'Google Drive downloads retried after a failed attempt.');
+  const driveFetchFailures = registry.counter('ebeam_drive_fetch_failures', 'Google Drive downloads given up after every attempt failed.');
+
+  registry.gauge('ebeam_stream_clients', 'Open /stream connections.', () => [{ value: streamClientCount() }]);
+  registry.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch, in seconds.', () => [{ value: processStartSeconds }]);
+  registry.gauge('process_resident_memory_bytes', 'Resident memory size, in bytes.', () => [{ value: process.memoryUsage().rss }]);
+
+  return {
+    observePollDuration: (loop, seconds) => pollDuration.observe({ loop }, seconds),
+    pollFailed: (loop) => pollFailures.inc({ loop }),
+    pollSkipped: (loop) => pollSkipped.inc({ loop }),
+    rowsApplied: (table, { batchSize, skippedCount }) => {
+      rowsProcessed.inc({ table }, batchSize - skippedCount);
+      if (skippedCount > 0) rowsSkipped.inc({ table }, skippedCount);
+    },
+    syncGap: (table) => syncGaps.inc({ table }),
+    backfilled: (series, count) => backfillPoints.inc({ series }, count),
+    driveFetchRetried: () => driveFetchRetries.inc(),
+    driveFetchFailed: () => driveFetchFailures.inc(),
+    render: registry.render,
+  };
+}
+
+const monitorMetrics = createMonitorMetrics();
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  OPENMETRICS_CONTENT_TYPE,
+  createMetricsRegistry,
+  createMonitorMetrics,
+  monitorMetrics,
+};
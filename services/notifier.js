@@ -0,0 +1,260 @@
+const http = require('http');
+const https = require('https');
+const nodemailer = require('nodemailer');
+const {
+  NOTIFY_WEBHOOK_URLS,
+  NOTIFY_EMAIL_TO,
+  NOTIFY_MIN_INTERVAL_MS,
+  NOTIFY_DEDUPE_WINDOW_MS,
+  SMTP_CONFIG,
+} = require('../config');
+const { SIC_SIGNALS } = require('./interlocks');
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+// Interlocks whose green -> red flip is worth waking someone up for
+const WATCHED_SIGNALS = ['hvolt', 'all-interlocks', 'estop-internal', 'estop-external'];
+
+/**
+ * POSTs a JSON body to an http(s) URL and resolves with the status code.
+ */
+function postJson(url, body, timeoutMs = WEBHOOK_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const payload = JSON.stringify(body);
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+      },
+      timeout: timeoutMs,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          reject(new Error(`Webhook responded ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Generic webhook channel. The { title, text } body is accepted by Slack and Teams incoming webhooks.
+ */
+function createWebhookChannel(url, options = {}) {
+  const { name = `webhook:${new URL(url).host}`, timeoutMs = WEBHOOK_TIMEOUT_MS } = options;
+
+  return {
+    name,
+    send(notification) {
+      return postJson(url, { title: notification.title, text: notification.text }, timeoutMs);
+    },
+  };
+}
+
+/**
+ * SMTP email channel backed by nodemailer.
+ * @param {Object} transportOptions - nodemailer SMTP transport options
+ * @param {Object} options
+ * @param {string} options.from - Sender address
+ * @param {string[]} options.to - Recipient addresses
+ */
+function createEmailChannel(transportOptions, options) {
+  const { from, to, name = 'email' } = options;
+  const transporter = nodemailer.createTransport(transportOptions);
+
+  return {
+    name,
+    send(notification) {
+      return transporter.sendMail({
+        from,
+        to: to.join(', '),
+        subject: `[E-beam monitor] ${notification.title}`,
+        text: notification.text,
+      });
+    },
+  };
+}
+
+function combineNotifications(notifications) {
+  if (notifications.length === 1) {
+    return notifications[0];
+  }
+
+  return {
+    key: notifications.map((notification) => notification.key).join(','),
+    title: `${notifications.length} notifications`,
+    text: notifications.map((notification) => `• ${notification.title}: ${notification.text}`).join('\n'),
+  };
+}
+
+/**
+ * Creates a dispatcher that fans notifications out to every channel.
+ *
+ * Per channel it applies:
+ * - de-duplication: a notification key already sent within dedupeWindowMs is dropped;
+ * - rate limiting: at most one send per minIntervalMs. Anything arriving sooner is held
+ *   and delivered as a single combined message when the interval expires, so trips are
+ *   batched rather than lost.
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.channels] - Objects with { name, send(notification) }
+ * @param {number} [options.minIntervalMs]
+ * @param {number} [options.dedupeWindowMs]
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @param {Object} [options.logger]
+ */
+function createNotifier(options = {}) {
+  const {
+    channels = [],
+    minIntervalMs = NOTIFY_MIN_INTERVAL_MS,
+    dedupeWindowMs = NOTIFY_DEDUPE_WINDOW_MS,
+    now = Date.now,
+    logger = console,
+  } = options;
+
+  const channelStates = new Map(channels.map((channel) => [channel, {
+    lastSentAt: null,
+    sentKeys: new Map(),
+    pending: [],
+    flushTimer: null,
+    flushPromise: null,
+  }]));
+
+  async function deliver(channel, notification) {
+    try {
+      await channel.send(notification);
+      logger.log(`Notification sent via ${channel.name}: ${notification.title}`);
+      return true;
+    } catch (err) {
+      logger.error(`Notification via ${channel.name} failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  function flush(channel) {
+    const channelState = channelStates.get(channel);
+    channelState.flushTimer = null;
+
+    const batch = channelState.pending.splice(0);
+    if (batch.length === 0) {
+      return Promise.resolve(false);
+    }
+
+    channelState.lastSentAt = now();
+    return deliver(channel, combineNotifications(batch));
+  }
+
+  function dispatch(channel, notification) {
+    const channelState = channelStates.get(channel);
+    const currentMs = now();
+
+    const lastSentForKey = channelState.sentKeys.get(notification.key);
+    if (lastSentForKey != null && currentMs - lastSentForKey < dedupeWindowMs) {
+      return Promise.resolve(false);
+    }
+    channelState.sentKeys.set(notification.key, currentMs);
+
+    const waitMs = channelState.lastSentAt == null
+      ? 0
+      : channelState.lastSentAt + minIntervalMs - currentMs;
+
+    if (waitMs <= 0 && channelState.pending.length === 0) {
+      channelState.lastSentAt = currentMs;
+      return deliver(channel, notification);
+    }
+
+    channelState.pending.push(notification);
+    if (!channelState.flushTimer) {
+      channelState.flushPromise = new Promise((resolve) => {
+        channelState.flushTimer = setTimeout(() => resolve(flush(channel)), Math.max(0, waitMs));
+        channelState.flushTimer.unref?.();
+      });
+    }
+    return channelState.flushPromise;
+  }
+
+  /**
+   * @param {Object} notification
+   * @param {string} notification.key - De-duplication key (e.g. "trip:hvolt")
+   * @param {string} notification.title
+   * @param {string} notification.text
+   */
+  function notify(notification) {
+    return Promise.all(channels.map((channel) => dispatch(channel, notification)));
+  }
+
+  return {
+    notify,
+    channelCount: channels.length,
+  };
+}
+
+function buildChannelsFromConfig() {
+  const channels = NOTIFY_WEBHOOK_URLS.map((url) => createWebhookChannel(url));
+
+  if (SMTP_CONFIG.host && NOTIFY_EMAIL_TO.length > 0) {
+    channels.push(createEmailChannel({
+      host: SMTP_CONFIG.host,
+      port: SMTP_CONFIG.port,
+      secure: SMTP_CONFIG.secure,
+      auth: SMTP_CONFIG.user ? { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.pass } : undefined,
+    }, {
+      from: SMTP_CONFIG.from,
+      to: NOTIFY_EMAIL_TO,
+    }));
+  }
+
+  return channels;
+}
+
+/**
+ * Compares two computeAllColors() results and returns a notification for every watched
+ * interlock that went from green to red. Grey (no data) on either side is not a trip.
+ */
+function detectInterlockTrips(previousColors, currentColors, occurredAt = new Date().toISOString()) {
+  if (!previousColors || !currentColors) {
+    return [];
+  }
+
+  return SIC_SIGNALS
+    .map((signal, index) => ({ signal, previous: previousColors[index], current: currentColors[index] }))
+    .filter(({ signal, previous, current }) =>
+      WATCHED_SIGNALS.includes(signal.key) && previous === 'green' && current === 'red')
+    .map(({ signal }) => ({
+      key: `trip:${signal.key}`,
+      title: `${signal.label} tripped`,
+      text: `${signal.label} changed from green to red at ${occurredAt}.`,
+    }));
+}
+
+function buildExperimentStoppedNotification(lastRowTimestamp) {
+  return {
+    key: 'experiment-stopped',
+    title: 'Experiment stopped reporting',
+    text: `No new short_term_logs rows since ${lastRowTimestamp}; the dashboard now shows the experiment as not running.`,
+  };
+}
+
+const notifier = createNotifier({ channels: buildChannelsFromConfig() });
+
+module.exports = {
+  WATCHED_SIGNALS,
+  postJson,
+  createWebhookChannel,
+  createEmailChannel,
+  createNotifier,
+  detectInterlockTrips,
+  buildExperimentStoppedNotification,
+  notifier,
+};
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const state = require('./state');
+const { seriesRegistry } = require('./series');
+
+const SNAPSHOT_VERSION = 1;
+
+// Everything updateDisplayData() needs to carry on exactly where the previous process stopped
+const DECIMATED_GRAPH_FIELDS = [
+  'fullXVals',
+  'fullYVals',
+  'displayXVals',
+  'displayYVals',
+  'lastUsedFactor',
+  'lastPermanentIndex',
+  'stableDisplayLength',
+  'chartDataIntervalCount',
+  'chartDataIntervalDuration',
+];
+
+function isCursor(cursor) {
+  return Boolean(cursor) && typeof cursor.timestamp === 'string' && Number.isFinite(Date.parse(cursor.timestamp));
+}
+
+function serializeSeries(series) {
+  if (series.storage === 'ring') {
+    return { storage: 'ring', xVals: series.graph.xVals, yVals: series.graph.yVals };
+  }
+
+  const serialized = {
+    storage: 'decimated',
+    decimation: series.graph.decimation,
+    maxDisplayPoints: series.graph.maxDisplayPoints,
+  };
+  for (const field of DECIMATED_GRAPH_FIELDS) {
+    serialized[field] = series.graph[field];
+  }
+  return serialized;
+}
+
+/**
+ * Builds the snapshot document for every registered series plus both poll cursors, the
+ * per-field last-good times and the start of the run the series belong to.
+ */
+function buildSnapshot({ registry = seriesRegistry, stateRef = state, nowMs = Date.now() } = {}) {
+  const series = {};
+  for (const entry of registry.list()) {
+    series[entry.name] = serializeSeries(entry);
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date(nowMs).toISOString(),
+    cursors: {
+      lastShortTermCursor: stateRef.lastShortTermCursor,
+      lastLongTermCursor: stateRef.lastLongTermCursor,
+    },
+    fieldQuality: stateRef.fieldQuality,
+    runStartedAt: stateRef.currentRun?.startedAt ?? null,
+    series,
+  };
+}
+
+/**
+ * Writes the snapshot next to its final path and renames it into place, so a crash mid-write
+ * leaves the previous snapshot intact.
+ * @returns {Promise<number>} Bytes written
+ */
+async function saveSnapshot(filePath, options = {}) {
+  const body = JSON.stringify(buildSnapshot(options));
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tempPath, body, 'utf8');
+  await fs.promises.rename(tempPath, filePath);
+  return Buffer.byteLength(body);
+}
+
+/**
+ * Checks one serialized series against its current definition.
+ * @returns {string|null} Why the entry cannot be restored, or null when it can
+ */
+function describeSeriesMismatch(series, saved) {
+  if (!saved || saved.storage !== series.storage) {
+    return `series "${series.name}" is missing or changed storage`;
+  }
+
+  if (series.storage === 'ring') {
+    const valid = Array.isArray(saved.xVals) && Array.isArray(saved.yVals) && saved.xVals.length === saved.yVals.length;
+    return valid ? null : `series "${series.name}" has malformed ring data`;
+  }
+
+  if (saved.decimation !== series.graph.decimation || saved.maxDisplayPoints !== series.graph.maxDisplayPoints) {
+    return `series "${series.name}" changed its decimation settings`;
+  }
+
+  const arraysValid = Array.isArray(saved.fullXVals)
+    && Array.isArray(saved.fullYVals)
+    && Array.isArray(saved.displayXVals)
+    && Array.isArray(saved.displayYVals)
+    && saved.fullXVals.length === saved.fullYVals.length
+    && saved.displayXVals.length === saved.displayYVals.length;
+  const countersValid = ['lastUsedFactor', 'lastPermanentIndex', 'stableDisplayLength']
+    .every((field) => Number.isInteger(saved[field]));
+
+  return arraysValid && countersValid ? null : `series "${series.name}" has malformed graph data`;
+}
+
+function restoreSeries(series, saved) {
+  if (series.storage === 'ring') {
+    const overflow = Math.max(0, saved.xVals.length - series.graph.maxPoints);
+    series.graph.xVals = saved.xVals.slice(overflow);
+    series.graph.yVals = saved.yVals.slice(overflow);
+    return;
+  }
+
+  for (const field of DECIMATED_GRAPH_FIELDS) {
+    if (saved[field] !== undefined) {
+      series.graph[field] = saved[field];
+    }
+  }
+}
+
+/**
+ * Restores every series and both poll cursors from a snapshot built by buildSnapshot().
+ * Nothing is touched unless the whole snapshot is recent enough and matches the registry.
+ *
+ * @param {Object} snapshot
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Snapshots older than this are ignored
+ * @returns {{ restored: boolean, reason?: string, savedAt?: string }}
+ */
+function restoreSnapshot(snapshot, options = {}) {
+  const {
+    registry = seriesRegistry,
+    stateRef = state,
+    maxAgeMs,
+    nowMs = Date.now(),
+  } = options;
+
+  if (snapshot?.version !== SNAPSHOT_VERSION) {
+    return { restored: false, reason: `unsupported snapshot version ${snapshot?.version}` };
+  }
+
+  const savedAtMs = Date.parse(snapshot.savedAt);
+  if (!Number.isFinite(savedAtMs)) {
+    return { restored: false, reason: 'snapshot has no savedAt time' };
+  }
+  if (Number.isFinite(maxAgeMs) && nowMs - savedAtMs > maxAgeMs) {
+    return { restored: false, reason: `snapshot from ${snapshot.savedAt} is too old`, savedAt: snapshot.savedAt };
+  }
+
+  // A snapshot from before an experiment reset still holds the archived run's graphs. The start
+  // is compared as an instant, since the database may write it in another format
+  const runStartedAt = stateRef.currentRun?.startedAt ?? null;
+  const snapshotRunStartedAt = snapshot.runStartedAt ?? null;
+  if (snapshotRunStartedAt === null || runStartedAt === null
+    ? snapshotRunStartedAt !== runStartedAt
+    : Date.parse(snapshotRunStartedAt) !== Date.parse(runStartedAt)) {
+    return { restored: false, reason: 'snapshot is from another run' };
+  }
+
+  const { lastShortTermCursor, lastLongTermCursor } = snapshot.cursors ?? {};
+  if (!isCursor(lastShortTermCursor) || !isCursor(lastLongTermCursor)) {
+    return { restored: false, reason: 'snapshot has no poll cursors' };
+  }
+
+  const seriesList = registry.list();
+  const savedSeries = snapshot.series ?? {};
+  for (const series of seriesList) {
+    const mismatch = describeSeriesMismatch(series, savedSeries[series.name]);
+    if (mismatch) {
+      return { restored: false, reason: mismatch };
+    }
+  }
+
+  for (const series of seriesList) {
+    restoreSeries(series, savedSeries[series.name]);
+  }
+  stateRef.lastShortTermCursor = lastShortTermCursor;
+  stateRef.lastLongTermCursor = lastLongTermCursor;
+  // Older snapshots have no field quality; the next applied row fills it in
+  if (snapshot.fieldQuality && typeof snapshot.fieldQuality === 'object') {
+    stateRef.fieldQuality = snapshot.fieldQuality;
+  }
+
+  return { restored: true, savedAt: snapshot.savedAt };
+}
+
+/**
+ * Restores the caches from a snapshot file; see restoreSnapshot().
+ * The caller then catches up from the restored cursors instead of running a full backfill.
+ *
+ * @param {string} filePath
+ * @param {Object} [options] - Passed to restoreSnapshot()
+ * @returns {{ restored: boolean, reason?: string, savedAt?: string }}
+ */
+function loadSnapshot(filePath, options = {}) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { restored: false, reason: 'no snapshot file' };
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    return { restored: false, reason: `unreadable snapshot: ${err.message}` };
+  }
+
+  return restoreSnapshot(snapshot, options);
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  buildSnapshot,
+  saveSnapshot,
+  restoreSnapshot,
+  loadSnapshot,
+};
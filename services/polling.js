@@ -6,17 +6,26 @@ const {
   fetchLatestShortTermEntry,
   fetchShortTermEntriesSince,
   fetchLongTermEntriesSince,
-} = require('./supabase');
+  insertInterlockEvents,
+} = require('./storage');
 const { fetchDisplayFileContents } = require('./gdrive');
+const { getGraphMetadata } = require('./graphs');
+const { seriesRegistry, appendSeriesValue } = require('./series');
+const { broadcast } = require('./stream');
+const { buildDataPayload } = require('./telemetry');
+const { alarmEngine } = require('./alarms');
+const { computeAllColors } = require('./interlocks');
+const { monitorMetrics } = require('./metrics');
+const { loopHealth, reportLoopError } = require('./health');
 const {
-  shortTermPressureGraph,
-  longTermPressureGraph,
-  updateDisplayData,
-  addCCSPoint,
-  ccsGraphA,
-  ccsGraphB,
-  ccsGraphC,
-} = require('./graphs');
+  notifier,
+  detectInterlockTrips,
+  buildExperimentStoppedNotification,
+} = require('./notifier');
+const { interlockTransitionTracker } = require('./transitions');
+const { runBoundaryDetector, runManager } = require('./runs');
+const { recordFieldQuality, buildFieldQuality } = require('./quality');
+const clock = require('./clock');
 
 const SHORT_TERM_EXPECTED_INTERVAL_MS = 3_000;
 const LONG_TERM_EXPECTED_INTERVAL_MS = 60_000;
@@ -24,6 +33,8 @@ const LONG_TERM_EXPECTED_INTERVAL_MS = 60_000;
 let telemetrySyncInProgress = false;
 let longTermSyncInProgress = false;
 let displayRefreshInProgress = false;
+let lastPublishedStateKey = null;
+let lastNotifiedSicColors = null;
 
 function parseTimestampMs(timestamp) {
   const parsed = Date.parse(timestamp);
@@ -69,9 +80,18 @@ function isCursorAfter(candidateCursor, referenceCursor) {
   return candidateCursor.id > referenceCursor.id;
 }
 
+/**
+ * Drops rows at or before the cursor. Realtime and the reconciling poll can both deliver a row,
+ * and the cursor may move while a fetch is in flight.
+ */
+function filterUnseenEntries(entries, cursor, timestampColumn) {
+  return entries.filter((entry) => isCursorAfter(buildCursor(entry?.[timestampColumn], entry?.id), cursor));
+}
+
 function logGapIfNeeded({
   logger,
   label,
+  table,
   previousTimestamp,
   previousMs,
   currentTimestamp,
@@ -84,6 +104,7 @@ function logGapIfNeeded({
 
   const gapMs = currentMs - previousMs;
   if (gapMs > expectedIntervalMs * 2) {
+    monitorMetrics.syncGap(table);
     logger.warn(
       `${label} sync gap detected: ${gapMs} ms between ${previousTimestamp} and ${currentTimestamp}`
     );
@@ -102,17 +123,104 @@ function logBatchSummary(logger, label, summary) {
   );
 }
 
+/**
+ * Publishes the tail of a decimated series' display arrays after a batch was plotted.
+ * Display points before the graph's stableDisplayLength (captured before the batch) are
+ * never rewritten while the factor stays the same, so everything after it is sent and a
+ * browser can splice the tail onto its copy; a changed downsampleFactor tells it to refetch.
+ */
+function publishChartAppend(publish, series, appendedCount, stableDisplayLength) {
+  if (appendedCount === 0) {
+    return;
+  }
+
+  const { graph } = series;
+  const tailStart = Math.min(stableDisplayLength, Math.max(0, graph.displayXVals.length - 1));
+
+  publish('chart-append', {
+    series: series.name,
+    ...(series.view ? { view: series.view } : {}),
+    xVals: graph.displayXVals.slice(tailStart),
+    yVals: graph.displayYVals.slice(tailStart),
+    ...getGraphMetadata(graph),
+  });
+}
+
+/**
+ * Tracks what one polled batch added to each series so it can be published afterwards:
+ * decimated series as one chart-append each, ring series together as one series-append.
+ */
+function createSeriesBatch(seriesList) {
+  const ringSeries = seriesList.filter((series) => series.storage === 'ring');
+
+  return {
+    seriesList,
+    hasRingSeries: ringSeries.length > 0,
+    stableDisplayLengths: new Map(seriesList
+      .filter((series) => series.storage === 'decimated')
+      .map((series) => [series.name, series.graph.stableDisplayLength ?? 0])),
+    appendedCounts: new Map(seriesList.map((series) => [series.name, 0])),
+    ringAppend: {
+      xVals: [],
+      series: Object.fromEntries(ringSeries.map((series) => [series.name, []])),
+      maxPoints: Object.fromEntries(ringSeries.map((series) => [series.name, series.graph.maxPoints ?? null])),
+    },
+  };
+}
+
+/**
+ * Appends one row to every series of the batch.
+ * @returns {boolean|null} Whether the primary series plotted a value, or null without a primary series
+ */
+function appendRowToSeries(batch, row, tSec) {
+  let primaryPlotted = null;
+
+  if (batch.hasRingSeries) {
+    batch.ringAppend.xVals.push(tSec);
+  }
+
+  for (const series of batch.seriesList) {
+    const plotted = appendSeriesValue(series, tSec, series.extract(row));
+
+    if (series.storage === 'ring') {
+      batch.ringAppend.series[series.name].push(series.graph.yVals.at(-1));
+    } else if (plotted) {
+      batch.appendedCounts.set(series.name, batch.appendedCounts.get(series.name) + 1);
+    }
+
+    if (series.primary) {
+      primaryPlotted = plotted;
+    }
+  }
+
+  return primaryPlotted;
+}
+
+function publishSeriesBatch(publish, batch) {
+  for (const series of batch.seriesList) {
+    if (series.storage !== 'decimated') continue;
+    publishChartAppend(
+      publish,
+      series,
+      batch.appendedCounts.get(series.name),
+      batch.stableDisplayLengths.get(series.name)
+    );
+  }
+
+  if (batch.ringAppend.xVals.length > 0) {
+    publish('series-append', batch.ringAppend);
+  }
+}
+
 function applyShortTermEntries(entries, options = {}) {
   const {
     stateRef = state,
-    graph = shortTermPressureGraph,
-    graphUpdater = updateDisplayData,
-    ccsA = ccsGraphA,
-    ccsB = ccsGraphB,
-    ccsC = ccsGraphC,
-    ccsPointAdder = addCCSPoint,
+    series = seriesRegistry.forSource('short_term_logs'),
     logger = console,
     expectedIntervalMs = SHORT_TERM_EXPECTED_INTERVAL_MS,
+    publish = broadcast,
+    transitionTracker = interlockTransitionTracker,
+    runDetector = runBoundaryDetector, // null while replaying
   } = options;
 
   const summary = {
@@ -121,10 +229,13 @@ function applyShortTermEntries(entries, options = {}) {
     skippedCount: 0,
     firstTimestamp: null,
     lastTimestamp: getCursorTimestamp(stateRef.lastShortTermCursor),
+    transitions: [],
+    runBoundaries: [],
   };
 
   let previousTimestamp = getCursorTimestamp(stateRef.lastShortTermCursor);
   let previousMs = parseTimestampMs(previousTimestamp);
+  const batch = createSeriesBatch(series);
 
   for (const entry of entries) {
     const entryTimestamp = entry?.created_at;
@@ -143,6 +254,7 @@ function applyShortTermEntries(entries, options = {}) {
     logGapIfNeeded({
       logger,
       label: 'Short-term',
+      table: 'short_term_logs',
       previousTimestamp,
       previousMs,
       currentTimestamp: entryTimestamp,
@@ -152,26 +264,19 @@ function applyShortTermEntries(entries, options = {}) {
 
     const tSec = Math.floor(entryMs / 1000);
 
-    ccsPointAdder(ccsA, tSec, entry.data?.clamp_temperature_A ?? null);
-    ccsPointAdder(ccsB, tSec, entry.data?.clamp_temperature_B ?? null);
-    ccsPointAdder(ccsC, tSec, entry.data?.clamp_temperature_C ?? null);
+    summary.transitions.push(...transitionTracker.observe(entry.data, entryTimestamp));
+    const runBoundary = runDetector?.observe(entry, previousTimestamp);
+    if (runBoundary) {
+      summary.runBoundaries.push(runBoundary);
+    }
 
-    const pressure = Number.parseFloat(entry.data?.pressure);
-    if (!Number.isFinite(pressure)) {
+    if (appendRowToSeries(batch, entry, tSec) === false) {
       summary.skippedCount++;
       logger.warn(`Skipping short-term pressure row at ${entryTimestamp}: invalid pressure value`);
-      stateRef.lastShortTermCursor = entryCursor;
-      previousTimestamp = entryTimestamp;
-      previousMs = entryMs;
-      summary.lastTimestamp = entryTimestamp;
-      continue;
+    } else {
+      summary.appendedCount++;
     }
 
-    graph.fullXVals.push(tSec);
-    graph.fullYVals.push(pressure);
-    graphUpdater(graph);
-
-    summary.appendedCount++;
     stateRef.lastShortTermCursor = entryCursor;
     previousTimestamp = entryTimestamp;
     previousMs = entryMs;
@@ -179,16 +284,18 @@ function applyShortTermEntries(entries, options = {}) {
   }
 
   logBatchSummary(logger, 'Short-term', summary);
+  monitorMetrics.rowsApplied('short_term_logs', summary);
+  publishSeriesBatch(publish, batch);
   return summary;
 }
 
 function applyLongTermEntries(entries, options = {}) {
   const {
     stateRef = state,
-    graph = longTermPressureGraph,
-    graphUpdater = updateDisplayData,
+    series = seriesRegistry.forSource('long_term_logs'),
     logger = console,
     expectedIntervalMs = LONG_TERM_EXPECTED_INTERVAL_MS,
+    publish = broadcast,
   } = options;
 
   const summary = {
@@ -201,6 +308,7 @@ function applyLongTermEntries(entries, options = {}) {
 
   let previousTimestamp = getCursorTimestamp(stateRef.lastLongTermCursor);
   let previousMs = parseTimestampMs(previousTimestamp);
+  const batch = createSeriesBatch(series);
 
   for (const entry of entries) {
     const entryTimestamp = entry?.recorded_at;
@@ -224,6 +332,7 @@ function applyLongTermEntries(entries, options = {}) {
     logGapIfNeeded({
       logger,
       label: 'Long-term',
+      table: 'long_term_logs',
       previousTimestamp,
       previousMs,
       currentTimestamp: entryTimestamp,
@@ -231,23 +340,15 @@ function applyLongTermEntries(entries, options = {}) {
       expectedIntervalMs,
     });
 
-    const pressure = Number.parseFloat(entry.avg_pressure);
-    if (!Number.isFinite(pressure)) {
+    const tSec = Math.floor(entryMs / 1000);
+
+    if (appendRowToSeries(batch, entry, tSec) === false) {
       summary.skippedCount++;
       logger.warn(`Skipping long-term pressure row at ${entryTimestamp}: invalid avg_pressure`);
-      stateRef.lastLongTermCursor = entryCursor;
-      previousTimestamp = entryTimestamp;
-      previousMs = entryMs;
-      summary.lastTimestamp = entryTimestamp;
-      continue;
+    } else {
+      summary.appendedCount++;
     }
 
-    const tSec = Math.floor(entryMs / 1000);
-    graph.fullXVals.push(tSec);
-    graph.fullYVals.push(pressure);
-    graphUpdater(graph);
-
-    summary.appendedCount++;
     stateRef.lastLongTermCursor = entryCursor;
     previousTimestamp = entryTimestamp;
     previousMs = entryMs;
@@ -255,18 +356,65 @@ function applyLongTermEntries(entries, options = {}) {
   }
 
   logBatchSummary(logger, 'Long-term', summary);
+  monitorMetrics.rowsApplied('long_term_logs', summary);
+  publishSeriesBatch(publish, batch);
   return summary;
 }
 
+/**
+ * Persists interlock/vacuum transitions and pushes them to /stream subscribers.
+ * A failed insert is logged but still broadcast so the live timeline stays current.
+ */
+async function recordInterlockEvents(transitions, publish = broadcast) {
+  if (transitions.length === 0) {
+    return [];
+  }
+
+  let events = transitions;
+  try {
+    events = await insertInterlockEvents(transitions);
+  } catch (err) {
+    console.error('Failed to record interlock events:', err.message ?? err);
+  }
+
+  for (const event of events) {
+    console.log(`Interlock transition at ${event.occurred_at}: ${event.signal} ${event.old_value} -> ${event.new_value}`);
+  }
+
+  publish('interlock-events', { events });
+  return events;
+}
+
+/**
+ * Ends the current run at the boundaries a batch crossed (services/runs.js). A failure is logged
+ * and the rows stay in the current run.
+ */
+async function closeDetectedRuns(boundaries) {
+  if (boundaries.length === 0) {
+    return [];
+  }
+
+  try {
+    return await runManager.closeDetected(boundaries);
+  } catch (err) {
+    console.error('Failed to end the run at a detected boundary:', err.message ?? err);
+    return [];
+  }
+}
+
 /**
  * Polls the short_term_logs table and drains every unseen row since the last cursor.
  */
 async function pollShortTerm() {
   try {
     const entries = await fetchShortTermEntriesSince(state.lastShortTermCursor);
-    return applyShortTermEntries(entries);
+    const summary = applyShortTermEntries(filterUnseenEntries(entries, state.lastShortTermCursor, 'created_at'));
+    await recordInterlockEvents(summary.transitions);
+    await closeDetectedRuns(summary.runBoundaries);
+    return summary;
   } catch (err) {
     console.error('Error in pollShortTerm:', err);
+    reportLoopError(err);
     return null;
   }
 }
@@ -275,35 +423,200 @@ async function pollShortTerm() {
  * Polls the long_term_logs table and drains every unseen row since the last cursor.
  */
 async function pollLongTerm() {
+  if (state.replay) {
+    return null;
+  }
+
   if (longTermSyncInProgress) {
     console.warn('Long-term sync skipped because the previous run is still in progress');
+    loopHealth.skipped('long_term');
     return null;
   }
 
   longTermSyncInProgress = true;
 
   try {
-    const entries = await fetchLongTermEntriesSince(state.lastLongTermCursor);
-    return applyLongTermEntries(entries);
-  } catch (err) {
-    console.error('Error in pollLongTerm:', err);
-    return null;
+    return await loopHealth.track('long_term', async () => {
+      try {
+        const entries = await fetchLongTermEntriesSince(state.lastLongTermCursor);
+        return applyLongTermEntries(filterUnseenEntries(entries, state.lastLongTermCursor, 'recorded_at'));
+      } catch (err) {
+        console.error('Error in pollLongTerm:', err);
+        reportLoopError(err);
+        return null;
+      }
+    });
   } finally {
     longTermSyncInProgress = false;
   }
 }
 
+/**
+ * Drains both tables from the cursors restored out of a snapshot. Interlock transitions are not
+ * re-recorded: the previous process already wrote them for the rows it had seen.
+ */
+async function catchUpSinceCursors() {
+  const shortTerm = applyShortTermEntries(await fetchShortTermEntriesSince(state.lastShortTermCursor));
+  const longTerm = applyLongTermEntries(await fetchLongTermEntriesSince(state.lastLongTermCursor));
+  await closeDetectedRuns(shortTerm.runBoundaries);
+  return { shortTerm, longTerm };
+}
+
+/**
+ * Applies rows pushed by Supabase Realtime. Short-term rows also refresh the scalar dashboard
+ * state, alarms and notifications, which fetchAndUpdateFile() does on each poll in polling mode.
+ */
+async function ingestRealtimeRows(tableName, rows) {
+  if (state.replay) {
+    return null;
+  }
+
+  if (tableName === 'long_term_logs') {
+    const unseen = filterUnseenEntries(rows, state.lastLongTermCursor, 'recorded_at');
+    return unseen.length > 0 ? applyLongTermEntries(unseen) : null;
+  }
+
+  const unseen = filterUnseenEntries(rows, state.lastShortTermCursor, 'created_at');
+  if (unseen.length === 0) {
+    return null;
+  }
+
+  const summary = applyShortTermEntries(unseen);
+  const latestEntry = unseen.at(-1);
+
+  state.webMonitorLastModified = new Date(latestEntry.created_at);
+  applyLatestScalars(latestEntry);
+
+  evaluateAlarms();
+  notifyInterlockTrips();
+  publishStateIfChanged(buildCursor(latestEntry.created_at, latestEntry.id));
+  await recordInterlockEvents(summary.transitions);
+  await closeDetectedRuns(summary.runBoundaries);
+  return summary;
+}
+
+/**
+ * Pushes a "state" event to /stream subscribers when the latest row or the running flag changed.
+ */
+function publishStateIfChanged(latestCursor, publish = broadcast) {
+  const stateKey = [
+    latestCursor?.timestamp ?? '',
+    latestCursor?.id ?? '',
+    state.experimentRunning,
+    alarmEngine.getActiveAlarms().map((alarm) => `${alarm.id}:${alarm.status}`).join(','),
+    // A field going stale changes the payload without a new row
+    Object.values(buildFieldQuality()).map(({ quality }) => quality).join(','),
+  ].join('|');
+
+  if (stateKey === lastPublishedStateKey) {
+    return false;
+  }
+
+  lastPublishedStateKey = stateKey;
+  publish('state', buildDataPayload());
+  return true;
+}
+
+/**
+ * Runs the threshold alarm rules against the scalar state left behind by this poll.
+ */
+function evaluateAlarms(engine = alarmEngine, logger = console) {
+  const transitions = engine.evaluate(state.data, clock.now());
+
+  for (const { type, alarm } of transitions) {
+    if (type === 'raised') {
+      logger.warn(`Alarm raised [${alarm.severity}] ${alarm.label}: ${alarm.field} = ${alarm.value}`);
+    } else {
+      logger.log(`Alarm cleared: ${alarm.label} (${alarm.field} = ${alarm.value})`);
+    }
+  }
+
+  return transitions;
+}
+
+/**
+ * Sends a notification for every watched interlock that flipped from green to red since the last poll.
+ */
+function notifyInterlockTrips(dispatcher = notifier) {
+  const { sicColors } = computeAllColors(state.data, state.experimentRunning);
+  const trips = detectInterlockTrips(lastNotifiedSicColors, sicColors);
+  lastNotifiedSicColors = sicColors;
+
+  for (const trip of trips) {
+    console.warn(`Interlock trip: ${trip.title}`);
+    dispatcher.notify(trip);
+  }
+
+  return trips;
+}
+
+/**
+ * Whether the newest row is too old for the experiment to count as running, judged against the
+ * shared clock (the replay clock while a replay is playing).
+ */
+function isExperimentInactive(latestEntry, nowMs = clock.now()) {
+  return nowMs - Date.parse(latestEntry.created_at) > INACTIVE_THRESHOLD;
+}
+
+/**
+ * Clears the scalar state after the newest row went stale, sending a stop notification if the
+ * experiment was running until now.
+ */
+function markExperimentInactive(latestEntry, { notify = true } = {}) {
+  console.log('Experiment inactive - last update too old');
+  // Keeps each field's last-good time, so the dashboard can say how long it has been stale
+  recordFieldQuality(latestEntry.data, latestEntry.created_at);
+  if (notify && state.experimentRunning) {
+    notifier.notify(buildExperimentStoppedNotification(latestEntry.created_at));
+  }
+  state.experimentRunning = false;
+  resetData();
+}
+
+/**
+ * Copies the scalar dashboard values out of the newest short-term row.
+ * @returns {boolean} Whether the row's data could be mapped
+ */
+function applyLatestScalars(latestEntry) {
+  recordFieldQuality(latestEntry.data, latestEntry.created_at);
+  const mappedData = mapSupabaseDataToAppFormat(latestEntry.data);
+  if (!mappedData) {
+    return false;
+  }
+
+  Object.assign(state.data, mappedData);
+  state.experimentRunning = true;
+  state.lastScalarCursor = buildCursor(latestEntry.created_at, latestEntry.id);
+  return true;
+}
+
 /**
  * Main telemetry polling function - fetches scalar state and catches up graph caches.
  */
 async function fetchAndUpdateFile() {
+  // A replay drives the same state from services/replay.js until it is stopped
+  if (state.replay) {
+    return;
+  }
+
   if (telemetrySyncInProgress) {
     console.warn('Telemetry sync skipped because the previous run is still in progress');
+    loopHealth.skipped('telemetry');
     return;
   }
 
   telemetrySyncInProgress = true;
 
+  try {
+    await loopHealth.track('telemetry', syncTelemetry);
+  } finally {
+    telemetrySyncInProgress = false;
+  }
+}
+
+async function syncTelemetry() {
+  let latestCursor = null;
+
   try {
     const latestEntry = await fetchLatestShortTermEntry();
 
@@ -313,56 +626,64 @@ async function fetchAndUpdateFile() {
       resetData();
       return;
     }
-    const latestCursor = buildCursor(latestEntry.created_at, latestEntry.id);
+    latestCursor = buildCursor(latestEntry.created_at, latestEntry.id);
 
-    const experimentTime = new Date(latestEntry.created_at);
-    const experimentTimestamp = experimentTime.getTime();
-    state.webMonitorLastModified = experimentTime;
+    // In realtime mode a pushed row may have refreshed the scalars past this "latest" row already
+    if (isCursorAfter(state.lastScalarCursor, latestCursor)) {
+      await pollShortTerm();
+      return;
+    }
 
-    const now = Date.now();
+    state.webMonitorLastModified = new Date(latestEntry.created_at);
 
-    if (now - experimentTimestamp > INACTIVE_THRESHOLD) {
-      console.log('Experiment inactive - last update too old');
+    if (isExperimentInactive(latestEntry)) {
       if (isCursorAfter(latestCursor, state.lastShortTermCursor)) {
         state.lastShortTermCursor = latestCursor;
       }
-      state.experimentRunning = false;
-      resetData();
+      markExperimentInactive(latestEntry);
       return;
     }
 
     await pollShortTerm();
 
-    const mappedData = mapSupabaseDataToAppFormat(latestEntry.data);
-
-    if (mappedData) {
-      Object.assign(state.data, mappedData);
-      state.experimentRunning = true;
+    if (applyLatestScalars(latestEntry)) {
       console.log(`Data updated from Supabase at ${new Date().toLocaleTimeString()}`);
     } else {
       console.log('Failed to map Supabase data');
+      reportLoopError(new Error('Failed to map the latest short_term_logs row'));
       state.experimentRunning = false;
       resetData();
     }
   } catch (error) {
     console.error('Error in fetchAndUpdateFile:', error);
+    reportLoopError(error);
     state.experimentRunning = false;
     resetData();
   } finally {
-    telemetrySyncInProgress = false;
+    evaluateAlarms();
+    notifyInterlockTrips();
+    publishStateIfChanged(latestCursor);
   }
 }
 
 async function refreshDisplayLogs() {
   if (displayRefreshInProgress) {
     console.warn('Display log refresh skipped because the previous run is still in progress');
+    loopHealth.skipped('display_log');
     return false;
   }
 
   displayRefreshInProgress = true;
 
   try {
-    return await fetchDisplayFileContents();
+    return await loopHealth.track('display_log', async () => {
+      const previousModified = state.displayLogLastModified;
+      const result = await fetchDisplayFileContents();
+      if (state.displayLogLastModified !== previousModified) {
+        broadcast('state', buildDataPayload());
+      }
+      return result;
+    });
   } finally {
     displayRefreshInProgress = false;
   }
@@ -372,9 +693,16 @@ module.exports = {
   fetchAndUpdateFile,
   pollShortTerm,
   pollLongTerm,
+  catchUpSinceCursors,
+  ingestRealtimeRows,
   refreshDisplayLogs,
   applyShortTermEntries,
   applyLongTermEntries,
+  isExperimentInactive,
+  markExperimentInactive,
+  applyLatestScalars,
+  evaluateAlarms,
+  publishStateIfChanged,
   SHORT_TERM_EXPECTED_INTERVAL_MS,
   LONG_TERM_EXPECTED_INTERVAL_MS,
 };
@@ -0,0 +1,171 @@
+const state = require('./state');
+const clock = require('./clock');
+const { SIC_SIGNALS } = require('./interlocks');
+const { FIELD_STALE_AFTER_MS } = require('../config');
+
+const QUALITY = Object.freeze({
+  FRESH: 'fresh',
+  STALE: 'stale',
+  DISCONNECTED: 'disconnected',
+  INVALID: 'invalid',
+});
+
+// Worst last, for widgets that depend on several fields
+const QUALITY_RANK = [QUALITY.FRESH, QUALITY.STALE, QUALITY.INVALID, QUALITY.DISCONNECTED];
+
+// What the logger writes when a device does not answer
+const DISCONNECTED_MARKERS = new Set(['DISCONNECTED', 'None', '']);
+
+function isMissing(value) {
+  return value == null || DISCONNECTED_MARKERS.has(value);
+}
+
+function checkNumber(value) {
+  if (isMissing(value)) return QUALITY.DISCONNECTED;
+  return Number.isFinite(Number(value)) ? QUALITY.FRESH : QUALITY.INVALID;
+}
+
+function checkPressure(value) {
+  const quality = checkNumber(value);
+  return quality === QUALITY.FRESH && Number(value) <= 0 ? QUALITY.INVALID : quality;
+}
+
+// The logger writes flags as 0/1 or as booleans; the interlock mapper reads both as truthiness
+function isFlag(flag) {
+  return flag === 0 || flag === 1 || flag === true || flag === false;
+}
+
+function checkFlags(length) {
+  return (value) => {
+    if (isMissing(value)) return QUALITY.DISCONNECTED;
+    const valid = Array.isArray(value) && value.length === length && value.every(isFlag);
+    return valid ? QUALITY.FRESH : QUALITY.INVALID;
+  };
+}
+
+// Vacuum bits arrive either as a '0'/'1' string or already split into an array of flags
+function checkVacuumBits(value) {
+  if (isMissing(value)) return QUALITY.DISCONNECTED;
+  const valid = typeof value === 'string'
+    ? /^[01]{8}$/.test(value)
+    : Array.isArray(value) && value.length === 8 && value.every(isFlag);
+  return valid ? QUALITY.FRESH : QUALITY.INVALID;
+}
+
+/**
+ * The tracked fields, keyed like state.data. Each reads its raw value out of a short_term_logs
+ * `data` object; temperatures are tracked per sensor since the sensors drop out one at a time.
+ */
+const QUALITY_FIELDS = [
+  { key: 'pressure', read: (data) => data.pressure, check: checkPressure },
+  { key: 'safetyInputDataFlags', read: (data) => data.safetyInputDataFlags, check: checkFlags(13) },
+  { key: 'safetyInputStatusFlags', read: (data) => data.safetyInputStatusFlags, check: checkFlags(13) },
+  { key: 'safetyOutputDataFlags', read: (data) => data.safetyOutputDataFlags, check: checkFlags(7) },
+  { key: 'safetyOutputStatusFlags', read: (data) => data.safetyOutputStatusFlags, check: checkFlags(7) },
+  { key: 'vacuumBits', read: (data) => data.vacuumBits, check: checkVacuumBits },
+  ...['1', '2', '3', '4', '5', '6'].map((sensor) => ({
+    key: `temperatures.${sensor}`,
+    read: (data) => data.temperatures?.[sensor],
+    check: checkNumber,
+  })),
+  ...['A', 'B', 'C'].flatMap((cathode) => [
+    { key: `heaterCurrent_${cathode}`, read: (data) => data[`Cathode ${cathode} - Heater Current:`], check: checkNumber },
+    { key: `heaterVoltage_${cathode}`, read: (data) => data[`Cathode ${cathode} - Heater Voltage:`], check: checkNumber },
+    { key: `clamp_temperature_${cathode}`, read: (data) => data[`clamp_temperature_${cathode}`], check: checkNumber },
+  ]),
+];
+
+// The gauge stamps its own reading; an unchanged pressureTimestamp means the gauge stopped updating
+function pressureObservedAt(data, createdAt) {
+  const gaugeMs = Date.parse(data.pressureTimestamp);
+  if (!Number.isFinite(gaugeMs) || gaugeMs > Date.parse(createdAt)) {
+    return createdAt;
+  }
+  return new Date(gaugeMs).toISOString();
+}
+
+/**
+ * Records what one short_term_logs row says about each field: the status of its reading, and the
+ * row time as the field's last-good time when the reading was usable.
+ *
+ * @param {Object} data - Raw `data` jsonb of the row
+ * @param {string} createdAt - The row's created_at
+ * @param {Object} [stateRef] - Shared app state (injectable for tests)
+ */
+function recordFieldQuality(data, createdAt, stateRef = state) {
+  if (!data) {
+    return;
+  }
+
+  for (const field of QUALITY_FIELDS) {
+    const status = field.check(field.read(data));
+    const previous = stateRef.fieldQuality[field.key];
+    const observedAt = field.key === 'pressure' ? pressureObservedAt(data, createdAt) : createdAt;
+
+    stateRef.fieldQuality[field.key] = {
+      status,
+      lastGoodAt: status === QUALITY.FRESH ? observedAt : (previous?.lastGoodAt ?? null),
+    };
+  }
+}
+
+/**
+ * The quality of every tracked field right now. A usable reading goes stale once its last-good
+ * time is more than `staleAfterMs` behind the shared clock (the replay clock during a replay).
+ *
+ * @returns {Object<string, { quality: string, lastGoodAt: string|null }>}
+ */
+function buildFieldQuality(stateRef = state, nowMs = clock.now(), staleAfterMs = FIELD_STALE_AFTER_MS) {
+  const recorded = stateRef.fieldQuality ?? {};
+  const result = {};
+
+  for (const { key } of QUALITY_FIELDS) {
+    const entry = recorded[key];
+    let quality = entry?.status ?? QUALITY.DISCONNECTED;
+
+    if (quality === QUALITY.FRESH && nowMs - Date.parse(entry.lastGoodAt) > staleAfterMs) {
+      quality = QUALITY.STALE;
+    }
+    result[key] = { quality, lastGoodAt: entry?.lastGoodAt ?? null };
+  }
+
+  return result;
+}
+
+/**
+ * The worst of several qualities, for a widget that depends on more than one field.
+ */
+function worstQuality(qualities) {
+  return qualities.reduce(
+    (worst, quality) => (QUALITY_RANK.indexOf(quality) > QUALITY_RANK.indexOf(worst) ? quality : worst),
+    QUALITY.FRESH
+  );
+}
+
+// All Interlocks and G9 Output are read from the safety outputs, every other light from the inputs
+const OUTPUT_SIGNAL_KEYS = new Set(['all-interlocks', 'g9-output']);
+
+/**
+ * Per-light qualities in the order of computeAllColors, so the dashboard can grey out just the
+ * interlock or vacuum lights whose flags are not fresh.
+ * @param {Object} fieldQuality - Output of buildFieldQuality()
+ * @returns {{ sicQuality: string[], vacuumQuality: string }}
+ */
+function buildIndicatorQuality(fieldQuality) {
+  const inputs = worstQuality([fieldQuality.safetyInputDataFlags.quality, fieldQuality.safetyInputStatusFlags.quality]);
+  const outputs = fieldQuality.safetyOutputDataFlags.quality;
+
+  return {
+    sicQuality: SIC_SIGNALS.map(({ key }) => (OUTPUT_SIGNAL_KEYS.has(key) ? outputs : inputs)),
+    vacuumQuality: fieldQuality.vacuumBits.quality,
+  };
+}
+
+module.exports = {
+  QUALITY,
+  QUALITY_FIELDS,
+  recordFieldQuality,
+  buildFieldQuality,
+  buildIndicatorQuality,
+  worstQuality,
+};
@@ -0,0 +1,157 @@
+const REALTIME_TABLES = ['short_term_logs', 'long_term_logs'];
+const REALTIME_CHANNEL = 'telemetry-inserts';
+const DISCONNECTED_STATUSES = ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'];
+
+/**
+ * Creates the Supabase Realtime ingest path. INSERTs on both log tables are handed to `onRows` as
+ * they arrive, and cursor-based `reconcile` fills whatever the socket missed:
+ * - on every (re)subscription, before any pushed row is applied;
+ * - every `pollIntervalMs` while the channel is down, like the plain polling mode;
+ * - every `reconcileIntervalMs` while it is up, as a safety net.
+ * Rows pushed while a reconcile is running are held back and replayed after it, so the cursor
+ * never jumps past rows the reconcile has yet to fetch.
+ *
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client, or a fake with channel()/removeChannel()
+ * @param {Function} options.onRows - (tableName, rows) => Promise|void, rows in arrival order
+ * @param {Function} options.reconcile - async () => void; drains both tables from their cursors
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.reconcileIntervalMs]
+ * @param {Object} [options.logger]
+ */
+function createRealtimeIngest(options) {
+  const {
+    client,
+    onRows,
+    reconcile,
+    pollIntervalMs = 3_000,
+    reconcileIntervalMs = 30_000,
+    logger = console,
+  } = options;
+
+  let channel = null;
+  let timer = null;
+  let connected = false;
+  let reconcilePromise = null;
+  let lastReconcileAt = 0;
+  let heldRows = [];
+
+  async function deliver(tableName, rows) {
+    try {
+      await onRows(tableName, rows);
+    } catch (err) {
+      logger.error(`Realtime ingest failed for ${tableName}:`, err);
+    }
+  }
+
+  async function replayHeldRows() {
+    const rows = heldRows;
+    heldRows = [];
+
+    for (const tableName of REALTIME_TABLES) {
+      const tableRows = rows.filter((held) => held.tableName === tableName).map((held) => held.row);
+      if (tableRows.length > 0) {
+        await deliver(tableName, tableRows);
+      }
+    }
+  }
+
+  function runReconcile() {
+    if (reconcilePromise) {
+      return reconcilePromise;
+    }
+
+    reconcilePromise = (async () => {
+      try {
+        await reconcile();
+      } catch (err) {
+        logger.error('Realtime reconcile failed:', err);
+      } finally {
+        lastReconcileAt = Date.now();
+        reconcilePromise = null;
+        await replayHeldRows();
+      }
+    })();
+
+    return reconcilePromise;
+  }
+
+  function handleInsert(tableName, payload) {
+    const row = payload?.new;
+    if (!row) {
+      return;
+    }
+
+    if (reconcilePromise) {
+      heldRows.push({ tableName, row });
+      return;
+    }
+
+    deliver(tableName, [row]);
+  }
+
+  function handleStatus(status, err) {
+    if (status === 'SUBSCRIBED') {
+      logger.log(`Realtime channel ${REALTIME_CHANNEL} subscribed; reconciling from cursors`);
+      connected = true;
+      runReconcile();
+      return;
+    }
+
+    if (DISCONNECTED_STATUSES.includes(status)) {
+      if (connected) {
+        logger.warn(`Realtime channel ${REALTIME_CHANNEL} ${status}${err ? `: ${err.message ?? err}` : ''}; polling until it rejoins`);
+      }
+      connected = false;
+    }
+  }
+
+  function tick() {
+    const due = connected ? Date.now() - lastReconcileAt >= reconcileIntervalMs : true;
+    if (due) {
+      runReconcile();
+    }
+  }
+
+  function start() {
+    if (channel) {
+      return;
+    }
+
+    channel = client.channel(REALTIME_CHANNEL);
+    for (const tableName of REALTIME_TABLES) {
+      channel.on(
+        'postgres_changes',
+        { event: 'INSERT', schema: 'public', table: tableName },
+        (payload) => handleInsert(tableName, payload)
+      );
+    }
+    channel.subscribe(handleStatus);
+    timer = setInterval(tick, pollIntervalMs);
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    connected = false;
+
+    if (channel) {
+      const closing = channel;
+      channel = null;
+      await client.removeChannel(closing);
+    }
+  }
+
+  return {
+    start,
+    stop,
+    reconcile: runReconcile,
+    isConnected: () => connected,
+  };
+}
+
+module.exports = {
+  REALTIME_TABLES,
+  REALTIME_CHANNEL,
+  createRealtimeIngest,
+};
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const readline = require('readline');
+const state = require('./state');
+const clock = require('./clock');
+const { iterateEntriesSince, resetData } = require('./storage');
+const { PAGE_SIZE } = require('./adapters/common');
+const { restoreShortTermRow } = require('./export');
+const { parseRangeBoundary } = require('./history');
+const { seriesRegistry, resetSeries } = require('./series');
+const { buildSnapshot, restoreSnapshot } = require('./persistence');
+const { createTransitionTracker } = require('./transitions');
+const { broadcast } = require('./stream');
+const {
+  fetchAndUpdateFile,
+  pollLongTerm,
+  applyShortTermEntries,
+  isExperimentInactive,
+  markExperimentInactive,
+  applyLatestScalars,
+  evaluateAlarms,
+  publishStateIfChanged,
+} = require('./polling');
+
+const REPLAY_SPEEDS = [1, 10, 100];
+const REPLAY_TICK_MS = 250;
+
+/**
+ * Pages of short_term_logs rows between two instants, read through the storage adapter.
+ */
+function readRangeSource(fromMs, toMs) {
+  // The cursor is exclusive, so start 1ms early to include rows stamped exactly at fromMs
+  const cursor = { timestamp: new Date(fromMs - 1).toISOString(), id: null };
+  return iterateEntriesSince('short_term_logs', cursor, new Date(toMs).toISOString());
+}
+
+/**
+ * Pages of rows from an NDJSON file in created_at order. Lines may be raw short_term_logs rows
+ * (a capture, with a `data` object) or lines of a short-term /export, which are mapped back.
+ */
+async function* readFileSource(filePath, pageSize = PAGE_SIZE) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let page = [];
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${filePath}:${lineNumber} is not valid JSON: ${err.message}`);
+    }
+
+    page.push(row.data && typeof row.data === 'object' ? row : restoreShortTermRow(row));
+    if (page.length >= pageSize) {
+      yield page;
+      page = [];
+    }
+  }
+
+  if (page.length > 0) {
+    yield page;
+  }
+}
+
+/**
+ * Parses the replay command-line flags:
+ *   --replay=<file.ndjson> | --replay-from=<time> [--replay-to=<time>], plus --replay-speed=1|10|100
+ * @returns {Object|null} Options for replayController.start(), or null when no replay was asked for
+ * @throws {Error} On an unreadable time or an unsupported speed
+ */
+function parseReplayArgs(argv, nowMs = Date.now()) {
+  const flags = {};
+  for (const arg of argv) {
+    const match = /^--(replay(?:-from|-to|-speed)?)=(.*)$/.exec(arg);
+    if (match) {
+      flags[match[1]] = match[2];
+    }
+  }
+
+  if (!flags.replay && !flags['replay-from']) {
+    return null;
+  }
+
+  const speed = Number(flags['replay-speed'] ?? 1);
+  if (!REPLAY_SPEEDS.includes(speed)) {
+    throw new Error(`--replay-speed must be one of ${REPLAY_SPEEDS.join(', ')}`);
+  }
+
+  if (flags.replay) {
+    return { filePath: flags.replay, speed };
+  }
+
+  const fromMs = parseRangeBoundary(flags['replay-from']);
+  const toMs = parseRangeBoundary(flags['replay-to']) ?? nowMs;
+  if (fromMs == null || fromMs >= toMs) {
+    throw new Error('--replay-from must be a timestamp before --replay-to');
+  }
+  return { fromMs, toMs, speed };
+}
+
+/**
+ * Plays recorded short_term_logs rows back through the live pipeline: the series caches, the
+ * scalar state, alarms and /stream, paced by a replay clock that also drives the inactivity check.
+ * Live ingest pauses while a replay runs (see state.replay in polling.js). Stopping, or reaching
+ * the end of the source, puts the live caches back and catches up on the rows written meanwhile.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.publish] - SSE broadcast
+ * @param {Function} [options.resumeLive] - Catches live state up after the caches are restored
+ * @param {number} [options.tickMs] - Wall-clock interval between playback steps
+ * @param {() => number} [options.wallNow] - Injectable for tests
+ */
+function createReplayController(options = {}) {
+  const {
+    publish = broadcast,
+    logger = console,
+    resumeLive = async () => {
+      await fetchAndUpdateFile();
+      await pollLongTerm();
+    },
+    tickMs = REPLAY_TICK_MS,
+    wallNow = Date.now,
+  } = options;
+
+  let session = null;
+
+  // Batch summaries would be logged four times a second; gap warnings are still worth seeing
+  const playbackLogger = { log: () => {}, warn: (...args) => logger.warn(...args) };
+
+  function publishStatus() {
+    publish('replay', { replay: state.replay });
+  }
+
+  /**
+   * @param {Object} source
+   * @param {string} [source.filePath] - NDJSON capture or short-term export
+   * @param {number} [source.fromMs] - Time range in storage, used when no filePath is given
+   * @param {number} [source.toMs]
+   * @param {number} [source.speed] - 1, 10 or 100
+   * @returns {Promise<Object|null>} The replay status, or null when the source has no rows
+   */
+  async function start({ filePath = null, fromMs = null, toMs = null, speed = 1 }) {
+    if (state.replay) {
+      throw new Error('A replay is already running');
+    }
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      throw new Error(`speed must be one of ${REPLAY_SPEEDS.join(', ')}`);
+    }
+
+    const label = filePath
+      ? `file ${filePath}`
+      : `${new Date(fromMs).toISOString()} to ${new Date(toMs).toISOString()}`;
+
+    // Claim the state before the first read so live polls stop touching it
+    state.replay = { status: 'loading', source: label, speed, startedAt: new Date(wallNow()).toISOString(), position: null };
+
+    let iterator;
+    let firstPage;
+    try {
+      const pages = filePath ? readFileSource(filePath) : readRangeSource(fromMs, toMs);
+      iterator = pages[Symbol.asyncIterator]();
+      firstPage = await iterator.next();
+    } catch (err) {
+      state.replay = null;
+      throw err;
+    }
+
+    if (firstPage.done) {
+      state.replay = null;
+      logger.warn(`No short_term_logs rows to replay from ${label}`);
+      return null;
+    }
+
+    // Copied because the series arrays are reset and refilled in place during playback
+    const liveSnapshot = structuredClone(buildSnapshot({ nowMs: wallNow() }));
+    const firstRowMs = Date.parse(firstPage.value[0].created_at);
+
+    session = {
+      iterator,
+      rows: firstPage.value,
+      rowIndex: 0,
+      exhausted: false,
+      ticking: false,
+      latestEntry: null,
+      liveSnapshot,
+      liveScalarCursor: state.lastScalarCursor,
+      liveFieldQuality: state.fieldQuality,
+      transitionTracker: createTransitionTracker(),
+      clock: clock.createReplayClock({ startMs: firstRowMs, speed, wallNow }),
+      timer: null,
+    };
+
+    seriesRegistry.forSource('short_term_logs').forEach(resetSeries);
+    state.lastShortTermCursor = null;
+    state.lastScalarCursor = null;
+    state.experimentRunning = false;
+    state.fieldQuality = {};
+    resetData();
+    clock.useClock(session.clock);
+
+    Object.assign(state.replay, { status: 'playing', position: new Date(firstRowMs).toISOString() });
+    session.timer = setInterval(tick, tickMs);
+    logger.log(`Replay started at ${speed}x from ${label}`);
+    publishStatus();
+    return state.replay;
+  }
+
+  // Pulls every row the replay clock has reached, fetching the next page when one runs out
+  async function takeDueRows(current, nowMs) {
+    const due = [];
+
+    while (!current.exhausted) {
+      if (current.rowIndex >= current.rows.length) {
+        const next = await current.iterator.next();
+        if (next.done) {
+          current.exhausted = true;
+          break;
+        }
+        current.rows = next.value;
+        current.rowIndex = 0;
+        continue;
+      }
+
+      const row = current.rows[current.rowIndex];
+      if (Date.parse(row.created_at) > nowMs) {
+        break;
+      }
+      due.push(row);
+      current.rowIndex++;
+    }
+
+    return due;
+  }
+
+  /**
+   * One playback step: applies the rows the replay clock has passed, then re-evaluates the
+   * inactivity threshold, alarms and the published state against the replay clock.
+   */
+  async function tick() {
+    if (!session || session.ticking) {
+      return;
+    }
+
+    const current = session;
+    current.ticking = true;
+
+    try {
+      const nowMs = current.clock.now();
+      const due = await takeDueRows(current, nowMs);
+
+      // Stopped while the next page was loading: the live caches are already back
+      if (session !== current) {
+        return;
+      }
+
+      if (due.length > 0) {
+        const summary = applyShortTermEntries(due, {
+          logger: playbackLogger,
+          publish,
+          transitionTracker: current.transitionTracker,
+          runDetector: null, // replayed rows must not end live runs
+        });
+
+        // Shown on the live timeline, but never written to interlock_events
+        if (summary.transitions.length > 0) {
+          publish('interlock-events', { events: summary.transitions });
+        }
+
+        current.latestEntry = due.at(-1);
+        state.webMonitorLastModified = new Date(current.latestEntry.created_at);
+        if (!applyLatestScalars(current.latestEntry)) {
+          state.experimentRunning = false;
+          resetData();
+        }
+      }
+
+      if (current.latestEntry && state.experimentRunning && isExperimentInactive(current.latestEntry, nowMs)) {
+        markExperimentInactive(current.latestEntry, { notify: false });
+      }
+
+      state.replay.position = new Date(nowMs).toISOString();
+      evaluateAlarms();
+      publishStateIfChanged(current.latestEntry
+        ? { timestamp: current.latestEntry.created_at, id: current.latestEntry.id }
+        : null, publish);
+
+      if (current.exhausted) {
+        logger.log('Replay reached the end of its source');
+        await stop('finished');
+      }
+    } catch (err) {
+      logger.error('Replay failed:', err);
+      await stop('failed');
+    } finally {
+      current.ticking = false;
+    }
+  }
+
+  /**
+   * Changes the playback speed without jumping the replay clock.
+   * @returns {Object|null} The replay status, or null when nothing is playing
+   */
+  function setSpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      throw new Error(`speed must be one of ${REPLAY_SPEEDS.join(', ')}`);
+    }
+    if (!session) {
+      return null;
+    }
+
+    session.clock.setSpeed(speed);
+    state.replay.speed = speed;
+    publishStatus();
+    return state.replay;
+  }
+
+  /**
+   * Ends the replay, restores the live caches and resumes live ingest.
+   * @returns {Promise<boolean>} Whether a replay was running
+   */
+  async function stop(reason = 'stopped') {
+    if (!session) {
+      return false;
+    }
+
+    const finished = session;
+    session = null;
+    clearInterval(finished.timer);
+    clock.useClock(null);
+    await finished.iterator.return?.();
+
+    // Without live cursors (an empty table) there is nothing to restore beyond empty series
+    const restored = restoreSnapshot(finished.liveSnapshot);
+    if (!restored.restored) {
+      logger.warn(`Live caches not restored after the replay (${restored.reason})`);
+      seriesRegistry.forSource('short_term_logs').forEach(resetSeries);
+      state.lastShortTermCursor = finished.liveSnapshot.cursors.lastShortTermCursor;
+    }
+    state.lastScalarCursor = finished.liveScalarCursor;
+    state.fieldQuality = finished.liveFieldQuality;
+    state.replay = null;
+    logger.log(`Replay ${reason}; resuming live ingest`);
+
+    try {
+      await resumeLive();
+    } catch (err) {
+      logger.error('Failed to resume live ingest after the replay:', err);
+    }
+
+    publishStatus();
+    return true;
+  }
+
+  return {
+    start,
+    stop,
+    setSpeed,
+    tick,
+    isActive: () => session !== null,
+  };
+}
+
+const replayController = createReplayController();
+
+module.exports = {
+  REPLAY_SPEEDS,
+  readFileSource,
+  parseReplayArgs,
+  createReplayController,
+  replayController,
+};
@@ -0,0 +1,381 @@
+const { INACTIVE_THRESHOLD, RUN_DETECTION, RUN_PUMP_DOWN_PRESSURE } = require('../config');
+const state = require('./state');
+const {
+  getStorageAdapter,
+  mapSupabaseDataToAppFormat,
+  insertRun,
+  fetchRuns,
+  fetchRun: fetchArchivedRun,
+  resetLogTables,
+} = require('./storage');
+const { fetchPressureRange } = require('./history');
+const { seriesRegistry, resetSeries } = require('./series');
+const { broadcast } = require('./stream');
+const { computeAllColors } = require('./interlocks');
+const { detectInterlockTrips } = require('./notifier');
+
+const NOTE_MAX_LENGTH = 2000;
+const HVOLT_INDEX = 10; // position of the HVolt ON light in computeAllColors().sicColors
+const CATHODES = ['A', 'B', 'C'];
+// Pressure must rise this far above RUN_PUMP_DOWN_PRESSURE to count as vented, so gauge noise
+// around the threshold cannot split a run
+const VENT_HYSTERESIS_FACTOR = 10;
+
+// The fields of a short-term row that run summaries and boundary detection look at
+function readRunSignals(row) {
+  const mapped = mapSupabaseDataToAppFormat(row?.data);
+  if (!mapped) {
+    return null;
+  }
+
+  const pressure = Number.parseFloat(mapped.pressure);
+  const { sicColors } = computeAllColors(mapped, true);
+  return {
+    ms: Date.parse(row.created_at),
+    pressure: Number.isFinite(pressure) && pressure > 0 ? pressure : null,
+    clampTemperatures: Object.fromEntries(CATHODES.map((cathode) => {
+      const value = Number.parseFloat(mapped[`clamp_temperature_${cathode}`]);
+      return [cathode, Number.isFinite(value) ? value : null];
+    })),
+    sicColors,
+    // Grey (no safety flags) is neither on nor off
+    hvOn: sicColors[HVOLT_INDEX] === 'grey' ? null : sicColors[HVOLT_INDEX] === 'green',
+  };
+}
+
+/**
+ * Folds short-term rows, oldest first, into the summary stored with a run. HV-on time is the sum
+ * of the intervals that start at a row showing HV on, leaving out gaps longer than `gapMs`.
+ */
+function createRunSummary({ gapMs = INACTIVE_THRESHOLD } = {}) {
+  let minPressure = null;
+  let maxPressure = null;
+  const peakClampTemperatures = Object.fromEntries(CATHODES.map((cathode) => [cathode, null]));
+  let hvOnMs = 0;
+  let interlockTrips = 0;
+  let previous = null;
+
+  function add(row) {
+    const signals = readRunSignals(row);
+    if (!signals || !Number.isFinite(signals.ms)) {
+      return;
+    }
+
+    if (signals.pressure !== null) {
+      minPressure = minPressure === null ? signals.pressure : Math.min(minPressure, signals.pressure);
+      maxPressure = maxPressure === null ? signals.pressure : Math.max(maxPressure, signals.pressure);
+    }
+    for (const cathode of CATHODES) {
+      const value = signals.clampTemperatures[cathode];
+      if (value !== null && (peakClampTemperatures[cathode] === null || value > peakClampTemperatures[cathode])) {
+        peakClampTemperatures[cathode] = value;
+      }
+    }
+
+    if (previous) {
+      const intervalMs = signals.ms - previous.ms;
+      if (previous.hvOn && intervalMs > 0 && intervalMs <= gapMs) {
+        hvOnMs += intervalMs;
+      }
+      interlockTrips += detectInterlockTrips(previous.sicColors, signals.sicColors).length;
+    }
+    previous = signals;
+  }
+
+  function result() {
+    return {
+      min_pressure: minPressure,
+      max_pressure: maxPressure,
+      peak_clamp_temperatures: { ...peakClampTemperatures },
+      hv_on_seconds: Math.round(hvOnMs / 1000),
+      interlock_trips: interlockTrips,
+    };
+  }
+
+  return { add, result };
+}
+
+/**
+ * Watches successive short-term rows for the start of a new run:
+ * - 'gap': no row for longer than `gapMs`; the old run ends just after its last row
+ * - 'vent': pressure rises well above `pumpDownPressure` after the chamber was pumped down below
+ *   it, so each run holds its own pump-down
+ * - 'hv-on': HV switches on in a run that already had an HV-on period
+ * The first row observed only establishes a baseline.
+ */
+function createRunBoundaryDetector({ gapMs = INACTIVE_THRESHOLD, pumpDownPressure = RUN_PUMP_DOWN_PRESSURE } = {}) {
+  let previous = null;
+  let pumpedDown = null;
+  let runHadHv = false;
+
+  /**
+   * @param {Object} row - A short_term_logs row
+   * @param {string|null} [previousTimestamp] - The poll cursor, which may be ahead of the rows the
+   *   detector saw, e.g. after a restart
+   * @returns {{ reason: string, endedAt: string }|null} The next run starts at `endedAt`
+   */
+  function observe(row, previousTimestamp = null) {
+    const signals = readRunSignals(row);
+    if (!signals || !Number.isFinite(signals.ms)) {
+      return null;
+    }
+
+    const previousMs = Math.max(previous?.ms ?? -Infinity, previousTimestamp ? Date.parse(previousTimestamp) : -Infinity);
+    let isPumpedDown = pumpedDown;
+    if (signals.pressure !== null && signals.pressure < pumpDownPressure) {
+      isPumpedDown = true;
+    } else if (signals.pressure !== null && signals.pressure > pumpDownPressure * VENT_HYSTERESIS_FACTOR) {
+      isPumpedDown = false;
+    }
+    let reason = null;
+
+    if (Number.isFinite(previousMs) && signals.ms - previousMs > gapMs) {
+      reason = 'gap';
+    } else if (pumpedDown === true && isPumpedDown === false) {
+      reason = 'vent';
+    } else if (previous?.hvOn === false && signals.hvOn === true && runHadHv) {
+      reason = 'hv-on';
+    }
+
+    const boundary = reason && {
+      reason,
+      endedAt: new Date(reason === 'gap' ? previousMs + 1 : signals.ms).toISOString(),
+    };
+    if (boundary) {
+      runHadHv = false;
+    }
+
+    runHadHv = runHadHv || signals.hvOn === true;
+    pumpedDown = isPumpedDown;
+    previous = signals;
+    return boundary;
+  }
+
+  function reset() {
+    previous = null;
+    pumpedDown = null;
+    runHadHv = false;
+  }
+
+  return { observe, reset };
+}
+
+/**
+ * Runs split the log tables into time ranges [started_at, ended_at). Nothing is deleted when a run
+ * ends: it is archived with its summary in the runs table and the next run starts, and a snapshot
+ * from an earlier run is not restored. An operator ends a run with the experiment reset, which
+ * also clears the graphs; with RUN_DETECTION=auto the pollers also end it at the boundaries
+ * createRunBoundaryDetector() finds, leaving the graphs as they are. The purge is the old
+ * destructive reset and stays a separate admin action.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.stateRef] - Shared app state (injectable for tests)
+ * @param {Object} [options.registry] - Series registry whose caches belong to the current run
+ * @param {Function} [options.publish] - SSE broadcaster for the "run" event
+ * @param {boolean} [options.detect] - Whether detected boundaries end runs
+ * @param {Function} [options.now]
+ */
+function createRunManager(options = {}) {
+  const {
+    stateRef = state,
+    registry = seriesRegistry,
+    publish = broadcast,
+    logger = console,
+    detect = RUN_DETECTION === 'auto',
+    now = Date.now,
+  } = options;
+
+  function publishRun() {
+    publish('run', { run: stateRef.currentRun });
+  }
+
+  /**
+   * Picks up the current run from the last archived one. Called once at boot, before the backfill.
+   * A run starts where the previous one ended, in the same ISO form archive() gives it.
+   */
+  async function load() {
+    const [last] = await fetchRuns({ limit: 1 });
+    const startedAt = last?.ended_at ? new Date(last.ended_at).toISOString() : null;
+    stateRef.currentRun = { number: (last?.id ?? 0) + 1, startedAt };
+    return stateRef.currentRun;
+  }
+
+  // The first run has no recorded start, so it begins at the oldest row still stored
+  async function firstRowTimestamp() {
+    const starts = [];
+    for (const tableName of ['long_term_logs', 'short_term_logs']) {
+      const { value: page } = await getStorageAdapter().fetchSince(tableName).next();
+      const timestamp = page?.[0]?.[tableName === 'long_term_logs' ? 'recorded_at' : 'created_at'];
+      if (timestamp) starts.push(timestamp);
+    }
+    return starts.sort()[0] ?? null;
+  }
+
+  // Summary stats over the short-term rows of [startedAt, endedAt)
+  async function summarize(startedAt, endedAt) {
+    const summary = createRunSummary();
+    const endMs = Date.parse(endedAt);
+    for await (const page of getStorageAdapter().fetchSince('short_term_logs', { since: startedAt, until: endedAt })) {
+      page.filter((row) => Date.parse(row.created_at) < endMs).forEach(summary.add);
+    }
+    return summary.result();
+  }
+
+  // The next run starts where this one ends, so load() derives the same start after a restart
+  async function archive({ endedAt, endReason, note = null, closedBy = null }) {
+    const startedAt = stateRef.currentRun?.startedAt ?? await firstRowTimestamp() ?? endedAt;
+    const archived = await insertRun({
+      started_at: startedAt,
+      ended_at: endedAt,
+      end_reason: endReason,
+      note: note === null ? null : String(note).slice(0, NOTE_MAX_LENGTH),
+      closed_by: closedBy,
+      ...await summarize(startedAt, endedAt),
+    });
+
+    stateRef.currentRun = { number: archived.id + 1, startedAt: new Date(endedAt).toISOString() };
+    logger.log(`Run ${archived.id} ended (${endReason}, ${startedAt} to ${endedAt}); run ${stateRef.currentRun.number} started`);
+    return archived;
+  }
+
+  // Anything up to the boundary belongs to the archived run, so the pollers must not feed it into
+  // the new run's graphs
+  async function moveCursorsToLatestRows() {
+    const adapter = getStorageAdapter();
+    const [short, long] = await Promise.all([adapter.fetchLatest('short_term_logs'), adapter.fetchLatest('long_term_logs')]);
+    if (short) stateRef.lastShortTermCursor = { timestamp: short.created_at, id: short.id };
+    if (long) stateRef.lastLongTermCursor = { timestamp: long.recorded_at, id: long.id };
+  }
+
+  /**
+   * Archives the current run and starts the next one now.
+   * @param {Object} [details]
+   * @param {string} [details.note] - Operator's note on the run being closed
+   * @param {string|null} [details.closedBy] - Username, null without accounts
+   * @returns {Promise<{ archived: Object, run: Object }>} The archived row and the new current run
+   */
+  async function close({ note = '', closedBy = null } = {}) {
+    if (stateRef.replay) {
+      throw new Error('Stop the replay before closing the run');
+    }
+
+    const endedAt = new Date(now()).toISOString();
+    const archived = await archive({ endedAt, endReason: 'operator', note, closedBy });
+    registry.list().forEach(resetSeries);
+    await moveCursorsToLatestRows();
+    publishRun();
+    return { archived, run: stateRef.currentRun };
+  }
+
+  /**
+   * Ends runs at boundaries the pollers detected. Only the runs table and the current run change:
+   * the live graphs keep their points, as only an operator's reset clears them.
+   * Boundaries at or before the current run's start were handled before a restart and are skipped.
+   * @param {Object[]} boundaries - From createRunBoundaryDetector().observe(), oldest first
+   * @returns {Promise<Object[]>} The archived rows
+   */
+  async function closeDetected(boundaries) {
+    if (!detect || stateRef.replay || !stateRef.currentRun || boundaries.length === 0) {
+      return [];
+    }
+
+    const archived = [];
+    for (const boundary of boundaries) {
+      const currentStartMs = stateRef.currentRun.startedAt ? Date.parse(stateRef.currentRun.startedAt) : -Infinity;
+      if (Date.parse(boundary.endedAt) <= currentStartMs) continue;
+      archived.push(await archive({ endedAt: boundary.endedAt, endReason: boundary.reason }));
+    }
+    if (archived.length > 0) {
+      publishRun();
+    }
+    return archived;
+  }
+
+  /**
+   * Deletes every log row and every archived run, and starts over at run 1.
+   */
+  async function purge() {
+    if (stateRef.replay) {
+      throw new Error('Stop the replay before purging');
+    }
+
+    await resetLogTables({ runs: true });
+    registry.list().forEach(resetSeries);
+    stateRef.currentRun = { number: 1, startedAt: null };
+
+    logger.log('Purge: long_term_logs, short_term_logs and archived runs deleted');
+    publishRun();
+    return stateRef.currentRun;
+  }
+
+  // The current run shaped like a runs row, with ended_at null
+  async function describeCurrentRun() {
+    return {
+      id: stateRef.currentRun?.number ?? null,
+      started_at: stateRef.currentRun?.startedAt ?? await firstRowTimestamp(),
+      ended_at: null,
+    };
+  }
+
+  /**
+   * One run with its summary; the current run's summary covers its rows so far.
+   * @param {number|'current'} runId
+   * @returns {Promise<Object|null>} null for an unknown run
+   */
+  async function fetchRun(runId) {
+    if (runId !== 'current') {
+      return fetchArchivedRun(runId);
+    }
+    const run = await describeCurrentRun();
+    return { ...run, ...await summarize(run.started_at, new Date(now() + 1).toISOString()) };
+  }
+
+  /**
+   * Pressure over one run with x as seconds since the run started, so runs line up when overlaid.
+   * @param {number|'current'} runId
+   * @param {Object} [options]
+   * @param {number} [options.width] - Chart width in pixels
+   * @returns {Promise<Object|null>} null for an unknown run
+   */
+  async function fetchRunPressure(runId, { width } = {}) {
+    const run = runId === 'current' ? await describeCurrentRun() : await fetchArchivedRun(runId);
+    if (!run?.started_at) {
+      return null;
+    }
+
+    const fromMs = Date.parse(run.started_at);
+    const toMs = run.ended_at ? Date.parse(run.ended_at) : now();
+    const range = await fetchPressureRange({ fromMs, toMs: Math.max(toMs, fromMs + 1000), width, nowMs: now() });
+    const startSec = Math.floor(fromMs / 1000);
+
+    return {
+      run: { id: run.id, started_at: run.started_at, ended_at: run.ended_at, note: run.note ?? null },
+      source: range.source,
+      sourceResolutionLabel: range.sourceResolutionLabel,
+      elapsedSec: range.xVals.map((tSec) => tSec - startSec),
+      yVals: range.yVals,
+    };
+  }
+
+  return {
+    load,
+    close,
+    closeDetected,
+    purge,
+    fetchRun,
+    fetchRunPressure,
+    listRuns: fetchRuns,
+  };
+}
+
+const runBoundaryDetector = createRunBoundaryDetector();
+const runManager = createRunManager();
+
+module.exports = {
+  NOTE_MAX_LENGTH,
+  createRunSummary,
+  createRunBoundaryDetector,
+  createRunManager,
+  runBoundaryDetector,
+  runManager,
+};
@@ -0,0 +1,317 @@
+const {
+  createGraphObj,
+  updateDisplayData,
+  getGraphMetadata,
+  resetGraph,
+  trimGraph,
+  createCCSGraphObj,
+  addCCSPoint,
+  trimCCSPoints,
+} = require('./graphs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// A decimated series is re-decimated when trimmed, so it only trims once its oldest point is
+// this fraction of its window past the retention
+const RETENTION_TRIM_SLACK = 1 / 20;
+
+/**
+ * Every plotted series, declared once. Startup backfill, polling, /chart-data and the
+ * dashboard all iterate this list, so a new trend only needs a new entry here.
+ *
+ * - source: table the series is read from ('short_term_logs' or 'long_term_logs')
+ * - extract(row): raw value from one row of that table
+ * - storage: 'decimated' keeps up to maxDataPoints raw points plus a display copy
+ *   reduced with `decimation`; 'ring' keeps the newest maxPoints points as they are
+ * - retentionMs: time window the series keeps, counted back from its newest point. Startup
+ *   backfill reads this far back and every append drops the points that fell out of it
+ * - primary: an invalid value counts the whole row as skipped in the sync summary
+ * - view: legacy /chart-data?view= name, only used by the pressure series
+ * - panel: dashboard panel that draws the series ('pressure', 'ccs' or a key of SERIES_PANELS)
+ */
+const SERIES_DEFINITIONS = [
+  {
+    name: 'pressure-short',
+    label: 'Pressure',
+    unit: 'mbar',
+    source: 'short_term_logs',
+    extract: (row) => row.data?.pressure,
+    storage: 'decimated',
+    maxDataPoints: 30000,
+    maxDisplayPoints: 1024,
+    decimation: 'minmax',
+    sourceResolutionLabel: '~3s source data',
+    retentionMs: DAY_MS,
+    primary: true,
+    view: 'short',
+    panel: 'pressure',
+  },
+  {
+    name: 'pressure-long',
+    label: 'Pressure (1-min average)',
+    unit: 'mbar',
+    source: 'long_term_logs',
+    extract: (row) => row.avg_pressure,
+    storage: 'decimated',
+    maxDataPoints: 100000,
+    maxDisplayPoints: 256,
+    decimation: 'lttb',
+    sourceResolutionLabel: '1-min averaged source data',
+    retentionMs: 60 * DAY_MS,
+    primary: true,
+    view: 'long',
+    panel: 'pressure',
+  },
+  ...['A', 'B', 'C'].map((cathode, index) => ({
+    name: `clamp-temperature-${cathode}`,
+    label: `Cathode ${cathode} — Clamp Temperature`,
+    seriesLabel: `Temp ${cathode} (°C)`,
+    unit: '°C',
+    stroke: ['#f97316', '#22c55e', '#818cf8'][index],
+    source: 'short_term_logs',
+    extract: (row) => row.data?.[`clamp_temperature_${cathode}`],
+    storage: 'ring',
+    maxPoints: 1200,
+    retentionMs: HOUR_MS,
+    panel: 'ccs',
+  })),
+  ...['1', '2', '3', '4', '5', '6'].map((sensor, index) => ({
+    name: `temperature-${sensor}`,
+    label: `Sensor ${sensor} Temperature`,
+    seriesLabel: `Sensor ${sensor} (°C)`,
+    unit: '°C',
+    stroke: ['#38bdf8', '#f472b6', '#facc15', '#34d399', '#fb923c', '#a78bfa'][index],
+    source: 'short_term_logs',
+    extract: (row) => row.data?.temperatures?.[sensor],
+    storage: 'ring',
+    maxPoints: 1200,
+    retentionMs: HOUR_MS,
+    panel: 'environment',
+  })),
+  ...['Current', 'Voltage'].flatMap((quantity) => ['A', 'B', 'C'].map((cathode, index) => ({
+    name: `heater-${quantity.toLowerCase()}-${cathode}`,
+    label: `Cathode ${cathode} — Heater ${quantity}`,
+    seriesLabel: `${quantity} ${cathode} (${quantity === 'Current' ? 'A' : 'V'})`,
+    unit: quantity === 'Current' ? 'A' : 'V',
+    precision: 2,
+    stroke: ['#f97316', '#22c55e', '#818cf8'][index],
+    source: 'short_term_logs',
+    extract: (row) => row.data?.[`Cathode ${cathode} - Heater ${quantity}:`],
+    storage: 'ring',
+    maxPoints: 1200,
+    retentionMs: HOUR_MS,
+    panel: 'heater',
+  }))),
+];
+
+// Dashboard sections drawn for series outside the pressure and CCS panels, in page order.
+// Their data is fetched after load rather than embedded in the page.
+const SERIES_PANELS = {
+  environment: 'Environmental Temperatures — Last Hour',
+  heater: 'Cathode Heater Current & Voltage — Last Hour',
+  trends: 'Trends',
+};
+
+const STORAGE_KINDS = ['decimated', 'ring'];
+const SOURCE_TABLES = ['short_term_logs', 'long_term_logs'];
+
+function createSeriesGraph(definition) {
+  if (definition.storage === 'ring') {
+    return createCCSGraphObj(definition.maxPoints);
+  }
+
+  return createGraphObj({
+    maxDataPoints: definition.maxDataPoints,
+    maxDisplayPoints: definition.maxDisplayPoints,
+    sourceResolutionLabel: definition.sourceResolutionLabel,
+    decimation: definition.decimation,
+  });
+}
+
+/**
+ * Validates one series definition.
+ * @throws {Error} when the definition cannot be plotted
+ */
+function validateSeriesDefinition(definition) {
+  if (!definition?.name) {
+    throw new Error('Series definition is missing a name');
+  }
+  if (!SOURCE_TABLES.includes(definition.source)) {
+    throw new Error(`Series "${definition.name}" reads unknown table "${definition.source}"`);
+  }
+  if (typeof definition.extract !== 'function') {
+    throw new Error(`Series "${definition.name}" has no extract(row) function`);
+  }
+  if (!STORAGE_KINDS.includes(definition.storage)) {
+    throw new Error(`Series "${definition.name}" has unknown storage "${definition.storage}"`);
+  }
+  if (!(definition.retentionMs > 0)) {
+    throw new Error(`Series "${definition.name}" needs a positive retentionMs`);
+  }
+}
+
+/**
+ * Builds the in-memory graphs for a list of series definitions.
+ * @param {Object[]} [definitions]
+ * @param {Object} [options]
+ * @param {Object} [options.graphs] - Pre-built graph objects keyed by series name (tests)
+ */
+function createSeriesRegistry(definitions = SERIES_DEFINITIONS, options = {}) {
+  const { graphs = {} } = options;
+  const byName = new Map();
+
+  for (const definition of definitions) {
+    validateSeriesDefinition(definition);
+    if (byName.has(definition.name)) {
+      throw new Error(`Series "${definition.name}" is declared twice`);
+    }
+
+    byName.set(definition.name, {
+      ...definition,
+      graph: graphs[definition.name] ?? createSeriesGraph(definition),
+    });
+  }
+
+  const seriesList = Array.from(byName.values());
+
+  return {
+    list: () => seriesList.slice(),
+    get: (name) => byName.get(name) ?? null,
+    getByView: (view) => seriesList.find((series) => series.view === view) ?? null,
+    forSource: (source) => seriesList.filter((series) => series.source === source),
+    forPanel: (panel) => seriesList.filter((series) => series.panel === panel),
+  };
+}
+
+/**
+ * Appends one row's value to a series and drops the points that fell out of its retention.
+ * Decimated series skip non-numeric values; ring series record them as gaps (null).
+ * @returns {boolean} Whether a numeric point was plotted
+ */
+function appendSeriesValue(series, tSec, rawValue) {
+  const value = typeof rawValue === 'number' ? rawValue : Number.parseFloat(rawValue);
+  const plotted = Number.isFinite(value);
+  const retentionSec = series.retentionMs / 1000;
+
+  if (series.storage === 'ring') {
+    addCCSPoint(series.graph, tSec, plotted ? value : null);
+    trimCCSPoints(series.graph, tSec - retentionSec);
+    return plotted;
+  }
+
+  if (!plotted) {
+    return false;
+  }
+
+  series.graph.fullXVals.push(tSec);
+  series.graph.fullYVals.push(value);
+  if (series.graph.fullXVals[0] < tSec - retentionSec * (1 + RETENTION_TRIM_SLACK)) {
+    trimGraph(series.graph, tSec - retentionSec);
+  } else {
+    updateDisplayData(series.graph);
+  }
+  return true;
+}
+
+function isSeriesFull(series) {
+  return series.storage === 'decimated' && series.graph.fullXVals.length >= series.graph.maxDataPoints;
+}
+
+function resetSeries(series) {
+  if (series.storage === 'ring') {
+    series.graph.xVals.length = 0;
+    series.graph.yVals.length = 0;
+    return;
+  }
+
+  resetGraph(series.graph);
+}
+
+/**
+ * Chart payload for /chart-data: the plotted points plus the same density metadata for both storages.
+ */
+function getSeriesChartData(series) {
+  const base = {
+    series: series.name,
+    label: series.label,
+    unit: series.unit ?? null,
+    ...(series.view ? { view: series.view } : {}),
+  };
+
+  if (series.storage === 'ring') {
+    return {
+      ...base,
+      xVals: series.graph.xVals,
+      yVals: series.graph.yVals,
+      rawPointCount: series.graph.xVals.length,
+      displayPointCount: series.graph.xVals.length,
+      downsampleFactor: 1,
+      decimation: 'none',
+      maxPoints: series.graph.maxPoints ?? null,
+      sourceResolutionLabel: series.sourceResolutionLabel || 'source data',
+    };
+  }
+
+  return {
+    ...base,
+    xVals: series.graph.displayXVals,
+    yVals: series.graph.displayYVals,
+    ...getGraphMetadata(series.graph),
+  };
+}
+
+/**
+ * Public description of a series, without its data or extractor.
+ */
+function describeSeries(series) {
+  return {
+    name: series.name,
+    label: series.label,
+    seriesLabel: series.seriesLabel ?? null,
+    unit: series.unit ?? null,
+    stroke: series.stroke ?? null,
+    precision: series.precision ?? 1,
+    source: series.source,
+    storage: series.storage,
+    decimation: series.storage === 'ring' ? 'none' : series.graph.decimation,
+    panel: series.panel ?? null,
+  };
+}
+
+/**
+ * How full a series' in-memory buffer is and how recent its points are, for /status. Ring series
+ * record unreadable values as gaps, so their last point can be newer than their last value.
+ */
+function describeSeriesBuffer(series) {
+  const ring = series.storage === 'ring';
+  const xVals = ring ? series.graph.xVals : series.graph.fullXVals;
+  const yVals = ring ? series.graph.yVals : series.graph.fullYVals;
+  let lastValueIndex = yVals.length - 1;
+  while (lastValueIndex >= 0 && yVals[lastValueIndex] === null) lastValueIndex--;
+  const toIso = (tSec) => (tSec === undefined ? null : new Date(tSec * 1000).toISOString());
+
+  return {
+    name: series.name,
+    label: series.label,
+    panel: series.panel ?? null,
+    points: xVals.length,
+    capacity: ring ? series.graph.maxPoints : series.graph.maxDataPoints,
+    lastPointAt: toIso(xVals.at(-1)),
+    lastValueAt: toIso(xVals[lastValueIndex]),
+  };
+}
+
+const seriesRegistry = createSeriesRegistry();
+
+module.exports = {
+  SERIES_DEFINITIONS,
+  SERIES_PANELS,
+  createSeriesRegistry,
+  appendSeriesValue,
+  isSeriesFull,
+  resetSeries,
+  getSeriesChartData,
+  describeSeries,
+  describeSeriesBuffer,
+  seriesRegistry,
+};
@@ -0,0 +1,386 @@
+// Synthetic telemetry in the exact short_term_logs `data` schema, for demos and end-to-end tests
+// without the printer. The model is deliberately simple, but every signal moves for a physical
+// reason: pump-down and venting follow exponential approaches in log pressure, heater voltage
+// follows current through a filament whose resistance rises as it heats, clamp temperatures lag
+// heater power, and an interlock trip drops the heaters the way the safety PLC does.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+const CATHODES = ['A', 'B', 'C'];
+const ATMOSPHERE_MBAR = 1013;
+const BASE_PRESSURE_MBAR = 2e-7;
+const ROUGHING_TARGET_MBAR = 5e-3;
+const TURBO_START_MBAR = 1; // roughing pump hands over to the turbo below this
+const VACUUM_OK_MBAR = 1e-4; // vacuum-pressure interlock input is made below this
+const ROUGHING_TAU_MS = 90 * SECOND;
+const TURBO_TAU_MS = 15 * MINUTE;
+const VENT_TAU_MS = 20 * SECOND;
+
+const FILAMENT_COLD_OHMS = 0.8;
+const FILAMENT_HOT_OHMS_PER_A2 = 0.35;
+const CLAMP_KELVIN_PER_WATT = 8;
+const CLAMP_TAU_MS = 10 * MINUTE;
+const AMBIENT_C = 21;
+
+// Lab sensors 1-6 sit at different spots; sensor 5 is on the chamber wall and sees heater power
+const ENVIRONMENT_BASELINES_C = [20.4, 19.9, 23.8, 20.8, 27.0, 20.7];
+const CHAMBER_SENSOR_INDEX = 4;
+
+/**
+ * Default demo: pump down, run the three cathodes, ride out a door trip and a water-flow trip,
+ * ramp down and vent, then start over.
+ */
+const DEMO_SCENARIO = {
+  loopMs: 4 * HOUR,
+  steps: [
+    { atMs: 0, action: 'pump-down' },
+    { atMs: 45 * MINUTE, action: 'heater-ramp', setpoint: 2.4, rampPerMinute: 0.1 },
+    { atMs: 100 * MINUTE, action: 'door-open', durationMs: 45 * SECOND },
+    { atMs: 110 * MINUTE, action: 'heater-ramp', setpoint: 2.4, rampPerMinute: 0.1 },
+    { atMs: 160 * MINUTE, action: 'water-low', durationMs: 2 * MINUTE },
+    { atMs: 170 * MINUTE, action: 'heater-ramp', setpoint: 2.4, rampPerMinute: 0.2 },
+    { atMs: 200 * MINUTE, action: 'heater-ramp', setpoint: 0, rampPerMinute: 0.2 },
+    { atMs: 215 * MINUTE, action: 'vent' },
+  ],
+};
+
+const SCENARIO_ACTIONS = ['pump-down', 'vent', 'heater-ramp', 'door-open', 'water-low'];
+
+// mulberry32: small, seedable, and good enough for sensor noise
+function createRandom(seed) {
+  let a = seed >>> 0;
+  function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Box-Muller
+  function gaussian(sigma = 1) {
+    const u = Math.max(random(), Number.EPSILON);
+    return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  }
+
+  return { random, gaussian };
+}
+
+function relax(value, target, dtMs, tauMs) {
+  return target + (value - target) * Math.exp(-dtMs / tauMs);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function validateScenario(scenario) {
+  for (const step of scenario.steps ?? []) {
+    if (!SCENARIO_ACTIONS.includes(step.action)) {
+      throw new Error(`Unknown simulator action "${step.action}"`);
+    }
+    if (!Number.isFinite(step.atMs) || step.atMs < 0) {
+      throw new Error(`Simulator step "${step.action}" needs a non-negative atMs`);
+    }
+  }
+}
+
+/**
+ * Creates a simulated E-beam system that produces one short_term_logs row per step.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.startMs] - created_at of the first row
+ * @param {number} [options.intervalMs] - Time between rows, like the 3 s logger
+ * @param {number} [options.seed] - Same seed, same rows
+ * @param {Object} [options.scenario] - { steps: [{ atMs, action, ... }], loopMs? }, relative to startMs
+ * @param {number} [options.firstId]
+ */
+function createSimulator(options = {}) {
+  const {
+    startMs = Date.now(),
+    intervalMs = 3 * SECOND,
+    seed = 1,
+    scenario = DEMO_SCENARIO,
+    firstId = 1,
+  } = options;
+
+  validateScenario(scenario);
+
+  const { random, gaussian } = createRandom(seed);
+  const steps = [...(scenario.steps ?? [])].sort((a, b) => a.atMs - b.atMs);
+
+  const model = {
+    pressure: ATMOSPHERE_MBAR,
+    vacuum: 'vented', // vented | pumping | venting
+    heaters: Object.fromEntries(CATHODES.map((cathode) => [cathode, {
+      setpoint: 0,
+      rampPerMs: 0,
+      current: 0,
+      clamp: AMBIENT_C,
+      coldOhms: FILAMENT_COLD_OHMS * (0.95 + 0.1 * random()),
+    }])),
+    doorOpenUntil: null,
+    waterLowUntil: null,
+  };
+
+  let nextId = firstId;
+  let tMs = startMs;
+  let nextStep = 0;
+  let cycleStartMs = startMs;
+  let longTermMinuteMs = null;
+  let longTermSum = 0;
+  let longTermCount = 0;
+  let longTermId = 1;
+
+  function applyStep(step, nowMs) {
+    const cathodes = step.cathodes ?? CATHODES;
+
+    switch (step.action) {
+      case 'pump-down':
+        model.vacuum = 'pumping';
+        break;
+      case 'vent':
+        model.vacuum = 'venting';
+        for (const heater of Object.values(model.heaters)) {
+          heater.setpoint = 0;
+          heater.current = 0;
+        }
+        break;
+      case 'heater-ramp':
+        for (const cathode of cathodes) {
+          model.heaters[cathode].setpoint = step.setpoint;
+          model.heaters[cathode].rampPerMs = (step.rampPerMinute ?? 0.1) / MINUTE;
+        }
+        break;
+      case 'door-open':
+        model.doorOpenUntil = nowMs + (step.durationMs ?? MINUTE);
+        break;
+      case 'water-low':
+        model.waterLowUntil = nowMs + (step.durationMs ?? MINUTE);
+        break;
+    }
+  }
+
+  function applyDueSteps() {
+    if (scenario.loopMs && tMs - cycleStartMs >= scenario.loopMs) {
+      cycleStartMs += scenario.loopMs;
+      nextStep = 0;
+    }
+
+    while (nextStep < steps.length && cycleStartMs + steps[nextStep].atMs <= tMs) {
+      applyStep(steps[nextStep], tMs);
+      nextStep++;
+    }
+  }
+
+  function interlockInputs() {
+    const pumpsOn = model.vacuum === 'pumping';
+    return {
+      pumpsOn,
+      doorClosed: !(model.doorOpenUntil && tMs < model.doorOpenUntil),
+      waterOk: !(model.waterLowUntil && tMs < model.waterLowUntil),
+      vacuumOk: pumpsOn && model.pressure < VACUUM_OK_MBAR,
+    };
+  }
+
+  function filamentVolts(heater) {
+    return heater.current * heater.coldOhms + FILAMENT_HOT_OHMS_PER_A2 * heater.current ** 3;
+  }
+
+  function advance(dtMs, inputs) {
+    const interlocksOk = inputs.doorClosed && inputs.waterOk && inputs.vacuumOk;
+    let totalPower = 0;
+
+    for (const heater of Object.values(model.heaters)) {
+      if (!interlocksOk) {
+        // The safety PLC drops the heater supply; ramps have to be commanded again afterwards
+        heater.setpoint = 0;
+        heater.current = 0;
+      } else if (heater.current !== heater.setpoint) {
+        const stepA = heater.rampPerMs * dtMs;
+        heater.current = heater.current < heater.setpoint
+          ? Math.min(heater.setpoint, heater.current + stepA)
+          : Math.max(heater.setpoint, heater.current - stepA);
+      }
+
+      const power = heater.current * filamentVolts(heater);
+      totalPower += power;
+      heater.clamp = relax(heater.clamp, AMBIENT_C + CLAMP_KELVIN_PER_WATT * power, dtMs, CLAMP_TAU_MS);
+    }
+
+    // Pressure relaxes in log space; hot filaments outgas and lift the base pressure
+    const logP = Math.log(model.pressure);
+    if (model.vacuum === 'pumping') {
+      const turbo = model.pressure < TURBO_START_MBAR;
+      const target = turbo ? BASE_PRESSURE_MBAR * (1 + totalPower / 15) : ROUGHING_TARGET_MBAR;
+      model.pressure = Math.exp(relax(logP, Math.log(target), dtMs, turbo ? TURBO_TAU_MS : ROUGHING_TAU_MS));
+    } else if (model.vacuum === 'venting') {
+      model.pressure = Math.exp(relax(logP, Math.log(ATMOSPHERE_MBAR), dtMs, VENT_TAU_MS));
+      if (model.pressure > ATMOSPHERE_MBAR * 0.99) {
+        model.vacuum = 'vented';
+      }
+    } else {
+      model.pressure = ATMOSPHERE_MBAR;
+    }
+
+    return totalPower;
+  }
+
+  function buildData(inputs, totalPower) {
+    const turboOn = model.vacuum === 'pumping' && model.pressure < TURBO_START_MBAR;
+    const ventOpen = model.vacuum !== 'pumping';
+    const interlocksOk = inputs.doorClosed && inputs.waterOk && inputs.vacuumOk;
+    const bit = (on) => (on ? 1 : 0);
+
+    const dayPhase = (2 * Math.PI * (tMs % (24 * HOUR))) / (24 * HOUR);
+    const temperatures = {};
+    ENVIRONMENT_BASELINES_C.forEach((baseline, index) => {
+      const chamberHeat = index === CHAMBER_SENSOR_INDEX ? 0.06 * totalPower : 0;
+      const value = baseline + 0.4 * Math.sin(dayPhase + index) + chamberHeat + gaussian(0.04);
+      temperatures[String(index + 1)] = value.toFixed(2);
+    });
+
+    const data = {
+      pressure: (model.pressure * Math.exp(gaussian(0.015))).toExponential(2),
+      // [.., .., .., .., G9 output, all interlocks, interlock fault]
+      safetyOutputDataFlags: [1, 1, 1, 1, bit(interlocksOk), bit(interlocksOk), 0],
+      // [estop int x2, estop ext x2, door x2, vacuum power, vacuum pressure, oil high, oil low, water, HV (0 = on), spare]
+      safetyInputDataFlags: [
+        1, 1, 1, 1,
+        bit(inputs.doorClosed), bit(inputs.doorClosed),
+        bit(inputs.pumpsOn), bit(inputs.vacuumOk),
+        1, 1,
+        bit(inputs.waterOk),
+        0, 1,
+      ],
+      safetyOutputStatusFlags: [1, 1, 1, 1, 1, 1, 1],
+      safetyInputStatusFlags: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+      temperatures,
+      // pumps, turbo rotor, turbo vent open, 972b power, turbo gate closed/open, argon gate open/closed
+      vacuumBits: [inputs.pumpsOn, turboOn, ventOpen, true, !turboOn, turboOn, false, true].map(bit).join(''),
+    };
+
+    for (const cathode of CATHODES) {
+      data[`Cathode ${cathode} - Heater Current:`] = round(model.heaters[cathode].current, 2);
+    }
+    for (const cathode of CATHODES) {
+      data[`Cathode ${cathode} - Heater Voltage:`] = round(filamentVolts(model.heaters[cathode]), 2);
+    }
+    for (const cathode of CATHODES) {
+      data[`clamp_temperature_${cathode}`] = round(model.heaters[cathode].clamp + gaussian(0.1), 1);
+    }
+
+    return data;
+  }
+
+  // One long_term_logs row per completed minute, like the aggregate_short_to_long job
+  function accumulateLongTerm(row) {
+    const minuteMs = Math.floor(tMs / MINUTE) * MINUTE;
+    let completed = null;
+
+    if (longTermMinuteMs !== null && minuteMs !== longTermMinuteMs && longTermCount > 0) {
+      completed = {
+        id: `00000000-0000-4000-8000-${String(longTermId++).padStart(12, '0')}`,
+        recorded_at: new Date(longTermMinuteMs).toISOString(),
+        avg_pressure: longTermSum / longTermCount,
+      };
+      longTermSum = 0;
+      longTermCount = 0;
+    }
+
+    longTermMinuteMs = minuteMs;
+    longTermSum += Number(row.data.pressure);
+    longTermCount++;
+    return completed;
+  }
+
+  /**
+   * Advances one interval and returns the row logged at that instant, plus the long-term row
+   * for the minute that just completed, if any.
+   * @returns {{ row: Object, longTermRow: Object|null }}
+   */
+  function next() {
+    applyDueSteps();
+    const totalPower = advance(tMs === startMs ? 0 : intervalMs, interlockInputs());
+    const row = {
+      id: nextId++,
+      created_at: new Date(tMs).toISOString(),
+      data: buildData(interlockInputs(), totalPower),
+    };
+    const longTermRow = accumulateLongTerm(row);
+
+    tMs += intervalMs;
+    return { row, longTermRow };
+  }
+
+  /**
+   * Every row up to and including `endMs`, grouped by table.
+   * @returns {{ short_term_logs: Object[], long_term_logs: Object[] }}
+   */
+  function rowsUntil(endMs) {
+    const rows = { short_term_logs: [], long_term_logs: [] };
+    while (tMs <= endMs) {
+      const { row, longTermRow } = next();
+      rows.short_term_logs.push(row);
+      if (longTermRow) {
+        rows.long_term_logs.push(longTermRow);
+      }
+    }
+    return rows;
+  }
+
+  return {
+    next,
+    rowsUntil,
+    nextRowAtMs: () => tMs,
+  };
+}
+
+/**
+ * Writes simulated history up to now into `sink`, then keeps appending rows as wall-clock time
+ * passes. A sink is anything with append(tableName, rows): the memory adapter, or a capture writer.
+ *
+ * @param {Object} options
+ * @param {{ append: Function }} options.sink
+ * @param {number} [options.historyMs] - How much history to write before following the clock
+ * @param {number} [options.seed]
+ * @param {Object} [options.scenario]
+ * @param {number} [options.intervalMs]
+ * @returns {{ stop: () => void }}
+ */
+function startSimulatorFeed({ sink, historyMs = 2 * HOUR, seed, scenario, intervalMs = 3 * SECOND, logger = console }) {
+  const simulator = createSimulator({
+    startMs: Date.now() - historyMs,
+    seed: seed ?? Date.now(),
+    scenario,
+    intervalMs,
+  });
+
+  function flush() {
+    const rows = simulator.rowsUntil(Date.now());
+    for (const [tableName, tableRows] of Object.entries(rows)) {
+      if (tableRows.length > 0) {
+        sink.append(tableName, tableRows);
+      }
+    }
+    return rows.short_term_logs.length;
+  }
+
+  logger.log(`Simulator wrote ${flush()} rows of history`);
+  const timer = setInterval(flush, intervalMs);
+
+  return {
+    stop: () => clearInterval(timer),
+  };
+}
+
+module.exports = {
+  DEMO_SCENARIO,
+  SCENARIO_ACTIONS,
+  VACUUM_OK_MBAR,
+  createSimulator,
+  startSimulatorFeed,
+};
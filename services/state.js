@@ -7,38 +7,15 @@ const state = {
   experimentRunning: false,
   lastShortTermCursor: null,
   lastLongTermCursor: null,
+  lastScalarCursor: null, // row the scalar `data` below was last taken from
+  replay: null, // playback status while services/replay.js drives the state instead of live ingest
+  currentRun: null, // { number, startedAt } of the run the graphs show (services/runs.js); startedAt null = since the first row
+  fieldQuality: {}, // per data field: status of its latest reading and when it was last good (services/quality.js)
   dataLines: null,
   debugLogs: [],
-  sampleDataLines: [],
   timestamps: [],
   extractLines: [],
 
-  // Base status used for sample data generation
-  baseStatus: {
-    safetyOutputDataFlags: [1, 1, 1, 0, 0, 0, 1],
-    safetyInputDataFlags: [0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0],
-    safetyOutputStatusFlags: [1, 1, 1, 1, 1, 1, 1],
-    safetyInputStatusFlags: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
-    temperatures: {
-      "1": "20.42",
-      "2": "19.93",
-      "3": "23.82",
-      "4": "20.81",
-      "5": "27.03",
-      "6": "20.66"
-    },
-    vacuumBits: "11010101",
-    "Cathode A - Heater Current:": null,
-    "Cathode B - Heater Current:": null,
-    "Cathode C - Heater Current:": null,
-    "Cathode A - Heater Voltage:": null,
-    "Cathode B - Heater Voltage:": null,
-    "Cathode C - Heater Voltage:": null,
-    clamp_temperature_A: null,
-    clamp_temperature_B: null,
-    clamp_temperature_C: null
-  },
-
   // Main data object holding all extracted experimental values
   data: {
     pressure: null,
@@ -0,0 +1,400 @@
+const {
+  supabase,
+  STORAGE_ADAPTER,
+  DATABASE_URL,
+  CAPTURE_DIR,
+} = require('../config');
+const state = require('./state');
+const { appendSeriesValue, isSeriesFull } = require('./series');
+const { monitorMetrics } = require('./metrics');
+const { reportLoopError } = require('./health');
+const { TABLES, LOG_TABLE_NAMES } = require('./adapters/common');
+const { createSupabaseAdapter } = require('./adapters/supabase');
+const { createPostgresAdapter } = require('./adapters/postgres');
+const { createFileAdapter } = require('./adapters/file');
+const { createMemoryAdapter } = require('./adapters/memory');
+
+/**
+ * Every storage adapter implements the same interface; nothing outside services/adapters/ talks
+ * to a database directly.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name
+ * @property {(tableName: string) => Promise<Object|null>} fetchLatest - Newest row by (timestamp, id)
+ * @property {(tableName: string, options?: { after?: Object, since?: string, until?: string }) => AsyncIterable<Object[]>} fetchSince
+ *   Pages of rows oldest-first: strictly after the `after` cursor, inside the inclusive since/until bounds.
+ *   Backfills, catch-up polls, range queries and exports are all built on it.
+ * @property {(tableNames?: string[]) => Promise<void>} reset - Deletes every row of the tables, by default
+ *   short_term_logs and long_term_logs
+ * @property {(tableName: string, events: Object[]) => Promise<Object[]>} insertEvents
+ *   Appends to an event table (EVENT_TABLE_NAMES in adapters/common.js); returns the rows with their ids
+ * @property {(tableName: string, options?: { before?: Object, limit?: number }) => Promise<Object[]>} fetchEvents - Newest-first
+ * @property {(tableName: string, id: number) => Promise<Object|null>} fetchEvent - One event table row by id
+ * @property {(username: string) => Promise<Object|null>} fetchUser - monitor_users row, for AUTH_STORE=database
+ * @property {() => Promise<boolean>} ping
+ * @property {() => Promise<void>} close
+ */
+
+const ADAPTER_FACTORIES = {
+  supabase: () => createSupabaseAdapter({ client: supabase }),
+  postgres: () => createPostgresAdapter({ connectionString: DATABASE_URL }),
+  file: () => createFileAdapter({ directory: CAPTURE_DIR }),
+  // Filled by startSimulatorFeed() in index.js
+  simulator: () => createMemoryAdapter({ name: 'simulator' }),
+};
+
+let activeAdapter = null;
+
+/**
+ * The adapter selected by STORAGE_ADAPTER, created on first use.
+ * @returns {StorageAdapter}
+ */
+function getStorageAdapter() {
+  if (!activeAdapter) {
+    activeAdapter = ADAPTER_FACTORIES[STORAGE_ADAPTER]();
+  }
+  return activeAdapter;
+}
+
+/**
+ * Swaps the adapter, e.g. to point tests at a file capture.
+ * @param {StorageAdapter} adapter
+ */
+function setStorageAdapter(adapter) {
+  activeAdapter = adapter;
+}
+
+async function collectPages(pages) {
+  const rows = [];
+  for await (const page of pages) {
+    rows.push(...page);
+  }
+  return rows;
+}
+
+/**
+ * Yields rows newer than the cursor one page at a time, oldest-first, so callers that stream
+ * large windows never hold more than one page of rows.
+ * @param {string} [until] - Optional inclusive upper bound on the table's timestamp column
+ */
+function iterateEntriesSince(tableName, cursor, until = null) {
+  return getStorageAdapter().fetchSince(tableName, { after: cursor, until });
+}
+
+/**
+ * Maps Supabase log_data JSON to the application's data object format
+ * @param {Object} logData - The log_data JSON from Supabase
+ * @returns {Object} Mapped data object
+ */
+function mapSupabaseDataToAppFormat(logData) {
+  if (!logData) return null;
+
+  return {
+    pressure: logData.pressure || null,
+    pressureTimestamp: logData.pressureTimestamp || null,
+    safetyInputDataFlags: logData.safetyInputDataFlags || null,
+    safetyOutputDataFlags: logData.safetyOutputDataFlags || null,
+    safetyInputStatusFlags: logData.safetyInputStatusFlags || null,
+    safetyOutputStatusFlags: logData.safetyOutputStatusFlags || null,
+    temperatures: logData.temperatures || null,
+    vacuumBits: typeof logData.vacuumBits === 'string'
+      ? logData.vacuumBits.split('').map(bit => bit === '1')
+      : (logData.vacuumBits || null),
+    heaterCurrent_A: logData["Cathode A - Heater Current:"] ?? null,
+    heaterCurrent_B: logData["Cathode B - Heater Current:"] ?? null,
+    heaterCurrent_C: logData["Cathode C - Heater Current:"] ?? null,
+    heaterVoltage_A: logData["Cathode A - Heater Voltage:"] ?? null,
+    heaterVoltage_B: logData["Cathode B - Heater Voltage:"] ?? null,
+    heaterVoltage_C: logData["Cathode C - Heater Voltage:"] ?? null,
+    clamp_temperature_A: logData.clamp_temperature_A ?? null,
+    clamp_temperature_B: logData.clamp_temperature_B ?? null,
+    clamp_temperature_C: logData.clamp_temperature_C ?? null
+  };
+}
+
+/**
+ * Reset data when experiment is inactive
+ */
+function resetData() {
+  state.data = {
+    pressure: null,
+    pressureTimestamp: null,
+    safetyOutputDataFlags: null,
+    safetyInputDataFlags: null,
+    safetyOutputStatusFlags: null,
+    safetyInputStatusFlags: null,
+    temperatures: null,
+    vacuumBits: null,
+    heaterCurrent_A: null,
+    heaterCurrent_B: null,
+    heaterCurrent_C: null,
+    heaterVoltage_A: null,
+    heaterVoltage_B: null,
+    heaterVoltage_C: null,
+    clamp_temperature_A: null,
+    clamp_temperature_B: null,
+    clamp_temperature_C: null
+  };
+}
+
+/**
+ * Fetches the most recent entry from short_term_logs.
+ */
+async function fetchLatestShortTermEntry() {
+  try {
+    return await getStorageAdapter().fetchLatest('short_term_logs');
+  } catch (err) {
+    console.error('Error fetching short-term entry:', err);
+    reportLoopError(err);
+    return null;
+  }
+}
+
+/**
+ * Fetches the most recent entry from long_term_logs.
+ */
+async function fetchLatestLongTermEntry() {
+  try {
+    return await getStorageAdapter().fetchLatest('long_term_logs');
+  } catch (err) {
+    console.error('Error fetching long-term entry:', err);
+    reportLoopError(err);
+    return null;
+  }
+}
+
+/**
+ * Fetches all short-term entries newer than the provided created_at/id cursor.
+ * Results are returned oldest-first so callers can rebuild in-memory caches in order.
+ */
+async function fetchShortTermEntriesSince(cursor) {
+  try {
+    return await collectPages(iterateEntriesSince('short_term_logs', cursor));
+  } catch (err) {
+    console.error('Error fetching short-term entries since cursor:', err);
+    reportLoopError(err);
+    return [];
+  }
+}
+
+/**
+ * Fetches all long-term entries newer than the provided recorded_at/id cursor.
+ * Results are returned oldest-first so callers can rebuild in-memory caches in order.
+ */
+async function fetchLongTermEntriesSince(cursor) {
+  try {
+    return await collectPages(iterateEntriesSince('long_term_logs', cursor));
+  } catch (err) {
+    console.error('Error fetching long-term entries since cursor:', err);
+    reportLoopError(err);
+    return [];
+  }
+}
+
+/**
+ * Yields the rows with their timestamp inside [fromIso, toIso] one page at a time, oldest-first.
+ * Errors propagate so range queries can report them instead of returning an empty chart.
+ */
+function iterateEntriesBetween(tableName, fromIso, toIso) {
+  return getStorageAdapter().fetchSince(tableName, { since: fromIso, until: toIso });
+}
+
+/**
+ * Backfills every series that reads from one table, in a single oldest-first pass.
+ * Each series only takes rows inside its own retentionMs; a decimated series stops
+ * taking rows once it holds maxDataPoints. As with live appends, run boundaries do not trim it.
+ * @param {Object[]} seriesList - Registry entries whose source is tableName
+ * @param {string} tableName - 'short_term_logs' or 'long_term_logs'
+ * @param {number} [nowMs]
+ * @returns {{ timestamp: string, id: string|null }|null} Cursor for the last row read, or null if no data
+ */
+async function backfillSeries(seriesList, tableName, nowMs = Date.now()) {
+  const { timestampColumn } = TABLES[tableName];
+  const windowStartMs = seriesList.length === 0 ? -Infinity : nowMs - Math.max(...seriesList.map((series) => series.retentionMs));
+  const since = Number.isFinite(windowStartMs) ? new Date(windowStartMs).toISOString() : null;
+  const appendedCounts = new Map(seriesList.map((series) => [series.name, 0]));
+  const cursorFor = (row) => ({ timestamp: row[timestampColumn], id: row.id ?? null });
+  let lastRow = null;
+
+  try {
+    for await (const page of getStorageAdapter().fetchSince(tableName, { since })) {
+      for (const row of page) {
+        const rowMs = new Date(row[timestampColumn]).getTime();
+        const tSec = Math.floor(rowMs / 1000);
+
+        for (const series of seriesList) {
+          if (rowMs < nowMs - series.retentionMs) continue;
+          if (isSeriesFull(series)) continue;
+          if (appendSeriesValue(series, tSec, series.extract(row))) {
+            appendedCounts.set(series.name, appendedCounts.get(series.name) + 1);
+          }
+        }
+      }
+
+      lastRow = page[page.length - 1];
+      if (seriesList.every(isSeriesFull)) break;
+    }
+
+    if (lastRow === null) {
+      console.log(`No ${tableName} data to backfill`);
+      return null;
+    }
+    for (const [name, count] of appendedCounts) {
+      console.log(`Backfilled ${count} points into ${name}`);
+      monitorMetrics.backfilled(name, count);
+    }
+    return cursorFor(lastRow);
+  } catch (err) {
+    // Keep what was read so far; the pollers resume from its last row
+    console.error(`Error backfilling ${tableName} series:`, err);
+    return lastRow ? cursorFor(lastRow) : null;
+  }
+}
+
+/**
+ * Deletes every short_term_logs and long_term_logs row (the purge), and with `runs` the
+ * archived run records too.
+ * @throws {Error} when the adapter reports a failure
+ */
+async function resetLogTables({ runs = false } = {}) {
+  await getStorageAdapter().reset(runs ? [...LOG_TABLE_NAMES, 'runs'] : LOG_TABLE_NAMES);
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the storage backend answered
+ */
+async function checkStorageConnection() {
+  try {
+    return await getStorageAdapter().ping();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Inserts interlock/vacuum transition rows into interlock_events.
+ * @param {Object[]} events - Rows shaped { occurred_at, signal, signal_group, old_value, new_value, flags }
+ * @returns {Object[]} The inserted rows including their generated ids
+ */
+async function insertInterlockEvents(events) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  return getStorageAdapter().insertEvents('interlock_events', events);
+}
+
+/**
+ * Pages backwards through interlock_events, newest first.
+ * @param {Object} [options]
+ * @param {{ timestamp: string, id: number|null }|null} [options.before] - Cursor of the last row already shown
+ * @param {number} [options.limit] - Page size
+ */
+async function fetchInterlockEvents({ before = null, limit = 50 } = {}) {
+  return getStorageAdapter().fetchEvents('interlock_events', { before, limit });
+}
+
+/**
+ * Inserts rows into audit_events.
+ * @param {Object[]} events - Rows shaped { occurred_at, actor, role, action, detail }
+ * @returns {Object[]} The inserted rows including their generated ids
+ */
+async function insertAuditEvents(events) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  return getStorageAdapter().insertEvents('audit_events', events);
+}
+
+/**
+ * Pages backwards through audit_events, newest first.
+ * @param {Object} [options]
+ * @param {{ timestamp: string, id: number|null }|null} [options.before] - Cursor of the last row already shown
+ * @param {number} [options.limit] - Page size
+ */
+async function fetchAuditEvents({ before = null, limit = 50 } = {}) {
+  return getStorageAdapter().fetchEvents('audit_events', { before, limit });
+}
+
+/**
+ * Archives a closed run.
+ * @param {Object} run - { started_at, ended_at, note, closed_by }
+ * @returns {Object} The inserted row including its id, which is the run number
+ */
+async function insertRun(run) {
+  const [inserted] = await getStorageAdapter().insertEvents('runs', [run]);
+  return inserted;
+}
+
+/**
+ * Pages backwards through the archived runs, most recently closed first.
+ * @param {Object} [options]
+ * @param {{ timestamp: string, id: number|null }|null} [options.before] - Cursor (ended_at, id) of the last run already shown
+ * @param {number} [options.limit] - Page size
+ */
+async function fetchRuns({ before = null, limit = 50 } = {}) {
+  return getStorageAdapter().fetchEvents('runs', { before, limit });
+}
+
+/**
+ * One archived run by its id, which is the run number.
+ * @returns {Promise<Object|null>} null for an unknown run
+ */
+async function fetchRun(id) {
+  return getStorageAdapter().fetchEvent('runs', id);
+}
+
+/**
+ * Inserts one logbook note.
+ * @param {Object} annotation - { at, text, author, created_at }
+ * @returns {Object} The inserted row including its id
+ */
+async function insertAnnotation(annotation) {
+  const [inserted] = await getStorageAdapter().insertEvents('annotations', [annotation]);
+  return inserted;
+}
+
+/**
+ * Pages backwards through the logbook by the time each note is pinned to, newest first.
+ * @param {Object} [options]
+ * @param {{ timestamp: string, id: number|null }|null} [options.before] - Cursor (at, id) of the last note already shown
+ * @param {number} [options.limit] - Page size
+ */
+async function fetchAnnotations({ before = null, limit = 50 } = {}) {
+  return getStorageAdapter().fetchEvents('annotations', { before, limit });
+}
+
+/**
+ * Looks up one monitor_users row by username.
+ * @returns {Object|null} { username, role, password_hash, tokens, created_at }
+ */
+async function fetchUser(username) {
+  return getStorageAdapter().fetchUser(username);
+}
+
+module.exports = {
+  mapSupabaseDataToAppFormat,
+  resetData,
+  getStorageAdapter,
+  setStorageAdapter,
+  backfillSeries,
+  fetchLatestShortTermEntry,
+  fetchLatestLongTermEntry,
+  fetchShortTermEntriesSince,
+  fetchLongTermEntriesSince,
+  iterateEntriesSince,
+  iterateEntriesBetween,
+  resetLogTables,
+  checkStorageConnection,
+  insertInterlockEvents,
+  fetchInterlockEvents,
+  insertAuditEvents,
+  fetchAuditEvents,
+  insertRun,
+  fetchRuns,
+  fetchRun,
+  insertAnnotation,
+  fetchAnnotations,
+  fetchUser,
+};
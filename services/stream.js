@@ -0,0 +1,76 @@
+// Server-Sent Events fan-out — one shared broadcaster for every open dashboard tab
+
+const HEARTBEAT_INTERVAL_MS = 25_000;
+
+const clients = new Set();
+
+function formatEvent(event, payload) {
+  return `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+/**
+ * Attaches an Express response to the SSE broadcaster and keeps it open until the client disconnects.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [initialEvent] - Optional { event, payload } sent immediately after the handshake
+ */
+function registerStreamClient(req, res, initialEvent = null) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+
+  if (initialEvent) {
+    res.write(formatEvent(initialEvent.event, initialEvent.payload));
+  }
+
+  // Comment frames keep proxies (Render, nginx) from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref?.();
+
+  const client = { res, heartbeat };
+  clients.add(client);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  return client;
+}
+
+/**
+ * Sends one named event to every connected client. A no-op when nobody is listening.
+ */
+function broadcast(event, payload) {
+  if (clients.size === 0) {
+    return 0;
+  }
+
+  const frame = formatEvent(event, payload);
+  for (const client of clients) {
+    try {
+      client.res.write(frame);
+    } catch (err) {
+      console.error('SSE write failed, dropping client:', err.message);
+      clearInterval(client.heartbeat);
+      clients.delete(client);
+    }
+  }
+
+  return clients.size;
+}
+
+function getStreamClientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  registerStreamClient,
+  broadcast,
+  getStreamClientCount,
+  formatEvent,
+};
@@ -0,0 +1,51 @@
+const state = require('./state');
+const { computeAllColors } = require('./interlocks');
+const { alarmEngine } = require('./alarms');
+const { buildFieldQuality, buildIndicatorQuality } = require('./quality');
+
+/**
+ * Builds the scalar dashboard payload shared by the /data route and the /stream "state" event.
+ * @param {Object} [stateRef] - Shared app state (injectable for tests)
+ * @returns {Object} JSON-serialisable snapshot of the current scalar values and computed colors
+ */
+function buildDataPayload(stateRef = state) {
+  const { sicColors, vacColors } = computeAllColors(stateRef.data, stateRef.experimentRunning);
+  const fieldQuality = buildFieldQuality(stateRef);
+  const { sicQuality, vacuumQuality } = buildIndicatorQuality(fieldQuality);
+
+  return {
+    pressure: stateRef.data.pressure,
+    pressureTimestamp: stateRef.data.pressureTimestamp,
+    safetyInputStatusFlags: stateRef.data.safetyInputStatusFlags,
+    safetyOutputStatusFlags: stateRef.data.safetyOutputStatusFlags,
+    safetyOutputDataFlags: stateRef.data.safetyOutputDataFlags,
+    safetyInputDataFlags: stateRef.data.safetyInputDataFlags,
+    temperatures: stateRef.data.temperatures,
+    vacuumBits: stateRef.data.vacuumBits,
+    vacuumColors: vacColors,
+    sicColors,
+    sicQuality,
+    vacuumQuality,
+    heaterCurrent_A: stateRef.data.heaterCurrent_A,
+    heaterCurrent_B: stateRef.data.heaterCurrent_B,
+    heaterCurrent_C: stateRef.data.heaterCurrent_C,
+    heaterVoltage_A: stateRef.data.heaterVoltage_A,
+    heaterVoltage_B: stateRef.data.heaterVoltage_B,
+    heaterVoltage_C: stateRef.data.heaterVoltage_C,
+    clamp_temperature_A: stateRef.data.clamp_temperature_A,
+    clamp_temperature_B: stateRef.data.clamp_temperature_B,
+    clamp_temperature_C: stateRef.data.clamp_temperature_C,
+    experimentRunning: stateRef.experimentRunning,
+    fieldQuality,
+    replay: stateRef.replay,
+    run: stateRef.currentRun,
+    alarms: alarmEngine.getActiveAlarms(),
+    siteLastUpdated: new Date().toISOString(),
+    webMonitorLastModified: stateRef.webMonitorLastModified || null,
+    displayLogLastModified: stateRef.displayLogLastModified || null
+  };
+}
+
+module.exports = {
+  buildDataPayload,
+};
@@ -0,0 +1,76 @@
+const { computeAllColors, SIC_SIGNALS, VACUUM_SIGNALS } = require('./interlocks');
+const { mapSupabaseDataToAppFormat } = require('./storage');
+
+/**
+ * Creates a tracker that diffs the interlock and vacuum colors of successive short-term rows.
+ * The first row observed only establishes a baseline.
+ */
+function createTransitionTracker() {
+  let previous = null;
+
+  /**
+   * @param {Object} logData - Raw `data` jsonb of a short_term_logs row
+   * @param {string} occurredAt - The row's created_at
+   * @returns {Object[]} interlock_events rows for every signal whose color changed
+   */
+  function observe(logData, occurredAt) {
+    const mapped = mapSupabaseDataToAppFormat(logData);
+    if (!mapped) {
+      return [];
+    }
+
+    const { sicColors, vacColors } = computeAllColors(mapped, true);
+    const current = { sicColors, vacColors };
+
+    if (!previous) {
+      previous = current;
+      return [];
+    }
+
+    const flags = {
+      safetyInputDataFlags: mapped.safetyInputDataFlags,
+      safetyInputStatusFlags: mapped.safetyInputStatusFlags,
+      safetyOutputDataFlags: mapped.safetyOutputDataFlags,
+      safetyOutputStatusFlags: mapped.safetyOutputStatusFlags,
+      vacuumBits: logData.vacuumBits ?? null,
+    };
+
+    const events = [
+      ...diffSignals(SIC_SIGNALS, 'interlock', previous.sicColors, sicColors),
+      ...diffSignals(VACUUM_SIGNALS, 'vacuum', previous.vacColors, vacColors),
+    ].map((change) => ({ occurred_at: occurredAt, ...change, flags }));
+
+    previous = current;
+    return events;
+  }
+
+  function reset() {
+    previous = null;
+  }
+
+  return { observe, reset };
+}
+
+function diffSignals(signals, group, previousColors, currentColors) {
+  const changes = [];
+
+  signals.forEach((signal, index) => {
+    if (previousColors[index] !== currentColors[index]) {
+      changes.push({
+        signal: signal.key,
+        signal_group: group,
+        old_value: previousColors[index],
+        new_value: currentColors[index],
+      });
+    }
+  });
+
+  return changes;
+}
+
+const interlockTransitionTracker = createTransitionTracker();
+
+module.exports = {
+  createTransitionTracker,
+  interlockTransitionTracker,
+};
@@ -1,36 +1,3 @@
-const state = require('./state');
-
-function getTimestamp() {
-  const now = new Date();
-  return now.toISOString().replace('T', ' ').substring(0, 19);
-}
-
-function randomPressure() {
-  const min = 7.60e-8;
-  const max = 1.20e+3;
-  const pressure = Math.random() * (max - min) + min;
-  return pressure.toExponential(2);
-}
-
-function generateLogLine() {
-  return {
-    timestamp: getTimestamp(),
-    status: {
-      pressure: randomPressure(),
-      ...state.baseStatus
-    }
-  };
-}
-
-function addLogs() {
-  if (state.sampleDataLines.length < 10) {
-    for (let i = 0; i < 1; i++) {
-      const line = generateLogLine();
-      state.sampleDataLines.unshift(JSON.stringify(line));
-    }
-  }
-}
-
 const chicagoTimeFormatter = new Intl.DateTimeFormat('en-US', {
   timeZone: 'America/Chicago',
   hour: 'numeric',
@@ -53,9 +20,5 @@ function secondsSinceMidnightChicago() {
 }
 
 module.exports = {
-  getTimestamp,
-  randomPressure,
-  generateLogLine,
-  addLogs,
   secondsSinceMidnightChicago,
 };
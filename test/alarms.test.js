@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.SUPABASE_API_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_API_KEY ??= 'test-supabase-key';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const clock = require('../services/clock');
+const { createAlarmEngine, readAlarmField, normalizeAlarmRule, loadAlarmRules } = require('../services/alarms');
+
+const T0 = Date.parse('2026-03-21T12:00:00.000Z');
+
+function createPressureEngine(overrides = {}) {
+  return createAlarmEngine({
+    rules: [{
+      id: 'pressure-high',
+      field: 'pressure',
+      comparator: '>',
+      threshold: 1e-4,
+      holdOffMs: 10_000,
+      severity: 'critical',
+      ...overrides,
+    }],
+  });
+}
+
+test('an alarm is only raised once the violation outlasts the hold-off', () => {
+  const engine = createPressureEngine();
+
+  assert.deepEqual(engine.evaluate({ pressure: '5e-4' }, T0), []);
+  assert.deepEqual(engine.evaluate({ pressure: '6e-4' }, T0 + 9_000), []);
+  assert.equal(engine.getActiveAlarms().length, 0);
+
+  const transitions = engine.evaluate({ pressure: '7e-4' }, T0 + 10_000);
+
+  assert.equal(transitions.length, 1);
+  assert.equal(transitions[0].type, 'raised');
+  assert.equal(transitions[0].alarm.status, 'active');
+  assert.equal(transitions[0].alarm.value, 7e-4);
+  assert.equal(engine.getActiveAlarms().length, 1);
+});
+
+test('a violation that recovers inside the hold-off never raises', () => {
+  const engine = createPressureEngine();
+
+  engine.evaluate({ pressure: '5e-4' }, T0);
+  engine.evaluate({ pressure: '5e-6' }, T0 + 5_000);
+  engine.evaluate({ pressure: '5e-4' }, T0 + 8_000);
+
+  assert.deepEqual(engine.evaluate({ pressure: '5e-4' }, T0 + 15_000), []);
+  assert.equal(engine.getActiveAlarms().length, 0);
+});
+
+test('alarms move active -> acknowledged -> cleared and land in history', () => {
+  const engine = createPressureEngine({ holdOffMs: 0 });
+
+  const [{ alarm }] = engine.evaluate({ pressure: 2e-4 }, T0);
+  engine.evaluate({ pressure: 9e-4 }, T0 + 3_000);
+
+  const acknowledged = engine.acknowledge(alarm.id, 'operator', T0 + 4_000);
+  assert.equal(acknowledged.status, 'acknowledged');
+  assert.equal(acknowledged.acknowledgedBy, 'operator');
+  assert.equal(acknowledged.peakValue, 9e-4);
+
+  // Missing readings neither clear nor re-raise
+  assert.deepEqual(engine.evaluate({ pressure: null }, T0 + 6_000), []);
+  assert.equal(engine.getActiveAlarms()[0].status, 'acknowledged');
+
+  const transitions = engine.evaluate({ pressure: 1e-6 }, T0 + 9_000);
+
+  assert.equal(transitions[0].type, 'cleared');
+  assert.equal(engine.getActiveAlarms().length, 0);
+  assert.equal(engine.getAlarmHistory()[0].id, alarm.id);
+  assert.equal(engine.getAlarmHistory()[0].status, 'cleared');
+  assert.equal(engine.acknowledge(alarm.id), null);
+});
+
+test('temperature fields are read by sensor key and DISCONNECTED readings are ignored', () => {
+  assert.equal(readAlarmField({ temperatures: { 3: '23.82' } }, 'temperatures.3'), 23.82);
+  assert.equal(readAlarmField({ temperatures: { 3: 'DISCONNECTED' } }, 'temperatures.3'), null);
+  assert.equal(readAlarmField({ clamp_temperature_B: 41.5 }, 'clamp_temperature_B'), 41.5);
+  assert.throws(() => normalizeAlarmRule({ field: 'beamEnergy', comparator: '>', threshold: 1 }), /unknown field/);
+  assert.throws(() => normalizeAlarmRule({ field: 'pressure', comparator: '~', threshold: 1 }), /unsupported comparator/);
+});
+
+test('acknowledgements are stamped on the clock alarms are evaluated on, and rule ids must be unique', () => {
+  const engine = createPressureEngine({ holdOffMs: 0 });
+  clock.useClock({ now: () => T0 + 60_000 });
+  try {
+    const [{ alarm }] = engine.evaluate({ pressure: 2e-4 });
+    assert.equal(alarm.raisedAt, new Date(T0 + 60_000).toISOString());
+    assert.equal(engine.acknowledge(alarm.id, 'operator').acknowledgedAt, new Date(T0 + 60_000).toISOString());
+  } finally {
+    clock.useClock(null);
+  }
+
+  const rule = { id: 'pressure-high', field: 'pressure', comparator: '>', threshold: 1e-4 };
+  assert.throws(() => createAlarmEngine({ rules: [rule, { ...rule, threshold: 1e-3 }] }), /declared twice/);
+
+  const rulesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-alarm-rules-')), 'rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify([rule, { ...rule, threshold: 1e-3 }]));
+  const errors = [];
+  const loaded = loadAlarmRules(rulesFile, { error: (message) => errors.push(message), log() {} });
+  assert.deepEqual(loaded.map(({ threshold }) => threshold), [1e-4], 'the second rule with the id is skipped');
+  assert.match(errors[0], /"pressure-high" is declared twice/);
+});
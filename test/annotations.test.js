@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const captureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-annotations-'));
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = captureDir;
+
+const express = require('express');
+const { createAnnotationLog } = require('../services/annotations');
+const registerRoutes = require('../routes');
+
+const START_MS = Date.parse('2026-06-01T09:00:00.000Z');
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  registerRoutes(app);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function minutesIn(minutes) {
+  return new Date(START_MS + minutes * 60_000).toISOString();
+}
+
+async function postNote(at, text) {
+  const res = await fetch(`${baseUrl}/annotations`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ at, text }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function getNotes(query) {
+  const res = await fetch(`${baseUrl}/annotations?${new URLSearchParams(query)}`);
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test('notes are pinned to their own time, searchable and paged newest first', async () => {
+  // Written out of order: the valve note is added after the fact
+  assert.equal((await postNote(minutesIn(30), 'Started cathode B ramp')).status, 201);
+  assert.equal((await postNote(minutesIn(90), 'Door opened for inspection')).status, 201);
+  const { status, body } = await postNote(minutesIn(10), '  Opened valve V2 ');
+  assert.equal(status, 201);
+  assert.equal(body.annotation.at, minutesIn(10));
+  assert.equal(body.annotation.text, 'Opened valve V2');
+  assert.equal(body.annotation.author, null, 'no accounts, so no author');
+
+  assert.equal((await postNote(minutesIn(5), '   ')).status, 400);
+  assert.equal((await postNote('yesterday-ish', 'note')).status, 400);
+  assert.equal((await postNote(minutesIn(5), 'x'.repeat(2001))).status, 400);
+
+  const all = await getNotes({});
+  assert.deepEqual(all.annotations.map(({ at }) => at), [minutesIn(90), minutesIn(30), minutesIn(10)]);
+  assert.equal(all.nextBefore, null);
+
+  const ranged = await getNotes({ from: minutesIn(10), to: minutesIn(30) });
+  assert.deepEqual(ranged.annotations.map(({ text }) => text), ['Started cathode B ramp', 'Opened valve V2']);
+
+  assert.deepEqual((await getNotes({ q: 'VALVE' })).annotations.map(({ text }) => text), ['Opened valve V2']);
+
+  const first = await getNotes({ limit: '2' });
+  assert.equal(first.annotations.length, 2);
+  assert.deepEqual(first.nextBefore, { before: minutesIn(30), beforeId: first.annotations[1].id });
+  const second = await getNotes({ limit: '2', before: first.nextBefore.before, beforeId: String(first.nextBefore.beforeId) });
+  assert.deepEqual(second.annotations.map(({ at }) => at), [minutesIn(10)]);
+});
+
+test('notes export over a time range like the log tables', async () => {
+  const res = await fetch(`${baseUrl}/export?table=annotations&format=csv&from=${minutesIn(0)}&to=${minutesIn(60)}&columns=at,text`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /filename="annotations_/);
+  assert.equal(await res.text(), [
+    'at,text',
+    `${minutesIn(10)},Opened valve V2`,
+    `${minutesIn(30)},Started cathode B ramp`,
+    '',
+  ].join('\r\n'));
+});
+
+test('added notes are pushed to the stream and searched by author too', async () => {
+  const rows = [];
+  const published = [];
+  const log = createAnnotationLog({
+    insert: async (row) => {
+      const stored = { id: rows.length + 1, ...row };
+      rows.push(stored);
+      return stored;
+    },
+    fetchPage: async () => rows.slice().reverse(),
+    publish: (event, payload) => published.push([event, payload]),
+    now: () => START_MS,
+  });
+
+  const note = await log.add({ atMs: START_MS - 1000, text: 'Argon flow set to 2 sccm', author: 'otto' });
+  assert.deepEqual(note, {
+    id: 1,
+    at: new Date(START_MS - 1000).toISOString(),
+    text: 'Argon flow set to 2 sccm',
+    author: 'otto',
+    created_at: new Date(START_MS).toISOString(),
+  });
+  assert.deepEqual(published, [['annotations', { annotations: [note] }]]);
+  assert.deepEqual((await log.list({ query: 'OTTO' })).annotations, [note]);
+  assert.deepEqual((await log.list({ query: 'vera' })).annotations, []);
+});
+
+test('time filters compare instants, so Postgres microsecond timestamps are not cut off', async () => {
+  // Postgres rows come back with six fractional digits, which sort before the same instant in toISOString() form
+  const rows = [
+    { id: 2, at: '2026-06-01T09:00:00.000000Z', text: 'at the start', author: null, created_at: '2026-06-01T09:05:00.000000Z' },
+    { id: 1, at: '2026-06-01T08:59:59.999000Z', text: 'just before', author: null, created_at: '2026-06-01T09:05:00.000000Z' },
+  ];
+  const log = createAnnotationLog({
+    insert: async (row) => ({ id: 3, ...row, at: row.at.replace('Z', '000Z') }),
+    fetchPage: async () => rows,
+    publish: () => {},
+  });
+
+  const { annotations } = await log.list({ fromMs: START_MS });
+  assert.deepEqual(annotations.map(({ id, at }) => [id, at]), [[2, '2026-06-01T09:00:00.000Z']]);
+  assert.equal((await log.add({ atMs: START_MS, text: 'saved' })).at, '2026-06-01T09:00:00.000Z');
+});
@@ -0,0 +1,212 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-auth-'));
+const usersFile = path.join(tmpDir, 'users.json');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = tmpDir;
+process.env.AUTH_STORE = 'file';
+process.env.AUTH_USERS_FILE = usersFile;
+
+const express = require('express');
+const {
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  createApiToken,
+  parseApiToken,
+  findTokenEntry,
+  writeUsersFile,
+} = require('../services/accounts');
+const { createRateLimiter, createSessionStore } = require('../services/auth');
+const { fetchAuditEvents } = require('../services/storage');
+const registerRoutes = require('../routes');
+
+const PASSWORDS = { vera: 'viewer password', otto: 'operator password', ada: 'admin password' };
+let operatorToken;
+let server;
+let baseUrl;
+
+before(async () => {
+  const issued = createApiToken('otto', 'ci');
+  operatorToken = issued.token;
+
+  writeUsersFile(usersFile, [
+    { username: 'vera', role: 'viewer', password_hash: await hashPassword(PASSWORDS.vera), tokens: [] },
+    { username: 'otto', role: 'operator', password_hash: await hashPassword(PASSWORDS.otto), tokens: [issued.entry] },
+    { username: 'ada', role: 'admin', password_hash: await hashPassword(PASSWORDS.ada), tokens: [] },
+  ]);
+
+  const app = express();
+  app.use(express.json());
+  registerRoutes(app);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function request(pathname, { method = 'GET', body, cookie, token } = {}) {
+  const headers = {};
+  if (body) headers['Content-Type'] = 'application/json';
+  if (cookie) headers.Cookie = cookie;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(`${baseUrl}${pathname}`, { method, headers, body: body && JSON.stringify(body), redirect: 'manual' });
+}
+
+async function login(username, password = PASSWORDS[username]) {
+  const res = await request('/login', { method: 'POST', body: { username, password } });
+  assert.equal(res.status, 200);
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+test('passwords are salted scrypt hashes and API tokens are only kept as hashes', async () => {
+  const hash = await hashPassword('hunter2 hunter2');
+  assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(await hashPassword('hunter2 hunter2'), hash);
+  assert.equal(await verifyPassword('hunter2 hunter2', hash), true);
+  assert.equal(await verifyPassword('hunter3 hunter3', hash), false);
+  assert.equal(await verifyPassword('anything', null), false);
+
+  const { token, entry } = createApiToken('otto');
+  assert.ok(!JSON.stringify(entry).includes(parseApiToken(token).secret));
+  const { username, id, secret } = parseApiToken(token);
+  assert.equal(username, 'otto');
+  assert.equal(findTokenEntry({ tokens: [entry] }, id, secret), entry);
+  assert.equal(findTokenEntry({ tokens: [entry] }, id, `${secret.slice(0, -1)}${secret.endsWith('0') ? '1' : '0'}`), null);
+  assert.equal(parseApiToken('Basic abc'), null);
+
+  assert.ok(hasRole('admin', 'operator'));
+  assert.ok(!hasRole('viewer', 'operator'));
+  assert.ok(!hasRole('root', 'viewer'));
+});
+
+test('sessions slide with use and the limiter blocks a key until its window ends', () => {
+  let nowMs = 0;
+  const now = () => nowMs;
+
+  const sessions = createSessionStore({ ttlMs: 1_000, now });
+  const id = sessions.create('vera');
+  nowMs = 900;
+  assert.equal(sessions.touch(id), 'vera');
+  nowMs = 1_800;
+  assert.equal(sessions.touch(id), 'vera', 'touching extended it');
+  nowMs = 2_900;
+  assert.equal(sessions.touch(id), null);
+
+  const limiter = createRateLimiter({ maxAttempts: 2, windowMs: 1_000, now });
+  nowMs = 10_000;
+  limiter.fail('ada');
+  assert.equal(limiter.retryAfterMs('ada'), 0);
+  nowMs = 10_400;
+  limiter.fail('ada');
+  assert.equal(limiter.retryAfterMs('ada'), 600);
+  assert.equal(limiter.retryAfterMs('vera'), 0);
+  nowMs = 11_000;
+  assert.equal(limiter.retryAfterMs('ada'), 0);
+});
+
+test('read routes need a login and control routes need the operator role', async () => {
+  assert.equal((await request('/health')).status, 200);
+  assert.notEqual((await request('/ready')).status, 401);
+  assert.equal((await request('/status')).status, 401);
+  assert.equal((await request('/data')).status, 401);
+
+  const page = await request('/');
+  assert.equal(page.status, 302);
+  assert.equal(page.headers.get('location'), '/login?next=%2F');
+  assert.equal((await request('/login')).status, 200);
+  for (const [next, kept] of [
+    ['/runs?limit=5', '/runs?limit=5'],
+    ['//evil.com', '/'],
+    ['/\\evil.com', '/'],
+    ['/\t/evil.com', '/'],
+    ['https://evil.com/', '/'],
+  ]) {
+    const html = await (await request(`/login?next=${encodeURIComponent(next)}`)).text();
+    assert.ok(html.includes(`const next = ${JSON.stringify(kept)};`), `next=${JSON.stringify(next)}`);
+  }
+
+  const vera = await login('vera');
+  assert.equal((await request('/data', { cookie: vera })).status, 200);
+  assert.deepEqual(await (await request('/me', { cookie: vera })).json(), {
+    authEnabled: true,
+    user: { username: 'vera', role: 'viewer', via: 'session' },
+  });
+  const dashboard = await (await request('/', { cookie: vera })).text();
+  assert.match(dashboard, /vera \(viewer\)/);
+  assert.doesNotMatch(dashboard, /id="open-reset-modal"/);
+
+  assert.equal((await request('/replay/stop', { method: 'POST', cookie: vera })).status, 403);
+  const byToken = await request('/replay/stop', { method: 'POST', token: operatorToken });
+  assert.equal(byToken.status, 200);
+  assert.equal((await request('/replay/stop', { method: 'POST', token: `${operatorToken.slice(0, -1)}${operatorToken.endsWith('0') ? '1' : '0'}` })).status, 401);
+
+  const logout = await request('/logout', { method: 'POST', cookie: vera });
+  assert.equal(logout.status, 303);
+  assert.equal((await request('/data', { cookie: vera })).status, 401);
+});
+
+test('repeated failed logins are locked out and audited', async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const res = await request('/login', { method: 'POST', body: { username: 'otto', password: 'guess' } });
+    assert.equal(res.status, 401);
+  }
+
+  const locked = await request('/login', { method: 'POST', body: { username: 'otto', password: PASSWORDS.otto } });
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+  const failures = (await fetchAuditEvents({ limit: 500 })).filter(({ action }) => action === 'login-failed');
+  assert.equal(failures.length, 5);
+  assert.equal(failures[0].actor, 'otto');
+});
+
+test('operators close runs, only admins purge with their own password, and both are audited', async () => {
+  const closed = await request('/experiment-reset', { method: 'POST', token: operatorToken, body: { note: 'bakeout done' } });
+  assert.equal(closed.status, 200);
+  const { archived } = await closed.json();
+  assert.equal(archived.closed_by, 'otto');
+  assert.equal(archived.note, 'bakeout done');
+
+  const otto = await request('/experiment-purge', { method: 'POST', token: operatorToken, body: { password: PASSWORDS.otto, confirm: 'PURGE' } });
+  assert.equal(otto.status, 403);
+
+  const ada = await login('ada');
+  const unconfirmed = await request('/experiment-purge', { method: 'POST', cookie: ada, body: { password: PASSWORDS.ada } });
+  assert.equal(unconfirmed.status, 400);
+  const wrong = await request('/experiment-purge', { method: 'POST', cookie: ada, body: { password: PASSWORDS.otto, confirm: 'PURGE' } });
+  assert.equal(wrong.status, 401);
+
+  const purge = await request('/experiment-purge', { method: 'POST', cookie: ada, body: { password: PASSWORDS.ada, confirm: 'PURGE' } });
+  assert.equal(purge.status, 200);
+
+  assert.equal((await request('/audit', { cookie: await login('vera') })).status, 403);
+  const { events } = await (await request('/audit?limit=5', { cookie: ada })).json();
+  assert.equal(events[0].actor, 'vera', 'the viewer login just now');
+  assert.deepEqual(events.slice(1).map(({ actor, role, action }) => [actor, role, action]), [
+    ['ada', 'admin', 'experiment-purge'],
+    ['ada', 'admin', 'experiment-purge-denied'],
+    ['ada', 'admin', 'login'],
+    ['otto', 'operator', 'experiment-reset'],
+  ]);
+  assert.equal(events[1].detail.via, 'session');
+  assert.deepEqual(events[4].detail.runId, archived.id);
+
+  assert.equal((await request(`/runs/${archived.id}`, { cookie: ada })).status, 404, 'purged with the rest');
+  const current = await (await request('/runs/current', { cookie: ada })).json();
+  assert.equal(current.id, 1);
+  assert.equal(current.ended_at, null);
+  assert.equal((await request('/runs/latest', { cookie: ada })).status, 400);
+  assert.equal((await request('/run-history')).status, 302);
+  assert.match(await (await request('/run-history', { cookie: ada })).text(), /id="runs-body"/);
+});
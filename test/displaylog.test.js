@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-displaylog-capture-'));
+
+const express = require('express');
+const { parseDisplayLogLine, parseDisplayLog, createDisplayLog, displayLog } = require('../services/displaylog');
+const registerRoutes = require('../routes');
+
+const LINES = [
+  '[23:59:58] - INFO: [Vacuum] Pumping down',
+  '[23:59:59] - WARNING: [Cathode B] Heater current above setpoint',
+  '[00:00:01] - ERROR: Interlock read failed',
+  'Traceback (most recent call last):',
+  '  File "interlocks.py", line 12, in read',
+  '2026-01-16 00:00:05,250 - Vacuum - INFO - Gate valve opened',
+  '2026-01-16 00:00:09 [WARN] Argon pressure low',
+  '',
+];
+
+test('each line shape yields a timestamp, level, subsystem and message', () => {
+  assert.deepEqual(parseDisplayLogLine('[2026-01-15 14:23:05] - INFO: [Vacuum] Pump started'), {
+    date: '2026-01-15', time: '14:23:05', level: 'INFO', subsystem: 'Vacuum', message: 'Pump started',
+  });
+  assert.deepEqual(parseDisplayLogLine('2026-01-15 14:23:05,1 - ccs.heater - CRITICAL - Overcurrent'), {
+    date: '2026-01-15', time: '14:23:05.100', level: 'CRITICAL', subsystem: 'ccs.heater', message: 'Overcurrent',
+  });
+  assert.equal(parseDisplayLogLine('[14:23:05] - NOTICE: not a level we know'), null);
+  assert.equal(parseDisplayLogLine('plain text'), null);
+
+  const entries = parseDisplayLog(LINES, { fileName: 'log_2026-01-15_08-00-00.txt' });
+  assert.deepEqual(entries.map(({ id, timestamp, level, subsystem }) => [id, timestamp, level, subsystem]), [
+    [1, '2026-01-15 23:59:58', 'INFO', 'Vacuum'],
+    [2, '2026-01-15 23:59:59', 'WARNING', 'Cathode B'],
+    [3, '2026-01-16 00:00:01', 'ERROR', null],
+    [4, '2026-01-16 00:00:05.250', 'INFO', 'Vacuum'],
+    [5, '2026-01-16 00:00:09', 'WARNING', null],
+  ]);
+  assert.equal(entries[2].message, 'Interlock read failed\nTraceback (most recent call last):\n  File "interlocks.py", line 12, in read');
+});
+
+test('queries filter through the level and subsystem indexes, search and page newest first', () => {
+  const log = createDisplayLog({ filePath: path.join(os.tmpdir(), 'ebeam-no-such-log.txt') });
+  assert.equal(log.replace(LINES, { name: 'log_2026-01-15_08-00-00.txt', modifiedTime: '2026-01-16T06:00:10Z' }), true);
+  assert.equal(log.replace([], { name: 'log_2026-01-15_08-00-00.txt', modifiedTime: '2026-01-16T06:00:10Z' }), false, 'unchanged file');
+
+  const ids = (page) => page.entries.map(({ id }) => id);
+  assert.deepEqual(ids(log.query()), [5, 4, 3, 2, 1]);
+  assert.deepEqual(ids(log.query({ levels: ['warning', 'ERROR'] })), [5, 3, 2]);
+  assert.deepEqual(ids(log.query({ levels: ['INFO'], subsystems: ['Vacuum'] })), [4, 1]);
+  assert.deepEqual(ids(log.query({ query: 'TRACEBACK' })), [3]);
+  assert.deepEqual(ids(log.query({ query: 'cathode b' })), [2], 'the subsystem is searched too');
+
+  const first = log.query({ subsystems: ['Vacuum', 'Cathode B'], limit: 2 });
+  assert.deepEqual([ids(first), first.total, first.nextBefore], [[4, 2], 3, 2]);
+  const second = log.query({ subsystems: ['Vacuum', 'Cathode B'], limit: 2, before: first.nextBefore });
+  assert.deepEqual([ids(second), second.nextBefore], [[1], null]);
+
+  assert.deepEqual(log.facets(), {
+    levels: { DEBUG: 0, INFO: 2, WARNING: 2, ERROR: 1, CRITICAL: 0 },
+    subsystems: ['Cathode B', 'Vacuum'],
+  });
+});
+
+test('dated entries are placed in time by the log zone and found by time range', () => {
+  const log = createDisplayLog({ filePath: path.join(os.tmpdir(), 'ebeam-no-such-log.txt'), timeZone: 'America/Chicago' });
+  log.replace(LINES, { name: 'log_2026-01-15_08-00-00.txt', modifiedTime: null });
+  log.append(['[00:00:03] - DEBUG: written late, stamped early'], { name: 'log_2026-01-15_08-00-00.txt', modifiedTime: null });
+
+  const [latest] = log.query().entries;
+  assert.equal(latest.atMs, Date.parse('2026-01-16T06:00:03Z'), 'CST is UTC-6');
+  assert.equal(parseDisplayLog(['2026-07-15 08:00:00 [INFO] summer'], { timeZone: 'America/Chicago' })[0].atMs, Date.parse('2026-07-15T13:00:00Z'));
+
+  const ids = (page) => page.entries.map(({ id }) => id);
+  const around = { fromMs: Date.parse('2026-01-16T06:00:00Z'), toMs: Date.parse('2026-01-16T06:00:05.250Z') };
+  assert.deepEqual(ids(log.query(around)), [6, 4, 3]);
+  assert.deepEqual(ids(log.query({ ...around, levels: ['INFO', 'DEBUG'] })), [6, 4]);
+  assert.deepEqual(ids(log.query({ toMs: Date.parse('2026-01-16T05:59:58Z') })), [1]);
+});
+
+test('after a restart the index is rebuilt from the reversed cache and served by /logs', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-displaylog-')), 'reversed.txt');
+  fs.writeFileSync(filePath, `${LINES.slice().reverse().join('\n')}\n`);
+  const restarted = createDisplayLog({ filePath });
+  const page = restarted.query({ levels: ['ERROR'] });
+  assert.equal(page.entries[0].timestamp, '00:00:01', 'reversed.txt does not keep the file name, so no date');
+  assert.match(page.entries[0].message, /line 12, in read$/);
+
+  displayLog.replace(LINES, { name: 'log_2026-01-15_08-00-00.txt', modifiedTime: null });
+  const app = express();
+  registerRoutes(app);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const res = await fetch(`${baseUrl}/logs?level=WARNING&q=argon`);
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.entries.map(({ message }) => message), ['Argon pressure low']);
+    assert.equal(body.file.name, 'log_2026-01-15_08-00-00.txt');
+    assert.deepEqual(body.subsystems, ['Cathode B', 'Vacuum']);
+    assert.equal((await fetch(`${baseUrl}/logs?before=latest`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/logs?from=yesterday`)).status, 400);
+    const ranged = await (await fetch(`${baseUrl}/logs?from=2026-01-16T00:00:00Z&to=${Date.now()}`)).json();
+    assert.equal(ranged.entries.length, 5, 'the whole file falls inside the range');
+  } finally {
+    server.close();
+  }
+});
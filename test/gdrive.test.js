@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-gdrive-capture-'));
+
+const express = require('express');
+const { createDisplayLogTail, displayLogTail } = require('../services/gdrive');
+const { createDisplayLog } = require('../services/displaylog');
+const registerRoutes = require('../routes');
+
+// A Drive folder holding one growing log_ file at a time, answering Range requests like Drive does
+function createFakeDrive() {
+  const drive = {
+    file: null,
+    requests: [],
+    ignoreRange: false,
+    write(id, name, text, modifiedTime) {
+      drive.file = { id, name, modifiedTime, content: Buffer.from(text) };
+    },
+    append(text, modifiedTime) {
+      drive.file.content = Buffer.concat([drive.file.content, Buffer.from(text)]);
+      drive.file.modifiedTime = modifiedTime;
+    },
+    async getLatestFile() {
+      const { id, name, modifiedTime, content } = drive.file;
+      return { displayFile: { id, name, modifiedTime, size: String(content.length) } };
+    },
+    async fetchBytes(fileId, start) {
+      drive.requests.push([fileId, start]);
+      if (drive.ignoreRange) return { bytes: drive.file.content, start: 0 };
+      return { bytes: drive.file.content.subarray(start), start };
+    },
+  };
+  return drive;
+}
+
+function createTail(drive, capacity) {
+  const published = [];
+  const cacheWrites = [];
+  const log = createDisplayLog({
+    filePath: path.join(os.tmpdir(), 'ebeam-no-such-log.txt'),
+    publish: (event, payload) => published.push(payload),
+  });
+  const tail = createDisplayLogTail({
+    getLatestFile: drive.getLatestFile,
+    fetchBytes: drive.fetchBytes,
+    log,
+    writeCache: async (lines) => cacheWrites.push(lines),
+    capacity,
+  });
+  return { tail, log, published, cacheWrites };
+}
+
+test('a growing file is fetched from where the last download stopped and only new lines are parsed', async () => {
+  const drive = createFakeDrive();
+  const { tail, log, published, cacheWrites } = createTail(drive, 100);
+
+  const firstWrite = '[08:00:00] - INFO: [Vacuum] Pumping down\n[08:00:05] - ERROR: Read fa';
+  drive.write('file-1', 'log_2026-01-15_08-00-00.txt', firstWrite, '2026-01-15T08:00:05Z');
+  assert.equal(await tail.refresh(), true);
+  assert.deepEqual(tail.newestFirst(), ['[08:00:00] - INFO: [Vacuum] Pumping down'], 'the half-written line waits');
+  assert.equal(cacheWrites.length, 1);
+  assert.equal(published.shift().reset, true);
+
+  drive.append('iled\nTraceback (most recent call last):\n', '2026-01-15T08:00:06Z');
+  assert.equal(await tail.refresh(), true);
+  assert.deepEqual(drive.requests, [['file-1', 0], ['file-1', firstWrite.length]]);
+  assert.deepEqual(tail.newestFirst(), [
+    'Traceback (most recent call last):',
+    '[08:00:05] - ERROR: Read failed',
+    '[08:00:00] - INFO: [Vacuum] Pumping down',
+  ]);
+  assert.equal(cacheWrites.length, 1, 'appends do not rewrite reversed.txt');
+
+  const appended = published.shift();
+  assert.deepEqual(appended.entries.map(({ id, timestamp, message }) => [id, timestamp, message]), [
+    [2, '2026-01-15 08:00:05', 'Read failed\nTraceback (most recent call last):'],
+  ]);
+  assert.deepEqual(appended.levels, { DEBUG: 0, INFO: 1, WARNING: 0, ERROR: 1, CRITICAL: 0 });
+
+  drive.append('  File "interlocks.py", line 12\n[08:00:09] - WARNING: [Vacuum] Slow pump-down\n', '2026-01-15T08:00:09Z');
+  await tail.refresh();
+  assert.deepEqual(published.shift().entries.map(({ id }) => id), [2, 3], 'the extended entry is sent again');
+  assert.deepEqual(log.query({ query: 'interlocks.py' }).entries.map(({ id }) => id), [2]);
+  assert.deepEqual(log.query({ subsystems: ['Vacuum'] }).entries.map(({ id }) => id), [3, 1]);
+
+  const requestCount = drive.requests.length;
+  assert.equal(await tail.refresh(), true);
+  assert.equal(drive.requests.length, requestCount, 'an unchanged file is not downloaded');
+  assert.equal(published.length, 0);
+
+  drive.ignoreRange = true;
+  drive.append('[08:00:12] - INFO: Pressure nominal\n', '2026-01-15T08:00:12Z');
+  await tail.refresh();
+  assert.equal(tail.newestFirst()[0], '[08:00:12] - INFO: Pressure nominal');
+  assert.equal(tail.newestFirst().length, 6, 'a full answer to a Range request is trimmed to the new bytes');
+});
+
+test('a new log file replaces the followed one and the line buffer keeps only the newest lines', async () => {
+  const drive = createFakeDrive();
+  const { tail, log, published, cacheWrites } = createTail(drive, 3);
+
+  drive.write('file-1', 'log_2026-01-15_08-00-00.txt', '[08:00:00] - INFO: one\n[08:00:01] - INFO: two\n', '2026-01-15T08:00:01Z');
+  await tail.refresh();
+  drive.append('[08:00:02] - INFO: three\n[08:00:03] - INFO: four\n', '2026-01-15T08:00:03Z');
+  await tail.refresh();
+  assert.deepEqual(tail.newestFirst(), ['[08:00:03] - INFO: four', '[08:00:02] - INFO: three', '[08:00:01] - INFO: two']);
+
+  drive.write('file-2', 'log_2026-01-16_08-00-00.txt', '[09:00:00] - INFO: fresh start\n', '2026-01-16T09:00:00Z');
+  await tail.refresh();
+  assert.deepEqual(drive.requests.at(-1), ['file-2', 0]);
+  assert.deepEqual(tail.newestFirst(), ['[09:00:00] - INFO: fresh start']);
+  assert.deepEqual(cacheWrites.at(-1), ['[09:00:00] - INFO: fresh start']);
+  assert.equal(published.at(-1).reset, true);
+  assert.deepEqual(log.query().entries.map(({ timestamp, message }) => [timestamp, message]), [['2026-01-16 09:00:00', 'fresh start']]);
+
+  // Rewritten in place and shorter than before: nothing to resume from
+  drive.write('file-2', 'log_2026-01-16_08-00-00.txt', '[09:30:00] - INFO: restarted\n', '2026-01-16T09:30:00Z');
+  await tail.refresh();
+  assert.deepEqual(drive.requests.at(-1), ['file-2', 0]);
+  assert.deepEqual(tail.newestFirst(), ['[09:30:00] - INFO: restarted']);
+});
+
+test('/refresh-display answers 502 when the Drive refresh fails or throws', async (t) => {
+  const originalRefresh = displayLogTail.refresh;
+  t.after(() => {
+    displayLogTail.refresh = originalRefresh;
+  });
+  const app = express();
+  registerRoutes(app);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/refresh-display`;
+    displayLogTail.refresh = async () => false;
+    // It changes state, so a plain cross-site link (a GET) cannot trigger it
+    assert.equal((await fetch(url)).status, 404);
+    const failed = await fetch(url, { method: 'POST' });
+    assert.equal(failed.status, 502);
+    assert.match((await failed.json()).error, /Google Drive/);
+
+    displayLogTail.refresh = async () => {
+      throw new Error('quota exceeded');
+    };
+    const thrown = await fetch(url, { method: 'POST' });
+    assert.deepEqual([thrown.status, await thrown.json()], [502, { error: 'quota exceeded' }]);
+
+    displayLogTail.refresh = async () => true;
+    assert.equal((await fetch(url, { method: 'POST' })).status, 200);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createGraphObj,
+  updateDisplayData,
+  getGraphMetadata,
+  trimGraph,
+  createMinMaxDecimator,
+} = require('../services/graphs');
+
+const START_SEC = Math.floor(Date.parse('2026-03-21T12:00:00.000Z') / 1000);
+
+function appendPoints(graph, count, pressureAt, onAppend = () => {}) {
+  for (let i = 0; i < count; i++) {
+    graph.fullXVals.push(START_SEC + i * 3);
+    graph.fullYVals.push(pressureAt(i));
+    updateDisplayData(graph);
+    onAppend(graph);
+  }
+}
+
+function pressureWithSpike(spikeIndex) {
+  return (i) => (i === spikeIndex ? 5e-3 : 1e-6 + (i % 7) * 1e-9);
+}
+
+test('stride decimation can drop a one-sample outgassing spike', () => {
+  const graph = createGraphObj({ maxDisplayPoints: 1024 });
+  appendPoints(graph, 28_800, pressureWithSpike(12_345));
+
+  assert.equal(graph.lastUsedFactor, 32);
+  assert.ok(!graph.displayYVals.includes(5e-3));
+});
+
+for (const decimation of ['minmax', 'lttb']) {
+  test(`${decimation} decimation keeps a one-sample spike within the display budget`, () => {
+    const graph = createGraphObj({ maxDisplayPoints: 1024, decimation });
+    appendPoints(graph, 28_800, pressureWithSpike(12_345));
+
+    const spikeAt = graph.displayYVals.indexOf(5e-3);
+    assert.ok(spikeAt !== -1, 'expected the spike to survive decimation');
+    assert.equal(graph.displayXVals[spikeAt], START_SEC + 12_345 * 3);
+    assert.ok(graph.displayXVals.length <= 1024);
+    assert.ok(graph.lastUsedFactor > 1);
+    assert.equal(getGraphMetadata(graph).decimation, decimation);
+  });
+
+  test(`${decimation} decimation always ends on the newest point and never rewrites finalized buckets`, () => {
+    const graph = createGraphObj({ maxDisplayPoints: 128, decimation });
+    let previous = null;
+
+    appendPoints(graph, 3_000, (i) => Math.sin(i / 17) + (i % 101 === 0 ? 10 : 0), (current) => {
+      assert.equal(current.displayXVals.at(-1), current.fullXVals.at(-1));
+      assert.ok(current.displayXVals.length <= current.maxDisplayPoints);
+
+      for (let i = 1; i < current.displayXVals.length; i++) {
+        assert.ok(current.displayXVals[i] > current.displayXVals[i - 1], 'display x values must increase');
+      }
+
+      if (previous && previous.factor === current.lastUsedFactor) {
+        assert.deepEqual(
+          current.displayXVals.slice(0, previous.stableDisplayLength),
+          previous.displayXVals.slice(0, previous.stableDisplayLength)
+        );
+      }
+
+      previous = {
+        factor: current.lastUsedFactor,
+        stableDisplayLength: current.stableDisplayLength,
+        displayXVals: current.displayXVals.slice(),
+      };
+    });
+  });
+
+  test(`${decimation} incremental updates match a one-shot decimation at the same factor`, () => {
+    const incremental = createGraphObj({ maxDisplayPoints: 200, decimation });
+    const pressureAt = (i) => Math.cos(i / 9) * (i % 53 === 0 ? 4 : 1);
+    appendPoints(incremental, 5_000, pressureAt);
+
+    const oneShot = createGraphObj({
+      maxDisplayPoints: 200,
+      decimation,
+      lastUsedFactor: incremental.lastUsedFactor,
+      fullXVals: incremental.fullXVals.slice(),
+      fullYVals: incremental.fullYVals.slice(),
+    });
+    updateDisplayData(oneShot);
+
+    assert.equal(oneShot.lastUsedFactor, incremental.lastUsedFactor);
+    assert.deepEqual(oneShot.displayXVals, incremental.displayXVals);
+    assert.deepEqual(oneShot.displayYVals, incremental.displayYVals);
+  });
+}
+
+for (const decimation of ['stride', 'minmax', 'lttb']) {
+  test(`${decimation} trimming old points leaves the graph a fresh fill of the rest would build`, () => {
+    const pressureAt = (i) => Math.sin(i / 11) * (i % 97 === 0 ? 5 : 1);
+    const trimmed = createGraphObj({ maxDisplayPoints: 200, decimation });
+    appendPoints(trimmed, 5_000, pressureAt);
+    assert.equal(trimGraph(trimmed, START_SEC + 4_000 * 3), 4_000);
+
+    const fresh = createGraphObj({ maxDisplayPoints: 200, decimation });
+    for (let i = 4_000; i < 5_000; i++) {
+      fresh.fullXVals.push(START_SEC + i * 3);
+      fresh.fullYVals.push(pressureAt(i));
+      updateDisplayData(fresh);
+    }
+    assert.equal(trimmed.lastUsedFactor, fresh.lastUsedFactor);
+    assert.deepEqual(trimmed.displayXVals, fresh.displayXVals);
+    assert.deepEqual(trimmed.displayYVals, fresh.displayYVals);
+
+    // Appends carry on from the trimmed state as they would from the fresh one
+    for (const graph of [trimmed, fresh]) {
+      graph.fullXVals.push(START_SEC + 5_000 * 3);
+      graph.fullYVals.push(9);
+      updateDisplayData(graph);
+    }
+    assert.deepEqual(trimmed.displayYVals, fresh.displayYVals);
+  });
+}
+
+test('getGraphMetadata reports stride for graphs created without a strategy', () => {
+  assert.equal(getGraphMetadata(createGraphObj()).decimation, 'stride');
+  assert.throws(() => createGraphObj({ decimation: 'median' }), /Unknown decimation strategy/);
+});
+
+test('the streamed min/max decimator keeps each column\'s extremes in time order and small windows whole', () => {
+  const width = 10;
+  const toSec = START_SEC + 1_000 * 3;
+  const decimator = createMinMaxDecimator(START_SEC, toSec, width);
+  const pressureAt = (i) => (i === 437 ? 9 : Math.sin(i / 7));
+  for (let i = 0; i < 1_000; i++) {
+    decimator.push(START_SEC + i * 3, pressureAt(i));
+  }
+  const result = decimator.finish();
+
+  const expectedX = [];
+  for (let column = 0; column < width; column++) {
+    const indexes = Array.from({ length: 100 }, (_, offset) => column * 100 + offset);
+    const values = indexes.map(pressureAt);
+    const minIndex = indexes[values.indexOf(Math.min(...values))];
+    const maxIndex = indexes[values.indexOf(Math.max(...values))];
+    expectedX.push(...[minIndex, maxIndex].sort((a, b) => a - b).map((i) => START_SEC + i * 3));
+  }
+  assert.deepEqual(result.xVals, expectedX);
+  assert.equal(result.rawPointCount, 1_000);
+  assert.ok(result.yVals.includes(9), 'the spike survives');
+
+  const small = createMinMaxDecimator(START_SEC, toSec, width);
+  [3, 1, 2].forEach((value, i) => small.push(START_SEC + i, value));
+  assert.deepEqual(small.finish(), { xVals: [START_SEC, START_SEC + 1, START_SEC + 2], yVals: [3, 1, 2], rawPointCount: 3 });
+});
@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-health-capture-'));
+
+const express = require('express');
+const { createLoopHealth, reportLoopError } = require('../services/health');
+const { fetchAndUpdateFile } = require('../services/polling');
+const registerRoutes = require('../routes');
+
+function createTracker(clock) {
+  const recorded = { durations: [], failed: [], skipped: [] };
+  const health = createLoopHealth({
+    loops: [
+      { name: 'fast', label: 'Fast', critical: true, stallAfterMs: 10_000 },
+      { name: 'drive', label: 'Drive', critical: false, stallAfterMs: 10_000 },
+    ],
+    failuresBeforeUnready: 2,
+    metrics: {
+      observePollDuration: (loop, seconds) => recorded.durations.push([loop, seconds]),
+      pollFailed: (loop) => recorded.failed.push(loop),
+      pollSkipped: (loop) => recorded.skipped.push(loop),
+    },
+    now: () => clock.ms,
+  });
+  return { health, recorded };
+}
+
+// Like the storage helpers: the error is logged and swallowed, and the caller sees an empty result
+async function swallowingFetch(message) {
+  await new Promise((resolve) => setImmediate(resolve));
+  reportLoopError(new Error(message));
+  return [];
+}
+
+test('runs record their outcome, errors caught deep inside count against their own loop, and failures make it unready', async () => {
+  const clock = { ms: Date.parse('2026-10-19T09:00:00.000Z') };
+  const { health, recorded } = createTracker(clock);
+  const loop = (name) => health.report().loops.find((entry) => entry.name === name);
+  assert.deepEqual(health.report().loops.map(({ status }) => status), ['waiting', 'waiting']);
+
+  await health.track('fast', async () => {
+    clock.ms += 250;
+  });
+  assert.equal(loop('fast').status, 'ok');
+  assert.equal(loop('fast').lastDurationMs, 250);
+  assert.deepEqual(recorded.durations, [['fast', 0.25]]);
+
+  // Two loops at once: each sees only the errors made inside its own run
+  await Promise.all([
+    health.track('fast', () => swallowingFetch('storage down')),
+    health.track('drive', async () => {
+      await swallowingFetch('drive quota');
+      reportLoopError(new Error('follow-up'));
+    }),
+  ]);
+  assert.equal(loop('fast').lastError.message, 'storage down');
+  assert.equal(loop('drive').lastError.message, 'drive quota', 'the first error is kept');
+  assert.deepEqual([loop('fast').status, loop('fast').consecutiveFailures, loop('fast').lastSucceededAt !== null], ['failing', 1, true]);
+  assert.equal(health.report().ready, true);
+
+  await assert.rejects(health.track('fast', async () => {
+    throw new Error('mapping broke');
+  }), /mapping broke/);
+  assert.equal(loop('fast').consecutiveFailures, 2);
+  assert.deepEqual([health.report().live, health.report().ready], [true, false]);
+  assert.deepEqual(recorded.failed, ['fast', 'drive', 'fast']);
+
+  // Errors outside any run, such as a log archive download for a request, are not counted
+  reportLoopError(new Error('not in a loop'));
+  await health.track('fast', async () => {});
+  assert.deepEqual([loop('fast').status, loop('fast').consecutiveFailures, loop('fast').failures], ['ok', 0, 2]);
+  assert.equal(health.report().ready, true);
+
+  health.skipped('drive');
+  assert.equal(loop('drive').skipped, 1);
+  assert.deepEqual(recorded.skipped, ['drive']);
+});
+
+test('a run that never finishes makes the process not live once it passes its stall limit', async () => {
+  const clock = { ms: Date.parse('2026-10-19T09:00:00.000Z') };
+  const { health } = createTracker(clock);
+  let finish;
+  const running = health.track('drive', () => new Promise((resolve) => {
+    finish = resolve;
+  }));
+
+  clock.ms += 5_000;
+  assert.deepEqual([health.report().loops[1].inProgress, health.report().live], [true, true]);
+  clock.ms += 6_000;
+  assert.equal(health.report().loops[1].status, 'stalled');
+  assert.deepEqual([health.report().live, health.report().ready], [false, false]);
+
+  finish();
+  await running;
+  assert.deepEqual([health.report().loops[1].status, health.report().live], ['ok', true]);
+});
+
+test('/health and /ready answer publicly and /status reports the loops, storage and series buffers', async () => {
+  await fetchAndUpdateFile();
+
+  const app = express();
+  registerRoutes(app);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const health = await fetch(`${baseUrl}/health`);
+    assert.equal(health.status, 200);
+    const healthBody = await health.json();
+    assert.deepEqual([healthBody.status, healthBody.live, healthBody.ready], ['ok', true, true]);
+    assert.deepEqual(healthBody.loops, { telemetry: 'ok', long_term: 'waiting', display_log: 'waiting' });
+    assert.deepEqual([healthBody.supabase, healthBody.database], ['connected', 'connected']);
+
+    const ready = await fetch(`${baseUrl}/ready`);
+    assert.deepEqual([ready.status, await ready.json()], [200, { status: 'ready', live: true, ready: true }]);
+
+    const res = await fetch(`${baseUrl}/status`);
+    assert.equal(res.status, 200);
+    const status = await res.json();
+    assert.deepEqual(status.storage, { adapter: 'file', connected: true });
+    assert.deepEqual(status.loops.map(({ name, critical }) => [name, critical]), [
+      ['telemetry', true],
+      ['long_term', true],
+      ['display_log', false],
+    ]);
+    const telemetry = status.loops[0];
+    assert.deepEqual([telemetry.runs, telemetry.failures, telemetry.lastError, telemetry.inProgress], [1, 0, null, false]);
+    const clamp = status.series.find(({ name }) => name === 'clamp-temperature-A');
+    assert.deepEqual(clamp && [clamp.panel, clamp.points, clamp.capacity, clamp.lastValueAt], ['ccs', 0, 1200, null]);
+  } finally {
+    server.close();
+  }
+});
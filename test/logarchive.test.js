@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-logarchive-capture-'));
+
+const express = require('express');
+const { createLogArchive } = require('../services/logarchive');
+const registerRoutes = require('../routes');
+
+// The Drive folder: file id -> { name, modifiedTime, content }
+function createFakeFolder(files) {
+  const folder = {
+    files,
+    downloads: [],
+    async listFiles({ query = '' } = {}) {
+      const matching = Object.entries(folder.files)
+        .filter(([, file]) => file.name.includes(query))
+        .map(([id, { name, modifiedTime, content }]) => ({ id, name, modifiedTime, size: content.length }));
+      return { files: matching, nextPageToken: null };
+    },
+    async getFile(fileId) {
+      const file = folder.files[fileId];
+      return file ? { id: fileId, name: file.name, modifiedTime: file.modifiedTime, size: file.content.length } : null;
+    },
+    async download(fileId, filePath) {
+      folder.downloads.push(fileId);
+      fs.writeFileSync(filePath, folder.files[fileId].content);
+      return folder.files[fileId].content.length;
+    },
+  };
+  return folder;
+}
+
+function createArchive(folder, dir, clock) {
+  return createLogArchive({
+    dir,
+    maxBytes: 25,
+    listFiles: folder.listFiles,
+    getFile: folder.getFile,
+    download: folder.download,
+    now: () => clock.ms,
+  });
+}
+
+test('opened files are cached, reused until they change on Drive, and evicted least recently used first', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-log-cache-'));
+  const clock = { ms: Date.parse('2026-03-01T00:00:00Z') };
+  const folder = createFakeFolder({
+    a: { name: 'log_2026-01-01.txt', modifiedTime: '2026-01-01T10:00:00.250Z', content: 'aaaaaaaaa\n' },
+    b: { name: 'log_2026-01-02.txt', modifiedTime: '2026-01-02T10:00:00.000Z', content: 'bbbbbbbbb\n' },
+    c: { name: 'log_2026-01-03.txt', modifiedTime: '2026-01-03T10:00:00.000Z', content: 'ccccccccc\n' },
+    d: { name: 'log_2026-01-04.txt', modifiedTime: '2026-01-04T10:00:00.000Z', content: 'ddddddddd\n' },
+  });
+  const archive = createArchive(folder, dir, clock);
+  const open = async (id) => {
+    clock.ms += 1000;
+    return archive.open(id);
+  };
+
+  const opened = await open('a');
+  assert.equal(fs.readFileSync(opened.filePath, 'utf8'), 'aaaaaaaaa\n');
+  await open('b');
+  await open('a');
+  assert.deepEqual(folder.downloads, ['a', 'b'], 'the second open of a is served from the cache');
+
+  await open('c');
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['a.txt', 'c.txt'], 'b was the least recently used');
+  assert.equal(await archive.open('elsewhere'), null);
+
+  folder.files.a = { ...folder.files.a, modifiedTime: '2026-01-05T10:00:00.000Z', content: 'a2\n' };
+  await open('a');
+  assert.deepEqual(folder.downloads, ['a', 'b', 'c', 'a'], 'changed on Drive, so downloaded again');
+
+  // After a restart the cache directory is read back with its modified and last-used times
+  const restarted = createArchive(folder, dir, clock);
+  const { files } = await restarted.list();
+  assert.deepEqual(files.map(({ id, cached }) => [id, cached]), [['a', true], ['b', false], ['c', true], ['d', false]]);
+  clock.ms += 1000;
+  await restarted.open('d');
+  clock.ms += 1000;
+  await restarted.open('b');
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['a.txt', 'b.txt', 'd.txt'], 'c was used longest ago');
+  assert.deepEqual(folder.downloads.slice(4), ['d', 'b']);
+});
+
+test('file lines are searched and paged with their line numbers', async () => {
+  const folder = createFakeFolder({
+    big: {
+      name: 'log_2026-02-01.txt',
+      modifiedTime: '2026-02-01T10:00:00.000Z',
+      content: '[10:00:00] - INFO: start\r\n[10:00:01] - ERROR: pump\n[10:00:02] - INFO: ok\n[10:00:03] - error: Pump again\n',
+    },
+  });
+  const archive = createLogArchive({
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-log-cache-')),
+    getFile: folder.getFile,
+    download: folder.download,
+  });
+
+  const all = await archive.read('big', { limit: 3, count: true });
+  assert.deepEqual([all.lines.map(({ number }) => number), all.total, all.lineCount, all.nextOffset], [[1, 2, 3], 4, 4, 3]);
+  const uncounted = await archive.read('big', { limit: 3 });
+  assert.deepEqual([uncounted.lines, uncounted.total, uncounted.lineCount, uncounted.nextOffset], [all.lines, null, null, 3]);
+  assert.equal(all.lines[0].text, '[10:00:00] - INFO: start');
+
+  const searched = await archive.read('big', { query: 'PUMP', limit: 1 });
+  assert.deepEqual(searched.lines, [{ number: 2, text: '[10:00:01] - ERROR: pump' }]);
+  assert.equal(searched.nextOffset, 1);
+  const rest = await archive.read('big', { query: 'PUMP', offset: 1, limit: 1 });
+  assert.deepEqual([rest.lines.map(({ number }) => number), rest.nextOffset], [[4], null]);
+  assert.equal(await archive.read('missing'), null);
+});
+
+test('the archive routes reject malformed ids and the page renders', async () => {
+  const app = express();
+  registerRoutes(app);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    assert.equal((await fetch(`${baseUrl}/logs/files/..%2Freversed`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/logs/files/a.b/download`)).status, 400);
+    const page = await fetch(`${baseUrl}/log-archive`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /Log Archive/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-metrics-capture-'));
+
+const express = require('express');
+const state = require('../services/state');
+const { createMetricsRegistry, createMonitorMetrics } = require('../services/metrics');
+const { applyLongTermEntries, fetchAndUpdateFile } = require('../services/polling');
+const registerRoutes = require('../routes');
+
+const SAMPLE_LINE = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{(?:[a-zA-Z_][a-zA-Z0-9_]*="(?:[^"\\\n]|\\[\\n"])*",?)*\})? (\S+)$/;
+const SAMPLE_SUFFIXES = { counter: ['_total'], gauge: [''], histogram: ['_bucket', '_sum', '_count'] };
+
+/**
+ * Checks `text` line by line against the text exposition format and returns its samples keyed by
+ * name and labels as written, e.g. 'ebeam_temperature_celsius{sensor="1"}'.
+ */
+function parseExposition(text, { openMetrics = false } = {}) {
+  assert.ok(text.endsWith('\n'), 'the exposition ends with a newline');
+  const lines = text.slice(0, -1).split('\n');
+  if (openMetrics) assert.equal(lines.pop(), '# EOF');
+
+  const samples = new Map();
+  const declared = new Set();
+  let family = null;
+  let helpFor = null;
+  for (const line of lines) {
+    const help = /^# HELP ([a-zA-Z_:][a-zA-Z0-9_:]*) (.*)$/.exec(line);
+    const type = /^# TYPE ([a-zA-Z_:][a-zA-Z0-9_:]*) (counter|gauge|histogram)$/.exec(line);
+    if (help) {
+      helpFor = help[1];
+    } else if (type) {
+      assert.equal(type[1], helpFor, `HELP precedes TYPE for ${type[1]}`);
+      assert.ok(!declared.has(type[1]), `${type[1]} is declared once`);
+      declared.add(type[1]);
+      family = { name: type[1], type: type[2] };
+      // Prometheus text names counter families with their _total suffix
+      if (family.type === 'counter' && !openMetrics) {
+        assert.match(family.name, /_total$/);
+        family.name = family.name.slice(0, -'_total'.length);
+      }
+    } else {
+      const sample = SAMPLE_LINE.exec(line);
+      assert.ok(sample, `not a valid line: ${line}`);
+      assert.ok(family, `${line} comes after a TYPE line`);
+      assert.ok(
+        SAMPLE_SUFFIXES[family.type].some((suffix) => sample[1] === `${family.name}${suffix}`),
+        `${sample[1]} belongs to ${family.name}`
+      );
+      assert.ok(/^(NaN|[+-]Inf|-?\d+(\.\d+)?(e[+-]?\d+)?)$/.test(sample[3]), `${line} has a numeric value`);
+      samples.set(`${sample[1]}${sample[2] ?? ''}`, Number(sample[3].replace('Inf', 'Infinity')));
+    }
+  }
+  return samples;
+}
+
+test('the registry writes counters, histograms and gauges in both formats', () => {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter('demo_requests', 'Requests.\nBy path.');
+  const latency = registry.histogram('demo_latency_seconds', 'Latency.', [0.1, 1]);
+  let reads = 0;
+  registry.addCollector(() => reads++);
+  registry.gauge('demo_reading', 'A reading.', () => [{ labels: { name: 'a "quoted"\\ name' }, value: 2.5 }, { labels: { name: 'missing' }, value: null }]);
+
+  requests.inc({ path: '/a' });
+  requests.inc({ path: '/a' }, 2);
+  latency.observe({ loop: 'x' }, 0.05);
+  latency.observe({ loop: 'x' }, 0.5);
+  latency.observe({ loop: 'x' }, 5);
+
+  const text = registry.render();
+  assert.match(text, /^# HELP demo_requests_total Requests\.\\nBy path\.$/m);
+  const samples = parseExposition(text);
+  assert.deepEqual(Object.fromEntries(samples), {
+    'demo_requests_total{path="/a"}': 3,
+    'demo_latency_seconds_bucket{loop="x",le="0.1"}': 1,
+    'demo_latency_seconds_bucket{loop="x",le="1"}': 2,
+    'demo_latency_seconds_bucket{loop="x",le="+Inf"}': 3,
+    'demo_latency_seconds_sum{loop="x"}': 5.55,
+    'demo_latency_seconds_count{loop="x"}': 3,
+    'demo_reading{name="a \\"quoted\\"\\\\ name"}': 2.5,
+  });
+  assert.equal(reads, 1);
+
+  const openMetrics = registry.render({ openMetrics: true });
+  assert.match(openMetrics, /^# TYPE demo_requests counter$/m);
+  assert.equal(parseExposition(openMetrics, { openMetrics: true }).get('demo_requests_total{path="/a"}'), 3);
+  assert.throws(() => registry.counter('demo_requests', 'Again.'), /already registered/);
+});
+
+test('telemetry gauges read the live state and are left out while nothing runs', () => {
+  const stateRef = {
+    experimentRunning: true,
+    data: {
+      pressure: '1.5e-7',
+      temperatures: { 1: '20.5', 2: 'DISCONNECTED', 3: 'None', 4: '-3' },
+      heaterCurrent_A: 1.25,
+      heaterVoltage_B: '6.5',
+      clamp_temperature_C: 101,
+      safetyInputDataFlags: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1],
+      safetyInputStatusFlags: Array(13).fill(1),
+      safetyOutputDataFlags: [1, 1, 1, 1, 1, 1, 0],
+      vacuumBits: [true, true, false, true, false, true, false, true],
+    },
+  };
+  const metrics = createMonitorMetrics({ stateRef, streamClientCount: () => 2 });
+
+  const samples = parseExposition(metrics.render());
+  assert.equal(samples.get('ebeam_experiment_running'), 1);
+  assert.equal(samples.get('ebeam_pressure_mbar'), 1.5e-7);
+  assert.deepEqual(
+    [...samples].filter(([key]) => key.startsWith('ebeam_temperature_celsius')),
+    [['ebeam_temperature_celsius{sensor="1"}', 20.5], ['ebeam_temperature_celsius{sensor="4"}', -3]],
+    'unreadable sensors are left out rather than reported as 0'
+  );
+  assert.equal(samples.get('ebeam_heater_current_amps{cathode="A"}'), 1.25);
+  assert.equal(samples.get('ebeam_heater_voltage_volts{cathode="B"}'), 6.5);
+  assert.equal(samples.get('ebeam_clamp_temperature_celsius{cathode="C"}'), 101);
+  assert.equal(samples.has('ebeam_heater_current_amps{cathode="B"}'), false);
+  assert.equal(samples.get('ebeam_interlock_ok{signal="door"}'), 1);
+  assert.equal(samples.get('ebeam_vacuum_state{signal="turbo-rotor"}'), 1);
+  assert.equal(samples.get('ebeam_vacuum_state{signal="turbo-vent-open"}'), 0);
+  assert.equal(samples.get('ebeam_stream_clients'), 2);
+
+  stateRef.experimentRunning = false;
+  const idle = parseExposition(metrics.render());
+  assert.equal(idle.get('ebeam_experiment_running'), 0);
+  assert.deepEqual(
+    [...idle.keys()].filter((key) => /^ebeam_(pressure|temperature|heater|clamp|interlock|vacuum)/.test(key)),
+    []
+  );
+});
+
+test('/metrics serves the poller health recorded by the sync loops', async () => {
+  const quiet = { log() {}, warn() {} };
+  applyLongTermEntries([
+    { id: 1, recorded_at: '2026-10-19T09:00:00.000Z', avg_pressure: 1e-7 },
+    { id: 2, recorded_at: '2026-10-19T09:10:00.000Z', avg_pressure: 2e-7 },
+  ], { stateRef: { lastLongTermCursor: null }, series: [], logger: quiet, publish() {} });
+  await fetchAndUpdateFile();
+
+  const app = express();
+  registerRoutes(app);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const res = await fetch(`${baseUrl}/metrics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const samples = parseExposition(await res.text());
+    assert.equal(samples.get('ebeam_sync_gaps_total{table="long_term_logs"}'), 1);
+    assert.equal(samples.get('ebeam_rows_processed_total{table="long_term_logs"}'), 2);
+    assert.equal(samples.get('ebeam_poll_duration_seconds_count{loop="telemetry"}'), 1);
+    assert.equal(samples.get('ebeam_experiment_running'), state.experimentRunning ? 1 : 0);
+
+    const openMetrics = await fetch(`${baseUrl}/metrics`, { headers: { Accept: 'application/openmetrics-text; version=1.0.0' } });
+    assert.match(openMetrics.headers.get('content-type'), /^application\/openmetrics-text/);
+    parseExposition(await openMetrics.text(), { openMetrics: true });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,171 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const net = require('node:net');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.SUPABASE_API_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_API_KEY ??= 'test-supabase-key';
+
+const {
+  createNotifier,
+  createWebhookChannel,
+  createEmailChannel,
+  detectInterlockTrips,
+} = require('../services/notifier');
+
+const servers = [];
+
+after(() => Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve)))));
+
+function listen(server) {
+  servers.push(server);
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+async function startWebhookReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(200).end('ok');
+    });
+  });
+  const port = await listen(server);
+  return { received, url: `http://127.0.0.1:${port}/hook` };
+}
+
+// Minimal SMTP server: enough of RFC 5321 for nodemailer to deliver a plain-text message
+async function startFakeSmtpServer() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current = { from: null, to: [], data: '' };
+
+    socket.write('220 localhost fake ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex);
+        buffer = buffer.slice(newlineIndex + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { from: null, to: [], data: '' };
+            socket.write('250 queued\r\n');
+          } else {
+            current.data += line + '\n';
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+        else if (command === 'MAIL') { current.from = line; socket.write('250 ok\r\n'); }
+        else if (command === 'RCPT') { current.to.push(line); socket.write('250 ok\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 bye\r\n'); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  const port = await listen(server);
+  return { messages, port };
+}
+
+function createSilentLogger() {
+  return { log: () => {}, error: () => {}, warn: () => {} };
+}
+
+test('trips are delivered to a webhook receiver and a fake SMTP server', async () => {
+  const webhook = await startWebhookReceiver();
+  const smtp = await startFakeSmtpServer();
+
+  const notifier = createNotifier({
+    channels: [
+      createWebhookChannel(webhook.url),
+      createEmailChannel(
+        { host: '127.0.0.1', port: smtp.port, secure: false, ignoreTLS: true },
+        { from: 'monitor@lab.test', to: ['oncall@lab.test', 'pi@lab.test'] }
+      ),
+    ],
+    logger: createSilentLogger(),
+  });
+
+  const previous = Array(11).fill('green');
+  const current = previous.slice();
+  current[10] = 'red';
+  const [trip] = detectInterlockTrips(previous, current, '2026-03-21T12:00:00.000Z');
+
+  const results = await notifier.notify(trip);
+
+  assert.deepEqual(results, [true, true]);
+  assert.equal(webhook.received.length, 1);
+  assert.equal(webhook.received[0].title, 'HVolt ON tripped');
+  assert.match(webhook.received[0].text, /green to red at 2026-03-21T12:00:00.000Z/);
+  assert.equal(smtp.messages.length, 1);
+  assert.equal(smtp.messages[0].to.length, 2);
+  assert.match(smtp.messages[0].data, /Subject: \[E-beam monitor\] HVolt ON tripped/);
+});
+
+test('duplicate keys are dropped inside the de-duplication window', async () => {
+  const sent = [];
+  let nowMs = 0;
+  const notifier = createNotifier({
+    channels: [{ name: 'memory', send: async (notification) => sent.push(notification) }],
+    minIntervalMs: 0,
+    dedupeWindowMs: 60_000,
+    now: () => nowMs,
+    logger: createSilentLogger(),
+  });
+
+  await notifier.notify({ key: 'trip:hvolt', title: 'HVolt ON tripped', text: 'first' });
+  nowMs = 30_000;
+  await notifier.notify({ key: 'trip:hvolt', title: 'HVolt ON tripped', text: 'repeat' });
+  nowMs = 61_000;
+  await notifier.notify({ key: 'trip:hvolt', title: 'HVolt ON tripped', text: 'after window' });
+
+  assert.deepEqual(sent.map((notification) => notification.text), ['first', 'after window']);
+});
+
+test('rate-limited notifications are combined into one message instead of being lost', async () => {
+  const sent = [];
+  const notifier = createNotifier({
+    channels: [{ name: 'memory', send: async (notification) => sent.push(notification) }],
+    minIntervalMs: 30,
+    dedupeWindowMs: 0,
+    logger: createSilentLogger(),
+  });
+
+  await notifier.notify({ key: 'trip:hvolt', title: 'HVolt ON tripped', text: 'a' });
+  const second = notifier.notify({ key: 'trip:estop-internal', title: 'E-STOP Int tripped', text: 'b' });
+  const third = notifier.notify({ key: 'trip:estop-external', title: 'E-STOP Ext tripped', text: 'c' });
+
+  assert.equal(sent.length, 1);
+  await Promise.all([second, third]);
+
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].title, '2 notifications');
+  assert.match(sent[1].text, /E-STOP Int tripped: b\n• E-STOP Ext tripped: c/);
+});
+
+test('grey readings on either side of a change are not reported as trips', () => {
+  const green = Array(11).fill('green');
+  const grey = Array(11).fill('grey');
+  const red = Array(11).fill('red');
+
+  assert.deepEqual(detectInterlockTrips(grey, red), []);
+  assert.deepEqual(detectInterlockTrips(green, grey), []);
+  assert.deepEqual(detectInterlockTrips(null, red), []);
+  assert.deepEqual(
+    detectInterlockTrips(green, red).map((trip) => trip.key).sort(),
+    ['trip:all-interlocks', 'trip:estop-external', 'trip:estop-internal', 'trip:hvolt']
+  );
+});
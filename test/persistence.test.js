@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { updateDisplayData } = require('../services/graphs');
+const { createSeriesRegistry, appendSeriesValue } = require('../services/series');
+const { buildSnapshot, saveSnapshot, loadSnapshot } = require('../services/persistence');
+
+const START_SEC = Math.floor(Date.parse('2026-03-21T12:00:00.000Z') / 1000);
+const SAVED_AT_MS = Date.parse('2026-03-21T14:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+function createTempSnapshotPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-snapshot-'));
+  return path.join(dir, 'nested', 'cache-snapshot.json');
+}
+
+function fillRegistry(registry, count, offset = 0) {
+  for (let i = offset; i < offset + count; i++) {
+    const tSec = START_SEC + i * 3;
+    for (const series of registry.list()) {
+      appendSeriesValue(series, tSec, series.storage === 'ring' ? 20 + (i % 5) : Math.sin(i / 11) + (i === 777 ? 40 : 0));
+    }
+  }
+}
+
+function createState() {
+  return {
+    lastShortTermCursor: { timestamp: '2026-03-21T13:59:57.000Z', id: 'short-002399' },
+    lastLongTermCursor: { timestamp: '2026-03-21T13:59:00.000Z', id: 'long-000119' },
+  };
+}
+
+test('a restored snapshot resumes every series exactly where the saving process stopped', async () => {
+  const filePath = createTempSnapshotPath();
+  const original = createSeriesRegistry();
+  fillRegistry(original, 2_400);
+
+  const bytes = await saveSnapshot(filePath, { registry: original, stateRef: createState(), nowMs: SAVED_AT_MS });
+  assert.ok(bytes > 0);
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+
+  const restored = createSeriesRegistry();
+  const stateRef = { lastShortTermCursor: null, lastLongTermCursor: null };
+  const result = loadSnapshot(filePath, { registry: restored, stateRef, maxAgeMs: HOUR_MS, nowMs: SAVED_AT_MS + 60_000 });
+
+  assert.deepEqual(result, { restored: true, savedAt: new Date(SAVED_AT_MS).toISOString() });
+  assert.deepEqual(stateRef, createState());
+
+  // Both processes keep appending; the restored graphs must stay identical to the originals
+  fillRegistry(original, 300, 2_400);
+  fillRegistry(restored, 300, 2_400);
+
+  for (const series of original.list()) {
+    const twin = restored.get(series.name);
+    if (series.storage === 'ring') {
+      assert.deepEqual(twin.graph.xVals, series.graph.xVals);
+      assert.deepEqual(twin.graph.yVals, series.graph.yVals);
+    } else {
+      assert.equal(twin.graph.lastUsedFactor, series.graph.lastUsedFactor);
+      assert.deepEqual(twin.graph.displayXVals, series.graph.displayXVals);
+      assert.deepEqual(twin.graph.displayYVals, series.graph.displayYVals);
+    }
+  }
+});
+
+test('loadSnapshot falls back without touching the caches when the snapshot cannot be trusted', async () => {
+  const filePath = createTempSnapshotPath();
+  const source = createSeriesRegistry();
+  fillRegistry(source, 50);
+  await saveSnapshot(filePath, { registry: source, stateRef: createState(), nowMs: SAVED_AT_MS });
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const attempt = (snapshotBody, options = {}) => {
+    fs.writeFileSync(filePath, typeof snapshotBody === 'string' ? snapshotBody : JSON.stringify(snapshotBody));
+    const registry = createSeriesRegistry(options.definitions);
+    const stateRef = { lastShortTermCursor: null, lastLongTermCursor: null };
+    const result = loadSnapshot(filePath, { registry, stateRef, maxAgeMs: HOUR_MS, nowMs: options.nowMs ?? SAVED_AT_MS });
+
+    assert.equal(result.restored, false);
+    assert.equal(stateRef.lastShortTermCursor, null);
+    assert.ok(registry.list().every((series) => (series.graph.fullXVals ?? series.graph.xVals).length === 0));
+    return result.reason;
+  };
+
+  assert.match(attempt('{"version":1,"savedAt":'), /unreadable/);
+  assert.match(attempt({ ...saved, version: 0 }), /version/);
+  assert.match(attempt(saved, { nowMs: SAVED_AT_MS + 2 * HOUR_MS }), /too old/);
+  assert.match(attempt({ ...saved, cursors: { lastShortTermCursor: null } }), /cursors/);
+
+  const truncated = structuredClone(saved);
+  truncated.series['pressure-short'].fullYVals.pop();
+  assert.match(attempt(truncated), /pressure-short.*malformed/);
+
+  const withoutHeater = structuredClone(saved);
+  delete withoutHeater.series['heater-current-A'];
+  assert.match(attempt(withoutHeater), /heater-current-A/);
+
+  const restrided = structuredClone(saved);
+  restrided.series['pressure-long'].decimation = 'stride';
+  assert.match(attempt(restrided), /pressure-long.*decimation/);
+
+  fs.rmSync(filePath);
+  assert.deepEqual(loadSnapshot(filePath), { restored: false, reason: 'no snapshot file' });
+});
+
+test('buildSnapshot records the decimation settings it was taken with', () => {
+  const registry = createSeriesRegistry();
+  const shortTerm = registry.get('pressure-short');
+  shortTerm.graph.fullXVals.push(START_SEC);
+  shortTerm.graph.fullYVals.push(1e-6);
+  updateDisplayData(shortTerm.graph);
+
+  const snapshot = buildSnapshot({ registry, stateRef: createState(), nowMs: SAVED_AT_MS });
+
+  assert.equal(snapshot.savedAt, '2026-03-21T14:00:00.000Z');
+  assert.equal(snapshot.series['pressure-short'].decimation, 'minmax');
+  assert.equal(snapshot.series['pressure-short'].maxDisplayPoints, 1024);
+  assert.deepEqual(snapshot.series['pressure-short'].displayYVals, [1e-6]);
+  assert.equal(snapshot.series['clamp-temperature-A'].storage, 'ring');
+});
@@ -10,7 +10,9 @@ process.env.SUPABASE_API_KEY ??= 'test-supabase-key';
 const supabaseTables = {
   short_term_logs: [],
   long_term_logs: [],
+  interlock_events: [],
 };
+let supabaseNextIdentity = 1;
 const supabaseQueryDelaysMs = {
   short_term_logs: 0,
   long_term_logs: 0,
@@ -36,6 +38,8 @@ function cloneRow(row) {
 function resetSupabaseTables() {
   supabaseTables.short_term_logs = [];
   supabaseTables.long_term_logs = [];
+  supabaseTables.interlock_events = [];
+  supabaseNextIdentity = 1;
 }
 
 function resetSupabaseQueryControls() {
@@ -115,6 +119,10 @@ function matchesSupabaseFilters(row, filters) {
       return row[column] >= value;
     }
 
+    if (operator === 'lte') {
+      return row[column] <= value;
+    }
+
     return true;
   });
 }
@@ -129,9 +137,19 @@ function evaluateSupabaseQuery(queryState) {
     rangeFrom,
     rangeTo,
     operation,
+    insertedRows,
   } = queryState;
   const tableRows = supabaseTables[tableName] ?? [];
 
+  if (operation === 'insert') {
+    const rows = insertedRows.map((row) => ({ id: supabaseNextIdentity++, ...cloneRow(row) }));
+    supabaseTables[tableName] = [...tableRows, ...rows];
+    return {
+      data: rows.map((row) => projectSupabaseRow(row, selectedColumns)),
+      error: null,
+    };
+  }
+
   if (operation === 'delete') {
     const deletedRows = [];
     const remainingRows = [];
@@ -173,6 +191,7 @@ function createSupabaseQueryBuilder(tableName) {
     rangeFrom: null,
     rangeTo: null,
     operation: 'select',
+    insertedRows: [],
   };
 
   const builder = {
@@ -204,6 +223,15 @@ function createSupabaseQueryBuilder(tableName) {
       queryState.filters.push({ operator: 'gt', column, value });
       return builder;
     },
+    lte(column, value) {
+      queryState.filters.push({ operator: 'lte', column, value });
+      return builder;
+    },
+    insert(rows) {
+      queryState.operation = 'insert';
+      queryState.insertedRows = Array.isArray(rows) ? rows : [rows];
+      return builder;
+    },
     delete() {
       queryState.operation = 'delete';
       return builder;
@@ -257,26 +285,35 @@ Module._load = function mockExternalDependencies(request, parent, isMain) {
 
 const state = require('../services/state');
 const registerRoutes = require('../routes');
+const { createGraphObj } = require('../services/graphs');
 const {
-  createGraphObj,
-  updateDisplayData,
-  shortTermPressureGraph,
-  longTermPressureGraph,
-  ccsGraphA,
-  ccsGraphB,
-  ccsGraphC,
-} = require('../services/graphs');
+  SERIES_DEFINITIONS,
+  createSeriesRegistry,
+  resetSeries,
+  seriesRegistry,
+} = require('../services/series');
 const {
-  backfillShortTermGraph,
+  backfillSeries,
   fetchShortTermEntriesSince,
   fetchLongTermEntriesSince,
-} = require('../services/supabase');
+} = require('../services/storage');
 const {
   applyShortTermEntries,
   applyLongTermEntries,
   fetchAndUpdateFile,
   pollLongTerm,
+  catchUpSinceCursors,
+  ingestRealtimeRows,
 } = require('../services/polling');
+const { createRealtimeIngest } = require('../services/realtime');
+const { createTransitionTracker, interlockTransitionTracker } = require('../services/transitions');
+const { clearRangeCache } = require('../services/history');
+
+const shortTermPressureGraph = seriesRegistry.get('pressure-short').graph;
+const longTermPressureGraph = seriesRegistry.get('pressure-long').graph;
+const ccsGraphA = seriesRegistry.get('clamp-temperature-A').graph;
+const ccsGraphB = seriesRegistry.get('clamp-temperature-B').graph;
+const ccsGraphC = seriesRegistry.get('clamp-temperature-C').graph;
 
 function createLogger() {
   const logs = [];
@@ -297,9 +334,20 @@ function createCCSGraph() {
   return { xVals: [], yVals: [] };
 }
 
-function addCCSPointForTest(graph, tSec, value) {
-  graph.xVals.push(tSec);
-  graph.yVals.push(value);
+// Registry entries for one table, with test-owned graph objects swapped in
+function shortTermSeries({ graph, ccsA = createCCSGraph(), ccsB = createCCSGraph(), ccsC = createCCSGraph() }) {
+  return createSeriesRegistry(SERIES_DEFINITIONS, {
+    graphs: {
+      'pressure-short': graph,
+      'clamp-temperature-A': ccsA,
+      'clamp-temperature-B': ccsB,
+      'clamp-temperature-C': ccsC,
+    },
+  }).forSource('short_term_logs');
+}
+
+function longTermSeries(graph) {
+  return createSeriesRegistry(SERIES_DEFINITIONS, { graphs: { 'pressure-long': graph } }).forSource('long_term_logs');
 }
 
 function buildShortTermEntries(count, options = {}) {
@@ -337,28 +385,14 @@ function buildLongTermEntries(count, options = {}) {
   }));
 }
 
-function resetPressureGraph(graph) {
-  graph.fullXVals.length = 0;
-  graph.fullYVals.length = 0;
-  graph.displayXVals.length = 0;
-  graph.displayYVals.length = 0;
-  graph.lastUsedFactor = 1;
-  graph.lastPermanentIndex = -1;
-  graph.chartDataIntervalCount = 0;
-  graph.chartDataIntervalDuration = 1;
-}
-
-function resetCCSGraph(graph) {
-  graph.xVals.length = 0;
-  graph.yVals.length = 0;
-}
-
 function resetSingletonState() {
   state.lastShortTermCursor = null;
   state.lastLongTermCursor = null;
+  state.lastScalarCursor = null;
   state.webMonitorLastModified = null;
   state.displayLogLastModified = null;
   state.experimentRunning = false;
+  state.fieldQuality = {};
   state.data = {
     pressure: null,
     pressureTimestamp: null,
@@ -385,11 +419,12 @@ function createFakeApp() {
 
   return {
     routes,
-    get(path, handler) {
-      routes.push({ method: 'GET', path, handler });
+    // Role middleware passes straight through with AUTH_STORE=none, so only the last handler matters
+    get(path, ...handlers) {
+      routes.push({ method: 'GET', path, handler: handlers.at(-1) });
     },
-    post(path, handler) {
-      routes.push({ method: 'POST', path, handler });
+    post(path, ...handlers) {
+      routes.push({ method: 'POST', path, handler: handlers.at(-1) });
     },
   };
 }
@@ -417,11 +452,9 @@ beforeEach(() => {
   resetSupabaseTables();
   resetSupabaseQueryControls();
   resetSingletonState();
-  resetPressureGraph(shortTermPressureGraph);
-  resetPressureGraph(longTermPressureGraph);
-  resetCCSGraph(ccsGraphA);
-  resetCCSGraph(ccsGraphB);
-  resetCCSGraph(ccsGraphC);
+  seriesRegistry.list().forEach(resetSeries);
+  interlockTransitionTracker.reset();
+  clearRangeCache();
 });
 
 test('applyShortTermEntries catches up every unseen short-term row in order', () => {
@@ -435,12 +468,7 @@ test('applyShortTermEntries catches up every unseen short-term row in order', ()
 
   const summary = applyShortTermEntries(entries, {
     stateRef,
-    graph,
-    graphUpdater: updateDisplayData,
-    ccsA,
-    ccsB,
-    ccsC,
-    ccsPointAdder: addCCSPointForTest,
+    series: shortTermSeries({ graph, ccsA, ccsB, ccsC }),
     logger,
   });
 
@@ -477,12 +505,7 @@ test('applyShortTermEntries skips malformed pressure rows but still advances the
 
   const summary = applyShortTermEntries(entries, {
     stateRef,
-    graph,
-    graphUpdater: updateDisplayData,
-    ccsA,
-    ccsB,
-    ccsC,
-    ccsPointAdder: addCCSPointForTest,
+    series: shortTermSeries({ graph, ccsA, ccsB, ccsC }),
     logger,
   });
 
@@ -510,8 +533,7 @@ test('applyLongTermEntries drains missed long-term rows in order', () => {
 
   const summary = applyLongTermEntries(entries, {
     stateRef,
-    graph,
-    graphUpdater: updateDisplayData,
+    series: longTermSeries(graph),
     logger,
   });
 
@@ -540,15 +562,13 @@ test('applyLongTermEntries ignores stale long-term rows that were already covere
 
   applyLongTermEntries(entries.slice(0, 2), {
     stateRef,
-    graph,
-    graphUpdater: updateDisplayData,
+    series: longTermSeries(graph),
     logger,
   });
 
   const summary = applyLongTermEntries(entries, {
     stateRef,
-    graph,
-    graphUpdater: updateDisplayData,
+    series: longTermSeries(graph),
     logger,
   });
 
@@ -596,7 +616,7 @@ test('fetchAndUpdateFile seeds the short-term cursor from a stale latest row wit
   });
   setSupabaseTableRows('short_term_logs', staleEntries);
 
-  state.lastShortTermCursor = await backfillShortTermGraph(shortTermPressureGraph);
+  state.lastShortTermCursor = await backfillSeries(seriesRegistry.forSource('short_term_logs'), 'short_term_logs');
 
   assert.equal(state.lastShortTermCursor, null);
   assert.equal(shortTermPressureGraph.fullXVals.length, 0);
@@ -618,13 +638,37 @@ test('fetchAndUpdateFile seeds the short-term cursor from a stale latest row wit
   assert.equal(state.data.pressure, null);
 });
 
+test('/data reports per-field quality, so a disconnected sensor does not take the rest of the row with it', async () => {
+  const [entry] = buildShortTermEntries(1, { startMs: Date.now() - 3_000 });
+  entry.data.temperatures = { 1: '20.1', 2: 'DISCONNECTED', 3: '22.0', 4: '20.9', 5: '26.8', 6: '20.5' };
+  entry.data.clamp_temperature_B = null;
+  setSupabaseTableRows('short_term_logs', [entry]);
+
+  await fetchAndUpdateFile();
+
+  const app = createFakeApp();
+  registerRoutes(app);
+  const res = createResponseRecorder();
+  app.routes.find((route) => route.method === 'GET' && route.path === '/data').handler({}, res);
+
+  const { experimentRunning, fieldQuality, sicQuality } = res.payload;
+  assert.equal(experimentRunning, true);
+  assert.deepEqual(fieldQuality.pressure, { quality: 'fresh', lastGoodAt: entry.created_at });
+  assert.equal(fieldQuality['temperatures.1'].quality, 'fresh');
+  assert.deepEqual(fieldQuality['temperatures.2'], { quality: 'disconnected', lastGoodAt: null });
+  assert.equal(fieldQuality.clamp_temperature_A.quality, 'fresh');
+  assert.equal(fieldQuality.clamp_temperature_B.quality, 'disconnected');
+  // This fixture row carries no safety flags at all
+  assert.ok(sicQuality.every((quality) => quality === 'disconnected'));
+});
+
 test('fetchAndUpdateFile only catches up fresh rows after a stale baseline seeds the cursor', async () => {
   const staleEntries = buildShortTermEntries(5, {
     startMs: Date.now() - (25 * 60 * 60 * 1000) - (4 * 3_000),
   });
   setSupabaseTableRows('short_term_logs', staleEntries);
 
-  state.lastShortTermCursor = await backfillShortTermGraph(shortTermPressureGraph);
+  state.lastShortTermCursor = await backfillSeries(seriesRegistry.forSource('short_term_logs'), 'short_term_logs');
   await fetchAndUpdateFile();
 
   assert.equal(getSupabaseQueryCount('short_term_logs'), 2);
@@ -761,12 +805,7 @@ test('24-hour short-term data keeps a denser live display than the old 256-point
 
   applyShortTermEntries(entries, {
     stateRef,
-    graph,
-    graphUpdater: updateDisplayData,
-    ccsA,
-    ccsB,
-    ccsC,
-    ccsPointAdder: addCCSPointForTest,
+    series: shortTermSeries({ graph, ccsA, ccsB, ccsC }),
     logger,
   });
 
@@ -786,8 +825,7 @@ test('long-term data remains capped at the lower historical display density', ()
 
   applyLongTermEntries(entries, {
     stateRef,
-    graph,
-    graphUpdater: updateDisplayData,
+    series: longTermSeries(graph),
     logger,
   });
 
@@ -841,3 +879,488 @@ test('chart-data returns density metadata for both short and long views', () =>
   assert.deepEqual(longResponse.payload.xVals, longTermPressureGraph.displayXVals);
   assert.deepEqual(longResponse.payload.yVals, longTermPressureGraph.displayYVals);
 });
+
+for (const decimation of ['stride', 'minmax', 'lttb']) {
+  test(`chart-append events carry a display tail that splices back into the server display arrays (${decimation})`, () => {
+    const graph = createGraphObj({ maxDisplayPoints: 64, decimation });
+    const ccsA = createCCSGraph();
+    const ccsB = createCCSGraph();
+    const ccsC = createCCSGraph();
+    const stateRef = { lastShortTermCursor: null };
+    const entries = buildShortTermEntries(200);
+    const { logger } = createLogger();
+    const events = [];
+    let clientX = [];
+    let clientY = [];
+    let clientFactor = graph.lastUsedFactor;
+
+    for (let start = 0; start < entries.length; start += 7) {
+      applyShortTermEntries(entries.slice(start, start + 7), {
+        stateRef,
+        series: shortTermSeries({ graph, ccsA, ccsB, ccsC }),
+        logger,
+        publish: (event, payload) => events.push({ event, payload }),
+      });
+
+      const update = events.filter(({ event }) => event === 'chart-append').at(-1).payload;
+      const keep = update.displayPointCount - update.xVals.length;
+
+      if (update.downsampleFactor !== clientFactor || keep > clientX.length) {
+        clientX = graph.displayXVals.slice();
+        clientY = graph.displayYVals.slice();
+        clientFactor = update.downsampleFactor;
+      } else {
+        clientX = clientX.slice(0, keep).concat(update.xVals);
+        clientY = clientY.slice(0, keep).concat(update.yVals);
+      }
+
+      assert.deepEqual(clientX, graph.displayXVals);
+      assert.deepEqual(clientY, graph.displayYVals);
+    }
+
+    const ringEvents = events.filter(({ event }) => event === 'series-append');
+    assert.equal(ringEvents.reduce((total, { payload }) => total + payload.xVals.length, 0), entries.length);
+    assert.equal(ringEvents[0].payload.series['clamp-temperature-A'][0], entries[0].data.clamp_temperature_A);
+  });
+}
+
+test('/stream opens an SSE response and sends the current state immediately', () => {
+  state.experimentRunning = true;
+  state.data.pressure = '1.5e-6';
+
+  const app = createFakeApp();
+  registerRoutes(app);
+
+  const streamRoute = app.routes.find((route) => route.method === 'GET' && route.path === '/stream');
+  assert.ok(streamRoute, 'expected /stream route to be registered');
+
+  const closeHandlers = [];
+  const req = { on: (event, handler) => event === 'close' && closeHandlers.push(handler) };
+  const res = {
+    headers: null,
+    chunks: [],
+    writeHead(statusCode, headers) {
+      this.statusCode = statusCode;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+      return true;
+    },
+  };
+
+  streamRoute.handler(req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'text/event-stream');
+
+  const stateFrame = res.chunks.find((chunk) => chunk.startsWith('event: state\n'));
+  assert.ok(stateFrame, 'expected an initial state event');
+  const payload = JSON.parse(stateFrame.split('\n')[1].slice('data: '.length));
+  assert.equal(payload.pressure, '1.5e-6');
+  assert.equal(payload.experimentRunning, true);
+
+  closeHandlers.forEach((handler) => handler());
+});
+
+const GREEN_INPUT_FLAGS = [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1];
+const ALL_SET_FLAGS = Array(13).fill(1);
+
+function withSafetyFlags(entry, inputFlags) {
+  entry.data.safetyInputDataFlags = inputFlags;
+  entry.data.safetyInputStatusFlags = ALL_SET_FLAGS;
+  entry.data.safetyOutputDataFlags = [1, 1, 1, 1, 1, 1, 0];
+  entry.data.vacuumBits = '11010101';
+  return entry;
+}
+
+test('applyShortTermEntries reports interlock transitions row by row with the raw flag bits', () => {
+  const entries = buildShortTermEntries(4).map((entry) => withSafetyFlags(entry, GREEN_INPUT_FLAGS));
+  const doorOpenFlags = GREEN_INPUT_FLAGS.slice();
+  doorOpenFlags[4] = 0;
+  entries[2].data.safetyInputDataFlags = doorOpenFlags;
+  entries[3].data.vacuumBits = '01010101';
+  const { logger } = createLogger();
+
+  const summary = applyShortTermEntries(entries, {
+    stateRef: { lastShortTermCursor: null },
+    series: shortTermSeries({ graph: createGraphObj({ maxDisplayPoints: 256 }) }),
+    logger,
+    publish: () => {},
+    transitionTracker: createTransitionTracker(),
+  });
+
+  assert.deepEqual(
+    summary.transitions.map(({ occurred_at, signal, signal_group, old_value, new_value }) =>
+      [occurred_at, signal, signal_group, old_value, new_value]),
+    [
+      [entries[2].created_at, 'door', 'interlock', 'green', 'red'],
+      [entries[3].created_at, 'door', 'interlock', 'red', 'green'],
+      [entries[3].created_at, 'pumps-power', 'vacuum', 'green', 'red'],
+    ]
+  );
+  assert.deepEqual(summary.transitions[0].flags.safetyInputDataFlags, doorOpenFlags);
+  assert.equal(summary.transitions[2].flags.vacuumBits, '01010101');
+});
+
+test('/events pages interlock transitions newest-first across tied timestamps', async () => {
+  const freshEntries = buildShortTermEntries(3, { startMs: Date.now() - 9_000 })
+    .map((entry) => withSafetyFlags(entry, GREEN_INPUT_FLAGS));
+  freshEntries[2].data.safetyInputDataFlags = Array(13).fill(0);
+  setSupabaseTableRows('short_term_logs', freshEntries);
+
+  await fetchAndUpdateFile();
+
+  const recorded = supabaseTables.interlock_events;
+  assert.ok(recorded.length > 3, `expected several transitions from one row, got ${recorded.length}`);
+  assert.ok(recorded.every((event) => event.occurred_at === freshEntries[2].created_at));
+
+  const app = createFakeApp();
+  registerRoutes(app);
+  const eventsRoute = app.routes.find((route) => route.method === 'GET' && route.path === '/events');
+
+  const seen = [];
+  let query = { limit: '2' };
+  for (let page = 0; page < 20; page++) {
+    const response = createResponseRecorder();
+    await eventsRoute.handler({ query }, response);
+    assert.equal(response.statusCode, 200);
+    seen.push(...response.payload.events.map((event) => event.id));
+    if (!response.payload.nextBefore) break;
+    query = { limit: '2', ...response.payload.nextBefore };
+  }
+
+  assert.deepEqual(seen, recorded.map((event) => event.id).sort((left, right) => right - left));
+});
+
+function getChartDataRoute() {
+  const app = createFakeApp();
+  registerRoutes(app);
+  return app.routes.find((route) => route.method === 'GET' && route.path === '/chart-data');
+}
+
+test('chart-data range queries read long_term_logs for old windows and keep short spikes', async () => {
+  const startMs = Date.parse('2025-01-01T00:00:00.000Z');
+  const entries = buildLongTermEntries(10_000, {
+    startMs,
+    pressureFactory: (index) => (index === 4_321 ? 5e-3 : 1e-6),
+  });
+  setSupabaseTableRows('long_term_logs', entries);
+
+  const response = createResponseRecorder();
+  await getChartDataRoute().handler({
+    query: { from: String(startMs / 1000), to: String((startMs + 10_000 * 60_000) / 1000), width: '200' },
+  }, response);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.payload.view, 'range');
+  assert.equal(response.payload.source, 'long_term_logs');
+  assert.equal(response.payload.rawPointCount, 10_000);
+  assert.ok(response.payload.displayPointCount <= 400);
+  assert.ok(response.payload.yVals.includes(5e-3), 'min/max decimation dropped the spike');
+});
+
+test('chart-data range queries serve short recent windows from short_term_logs and cache the result', async () => {
+  const startMs = Date.now() - 60 * 60 * 1000;
+  setSupabaseTableRows('short_term_logs', buildShortTermEntries(600, { startMs }));
+  const route = getChartDataRoute();
+  const query = { from: new Date(startMs).toISOString(), to: new Date(startMs + 30 * 60 * 1000).toISOString() };
+
+  const first = createResponseRecorder();
+  await route.handler({ query }, first);
+  const queriesAfterFirst = getSupabaseQueryCount('short_term_logs');
+
+  const second = createResponseRecorder();
+  await route.handler({ query }, second);
+
+  assert.equal(first.payload.source, 'short_term_logs');
+  assert.equal(first.payload.rawPointCount, 600);
+  assert.equal(first.payload.cached, false);
+  assert.equal(second.payload.cached, true);
+  assert.ok(queriesAfterFirst > 0);
+  assert.equal(getSupabaseQueryCount('short_term_logs'), queriesAfterFirst);
+});
+
+test('chart-data rejects a range whose start is not before its end', async () => {
+  const response = createResponseRecorder();
+  await getChartDataRoute().handler({ query: { from: '2000', to: '1000' } }, response);
+  assert.equal(response.statusCode, 400);
+});
+
+function createStreamingRecorder() {
+  return {
+    statusCode: 200,
+    headers: {},
+    chunks: [],
+    ended: false,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.payload = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    on() {},
+    write(chunk) {
+      this.headersSent = true;
+      this.chunks.push(chunk);
+      return true;
+    },
+    end() {
+      this.ended = true;
+    },
+  };
+}
+
+function getExportRoute() {
+  const app = createFakeApp();
+  registerRoutes(app);
+  return app.routes.find((route) => route.method === 'GET' && route.path === '/export');
+}
+
+test('/export streams short-term CSV page by page with the data jsonb flattened', async () => {
+  const startMs = Date.parse('2026-03-21T12:00:00.000Z');
+  const entries = buildShortTermEntries(2_500, { startMs });
+  entries.forEach((entry, index) => {
+    entry.data.temperatures = { 1: 20 + index, 6: 'DISCONNECTED' };
+    entry.data.safetyInputDataFlags = [1, 0, 1];
+    entry.data['Cathode B - Heater Current:'] = 1.25;
+  });
+  setSupabaseTableRows('short_term_logs', entries);
+
+  const res = createStreamingRecorder();
+  await getExportRoute().handler({
+    query: { from: entries[0].created_at, to: entries[2_399].created_at },
+  }, res);
+
+  assert.equal(res.ended, true);
+  assert.match(res.headers['Content-Type'], /^text\/csv/);
+  assert.match(res.headers['Content-Disposition'], /short_term_logs_.*\.csv"$/);
+
+  // One header chunk plus one chunk per 1000-row Supabase page
+  assert.equal(res.chunks.length, 4);
+  assert.ok(res.chunks.every((chunk) => chunk.split('\r\n').length - 1 <= 1000));
+
+  const lines = res.chunks.join('').trim().split('\r\n');
+  const header = lines[0].split(',');
+  assert.equal(lines.length, 2_401);
+  assert.deepEqual(header.slice(0, 3), ['id', 'created_at', 'pressure']);
+
+  const first = lines[1];
+  assert.ok(first.startsWith(`${entries[0].id},${entries[0].created_at},`));
+  assert.ok(first.includes('"[1,0,1]"'), 'flag arrays should be written as one quoted JSON cell');
+  assert.ok(first.includes(',20,'), 'temperature_1 should be flattened into its own column');
+  assert.ok(first.includes(',DISCONNECTED,'));
+  assert.ok(lines[2_400].startsWith(`${entries[2_399].id},`));
+});
+
+test('/export writes long-term NDJSON restricted to the selected columns', async () => {
+  const entries = buildLongTermEntries(5);
+  setSupabaseTableRows('long_term_logs', entries);
+
+  const res = createStreamingRecorder();
+  await getExportRoute().handler({
+    query: {
+      table: 'long',
+      format: 'ndjson',
+      from: entries[1].recorded_at,
+      to: entries[3].recorded_at,
+      columns: 'recorded_at,avg_pressure',
+    },
+  }, res);
+
+  const rows = res.chunks.join('').trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(rows, entries.slice(1, 4).map((entry) => ({
+    recorded_at: entry.recorded_at,
+    avg_pressure: entry.avg_pressure,
+  })));
+});
+
+test('/export rejects unknown columns before streaming anything', async () => {
+  const res = createStreamingRecorder();
+  await getExportRoute().handler({
+    query: { table: 'long', from: '2026-03-21T12:00:00.000Z', columns: 'recorded_at,nope' },
+  }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.payload.error, /nope/);
+  assert.equal(res.chunks.length, 0);
+});
+
+test('a derived trend declared in the registry is plotted and published by the short-term poller', () => {
+  const registry = createSeriesRegistry([
+    ...SERIES_DEFINITIONS,
+    {
+      name: 'heater-power-A',
+      label: 'Cathode A — Heater Power',
+      unit: 'W',
+      source: 'short_term_logs',
+      extract: (row) => row.data?.['Cathode A - Heater Current:'] * row.data?.['Cathode A - Heater Voltage:'],
+      storage: 'decimated',
+      maxDataPoints: 30000,
+      maxDisplayPoints: 512,
+      decimation: 'minmax',
+      retentionMs: 24 * 60 * 60 * 1000,
+      panel: 'trends',
+    },
+  ]);
+  const entries = buildShortTermEntries(5);
+  entries.forEach((entry, index) => {
+    entry.data['Cathode A - Heater Current:'] = index === 2 ? 'DISCONNECTED' : 2;
+    entry.data['Cathode A - Heater Voltage:'] = 10 + index / 2;
+  });
+  const events = [];
+  const { logger } = createLogger();
+
+  const summary = applyShortTermEntries(entries, {
+    stateRef: { lastShortTermCursor: null },
+    series: registry.forSource('short_term_logs'),
+    logger,
+    publish: (event, payload) => events.push({ event, payload }),
+    transitionTracker: createTransitionTracker(),
+  });
+
+  assert.equal(summary.appendedCount, 5);
+  assert.deepEqual(registry.get('heater-power-A').graph.fullYVals, [20, 21, 23, 24]);
+
+  const trendAppend = events.find(({ event, payload }) => event === 'chart-append' && payload.series === 'heater-power-A');
+  assert.ok(trendAppend, 'expected a chart-append event for the new series');
+  assert.equal(trendAppend.payload.view, undefined);
+  assert.deepEqual(trendAppend.payload.yVals, [20, 21, 23, 24]);
+});
+
+test('/chart-data?series= serves any registered series and /series lists them', () => {
+  applyShortTermEntries(buildShortTermEntries(4), { logger: createLogger().logger, publish: () => {} });
+
+  const app = createFakeApp();
+  registerRoutes(app);
+  const chartRoute = app.routes.find((route) => route.method === 'GET' && route.path === '/chart-data');
+  const seriesRoute = app.routes.find((route) => route.method === 'GET' && route.path === '/series');
+
+  const ringResponse = createResponseRecorder();
+  chartRoute.handler({ query: { series: 'clamp-temperature-B' } }, ringResponse);
+  assert.equal(ringResponse.payload.series, 'clamp-temperature-B');
+  assert.deepEqual(ringResponse.payload.yVals, [200, 201, 202, 203]);
+  assert.equal(ringResponse.payload.decimation, 'none');
+
+  const missing = createResponseRecorder();
+  chartRoute.handler({ query: { series: 'nope' } }, missing);
+  assert.equal(missing.statusCode, 404);
+
+  const listing = createResponseRecorder();
+  seriesRoute.handler({ query: {} }, listing);
+  assert.deepEqual(
+    listing.payload.series.map(({ name, storage }) => [name, storage]),
+    seriesRegistry.list().map(({ name, storage }) => [name, storage])
+  );
+});
+
+test('temperature and heater trends are published with the clamp temperatures and served from /chart-data', () => {
+  const entries = buildShortTermEntries(3);
+  entries.forEach((entry, index) => {
+    entry.data.temperatures = { 3: String(22 + index) };
+    entry.data['Cathode B - Heater Current:'] = 1.5 + index / 10;
+  });
+  const events = [];
+
+  applyShortTermEntries(entries, {
+    logger: createLogger().logger,
+    publish: (event, payload) => events.push({ event, payload }),
+  });
+
+  const ringAppend = events.find(({ event }) => event === 'series-append');
+  assert.deepEqual(ringAppend.payload.series['temperature-3'], [22, 23, 24]);
+  assert.deepEqual(ringAppend.payload.series['heater-current-B'], [1.5, 1.6, 1.7]);
+  assert.deepEqual(ringAppend.payload.series['heater-voltage-B'], [null, null, null]);
+  assert.equal(ringAppend.payload.maxPoints['temperature-3'], 1200);
+
+  const app = createFakeApp();
+  registerRoutes(app);
+  const chartRoute = app.routes.find((route) => route.method === 'GET' && route.path === '/chart-data');
+  const response = createResponseRecorder();
+  chartRoute.handler({ query: { series: 'heater-current-B' } }, response);
+
+  assert.equal(response.payload.unit, 'A');
+  assert.deepEqual(response.payload.yVals, [1.5, 1.6, 1.7]);
+  assert.equal(response.payload.xVals.length, 3);
+});
+
+test('backfillSeries reads a table once and honours each series backfill window', async () => {
+  const nowMs = Date.now();
+  const entries = buildShortTermEntries(120, { startMs: nowMs - 2 * 60 * 60 * 1000, intervalMs: 60_000 });
+  setSupabaseTableRows('short_term_logs', entries);
+
+  const cursor = await backfillSeries(seriesRegistry.forSource('short_term_logs'), 'short_term_logs', nowMs);
+
+  assert.equal(getSupabaseQueryCount('short_term_logs'), 1);
+  assert.deepEqual(cursor, { timestamp: entries.at(-1).created_at, id: entries.at(-1).id });
+  assert.equal(shortTermPressureGraph.fullXVals.length, 120);
+  assert.ok(ccsGraphA.xVals.length >= 59 && ccsGraphA.xVals.length <= 61, `got ${ccsGraphA.xVals.length}`);
+  assert.equal(ccsGraphA.xVals.at(-1), Math.floor(Date.parse(entries.at(-1).created_at) / 1000));
+});
+
+test('catchUpSinceCursors drains only the rows after restored cursors without recording interlock events', async () => {
+  const shortEntries = buildShortTermEntries(10);
+  const longEntries = buildLongTermEntries(6);
+  setSupabaseTableRows('short_term_logs', shortEntries);
+  setSupabaseTableRows('long_term_logs', longEntries);
+  state.lastShortTermCursor = { timestamp: shortEntries[5].created_at, id: shortEntries[5].id };
+  state.lastLongTermCursor = { timestamp: longEntries[3].recorded_at, id: longEntries[3].id };
+
+  const { shortTerm, longTerm } = await catchUpSinceCursors();
+
+  assert.equal(shortTerm.appendedCount, 4);
+  assert.equal(longTerm.appendedCount, 2);
+  assert.equal(shortTermPressureGraph.fullXVals.length, 4);
+  assert.deepEqual(ccsGraphB.yVals, [206, 207, 208, 209]);
+  assert.deepEqual(state.lastShortTermCursor, { timestamp: shortEntries[9].created_at, id: shortEntries[9].id });
+  assert.deepEqual(state.lastLongTermCursor, { timestamp: longEntries[5].recorded_at, id: longEntries[5].id });
+  assert.equal(supabaseTables.interlock_events.length, 0);
+});
+
+test('realtime rows and the reconciling poll fill a gap without duplicating or skipping rows', async (t) => {
+  const entries = buildShortTermEntries(8, { startMs: Date.now() - 30_000 });
+  setSupabaseTableRows('short_term_logs', entries.slice(0, 6));
+  state.lastShortTermCursor = { timestamp: entries[1].created_at, id: entries[1].id };
+
+  const listeners = {};
+  let statusCallback = null;
+  const channel = {
+    on: (type, filter, callback) => { listeners[filter.table] = callback; return channel; },
+    subscribe: (callback) => { statusCallback = callback; return channel; },
+  };
+  const ingest = createRealtimeIngest({
+    client: { channel: () => channel, removeChannel: async () => {} },
+    onRows: ingestRealtimeRows,
+    reconcile: fetchAndUpdateFile,
+    pollIntervalMs: 60_000,
+    logger: createLogger().logger,
+  });
+  t.after(() => ingest.stop());
+
+  ingest.start();
+  // The socket reconnects after missing rows 2-4; row 5 is pushed while the reconcile is fetching
+  statusCallback('SUBSCRIBED');
+  listeners.short_term_logs({ new: entries[5] });
+  await ingest.reconcile();
+
+  const expectedSec = (from, to) => entries.slice(from, to).map((entry) => Math.floor(Date.parse(entry.created_at) / 1000));
+  assert.deepEqual(shortTermPressureGraph.fullXVals, expectedSec(2, 6));
+
+  // A duplicate delivery is ignored; a new row is plotted and refreshes the scalar state
+  await ingestRealtimeRows('short_term_logs', [entries[5]]);
+  listeners.short_term_logs({ new: { ...entries[6], data: { ...entries[6].data, pressure: '4.2e-7' } } });
+  // A reconcile that still sees row 5 as the latest must not roll the scalars back
+  await ingest.reconcile();
+
+  assert.deepEqual(shortTermPressureGraph.fullXVals, expectedSec(2, 7));
+  assert.deepEqual(ccsGraphB.yVals, [202, 203, 204, 205, 206]);
+  assert.equal(state.data.pressure, '4.2e-7');
+  assert.equal(state.experimentRunning, true);
+  assert.deepEqual(state.lastShortTermCursor, { timestamp: entries[6].created_at, id: entries[6].id });
+});
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+
+const { FIELD_STALE_AFTER_MS } = require('../config');
+const {
+  QUALITY_FIELDS,
+  recordFieldQuality,
+  buildFieldQuality,
+  buildIndicatorQuality,
+  worstQuality,
+} = require('../services/quality');
+const { buildSnapshot, restoreSnapshot } = require('../services/persistence');
+const { createSeriesRegistry } = require('../services/series');
+
+const START_MS = Date.parse('2026-06-02T15:00:00.000Z');
+
+function at(offsetMs) {
+  return new Date(START_MS + offsetMs).toISOString();
+}
+
+function goodData(overrides = {}) {
+  return {
+    pressure: '2.10e-7',
+    safetyInputDataFlags: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1],
+    safetyInputStatusFlags: Array(13).fill(1),
+    safetyOutputDataFlags: [1, 1, 1, 1, 1, 1, 0],
+    safetyOutputStatusFlags: Array(7).fill(1),
+    vacuumBits: '11010101',
+    temperatures: { 1: '20.42', 2: '19.93', 3: '23.82', 4: '20.81', 5: '27.03', 6: '20.66' },
+    'Cathode A - Heater Current:': 2.4,
+    'Cathode B - Heater Current:': 2.4,
+    'Cathode C - Heater Current:': 0,
+    'Cathode A - Heater Voltage:': 6.75,
+    'Cathode B - Heater Voltage:': 6.8,
+    'Cathode C - Heater Voltage:': 0,
+    clamp_temperature_A: 61.2,
+    clamp_temperature_B: 60.8,
+    clamp_temperature_C: 21.1,
+    ...overrides,
+  };
+}
+
+function qualities(fieldQuality) {
+  return Object.fromEntries(Object.entries(fieldQuality).map(([key, { quality }]) => [key, quality]));
+}
+
+test('a complete row leaves every field fresh, and fields go stale together once rows stop', () => {
+  const stateRef = { fieldQuality: {} };
+  recordFieldQuality(goodData(), at(0), stateRef);
+
+  const fresh = buildFieldQuality(stateRef, START_MS + 3_000);
+  assert.deepEqual(Object.keys(fresh), QUALITY_FIELDS.map(({ key }) => key));
+  assert.ok(Object.values(fresh).every(({ quality, lastGoodAt }) => quality === 'fresh' && lastGoodAt === at(0)));
+
+  const stale = buildFieldQuality(stateRef, START_MS + FIELD_STALE_AFTER_MS + 1);
+  assert.ok(Object.values(stale).every(({ quality, lastGoodAt }) => quality === 'stale' && lastGoodAt === at(0)));
+});
+
+test('sub-systems drop out on their own and keep their last-good time', () => {
+  const stateRef = { fieldQuality: {} };
+  recordFieldQuality(goodData(), at(0), stateRef);
+  recordFieldQuality(goodData({
+    pressure: '-1.00e+0',
+    temperatures: { 1: '20.40', 2: '19.90', 3: 'DISCONNECTED', 4: '20.80', 5: 'None', 6: '20.70' },
+    clamp_temperature_B: null,
+    vacuumBits: '1101',
+  }), at(3_000), stateRef);
+
+  const fieldQuality = buildFieldQuality(stateRef, START_MS + 6_000);
+  assert.deepEqual(qualities(fieldQuality), {
+    ...Object.fromEntries(QUALITY_FIELDS.map(({ key }) => [key, 'fresh'])),
+    pressure: 'invalid',
+    vacuumBits: 'invalid',
+    'temperatures.3': 'disconnected',
+    'temperatures.5': 'disconnected',
+    clamp_temperature_B: 'disconnected',
+  });
+  assert.equal(fieldQuality['temperatures.3'].lastGoodAt, at(0));
+  assert.equal(fieldQuality['temperatures.1'].lastGoodAt, at(3_000));
+
+  // A field never seen at all is disconnected with no last-good time
+  assert.deepEqual(buildFieldQuality({ fieldQuality: {} }).pressure, { quality: 'disconnected', lastGoodAt: null });
+});
+
+test('a pressure gauge that stops stamping new readings goes stale while the rows keep coming', () => {
+  const stateRef = { fieldQuality: {} };
+  for (let index = 0; index <= 50; index++) {
+    recordFieldQuality(goodData({ pressureTimestamp: at(0) }), at(index * 3_000), stateRef);
+  }
+
+  const fieldQuality = buildFieldQuality(stateRef, START_MS + 150_000);
+  assert.equal(fieldQuality.pressure.quality, 'stale');
+  assert.equal(fieldQuality.pressure.lastGoodAt, at(0));
+  assert.equal(fieldQuality.vacuumBits.quality, 'fresh');
+});
+
+test('indicator lights take the quality of the flags they are read from', () => {
+  const stateRef = { fieldQuality: {} };
+  recordFieldQuality(goodData({ safetyOutputDataFlags: null }), at(0), stateRef);
+
+  const { sicQuality, vacuumQuality } = buildIndicatorQuality(buildFieldQuality(stateRef, START_MS));
+  assert.deepEqual(sicQuality, [
+    'fresh', 'fresh', 'fresh', 'fresh', 'fresh', 'fresh', 'fresh', 'fresh',
+    'disconnected', 'disconnected', // all-interlocks and G9 output
+    'fresh',
+  ]);
+  assert.equal(vacuumQuality, 'fresh');
+  assert.equal(worstQuality(['fresh', 'stale', 'invalid']), 'invalid');
+});
+
+test('boolean flags and vacuum bits already split into an array count as valid readings', () => {
+  const stateRef = { fieldQuality: {} };
+  recordFieldQuality(goodData({
+    safetyInputDataFlags: [true, true, true, true, true, true, true, true, true, true, true, false, true],
+    safetyOutputStatusFlags: Array(7).fill(true),
+    vacuumBits: [true, true, false, true, false, true, false, true],
+  }), at(0), stateRef);
+  assert.ok(Object.values(qualities(buildFieldQuality(stateRef, START_MS))).every((quality) => quality === 'fresh'));
+  assert.equal(buildIndicatorQuality(buildFieldQuality(stateRef, START_MS)).vacuumQuality, 'fresh');
+
+  recordFieldQuality(goodData({
+    safetyInputDataFlags: [true, 'yes', true, true, true, true, true, true, true, true, true, false, true],
+    vacuumBits: [1, 1, 0, 1, 0, 1, 0],
+  }), at(3_000), stateRef);
+  const fieldQuality = buildFieldQuality(stateRef, START_MS + 3_000);
+  assert.equal(fieldQuality.safetyInputDataFlags.quality, 'invalid');
+  assert.equal(fieldQuality.vacuumBits.quality, 'invalid');
+  assert.equal(fieldQuality.vacuumBits.lastGoodAt, at(0));
+});
+
+test('last-good times survive a cache snapshot round-trip', () => {
+  const registry = createSeriesRegistry();
+  const cursor = { timestamp: at(0), id: 1 };
+  const saved = { lastShortTermCursor: cursor, lastLongTermCursor: cursor, fieldQuality: {} };
+  recordFieldQuality(goodData({ clamp_temperature_C: null }), at(0), saved);
+
+  const snapshot = JSON.parse(JSON.stringify(buildSnapshot({ registry, stateRef: saved, nowMs: START_MS })));
+  const restored = { fieldQuality: {} };
+  assert.equal(restoreSnapshot(snapshot, { registry, stateRef: restored, nowMs: START_MS }).restored, true);
+  assert.deepEqual(restored.fieldQuality, saved.fieldQuality);
+});
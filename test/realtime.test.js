@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REALTIME_CHANNEL, createRealtimeIngest } = require('../services/realtime');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Local stand-in for supabase.channel(): records the postgres_changes listeners and lets the test
+ * push INSERT payloads and channel status changes.
+ */
+function createFakeRealtimeClient() {
+  const client = {
+    channels: [],
+    removed: [],
+    channel(name) {
+      const channel = {
+        name,
+        listeners: [],
+        statusCallback: null,
+        on(type, filter, callback) {
+          channel.listeners.push({ type, filter, callback });
+          return channel;
+        },
+        subscribe(callback) {
+          channel.statusCallback = callback;
+          return channel;
+        },
+      };
+      client.channels.push(channel);
+      return channel;
+    },
+    async removeChannel(channel) {
+      client.removed.push(channel);
+      return 'ok';
+    },
+    emitInsert(table, row) {
+      const channel = client.channels.at(-1);
+      channel.listeners
+        .filter((listener) => listener.filter.table === table && listener.filter.event === 'INSERT')
+        .forEach((listener) => listener.callback({ eventType: 'INSERT', table, new: row }));
+    },
+    emitStatus(status, err) {
+      client.channels.at(-1).statusCallback(status, err);
+    },
+  };
+
+  return client;
+}
+
+function createSilentLogger() {
+  const messages = [];
+  const record = (...args) => messages.push(args.join(' '));
+  return { logger: { log: record, warn: record, error: record }, messages };
+}
+
+test('realtime ingest listens for INSERTs on both log tables and reconciles before applying pushed rows', async () => {
+  const client = createFakeRealtimeClient();
+  const delivered = [];
+  let releaseReconcile;
+  let reconcileCount = 0;
+
+  const ingest = createRealtimeIngest({
+    client,
+    onRows: (tableName, rows) => delivered.push([tableName, rows.map((row) => row.id)]),
+    reconcile: () => {
+      reconcileCount++;
+      delivered.push(['reconcile']);
+      return new Promise((resolve) => { releaseReconcile = resolve; });
+    },
+    pollIntervalMs: 60_000,
+    logger: createSilentLogger().logger,
+  });
+
+  ingest.start();
+  assert.equal(client.channels[0].name, REALTIME_CHANNEL);
+  assert.deepEqual(
+    client.channels[0].listeners.map(({ type, filter }) => [type, filter.event, filter.schema, filter.table]),
+    [
+      ['postgres_changes', 'INSERT', 'public', 'short_term_logs'],
+      ['postgres_changes', 'INSERT', 'public', 'long_term_logs'],
+    ]
+  );
+
+  client.emitStatus('SUBSCRIBED');
+  assert.equal(ingest.isConnected(), true);
+  assert.equal(reconcileCount, 1);
+
+  // Pushed while the reconcile is still fetching: held back so the cursor cannot skip past it
+  client.emitInsert('short_term_logs', { id: 's-3' });
+  client.emitInsert('long_term_logs', { id: 'l-1' });
+  client.emitInsert('short_term_logs', { id: 's-4' });
+  assert.deepEqual(delivered, [['reconcile']]);
+
+  releaseReconcile();
+  await ingest.reconcile();
+  assert.deepEqual(delivered, [
+    ['reconcile'],
+    ['short_term_logs', ['s-3', 's-4']],
+    ['long_term_logs', ['l-1']],
+  ]);
+
+  client.emitInsert('short_term_logs', { id: 's-5' });
+  assert.deepEqual(delivered.at(-1), ['short_term_logs', ['s-5']]);
+
+  await ingest.stop();
+  assert.deepEqual(client.removed, [client.channels[0]]);
+});
+
+test('realtime ingest falls back to polling while the channel is down', async () => {
+  const client = createFakeRealtimeClient();
+  const { logger, messages } = createSilentLogger();
+  let reconcileCount = 0;
+
+  const ingest = createRealtimeIngest({
+    client,
+    onRows: () => {},
+    reconcile: async () => { reconcileCount++; },
+    pollIntervalMs: 5,
+    reconcileIntervalMs: 60_000,
+    logger,
+  });
+
+  ingest.start();
+  client.emitStatus('SUBSCRIBED');
+  await ingest.reconcile();
+  await delay(40);
+  assert.equal(reconcileCount, 1, 'a healthy channel only reconciles on the slow interval');
+
+  client.emitStatus('CHANNEL_ERROR', new Error('socket closed'));
+  assert.equal(ingest.isConnected(), false);
+  assert.ok(messages.some((message) => /CHANNEL_ERROR: socket closed; polling/.test(message)));
+
+  await delay(40);
+  assert.ok(reconcileCount >= 3, `expected polling while disconnected, got ${reconcileCount} reconciles`);
+
+  await ingest.stop();
+  const afterStop = reconcileCount;
+  await delay(20);
+  assert.equal(reconcileCount, afterStop);
+});
+
+test('a failing reconcile or row handler is logged without stopping the ingest', async () => {
+  const client = createFakeRealtimeClient();
+  const { logger, messages } = createSilentLogger();
+  const delivered = [];
+
+  const ingest = createRealtimeIngest({
+    client,
+    onRows: async (tableName, rows) => {
+      if (rows[0].id === 'bad') throw new Error('boom');
+      delivered.push(rows[0].id);
+    },
+    reconcile: async () => { throw new Error('supabase down'); },
+    pollIntervalMs: 60_000,
+    logger,
+  });
+
+  ingest.start();
+  client.emitStatus('SUBSCRIBED');
+  await ingest.reconcile();
+
+  client.emitInsert('short_term_logs', { id: 'bad' });
+  client.emitInsert('short_term_logs', { id: 'good' });
+  await delay(0);
+
+  assert.deepEqual(delivered, ['good']);
+  assert.ok(messages.some((message) => /reconcile failed/.test(message)));
+  assert.ok(messages.some((message) => /ingest failed for short_term_logs/.test(message)));
+  await ingest.stop();
+});
@@ -0,0 +1,209 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const captureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-replay-'));
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = captureDir;
+
+const state = require('../services/state');
+const clock = require('../services/clock');
+const { INACTIVE_THRESHOLD } = require('../config');
+const { seriesRegistry, resetSeries, appendSeriesValue } = require('../services/series');
+const { flattenShortTermRow, restoreShortTermRow } = require('../services/export');
+const { parseReplayArgs, createReplayController } = require('../services/replay');
+const { fetchAndUpdateFile, pollLongTerm } = require('../services/polling');
+
+const START_MS = Date.parse('2026-03-17T14:00:00.000Z');
+const GREEN_INPUT_FLAGS = [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1];
+
+function recordedRow(index, offsetMs = index * 3_000) {
+  return {
+    id: index + 1,
+    created_at: new Date(START_MS + offsetMs).toISOString(),
+    data: {
+      pressure: `${(index + 1) / 1e7}`,
+      safetyInputDataFlags: GREEN_INPUT_FLAGS,
+      safetyInputStatusFlags: Array(13).fill(1),
+      safetyOutputDataFlags: [1, 1, 1, 1, 1, 1, 0],
+      vacuumBits: '11010101',
+      temperatures: { 1: '20.5', 2: '21.5' },
+      'Cathode A - Heater Current:': 1.25,
+      clamp_temperature_A: 100 + index,
+    },
+  };
+}
+
+function createFakeWallClock(startMs = Date.parse('2026-10-19T09:00:00.000Z')) {
+  let nowMs = startMs;
+  return {
+    now: () => nowMs,
+    advance: (ms) => {
+      nowMs += ms;
+    },
+  };
+}
+
+function createHarness() {
+  const wall = createFakeWallClock();
+  const events = [];
+  let resumed = 0;
+  const logger = { log: () => {}, warn: () => {}, error: (...args) => console.error(...args) };
+
+  const controller = createReplayController({
+    publish: (event, payload) => events.push({ event, payload }),
+    logger,
+    resumeLive: async () => {
+      resumed++;
+    },
+    tickMs: 60_000,
+    wallNow: wall.now,
+  });
+
+  return { controller, wall, events, resumedCount: () => resumed };
+}
+
+function seedLiveCaches() {
+  const pressure = seriesRegistry.get('pressure-short');
+  for (let index = 0; index < 5; index++) {
+    appendSeriesValue(pressure, 1_800_000_000 + index * 3, 2e-6);
+  }
+  state.lastShortTermCursor = { timestamp: '2027-01-15T08:00:12.000Z', id: 9_999 };
+  state.lastLongTermCursor = { timestamp: '2027-01-15T08:00:00.000Z', id: 'long-1' };
+  state.lastScalarCursor = state.lastShortTermCursor;
+}
+
+beforeEach(() => {
+  seriesRegistry.list().forEach(resetSeries);
+  state.lastShortTermCursor = null;
+  state.lastLongTermCursor = null;
+  state.lastScalarCursor = null;
+  state.replay = null;
+  for (const file of fs.readdirSync(captureDir)) {
+    fs.rmSync(path.join(captureDir, file));
+  }
+});
+
+test('parseReplayArgs reads a file or a time range and rejects unsupported speeds', () => {
+  assert.equal(parseReplayArgs(['--port=3000']), null);
+  assert.deepEqual(parseReplayArgs(['--replay=runs/pump-down.ndjson', '--replay-speed=10']), {
+    filePath: 'runs/pump-down.ndjson',
+    speed: 10,
+  });
+  assert.deepEqual(parseReplayArgs(['--replay-from=2026-03-17T14:00:00Z', '--replay-to=1773759600']), {
+    fromMs: START_MS,
+    toMs: START_MS + 60 * 60 * 1000,
+    speed: 1,
+  });
+  assert.throws(() => parseReplayArgs(['--replay=run.ndjson', '--replay-speed=5']), /--replay-speed must be one of 1, 10, 100/);
+  assert.throws(() => parseReplayArgs(['--replay-from=yesterday']), /--replay-from must be a timestamp/);
+});
+
+test('restoreShortTermRow rebuilds the raw row a short-term export line was flattened from', () => {
+  const row = recordedRow(3);
+  const restored = restoreShortTermRow(JSON.parse(JSON.stringify(flattenShortTermRow(row))));
+
+  assert.equal(restored.created_at, row.created_at);
+  assert.equal(restored.data.pressure, row.data.pressure);
+  assert.equal(restored.data.vacuumBits, '11010101');
+  assert.deepEqual(restored.data.temperatures, { 1: '20.5', 2: '21.5' });
+  assert.equal(restored.data['Cathode A - Heater Current:'], 1.25);
+  assert.deepEqual(flattenShortTermRow(restored), flattenShortTermRow(row));
+});
+
+test('a replayed export plays at 100x, judges inactivity on the replay clock and hands back to live', async () => {
+  // 20 rows, then a recording gap longer than INACTIVE_THRESHOLD, then 5 more rows
+  const rows = [
+    ...Array.from({ length: 20 }, (_, index) => recordedRow(index)),
+    ...Array.from({ length: 5 }, (_, index) => recordedRow(20 + index, 57_000 + INACTIVE_THRESHOLD + 60_000 + index * 3_000)),
+  ];
+  const exportFile = path.join(captureDir, 'pump-down.ndjson');
+  fs.writeFileSync(exportFile, rows.map((row) => JSON.stringify(flattenShortTermRow(row))).join('\n') + '\n');
+
+  seedLiveCaches();
+  const liveXVals = seriesRegistry.get('pressure-short').graph.fullXVals.slice();
+  const { controller, wall, events, resumedCount } = createHarness();
+
+  const replay = await controller.start({ filePath: exportFile, speed: 100 });
+  assert.equal(replay.status, 'playing');
+  assert.equal(replay.speed, 100);
+  assert.equal(seriesRegistry.get('pressure-short').graph.fullXVals.length, 0);
+  assert.equal(clock.now(), START_MS);
+
+  // 300ms of wall time is 30s of recording: rows 0..10
+  wall.advance(300);
+  await controller.tick();
+  assert.equal(seriesRegistry.get('pressure-short').graph.fullXVals.length, 11);
+  assert.equal(state.data.pressure, rows[10].data.pressure);
+  assert.equal(state.experimentRunning, true);
+  assert.equal(state.replay.position, new Date(START_MS + 30_000).toISOString());
+
+  // Live polls leave the replayed state alone (this capture has no live short_term_logs at all)
+  await fetchAndUpdateFile();
+  await pollLongTerm();
+  assert.equal(state.lastShortTermCursor.id, 11);
+  assert.equal(state.data.pressure, rows[10].data.pressure);
+
+  // Past the last row before the gap by more than INACTIVE_THRESHOLD, on the replay clock only
+  wall.advance((57_000 + INACTIVE_THRESHOLD + 1_000 - 30_000) / 100);
+  await controller.tick();
+  assert.equal(seriesRegistry.get('pressure-short').graph.fullXVals.length, 20);
+  assert.equal(state.experimentRunning, false);
+  assert.equal(state.data.pressure, null);
+
+  // The rows after the gap bring the experiment back, then the source runs out
+  wall.advance(60_000 / 100 + 1_000);
+  await controller.tick();
+
+  assert.equal(state.replay, null);
+  assert.equal(resumedCount(), 1);
+  assert.deepEqual(seriesRegistry.get('pressure-short').graph.fullXVals, liveXVals);
+  assert.deepEqual(state.lastShortTermCursor, { timestamp: '2027-01-15T08:00:12.000Z', id: 9_999 });
+  assert.ok(Math.abs(clock.now() - Date.now()) < 1_000, 'the shared clock is the wall clock again');
+
+  const published = events.map(({ event }) => event);
+  assert.equal(published[0], 'replay');
+  assert.equal(published.at(-1), 'replay');
+  assert.equal(events.at(-1).payload.replay, null);
+  assert.ok(published.includes('chart-append'));
+  assert.ok(events.some(({ event, payload }) => event === 'state' && payload.replay?.speed === 100));
+});
+
+test('a stored time range replays through the storage adapter, with speed changes and a manual stop', async () => {
+  const rows = Array.from({ length: 40 }, (_, index) => recordedRow(index));
+  const doorOpenFlags = GREEN_INPUT_FLAGS.slice();
+  doorOpenFlags[4] = 0;
+  rows[6].data.safetyInputDataFlags = doorOpenFlags;
+  fs.writeFileSync(path.join(captureDir, 'short_term_logs.ndjson'), rows.map((row) => JSON.stringify(row)).join('\n') + '\n');
+
+  const { controller, wall, events, resumedCount } = createHarness();
+  await controller.start({ fromMs: START_MS + 9_000, toMs: START_MS + 60_000, speed: 1 });
+  assert.equal(clock.now(), START_MS + 9_000, 'playback starts at the first row in the range');
+
+  wall.advance(3_000);
+  await controller.tick();
+  assert.equal(seriesRegistry.get('pressure-short').graph.fullXVals.length, 2);
+
+  // Switching to 10x keeps the replay position and only changes how fast it moves on
+  controller.setSpeed(10);
+  assert.equal(clock.now(), START_MS + 12_000);
+  wall.advance(1_500);
+  await controller.tick();
+  assert.equal(seriesRegistry.get('pressure-short').graph.fullXVals.length, 7);
+
+  const transitions = events.filter(({ event }) => event === 'interlock-events').flatMap(({ payload }) => payload.events);
+  assert.deepEqual(transitions.map(({ signal, new_value }) => [signal, new_value]), [['door', 'red'], ['door', 'green']]);
+  assert.equal(fs.existsSync(path.join(captureDir, 'interlock_events.ndjson')), false, 'replayed transitions are not recorded');
+
+  assert.equal(await controller.stop(), true);
+  assert.equal(await controller.stop(), false);
+  assert.equal(state.replay, null);
+  assert.equal(resumedCount(), 1);
+  assert.equal(seriesRegistry.get('pressure-short').graph.fullXVals.length, 0);
+  assert.equal(state.lastShortTermCursor, null);
+});
@@ -0,0 +1,276 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const captureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-runs-'));
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = captureDir;
+
+const express = require('express');
+const state = require('../services/state');
+const {
+  getStorageAdapter,
+  backfillSeries,
+  fetchShortTermEntriesSince,
+  insertInterlockEvents,
+  fetchInterlockEvents,
+  fetchRuns,
+} = require('../services/storage');
+const { createSeriesRegistry } = require('../services/series');
+const { buildSnapshot, restoreSnapshot } = require('../services/persistence');
+const { createRunSummary, createRunBoundaryDetector, createRunManager } = require('../services/runs');
+const { createSimulator } = require('../services/simulator');
+const registerRoutes = require('../routes');
+
+const START_MS = Date.parse('2026-03-21T12:00:00.000Z');
+
+function shortTermRow(index) {
+  return {
+    id: index + 1,
+    created_at: new Date(START_MS + index * 3_000).toISOString(),
+    data: { pressure: `${(index + 1) / 1e7}` },
+  };
+}
+
+// A row at `seconds` after START_MS with HV on or off (HVolt ON reads input flag 11, active low)
+function hvRow(seconds, hvOn, pressure = 1e-6) {
+  const safetyInputDataFlags = Array(13).fill(1);
+  safetyInputDataFlags[11] = hvOn ? 0 : 1;
+  return {
+    created_at: new Date(START_MS + seconds * 1000).toISOString(),
+    data: { pressure: `${pressure}`, safetyInputDataFlags, safetyInputStatusFlags: Array(13).fill(1) },
+  };
+}
+
+function appendCapture(tableName, rows) {
+  fs.appendFileSync(path.join(captureDir, `${tableName}.ndjson`), rows.map((row) => `${JSON.stringify(row)}\n`).join(''));
+}
+
+async function backfillPressure() {
+  const registry = createSeriesRegistry();
+  await backfillSeries(registry.forSource('short_term_logs'), 'short_term_logs', nowMs);
+  return registry.get('pressure-short').graph.fullYVals;
+}
+
+let nowMs;
+let published;
+let registry;
+let manager;
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(captureDir)) {
+    fs.rmSync(path.join(captureDir, file));
+  }
+  nowMs = START_MS + 60_000;
+  published = [];
+  registry = createSeriesRegistry();
+  state.currentRun = null;
+  state.lastShortTermCursor = null;
+  manager = createRunManager({
+    registry,
+    publish: (event, payload) => published.push([event, payload]),
+    logger: { log() {} },
+    now: () => nowMs,
+  });
+});
+
+test('closing a run archives it, keeps its rows and starts the next run with empty graphs', async () => {
+  appendCapture('short_term_logs', Array.from({ length: 10 }, (_, index) => shortTermRow(index)));
+  assert.deepEqual(await manager.load(), { number: 1, startedAt: null });
+  await backfillSeries(registry.forSource('short_term_logs'), 'short_term_logs', nowMs);
+  assert.equal(registry.get('pressure-short').graph.fullXVals.length, 10);
+
+  const snapshot = buildSnapshot({
+    registry,
+    stateRef: {
+      currentRun: state.currentRun,
+      lastShortTermCursor: { timestamp: shortTermRow(9).created_at, id: 10 },
+      lastLongTermCursor: { timestamp: shortTermRow(0).created_at, id: 1 },
+    },
+    nowMs,
+  });
+
+  const { archived, run } = await manager.close({ note: 'bakeout', closedBy: 'otto' });
+  const endedAt = new Date(nowMs).toISOString();
+  assert.deepEqual(archived, {
+    id: 1,
+    started_at: shortTermRow(0).created_at,
+    ended_at: endedAt,
+    end_reason: 'operator',
+    note: 'bakeout',
+    closed_by: 'otto',
+    min_pressure: 1e-7,
+    max_pressure: 1e-6,
+    peak_clamp_temperatures: { A: null, B: null, C: null },
+    hv_on_seconds: 0,
+    interlock_trips: 0,
+  });
+  assert.deepEqual(run, { number: 2, startedAt: endedAt });
+  assert.deepEqual(published, [['run', { run }]]);
+  assert.equal(registry.get('pressure-short').graph.fullXVals.length, 0);
+  assert.deepEqual(state.lastShortTermCursor, { timestamp: shortTermRow(9).created_at, id: 10 });
+
+  // Nothing was deleted; a restart backfills across the run boundary like the live appends do,
+  // but ignores the old run's snapshot
+  appendCapture('short_term_logs', Array.from({ length: 5 }, (_, index) => shortTermRow(30 + index)));
+  nowMs += 60_000;
+  assert.equal((await fetchShortTermEntriesSince(null)).length, 15);
+  assert.deepEqual(await backfillPressure(), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 31, 32, 33, 34, 35].map((n) => n / 1e7));
+  assert.deepEqual(restoreSnapshot(snapshot, { registry: createSeriesRegistry(), nowMs }), {
+    restored: false,
+    reason: 'snapshot is from another run',
+  });
+
+  const reloaded = createRunManager({ registry, logger: { log() {} } });
+  assert.deepEqual(await reloaded.load(), { number: 2, startedAt: endedAt });
+  assert.deepEqual((await manager.listRuns()).map(({ id }) => id), [1]);
+});
+
+test('run pressure is measured from each run start so runs can be overlaid', async () => {
+  appendCapture('short_term_logs', Array.from({ length: 10 }, (_, index) => shortTermRow(index)));
+  await manager.load();
+  await manager.close({ note: 'first' });
+
+  appendCapture('short_term_logs', Array.from({ length: 4 }, (_, index) => shortTermRow(30 + index)));
+  nowMs += 60_000;
+
+  const first = await manager.fetchRunPressure(1, { width: 800 });
+  assert.equal(first.source, 'short_term_logs');
+  assert.deepEqual(first.elapsedSec, Array.from({ length: 10 }, (_, index) => index * 3));
+  assert.equal(first.run.note, 'first');
+
+  const current = await manager.fetchRunPressure('current', { width: 800 });
+  assert.equal(current.run.id, 2);
+  assert.equal(current.run.ended_at, null);
+  assert.deepEqual(current.elapsedSec, [30, 33, 36, 39]);
+  assert.deepEqual(current.yVals, [31, 32, 33, 34].map((n) => n / 1e7));
+
+  assert.equal(await manager.fetchRunPressure(7), null);
+});
+
+test('purge deletes the log rows and archived runs but keeps the interlock history', async () => {
+  appendCapture('short_term_logs', Array.from({ length: 10 }, (_, index) => shortTermRow(index)));
+  await insertInterlockEvents([{ occurred_at: shortTermRow(3).created_at, signal: 'door', old_value: 'green', new_value: 'red' }]);
+  await manager.load();
+  await manager.close({ note: 'first' });
+  published.length = 0;
+
+  assert.deepEqual(await manager.purge(), { number: 1, startedAt: null });
+  assert.deepEqual(published, [['run', { run: { number: 1, startedAt: null } }]]);
+  assert.equal(await getStorageAdapter().fetchLatest('short_term_logs'), null);
+  assert.deepEqual(await manager.listRuns(), []);
+  assert.equal((await fetchInterlockEvents()).length, 1);
+});
+
+test('the detector splits runs at gaps, vents and a second HV-on period', () => {
+  const detector = createRunBoundaryDetector({ gapMs: 60_000, pumpDownPressure: 1e-4 });
+  const observe = (row) => detector.observe(row);
+
+  assert.deepEqual([hvRow(0, false), hvRow(3, true), hvRow(6, true), hvRow(9, false)].map(observe), [null, null, null, null]);
+  assert.deepEqual(observe(hvRow(12, true)), { reason: 'hv-on', endedAt: hvRow(12).created_at });
+  assert.equal(observe(hvRow(15, false)), null, 'the new run had no HV-on period before this one');
+
+  assert.deepEqual(observe(hvRow(200, false)), {
+    reason: 'gap',
+    endedAt: new Date(START_MS + 15_001).toISOString(),
+  });
+
+  // Noise around the threshold is not a vent; rising well above it after a pump-down is
+  assert.equal(observe(hvRow(203, false, 9e-5)), null);
+  assert.equal(observe(hvRow(206, false, 2e-4)), null);
+  assert.equal(observe(hvRow(209, false, 5e-5)), null);
+  assert.equal(observe(hvRow(212, false, 0.5)).reason, 'vent');
+  assert.equal(observe(hvRow(215, false, 1000)), null);
+});
+
+test('run summaries over the demo scenario count the door, water and vent interlock trips', () => {
+  const rows = createSimulator({ startMs: START_MS, seed: 7 }).rowsUntil(START_MS + 460 * 60_000).short_term_logs;
+  const detector = createRunBoundaryDetector();
+  const boundaries = rows.map((row) => detector.observe(row)).filter(Boolean);
+  assert.deepEqual(boundaries.map(({ reason }) => reason), ['vent', 'vent'], 'one boundary per 4-hour loop');
+  assert.equal(Date.parse(boundaries[1].endedAt) - Date.parse(boundaries[0].endedAt), 240 * 60_000);
+
+  const summary = createRunSummary();
+  rows.filter((row) => row.created_at < boundaries[0].endedAt).forEach(summary.add);
+  const { min_pressure, max_pressure, peak_clamp_temperatures, hv_on_seconds, interlock_trips } = summary.result();
+  assert.ok(min_pressure < 1e-6 && max_pressure > 900, 'from atmosphere down to high vacuum');
+  assert.ok(['A', 'B', 'C'].every((cathode) => peak_clamp_temperatures[cathode] > 100));
+  assert.equal(hv_on_seconds, (Date.parse(boundaries[0].endedAt) - START_MS) / 1000 - 3, 'HV is on throughout the demo');
+  assert.equal(interlock_trips, 3);
+});
+
+test('detected boundaries archive the run and leave the live graphs alone', async () => {
+  appendCapture('short_term_logs', [
+    ...Array.from({ length: 5 }, (_, index) => shortTermRow(index)),
+    ...Array.from({ length: 3 }, (_, index) => shortTermRow(1000 + index)),
+  ]);
+  nowMs = START_MS + 1010 * 3_000;
+  await manager.load();
+  await backfillSeries(registry.forSource('short_term_logs'), 'short_term_logs', nowMs);
+  const cursor = { timestamp: shortTermRow(1002).created_at, id: 8 };
+  state.lastShortTermCursor = cursor;
+
+  const endedAt = new Date(Date.parse(shortTermRow(4).created_at) + 1).toISOString();
+  const [archived] = await manager.closeDetected([{ reason: 'gap', endedAt }]);
+  assert.equal(archived.end_reason, 'gap');
+  assert.equal(archived.max_pressure, 5e-7);
+  assert.deepEqual(state.currentRun, { number: 2, startedAt: endedAt });
+  assert.equal(registry.get('pressure-short').graph.fullYVals.length, 8, 'only the operator reset clears the graphs');
+  assert.equal(state.lastShortTermCursor, cursor);
+  assert.deepEqual(published, [['run', { run: state.currentRun }]]);
+
+  assert.deepEqual(await manager.closeDetected([{ reason: 'gap', endedAt: archived.ended_at }]), []);
+  assert.equal(published.length, 1);
+
+  // A restart derives the same start from the archived row, and a snapshot whose start the
+  // database wrote as '+00:00' still belongs to this run
+  assert.deepEqual(await createRunManager({ registry, logger: { log() {} } }).load(), state.currentRun);
+  const snapshot = buildSnapshot({
+    registry,
+    stateRef: {
+      currentRun: { ...state.currentRun, startedAt: endedAt.replace('Z', '+00:00') },
+      lastShortTermCursor: cursor,
+      lastLongTermCursor: { timestamp: shortTermRow(0).created_at, id: 1 },
+    },
+    nowMs,
+  });
+  assert.equal(restoreSnapshot(snapshot, { registry: createSeriesRegistry(), nowMs }).restored, true);
+  assert.equal((await manager.fetchRun(1)).hv_on_seconds, 0);
+  assert.equal((await manager.fetchRun('current')).min_pressure, 1.001e-4);
+  assert.equal(await manager.fetchRun(9), null);
+});
+
+test('without accounts, closing a run over HTTP still needs the shared reset password', async (t) => {
+  process.env.EXPERIMENT_RESET_PASSWORD = 'bakeout-key';
+  t.after(() => {
+    delete process.env.EXPERIMENT_RESET_PASSWORD;
+  });
+  appendCapture('short_term_logs', Array.from({ length: 3 }, (_, index) => shortTermRow(index)));
+
+  const app = express();
+  app.use(express.json());
+  registerRoutes(app);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const close = (body) => fetch(`http://127.0.0.1:${server.address().port}/experiment-reset`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assert.equal((await close({ note: 'no password' })).status, 401);
+    assert.equal((await close({ note: 'wrong password', password: 'guess' })).status, 401);
+    assert.deepEqual(await fetchRuns({ limit: 10 }), [], 'a refused reset archives nothing');
+
+    const closed = await close({ note: 'bakeout', password: 'bakeout-key' });
+    assert.equal(closed.status, 200);
+    assert.equal((await closed.json()).archived.note, 'bakeout');
+  } finally {
+    server.close();
+  }
+});
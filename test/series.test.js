@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SERIES_DEFINITIONS,
+  createSeriesRegistry,
+  appendSeriesValue,
+  getSeriesChartData,
+} = require('../services/series');
+
+test('the default registry declares the pressure views and the three clamp temperatures', () => {
+  const registry = createSeriesRegistry();
+
+  assert.equal(registry.getByView('short').name, 'pressure-short');
+  assert.equal(registry.getByView('long').name, 'pressure-long');
+  assert.deepEqual(
+    registry.forPanel('ccs').map((series) => series.name),
+    ['clamp-temperature-A', 'clamp-temperature-B', 'clamp-temperature-C']
+  );
+  assert.deepEqual(
+    registry.forSource('long_term_logs').map((series) => series.name),
+    ['pressure-long']
+  );
+});
+
+test('environmental temperatures and heater readings are rolling one-hour series in their own panels', () => {
+  const registry = createSeriesRegistry();
+  const row = {
+    data: {
+      temperatures: { 1: '21.5', 2: 'DISCONNECTED', 6: 24 },
+      'Cathode B - Heater Current:': 1.25,
+      'Cathode C - Heater Voltage:': 3.1,
+    },
+  };
+
+  assert.deepEqual(
+    registry.forPanel('environment').map((series) => series.name),
+    ['temperature-1', 'temperature-2', 'temperature-3', 'temperature-4', 'temperature-5', 'temperature-6']
+  );
+  assert.equal(registry.forPanel('heater').length, 6);
+  for (const series of [...registry.forPanel('environment'), ...registry.forPanel('heater')]) {
+    assert.equal(series.storage, 'ring');
+    assert.equal(series.source, 'short_term_logs');
+    assert.equal(series.retentionMs, 60 * 60 * 1000);
+  }
+
+  assert.equal(registry.get('temperature-1').extract(row), '21.5');
+  assert.equal(registry.get('temperature-6').extract(row), 24);
+  assert.equal(registry.get('heater-current-B').extract(row), 1.25);
+  assert.equal(registry.get('heater-voltage-C').extract(row), 3.1);
+  assert.equal(registry.get('heater-current-A').extract(row), undefined);
+
+  const sensor2 = registry.get('temperature-2');
+  appendSeriesValue(sensor2, 100, sensor2.extract(row));
+  assert.deepEqual(getSeriesChartData(sensor2).yVals, [null]);
+});
+
+test('createSeriesRegistry rejects duplicate names and unusable definitions', () => {
+  assert.throws(
+    () => createSeriesRegistry([SERIES_DEFINITIONS[0], SERIES_DEFINITIONS[0]]),
+    /declared twice/
+  );
+  assert.throws(
+    () => createSeriesRegistry([{ ...SERIES_DEFINITIONS[0], source: 'interlock_events' }]),
+    /unknown table/
+  );
+  assert.throws(
+    () => createSeriesRegistry([{ ...SERIES_DEFINITIONS[0], extract: 'pressure' }]),
+    /extract/
+  );
+  assert.throws(
+    () => createSeriesRegistry([{ ...SERIES_DEFINITIONS[0], retentionMs: null }]),
+    /retentionMs/
+  );
+});
+
+test('appendSeriesValue skips bad readings on decimated series but keeps them as gaps on ring series', () => {
+  const registry = createSeriesRegistry();
+  const pressure = registry.get('pressure-short');
+  const clampA = registry.get('clamp-temperature-A');
+
+  assert.equal(appendSeriesValue(pressure, 100, '1.5e-6'), true);
+  assert.equal(appendSeriesValue(pressure, 103, 'DISCONNECTED'), false);
+  assert.equal(appendSeriesValue(clampA, 100, 41.5), true);
+  assert.equal(appendSeriesValue(clampA, 103, 'DISCONNECTED'), false);
+
+  assert.deepEqual(getSeriesChartData(pressure).yVals, [1.5e-6]);
+  assert.equal(getSeriesChartData(pressure).view, 'short');
+  assert.deepEqual(getSeriesChartData(clampA).xVals, [100, 103]);
+  assert.deepEqual(getSeriesChartData(clampA).yVals, [41.5, null]);
+});
+
+test('live appends trim every series to its retention window', () => {
+  const registry = createSeriesRegistry();
+  const pressure = registry.get('pressure-short');
+  const clampA = registry.get('clamp-temperature-A');
+  const dayPoints = 24 * 60 * 60 / 3;
+
+  // Two days of 3s rows: the decimated series never holds much more than one day
+  for (let index = 0; index < 2 * dayPoints; index++) {
+    appendSeriesValue(pressure, index * 3, index === 2 * dayPoints - 10 ? 5e-3 : 1e-6);
+    appendSeriesValue(clampA, index * 3, 40);
+  }
+  const { fullXVals, displayXVals, displayYVals } = pressure.graph;
+  const newestSec = (2 * dayPoints - 1) * 3;
+  assert.ok(fullXVals.length <= dayPoints * 1.05 + 1, `held ${fullXVals.length} points`);
+  assert.ok(fullXVals[0] >= newestSec - 24 * 60 * 60 * 1.05);
+  assert.ok(displayXVals.length <= pressure.graph.maxDisplayPoints);
+  assert.equal(displayXVals.at(-1), newestSec);
+  assert.ok(displayYVals.includes(5e-3), 'the re-decimated display keeps spikes');
+
+  // Rings are bounded by maxPoints, and a gap also ages their old points out
+  appendSeriesValue(clampA, newestSec + 2 * 60 * 60, 41);
+  assert.deepEqual(clampA.graph.xVals, [newestSec + 2 * 60 * 60]);
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'simulator';
+
+const {
+  getStorageAdapter,
+  backfillSeries,
+  fetchLatestShortTermEntry,
+  mapSupabaseDataToAppFormat,
+} = require('../services/storage');
+const { DEMO_SCENARIO, VACUUM_OK_MBAR, createSimulator, startSimulatorFeed } = require('../services/simulator');
+const { createMemoryAdapter } = require('../services/adapters/memory');
+const { createSeriesRegistry } = require('../services/series');
+const { createTransitionTracker } = require('../services/transitions');
+const { PAGE_SIZE } = require('../services/adapters/common');
+
+const START_MS = Date.parse('2026-05-04T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+// Short-term rows from START_MS up to `minutes` into the demo scenario
+function demoRows(minutes, seed = 7) {
+  return createSimulator({ startMs: START_MS, seed }).rowsUntil(START_MS + minutes * MINUTE).short_term_logs;
+}
+
+function rowAt(rows, minutes) {
+  return rows.find((row) => Date.parse(row.created_at) >= START_MS + minutes * MINUTE);
+}
+
+test('the same seed reproduces the same rows, in the short_term_logs data schema', () => {
+  const rows = demoRows(10);
+  assert.deepEqual(demoRows(10), rows);
+  assert.notDeepEqual(demoRows(10, 8), rows);
+
+  assert.equal(rows.length, 201);
+  assert.deepEqual(rows.slice(0, 2).map(({ id, created_at }) => [id, created_at]), [
+    [1, '2026-05-04T08:00:00.000Z'],
+    [2, '2026-05-04T08:00:03.000Z'],
+  ]);
+
+  const { data } = rows[0];
+  assert.match(data.pressure, /^\d\.\d\de[+-]\d+$/);
+  assert.equal(data.safetyInputDataFlags.length, 13);
+  assert.equal(data.safetyOutputDataFlags.length, 7);
+  assert.match(data.vacuumBits, /^[01]{8}$/);
+  assert.deepEqual(Object.keys(data.temperatures), ['1', '2', '3', '4', '5', '6']);
+  for (const cathode of ['A', 'B', 'C']) {
+    assert.equal(typeof data[`Cathode ${cathode} - Heater Current:`], 'number');
+    assert.equal(typeof data[`Cathode ${cathode} - Heater Voltage:`], 'number');
+    assert.equal(typeof data[`clamp_temperature_${cathode}`], 'number');
+  }
+
+  const mapped = mapSupabaseDataToAppFormat(data);
+  assert.equal(mapped.heaterCurrent_A, 0);
+  assert.equal(mapped.pressure, data.pressure);
+});
+
+test('pump-down falls from atmosphere through roughing to high vacuum, and venting brings it back', () => {
+  const rows = demoRows(4 * 60 - 1);
+  const pressureAt = (minutes) => Number(rowAt(rows, minutes).data.pressure);
+
+  assert.ok(pressureAt(0) > 900);
+  assert.ok(pressureAt(10) < 1, 'the roughing pump is through to the turbo after 10 minutes');
+  assert.ok(pressureAt(40) < VACUUM_OK_MBAR);
+  assert.ok(pressureAt(44) < pressureAt(20), 'the turbo keeps pumping');
+
+  const evacuated = rowAt(rows, 40).data;
+  assert.equal(evacuated.safetyInputDataFlags[7], 1, 'vacuum-pressure interlock input is made');
+  assert.equal(evacuated.vacuumBits.slice(0, 2), '11', 'pumps and turbo rotor on');
+
+  assert.ok(pressureAt(218) > 900, 'vented within three minutes of the vent step');
+  assert.equal(rowAt(rows, 218).data.safetyInputDataFlags[7], 0);
+});
+
+test('heater ramps move voltage with current and the clamp temperature lags behind', () => {
+  const rows = demoRows(100);
+  const heaterA = (minutes) => {
+    const { data } = rowAt(rows, minutes);
+    return {
+      current: data['Cathode A - Heater Current:'],
+      voltage: data['Cathode A - Heater Voltage:'],
+      clamp: data.clamp_temperature_A,
+    };
+  };
+
+  assert.equal(heaterA(44).current, 0);
+  assert.ok(Math.abs(heaterA(57).current - 1.2) < 0.05, 'ramping at 0.1 A/min from 45 minutes');
+  assert.equal(heaterA(70).current, 2.4);
+
+  // The filament's resistance rises as it heats, so V/I grows with current
+  assert.ok(heaterA(70).voltage / heaterA(70).current > heaterA(57).voltage / heaterA(57).current);
+
+  // Current is flat from 69 minutes, but the clamp keeps warming towards its steady state
+  assert.ok(heaterA(70).clamp > heaterA(44).clamp + 20);
+  assert.ok(heaterA(95).clamp > heaterA(70).clamp + 10);
+});
+
+test('a door trip turns the door and all-interlocks red and drops the heaters until it is ramped again', () => {
+  const rows = demoRows(115);
+  const tracker = createTransitionTracker();
+  const transitions = rows.flatMap((row) => tracker.observe(row.data, row.created_at));
+  // Skips the pump-down, where all-interlocks goes green once the vacuum-pressure input is made
+  const afterPumpDown = new Date(START_MS + 90 * MINUTE).toISOString();
+  const doorTrip = transitions
+    .filter(({ occurred_at, signal }) => occurred_at >= afterPumpDown && (signal === 'door' || signal === 'all-interlocks'))
+    .map(({ occurred_at, signal, new_value }) => [occurred_at, signal, new_value]);
+
+  assert.deepEqual(doorTrip, [
+    ['2026-05-04T09:40:00.000Z', 'door', 'red'],
+    ['2026-05-04T09:40:00.000Z', 'all-interlocks', 'red'],
+    ['2026-05-04T09:40:45.000Z', 'door', 'green'],
+    ['2026-05-04T09:40:45.000Z', 'all-interlocks', 'green'],
+  ]);
+
+  assert.equal(rowAt(rows, 100.5).data['Cathode B - Heater Current:'], 0);
+  assert.equal(rowAt(rows, 105).data['Cathode B - Heater Current:'], 0, 'stays off after the door closes');
+  assert.ok(rowAt(rows, 112).data['Cathode B - Heater Current:'] > 0);
+});
+
+test('scenarios are validated', () => {
+  assert.throws(
+    () => createSimulator({ scenario: { steps: [{ atMs: 0, action: 'explode' }] } }),
+    /Unknown simulator action "explode"/
+  );
+  assert.throws(
+    () => createSimulator({ scenario: { steps: [{ action: 'vent' }] } }),
+    /"vent" needs a non-negative atMs/
+  );
+  assert.ok(DEMO_SCENARIO.steps.length > 0);
+});
+
+test('the memory adapter pages from a cursor and drops short-term rows past its retention', async () => {
+  const adapter = createMemoryAdapter({ shortTermRetentionMs: 60 * MINUTE });
+  const { short_term_logs: rows } = createSimulator({ startMs: START_MS }).rowsUntil(START_MS + 59 * MINUTE);
+  adapter.append('short_term_logs', rows.slice(1_000));
+  adapter.append('short_term_logs', rows.slice(0, 1_000)); // out of order, sorted into place
+
+  const pages = [];
+  for await (const page of adapter.fetchSince('short_term_logs', { after: { timestamp: rows[9].created_at, id: 10 } })) {
+    pages.push(page);
+  }
+  assert.deepEqual(pages.map((page) => page.length), [PAGE_SIZE, rows.length - 10 - PAGE_SIZE]);
+  assert.equal(pages[0][0].id, 11);
+  assert.equal((await adapter.fetchLatest('short_term_logs')).id, rows.length);
+
+  const later = createSimulator({ startMs: START_MS + 60 * MINUTE, firstId: rows.length + 1 }).rowsUntil(START_MS + 90 * MINUTE);
+  adapter.append('short_term_logs', later.short_term_logs);
+  const [first] = await adapter.fetchSince('short_term_logs').next().then(({ value }) => value);
+  assert.equal(first.created_at, '2026-05-04T08:30:00.000Z');
+});
+
+test('STORAGE_ADAPTER=simulator serves fed history to the backfill and the latest-row poll', async (t) => {
+  const adapter = getStorageAdapter();
+  assert.equal(adapter.name, 'simulator');
+
+  const feed = startSimulatorFeed({ sink: adapter, historyMs: 30 * MINUTE, seed: 3, logger: { log: () => {} } });
+  t.after(feed.stop);
+
+  const registry = createSeriesRegistry();
+  const cursor = await backfillSeries(registry.forSource('short_term_logs'), 'short_term_logs');
+  const pressure = registry.get('pressure-short');
+  assert.ok(pressure.graph.fullXVals.length >= 600);
+
+  const latest = await fetchLatestShortTermEntry();
+  assert.deepEqual(cursor, { timestamp: latest.created_at, id: latest.id });
+  assert.ok(Date.now() - Date.parse(latest.created_at) < 3_000);
+
+  const longTerm = registry.get('pressure-long');
+  await backfillSeries([longTerm], 'long_term_logs');
+  assert.ok(longTerm.graph.fullXVals.length >= 29);
+});
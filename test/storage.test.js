@@ -0,0 +1,132 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const captureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ebeam-capture-'));
+
+process.env.FOLDER_ID ??= 'test-folder';
+process.env.API_KEY ??= 'test-api-key';
+process.env.STORAGE_ADAPTER = 'file';
+process.env.CAPTURE_DIR = captureDir;
+
+const {
+  getStorageAdapter,
+  backfillSeries,
+  fetchLatestShortTermEntry,
+  fetchShortTermEntriesSince,
+  insertRun,
+  fetchRun,
+} = require('../services/storage');
+const { createSeriesRegistry } = require('../services/series');
+const { PAGE_SIZE } = require('../services/adapters/common');
+const { createPostgresAdapter } = require('../services/adapters/postgres');
+const { createMemoryAdapter } = require('../services/adapters/memory');
+
+const START_MS = Date.parse('2026-03-21T12:00:00.000Z');
+
+function shortTermRow(index, overrides = {}) {
+  return {
+    id: index + 1,
+    created_at: new Date(START_MS + Math.floor(index / 2) * 3_000).toISOString(), // pairs share a timestamp
+    data: { pressure: `${1e-6 + index * 1e-8}`, clamp_temperature_A: 100 + index },
+    ...overrides,
+  };
+}
+
+function writeCapture(tableName, rows) {
+  fs.writeFileSync(path.join(captureDir, `${tableName}.ndjson`), rows.map((row) => JSON.stringify(row)).join('\n') + '\n');
+}
+
+function appendCapture(tableName, rows) {
+  fs.appendFileSync(path.join(captureDir, `${tableName}.ndjson`), rows.map((row) => `${JSON.stringify(row)}\n`).join(''));
+}
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(captureDir)) {
+    fs.rmSync(path.join(captureDir, file));
+  }
+});
+
+test('STORAGE_ADAPTER=file serves backfill, latest-row and cursor catch-up from a local capture', async () => {
+  assert.equal(getStorageAdapter().name, 'file');
+
+  // Lines out of order on disk, two rows per timestamp
+  const rows = Array.from({ length: 2_500 }, (_, index) => shortTermRow(index));
+  writeCapture('short_term_logs', [...rows.slice(1_000), ...rows.slice(0, 1_000)]);
+
+  const registry = createSeriesRegistry();
+  const cursor = await backfillSeries(registry.forSource('short_term_logs'), 'short_term_logs', START_MS + 2 * 60 * 60 * 1000);
+
+  assert.deepEqual(cursor, { timestamp: rows.at(-1).created_at, id: rows.at(-1).id });
+  assert.equal(registry.get('pressure-short').graph.fullXVals.length, 2_500);
+  assert.deepEqual((await fetchLatestShortTermEntry()).id, 2_500);
+
+  // Resume inside a tied timestamp: only the second row of the pair and everything after it
+  const resumed = await fetchShortTermEntriesSince({ timestamp: rows[1_200].created_at, id: rows[1_200].id });
+  assert.equal(resumed.length, 2_500 - 1_201);
+  assert.equal(resumed[0].id, rows[1_201].id);
+
+  // A row appended by the capture writer is picked up on the next poll
+  appendCapture('short_term_logs', [shortTermRow(2_500)]);
+  const fresh = await fetchShortTermEntriesSince(cursor);
+  assert.deepEqual(fresh.map((row) => row.id), [2_501]);
+});
+
+test('the postgres adapter pages with a (timestamp, id) keyset and normalizes row types', async () => {
+  const queries = [];
+  const pages = [
+    Array.from({ length: PAGE_SIZE }, (_, index) => ({ id: index + 1, created_at: `2026-03-21T12:00:00.${String(index).padStart(6, '0')}Z`, data: {} })),
+    [{ id: PAGE_SIZE + 1, created_at: '2026-03-21T12:00:01.000000Z', data: {} }],
+  ];
+  const pool = {
+    async query(config) {
+      queries.push(config);
+      return { rows: pages[queries.length - 1] ?? [] };
+    },
+  };
+  const adapter = createPostgresAdapter({ pool });
+
+  const received = [];
+  for await (const page of adapter.fetchSince('short_term_logs', { after: { timestamp: '2026-03-21T11:59:59.000000Z', id: 7 }, until: '2026-03-22T00:00:00.000Z' })) {
+    received.push(page.length);
+  }
+
+  assert.deepEqual(received, [PAGE_SIZE, 1]);
+  assert.match(queries[0].text, /where \(created_at, id\) > \(\$1::timestamptz, \$2\) and created_at <= \$3::timestamptz/);
+  assert.match(queries[0].text, /order by short_term_logs\.created_at asc, id asc limit 1000$/);
+  assert.deepEqual(queries[0].values, ['2026-03-21T11:59:59.000000Z', 7, '2026-03-22T00:00:00.000Z']);
+  assert.deepEqual(queries[1].values, [pages[0].at(-1).created_at, PAGE_SIZE, '2026-03-22T00:00:00.000Z']);
+
+  // bigint ids become numbers; timestamptz text is passed through untouched
+  assert.equal(queries[0].types.getTypeParser(20, 'text')('42'), 42);
+  assert.equal(queries[0].types.getTypeParser(1184, 'text')('2026-03-21T12:00:00.123456Z'), '2026-03-21T12:00:00.123456Z');
+  assert.match(queries[0].text, /to_char\(created_at at time zone 'UTC'/);
+});
+
+test('archived runs are looked up by id rather than scanned from the newest page', async () => {
+  for (let index = 0; index < 3; index++) {
+    await insertRun({ started_at: new Date(START_MS + index * 60_000).toISOString(), ended_at: new Date(START_MS + (index + 1) * 60_000).toISOString(), note: `run ${index + 1}` });
+  }
+  assert.equal((await fetchRun(2)).note, 'run 2');
+  assert.equal(await fetchRun(4), null);
+
+  const memory = createMemoryAdapter();
+  await memory.insertEvents('runs', [{ ended_at: new Date(START_MS).toISOString(), note: 'only' }]);
+  assert.equal((await memory.fetchEvent('runs', 1)).note, 'only');
+  await assert.rejects(memory.fetchEvent('short_term_logs', 1), /not an event table/);
+
+  const queries = [];
+  const postgres = createPostgresAdapter({
+    pool: {
+      async query(config) {
+        queries.push(config);
+        return { rows: [] };
+      },
+    },
+  });
+  assert.equal(await postgres.fetchEvent('runs', 7), null);
+  assert.match(queries[0].text, /from runs where id = \$1$/);
+  assert.deepEqual(queries[0].values, [7]);
+});
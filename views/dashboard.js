@@ -1,4 +1,10 @@
-const { getGraphMetadata } = require('../services/graphs');
+const { SERIES_PANELS, getSeriesChartData, describeSeries } = require('../services/series');
+const { SIC_SIGNALS, VACUUM_SIGNALS } = require('../services/interlocks');
+const { hasRole } = require('../services/accounts');
+const { NOTE_MAX_LENGTH } = require('../services/runs');
+const { ANNOTATION_MAX_LENGTH } = require('../services/annotations');
+const { LOG_LEVELS } = require('../services/displaylog');
+const { escapeHtml } = require('./helpers');
 
 /**
  * Renders the full HTML dashboard page.
@@ -8,11 +14,10 @@ const { getGraphMetadata } = require('../services/graphs');
  * @param {Object} opts.state           - Shared app state
  * @param {number[]} opts.sicColors     - 11-element array of interlock colors
  * @param {string[]} opts.vacColors     - 8-element array of vacuum indicator colors
- * @param {Object} opts.shortTermPressureGraph - Short-term pressure chart graph object
- * @param {Object} opts.longTermPressureGraph - Long-term pressure chart graph object
- * @param {Object} opts.ccsGraphA - CCS clamp temperature graph for cathode A
- * @param {Object} opts.ccsGraphB - CCS clamp temperature graph for cathode B
- * @param {Object} opts.ccsGraphC - CCS clamp temperature graph for cathode C
+ * @param {Object[]} opts.series     - Registered series with their graph objects (services/series.js)
+ * @param {Object[]} [opts.alarms] - Active/acknowledged threshold alarms
+ * @param {Object|null} [opts.user] - Logged-in { username, role }; null when accounts are off
+ * @param {boolean} [opts.authEnabled] - Whether AUTH_STORE enables accounts
  * @param {string} opts.codeLastUpdated - Timestamp string for code deploy
  * @returns {string} Full HTML string
  */
@@ -22,14 +27,16 @@ function renderDashboard(opts) {
     state,
     sicColors,
     vacColors,
-    shortTermPressureGraph,
-    longTermPressureGraph,
-    ccsGraphA,
-    ccsGraphB,
-    ccsGraphC,
+    series = [],
+    alarms = [],
+    user = null,
+    authEnabled = false,
     codeLastUpdated,
   } = opts;
 
+  // Controls the user's role cannot use are left out rather than failing with a 403
+  const allows = (role) => !authEnabled || hasRole(user?.role, role);
+
   const experimentRunning = state.experimentRunning;
 
   const fileModified = (state.lastModifiedTime && !isNaN(state.lastModifiedTime))
@@ -58,7 +65,28 @@ function renderDashboard(opts) {
     allInterlocksColor, G9OutputColor, hvoltColor
   ] = sicColors;
 
-  const shortTermChartMeta = getGraphMetadata(shortTermPressureGraph);
+  const shortTermPressureGraph = series.find((entry) => entry.view === 'short').graph;
+  const shortTermChartMeta = getSeriesChartData(series.find((entry) => entry.view === 'short'));
+
+  // Every non-pressure series gets its own small chart in its dashboard panel.
+  // CCS data is embedded; the other panels start empty and fetch /chart-data after load.
+  const ccsPanelSeries = series.filter((entry) => entry.panel === 'ccs');
+  const extraPanels = Object.entries(SERIES_PANELS)
+    .map(([panel, title]) => ({ panel, title, series: series.filter((entry) => entry.panel === panel) }))
+    .filter(({ series: panelSeries }) => panelSeries.length > 0);
+  const seriesChartConfigs = [
+    ...ccsPanelSeries.map((entry) => {
+      const { xVals, yVals, downsampleFactor, maxPoints = null } = getSeriesChartData(entry);
+      return { ...describeSeries(entry), xVals, yVals, downsampleFactor, maxPoints, lazy: false };
+    }),
+    ...extraPanels.flatMap(({ series: panelSeries }) => panelSeries.map((entry) => {
+      const { downsampleFactor, maxPoints = null } = getSeriesChartData(entry);
+      return { ...describeSeries(entry), xVals: [], yVals: [], downsampleFactor, maxPoints, lazy: true };
+    })),
+  ];
+
+  // JSON embedded in an inline <script>; escape "<" so rule labels cannot close the tag
+  const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
 
   function formatPressureChartStatus(meta) {
     const rawPointCount = Number(meta.rawPointCount ?? 0);
@@ -74,7 +102,8 @@ function renderDashboard(opts) {
       return `Showing all ${displayPointCount.toLocaleString()} raw points (${sourceResolutionLabel})`;
     }
 
-    return `Showing ${displayPointCount.toLocaleString()} of ${rawPointCount.toLocaleString()} raw points (downsample x${downsampleFactor}, ${sourceResolutionLabel})`;
+    const decimationLabel = { minmax: 'min/max per bucket', lttb: 'LTTB' }[meta.decimation] || 'every Nth point';
+    return `Showing ${displayPointCount.toLocaleString()} of ${rawPointCount.toLocaleString()} raw points (downsample x${downsampleFactor} ${decimationLabel}, ${sourceResolutionLabel})`;
   }
 
   return `
@@ -343,19 +372,64 @@ function renderDashboard(opts) {
         /* =========================
            LOG VIEWER
         ========================== */
-        pre {
-          white-space: pre-wrap;
-          font-family: 'Courier New', monospace;
-          text-align: left;
-          background-color: #000;
-          color: #ffffff;
-          padding: 20px 0;
+        .log-controls {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 10px;
+          margin-top: 0.65em;
+          font-size: 0.75rem;
+          color: var(--text-secondary);
+        }
+        .log-controls input[type="search"], .log-controls select {
+          background: var(--bg-base);
+          color: var(--text-primary);
+          border: 1px solid var(--border-subtle);
+          border-radius: 5px;
+          padding: 2px 6px;
+        }
+        .log-table-wrap {
           max-height: 600px;
           overflow-y: auto;
-          font-size: 0.9em;
-          border-radius: 9px;
           margin-top: 0.65em;
-          }
+          background-color: #000;
+          border-radius: 9px;
+        }
+        .log-table {
+          width: 100%;
+          border-collapse: collapse;
+          text-align: left;
+          font-family: 'Courier New', monospace;
+          font-size: 0.8em;
+          color: #ffffff;
+        }
+        .log-table th {
+          position: sticky;
+          top: 0;
+          background: #111827;
+          color: var(--text-secondary);
+          padding: 4px 8px;
+        }
+        .log-table td {
+          padding: 2px 8px;
+          vertical-align: top;
+          border-bottom: 1px solid #111827;
+        }
+        .log-table td:nth-child(-n+3) {
+          white-space: nowrap;
+        }
+        .log-table td:last-child {
+          white-space: pre-wrap;
+          overflow-wrap: anywhere;
+        }
+        .log-table tbody tr { cursor: pointer; }
+        .log-table tbody tr.log-selected td { background: rgba(34, 211, 238, 0.15); }
+        .log-table tbody tr.log-focus td { box-shadow: inset 0 1px 0 #22d3ee, inset 0 -1px 0 #22d3ee; }
+        .log-level-DEBUG { color: #94a3b8; }
+        .log-level-INFO { color: #7dd3fc; }
+        .log-level-WARNING { color: #facc15; }
+        .log-level-ERROR { color: #f87171; }
+        .log-level-CRITICAL { color: #ef4444; font-weight: bold; }
         .content-section {
           display: none;
         }
@@ -451,7 +525,7 @@ function renderDashboard(opts) {
           width: 98%;
         }
 
-        #ccs-charts-section .chart-container { margin: 0; width: 100%; }
+        .series-charts-section .chart-container { margin: 0; width: 100%; }
 
         .chart {
           position: relative;
@@ -460,12 +534,12 @@ function renderDashboard(opts) {
           width: 100%;
         }
 
-        #ccs-charts-section .chart {
+        .series-charts-section .chart {
           min-height: 180px;
           height: auto;
         }
 
-        #ccs-charts-section {
+        .series-charts-section {
           display: grid;
           grid-template-columns: repeat(3, 1fr);
           gap: 10px;
@@ -474,7 +548,7 @@ function renderDashboard(opts) {
           box-sizing: border-box;
         }
         @media (max-width: 900px) {
-          #ccs-charts-section {
+          .series-charts-section {
             grid-template-columns: 1fr;
           }
         }
@@ -493,6 +567,264 @@ function renderDashboard(opts) {
           font-size: 0.9em;
           color: #ccc;
         }
+
+        .pressure-range-controls {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+          width: 98%;
+          margin: 0 auto;
+          padding: 0 10px;
+          font-size: 0.75rem;
+          color: var(--text-secondary);
+        }
+        .pressure-range-controls input {
+          background: var(--bg-base);
+          color: var(--text-primary);
+          border: 1px solid var(--border-subtle);
+          border-radius: 5px;
+          padding: 2px 6px;
+          color-scheme: dark;
+        }
+        .range-btn {
+          padding: 2px 10px;
+          border-radius: 5px;
+          border: 1px solid var(--accent);
+          background: transparent;
+          color: var(--accent);
+          cursor: pointer;
+        }
+        .range-hint {
+          opacity: 0.7;
+        }
+
+        /* =========================
+           INTERLOCK TIMELINE
+        ========================== */
+        .timeline-list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 220px;
+          overflow-y: auto;
+          text-align: left;
+          font-size: 0.75rem;
+        }
+        .timeline-list li {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 3px 4px;
+          border-bottom: 1px solid var(--border-subtle);
+          color: var(--text-secondary);
+        }
+        .timeline-time {
+          font-variant-numeric: tabular-nums;
+          min-width: 150px;
+        }
+        .timeline-signal {
+          color: var(--text-primary);
+          min-width: 130px;
+        }
+        .timeline-dot {
+          display: inline-block;
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+        }
+        .annotation-layer {
+          position: absolute;
+          inset: 0;
+          pointer-events: none;
+        }
+        /* 9px wide for hovering, drawn as a 1px line */
+        .annotation-marker {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          width: 9px;
+          margin-left: -4px;
+          background: linear-gradient(to right, transparent 4px, #facc15 4px, #facc15 5px, transparent 5px);
+          pointer-events: auto;
+          cursor: help;
+        }
+        /* The log line selected in the log viewer, on every time-axis chart */
+        .log-cursor-marker {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          width: 0;
+          border-left: 1px dashed #22d3ee;
+          pointer-events: none;
+        }
+        .chart-point-menu {
+          position: fixed;
+          z-index: 9998;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          padding: 8px;
+          border-radius: 8px;
+          border: 1px solid #475569;
+          background: #1e293b;
+          box-shadow: 0 6px 20px rgba(0, 0, 0, 0.5);
+          font-size: 0.75rem;
+        }
+        .chart-point-menu[hidden] { display: none; }
+        .chart-point-menu .chart-point-time { color: var(--text-secondary); padding: 0 4px 2px; }
+        .chart-point-menu button {
+          padding: 5px 10px;
+          border-radius: 6px;
+          border: 1px solid #475569;
+          background: transparent;
+          color: var(--text-primary);
+          text-align: left;
+          cursor: pointer;
+        }
+        .chart-point-menu button:hover { background: #334155; }
+        .logbook-controls {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+          margin-bottom: 6px;
+          font-size: 0.75rem;
+          color: var(--text-secondary);
+        }
+        .logbook-controls input {
+          background: var(--bg-base);
+          color: var(--text-primary);
+          border: 1px solid var(--border-subtle);
+          border-radius: 5px;
+          padding: 2px 6px;
+        }
+        .logbook-controls a.range-btn {
+          text-decoration: none;
+        }
+        .timeline-list li.annotation-item {
+          align-items: flex-start;
+        }
+        .annotation-text {
+          color: var(--text-primary);
+          white-space: pre-wrap;
+          overflow-wrap: anywhere;
+        }
+
+        .status-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.72rem;
+          text-align: left;
+        }
+        .status-table th, .status-table td {
+          padding: 3px 6px;
+          border-bottom: 1px solid var(--border-subtle);
+          color: var(--text-secondary);
+        }
+        .status-table td:first-child { color: var(--text-primary); }
+        .status-table td.status-error { overflow-wrap: anywhere; }
+        .status-badge {
+          padding: 1px 8px;
+          border-radius: 9px;
+          font-weight: 600;
+        }
+        .status-badge.ok { background: #14532d; color: #86efac; }
+        .status-badge.waiting { background: #334155; color: #cbd5e1; }
+        .status-badge.failing { background: #78350f; color: #fcd34d; }
+        .status-badge.stalled { background: #7f1d1d; color: #fca5a5; }
+
+        .timeline-more {
+          margin-top: 6px;
+          padding: 2px 10px;
+          font-size: 0.72rem;
+          border-radius: 5px;
+          border: 1px solid var(--border-subtle);
+          background: transparent;
+          color: var(--text-secondary);
+          cursor: pointer;
+        }
+
+        /* =========================
+           REPLAY BADGE
+        ========================== */
+        #replay-badge {
+          padding: 4px 10px;
+          font-size: 0.7em;
+          border-radius: 8px;
+          font-weight: bold;
+          letter-spacing: 0.08em;
+          color: #fde68a;
+          border: 2px solid #f59e0b;
+          box-shadow: 0 0 8px #f59e0b;
+          background-color: rgba(245, 158, 11, 0.15);
+        }
+
+        #run-badge {
+          padding: 4px 10px;
+          font-size: 0.7em;
+          border-radius: 8px;
+          font-weight: bold;
+          letter-spacing: 0.08em;
+          color: #bae6fd;
+          border: 1px solid #38bdf8;
+          text-decoration: none;
+        }
+
+        /* =========================
+           ALARM BANNER
+        ========================== */
+        #alarm-banner {
+          width: 90%;
+          margin: 0 auto 12px auto;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+        .alarm-row {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 10px;
+          padding: 6px 12px;
+          border-radius: 8px;
+          font-size: 0.8rem;
+          text-align: left;
+        }
+        .alarm-row.critical {
+          border: 1px solid var(--danger);
+          background: rgba(239, 68, 68, 0.18);
+          box-shadow: 0 0 8px var(--danger);
+        }
+        .alarm-row.warning {
+          border: 1px solid #f59e0b;
+          background: rgba(245, 158, 11, 0.15);
+        }
+        .alarm-row.info {
+          border: 1px solid var(--accent);
+          background: rgba(56, 189, 248, 0.12);
+        }
+        .alarm-row.acknowledged {
+          box-shadow: none;
+          opacity: 0.7;
+        }
+        .alarm-ack-btn {
+          padding: 2px 10px;
+          font-size: 0.75rem;
+          border-radius: 5px;
+          border: 1px solid var(--border-subtle);
+          background: var(--bg-base);
+          color: var(--text-primary);
+          cursor: pointer;
+        }
+        /* Per-field quality from /data: stale readings keep their last value, dimmed */
+        [data-quality="stale"] {
+          opacity: 0.45;
+        }
+        [data-quality="disconnected"],
+        [data-quality="invalid"] {
+          opacity: 0.3;
+        }
       </style>
     </head>
     <body>
@@ -500,14 +832,23 @@ function renderDashboard(opts) {
         <div style="display:flex; align-items:center; justify-content:space-between; padding:8px 24px 10px; border-bottom:1px solid var(--border-subtle); margin-bottom:12px;">
           <h2 style="font-size:1.4rem; font-weight:700; color:#d6eaff; margin:0;">E-beam Web Monitor</h2>
           <div style="display:flex; align-items:center; gap:10px;">
+            <div id="replay-badge" title="${state.replay ? `Replaying ${state.replay.source}` : ''}" ${state.replay ? '' : 'hidden'}>
+              REPLAY ${state.replay ? `${state.replay.speed}×` : ''}
+            </div>
             <div id="experiment-status" class="${!experimentRunning ? 'neon-warning' : 'neon-success'}" style="padding:4px 10px; font-size:0.7em; border-radius:8px; color:white; font-weight:bold;">
               Dashboard is ${!experimentRunning ? 'not ' : ''}running
             </div>
-            <button id="open-reset-modal" style="padding:4px 10px; font-size:0.7em; border-radius:8px; font-weight:bold; background:#7f1d1d; border:1px solid #ef4444; color:#fca5a5; cursor:pointer;">
-              Experiment Reset
-            </button>
+            <a id="run-badge" href="/run-history" ${state.currentRun ? '' : 'hidden'}>RUN ${state.currentRun?.number ?? ''}</a>
+            ${allows('operator') ? `<button id="open-reset-modal" style="padding:4px 10px; font-size:0.7em; border-radius:8px; font-weight:bold; background:#7f1d1d; border:1px solid #ef4444; color:#fca5a5; cursor:pointer;">
+              Close Run
+            </button>` : ''}
+            ${user ? `<form method="POST" action="/logout" style="display:flex; align-items:center; gap:8px; margin:0;">
+              <span id="current-user" style="font-size:0.75rem; color:var(--text-secondary);">${escapeHtml(user.username)} (${user.role})</span>
+              <button type="submit" style="padding:4px 10px; font-size:0.7em; border-radius:8px; border:1px solid #475569; background:transparent; color:#94a3b8; cursor:pointer;">Log out</button>
+            </form>` : ''}
           </div>
         </div>
+        <div id="alarm-banner"></div>
         <p style="text-align:center; font-size:0.75rem; color:var(--text-secondary); margin:0 0 12px 0;">
           Log Modified: <span id="log-last-modified">${fileModified}</span> &nbsp;·&nbsp; Updated: <span id="site-last-updated">${currentTime}</span>
         </p>
@@ -605,6 +946,12 @@ function renderDashboard(opts) {
             </div>
           </div>
         </div>
+        <!-- Interlock Timeline Section -->
+        <div class="env-section">
+          <h3 class="section-header">Interlock Timeline</h3>
+          <ul id="interlock-timeline" class="timeline-list"></ul>
+          <button id="interlock-timeline-more" class="timeline-more" style="display:none;">Load older</button>
+        </div>
         <!-- Environmental Section -->
         <div class="env-section">
           <h3 class="section-header">Environmental</h3>
@@ -697,6 +1044,111 @@ function renderDashboard(opts) {
         </div>
       </div>
 
+      <script>
+        const alarmBanner = document.getElementById('alarm-banner');
+        const canAcknowledge = ${allows('operator')};
+
+        function renderAlarmBanner(alarms) {
+          alarmBanner.replaceChildren();
+
+          (alarms || []).forEach((alarm) => {
+            const row = document.createElement('div');
+            row.className = 'alarm-row ' + alarm.severity + (alarm.status === 'acknowledged' ? ' acknowledged' : '');
+
+            const text = document.createElement('span');
+            text.textContent = alarm.severity.toUpperCase() + ': ' + alarm.label +
+              ' (now ' + alarm.value + ', since ' + new Date(alarm.raisedAt).toLocaleTimeString('en-US', { timeZone: 'America/Chicago' }) + ')' +
+              (alarm.status === 'acknowledged' ? ' — acknowledged' : '');
+            row.appendChild(text);
+
+            if (alarm.status === 'active' && canAcknowledge) {
+              const ackButton = document.createElement('button');
+              ackButton.className = 'alarm-ack-btn';
+              ackButton.textContent = 'Acknowledge';
+              ackButton.addEventListener('click', async () => {
+                ackButton.disabled = true;
+                try {
+                  await fetch('/alarms/' + encodeURIComponent(alarm.id) + '/acknowledge', { method: 'POST' });
+                } catch (e) {
+                  console.error('Failed to acknowledge alarm:', e);
+                  ackButton.disabled = false;
+                }
+              });
+              row.appendChild(ackButton);
+            }
+
+            alarmBanner.appendChild(row);
+          });
+        }
+
+        renderAlarmBanner(${toScriptJson(alarms)});
+      </script>
+
+      <script>
+        const TIMELINE_MAX_ITEMS = 200;
+        const signalLabels = ${toScriptJson(Object.fromEntries([...SIC_SIGNALS, ...VACUUM_SIGNALS].map((signal) => [signal.key, signal.label])))};
+        const interlockTimeline = document.getElementById('interlock-timeline');
+        const interlockTimelineMore = document.getElementById('interlock-timeline-more');
+        let interlockTimelineNext = null;
+
+        function createTimelineDot(color) {
+          const dot = document.createElement('span');
+          dot.className = 'timeline-dot';
+          dot.style.backgroundColor = color;
+          return dot;
+        }
+
+        function createTimelineItem(event) {
+          const item = document.createElement('li');
+
+          const time = document.createElement('span');
+          time.className = 'timeline-time';
+          time.textContent = new Date(event.occurred_at).toLocaleString('en-US', { hour12: true, timeZone: 'America/Chicago' });
+
+          const signal = document.createElement('span');
+          signal.className = 'timeline-signal';
+          signal.textContent = signalLabels[event.signal] || event.signal;
+
+          const change = document.createElement('span');
+          change.textContent = event.old_value + ' → ' + event.new_value;
+
+          item.append(time, signal, createTimelineDot(event.old_value), createTimelineDot(event.new_value), change);
+          return item;
+        }
+
+        // Live events arrive oldest-first within a batch; the list is newest-first
+        function prependInterlockEvents(events) {
+          events.forEach((event) => interlockTimeline.prepend(createTimelineItem(event)));
+          while (interlockTimeline.children.length > TIMELINE_MAX_ITEMS) {
+            interlockTimeline.lastElementChild.remove();
+          }
+        }
+
+        async function loadInterlockTimeline(append = false) {
+          const params = new URLSearchParams({ limit: '20' });
+          if (append && interlockTimelineNext) {
+            params.set('before', interlockTimelineNext.before);
+            params.set('beforeId', interlockTimelineNext.beforeId);
+          }
+
+          try {
+            const res = await fetch('/events?' + params.toString());
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || res.statusText);
+
+            if (!append) interlockTimeline.replaceChildren();
+            body.events.forEach((event) => interlockTimeline.appendChild(createTimelineItem(event)));
+            interlockTimelineNext = body.nextBefore;
+            interlockTimelineMore.style.display = interlockTimelineNext ? '' : 'none';
+          } catch (e) {
+            console.error('Failed to load interlock timeline:', e);
+          }
+        }
+
+        interlockTimelineMore.addEventListener('click', () => loadInterlockTimeline(true));
+        loadInterlockTimeline();
+      </script>
+
       <div id="chart-root-2"></div>
       <div id="pressure-chart-section">
         <div style="display: flex; justify-content: space-between; align-items: center; padding: 0 10px 8px; width: 98%; margin: 0 auto 0 auto;">
@@ -707,13 +1159,194 @@ function renderDashboard(opts) {
             Switch to Historical View
           </button>
         </div>
+        <div class="pressure-range-controls">
+          <label>From <input id="pressure-range-from" type="datetime-local" /></label>
+          <label>To <input id="pressure-range-to" type="datetime-local" /></label>
+          <button id="pressure-range-load" class="range-btn">Load range</button>
+          <button id="pressure-range-reset" class="range-btn" style="display:none;">Back to live</button>
+          <span class="range-hint">Drag across the chart to zoom and load finer data</span>
+        </div>
         <div id="pressure-chart-status" class="chart-info-text" style="width:98%; margin:0 auto 6px auto; text-align:left; color:#94a3b8;">
           ${formatPressureChartStatus(shortTermChartMeta)}
         </div>
         <div id="chart-root-3" style="margin-top: 0;"></div>
+        <div class="env-section" style="width:98%; margin:14px auto 0 auto; box-sizing:border-box;">
+          <h3 class="section-header">Runs</h3>
+          <ul id="run-list" class="timeline-list"></ul>
+          <button id="run-list-more" class="timeline-more" style="display:none;">Load older</button>
+          <div id="run-overlay-status" class="chart-info-text" style="text-align:left; color:#94a3b8; margin-top:6px;">
+            Tick runs to overlay their pressure, aligned on the time since each run started
+          </div>
+          <div id="run-overlay-root"></div>
+        </div>
+        <div class="env-section" style="width:98%; margin:14px auto 0 auto; box-sizing:border-box;">
+          <h3 class="section-header">Logbook</h3>
+          <div class="logbook-controls">
+            <input id="annotation-search" type="search" placeholder="Search notes" />
+            <button id="annotation-add-btn" class="range-btn">Add note</button>
+            <a class="range-btn" href="/export?table=annotations&amp;format=csv&amp;from=0">Export CSV</a>
+            <span class="range-hint">Click a point on any chart to pin a note to its time or see the log around it</span>
+          </div>
+          <ul id="annotation-list" class="timeline-list"></ul>
+          <button id="annotation-list-more" class="timeline-more" style="display:none;">Load older</button>
+        </div>
+        ${allows('admin') ? `<div id="status-panel" class="env-section" style="width:98%; margin:14px auto 0 auto; box-sizing:border-box;">
+          <h3 class="section-header">System Status</h3>
+          <div id="status-summary" class="chart-info-text" style="text-align:left; color:#94a3b8; margin-bottom:6px;">Loading…</div>
+          <table class="status-table">
+            <thead><tr><th>Loop</th><th>Status</th><th>Last success</th><th>Last run</th><th>Runs · failed · skipped</th><th>Last error</th></tr></thead>
+            <tbody id="status-loops"></tbody>
+          </table>
+          <table class="status-table" style="margin-top:10px;">
+            <thead><tr><th>Series buffer</th><th>Points</th><th>Last value</th></tr></thead>
+            <tbody id="status-series"></tbody>
+          </table>
+        </div>` : ''}
+        <div id="annotation-modal-overlay" style="display:none; position:fixed; inset:0; background:rgba(0,0,0,0.75); z-index:9999; align-items:center; justify-content:center;">
+          <div style="background:#1e293b; border:1px solid #facc15; border-radius:12px; padding:28px 32px; max-width:420px; width:90%; text-align:left; box-shadow:0 0 32px rgba(250,204,21,0.3);">
+            <h3 style="color:#fde68a; margin:0 0 12px 0; font-size:1.1rem; font-weight:700;">Add Note</h3>
+            <input id="annotation-at-input" type="datetime-local" step="1"
+              style="width:100%; padding:8px 10px; border-radius:6px; border:1px solid #475569; background:#0f172a; color:#e2e8f0; font-size:0.85rem; margin-bottom:8px; box-sizing:border-box; color-scheme:dark;" />
+            <textarea id="annotation-text-input" rows="3" maxlength="${ANNOTATION_MAX_LENGTH}" placeholder="What happened, e.g. opened valve or started cathode B ramp"
+              style="width:100%; padding:8px 10px; border-radius:6px; border:1px solid #475569; background:#0f172a; color:#e2e8f0; font-size:0.85rem; margin-bottom:16px; box-sizing:border-box; resize:vertical;"></textarea>
+            <div id="annotation-modal-message" style="font-size:0.8rem; margin-bottom:12px; min-height:1em;"></div>
+            <div style="display:flex; gap:10px; justify-content:flex-end;">
+              <button id="annotation-cancel-btn" style="padding:7px 18px; border-radius:6px; border:1px solid #475569; background:transparent; color:#94a3b8; cursor:pointer; font-size:0.85rem;">Cancel</button>
+              <button id="annotation-save-btn" style="padding:7px 18px; border-radius:6px; border:1px solid #facc15; background:#422006; color:#fde68a; cursor:pointer; font-size:0.85rem; font-weight:bold;">Save note</button>
+            </div>
+          </div>
+        </div>
+        <div id="chart-point-menu" class="chart-point-menu" hidden>
+          <div id="chart-point-time" class="chart-point-time"></div>
+          <button id="chart-point-log">Show the log around this time</button>
+          <button id="chart-point-note">Add a note here</button>
+        </div>
       </div>
 
       <script>
+        // Logbook notes drawn as vertical markers on every time-axis chart; newest ones first
+        let annotationNotes = [];
+        const markedCharts = [];
+        // Time of the log line selected in the log viewer, drawn as a cursor on the same charts
+        let logCursorMs = null;
+        const LOG_CURSOR_RANGE_SEC = 5 * 60;
+
+        function formatAnnotationTime(iso) {
+          return new Date(iso).toLocaleString('en-US', { hour12: true, timeZone: 'America/Chicago' });
+        }
+
+        function placeAnnotationMarkers(u) {
+          let layer = u.over.querySelector('.annotation-layer');
+          if (!layer) {
+            layer = document.createElement('div');
+            layer.className = 'annotation-layer';
+            u.over.appendChild(layer);
+          }
+          layer.replaceChildren();
+
+          const { min, max } = u.scales.x;
+          if (min == null || max == null) return;
+          annotationNotes.forEach((note) => {
+            const tSec = Date.parse(note.at) / 1000;
+            if (tSec < min || tSec > max) return;
+            const marker = document.createElement('div');
+            marker.className = 'annotation-marker';
+            marker.style.left = u.valToPos(tSec, 'x') + 'px';
+            marker.title = formatAnnotationTime(note.at) + (note.author ? ' · ' + note.author : '') + '\\n' + note.text;
+            layer.appendChild(marker);
+          });
+        }
+
+        function redrawAnnotationMarkers() {
+          markedCharts.forEach(placeAnnotationMarkers);
+        }
+
+        function placeLogCursor(u) {
+          let cursor = u.over.querySelector('.log-cursor-marker');
+          const { min, max } = u.scales.x;
+          const tSec = logCursorMs === null ? null : logCursorMs / 1000;
+          if (tSec === null || min == null || max == null || tSec < min || tSec > max) {
+            if (cursor) cursor.remove();
+            return;
+          }
+          if (!cursor) {
+            cursor = document.createElement('div');
+            cursor.className = 'log-cursor-marker';
+            u.over.appendChild(cursor);
+          }
+          cursor.style.left = u.valToPos(tSec, 'x') + 'px';
+        }
+
+        // Marks a log line's time on every chart; null clears it. The pressure chart loads the stored
+        // history around the line when its time is outside what is plotted.
+        function setLogCursor(atMs) {
+          logCursorMs = atMs;
+          if (atMs !== null) {
+            const plotted = pressureChart.data[0];
+            const tSec = atMs / 1000;
+            if (plotted.length === 0 || tSec < plotted[0]) {
+              loadPressureRange(tSec - LOG_CURSOR_RANGE_SEC, tSec + LOG_CURSOR_RANGE_SEC);
+            }
+          }
+          markedCharts.forEach(placeLogCursor);
+        }
+
+        const chartPointMenu = document.getElementById('chart-point-menu');
+        let chartPointMs = null;
+
+        function openChartPointMenu(clientX, clientY, atMs) {
+          chartPointMs = atMs;
+          document.getElementById('chart-point-time').textContent = formatAnnotationTime(atMs);
+          chartPointMenu.hidden = false;
+          chartPointMenu.style.left = Math.min(clientX, window.innerWidth - chartPointMenu.offsetWidth - 8) + 'px';
+          chartPointMenu.style.top = Math.min(clientY, window.innerHeight - chartPointMenu.offsetHeight - 8) + 'px';
+        }
+
+        function closeChartPointMenu() {
+          chartPointMenu.hidden = true;
+        }
+
+        document.getElementById('chart-point-log').addEventListener('click', () => {
+          closeChartPointMenu();
+          showLogsAround(chartPointMs);
+        });
+        document.getElementById('chart-point-note').addEventListener('click', () => {
+          closeChartPointMenu();
+          openAnnotationModal(chartPointMs);
+        });
+        document.addEventListener('mousedown', (e) => {
+          if (!chartPointMenu.hidden && !chartPointMenu.contains(e.target)) closeChartPointMenu();
+        });
+        document.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') closeChartPointMenu();
+        });
+
+        // Logbook and log-line markers for a time-axis chart. A plain click (not a drag, not a
+        // double-click reset) offers the log around the nearest point's time or a note pinned to it.
+        function timeMarkersPlugin() {
+          return {
+            hooks: {
+              init: [
+                (u) => {
+                  markedCharts.push(u);
+                  let downX = null;
+                  let clickTimer = null;
+                  u.over.addEventListener('mousedown', (e) => { downX = e.clientX; });
+                  u.over.addEventListener('click', (e) => {
+                    clearTimeout(clickTimer);
+                    if (e.detail > 1 || downX === null || Math.abs(e.clientX - downX) > 3) return;
+                    const idx = u.cursor.idx;
+                    if (idx == null || u.data[0][idx] == null) return;
+                    const tSec = u.data[0][idx];
+                    clickTimer = setTimeout(() => openChartPointMenu(e.clientX, e.clientY, tSec * 1000), 250);
+                  });
+                },
+              ],
+              draw: [placeAnnotationMarkers, placeLogCursor],
+            },
+          };
+        }
+
         function createLiveUplotChart(container, config) {
           if (typeof container === 'string') container = document.querySelector(container);
 
@@ -726,6 +1359,8 @@ function renderDashboard(opts) {
             displayXVals = [],
             lastUsedFactor = 1,
             chartDataIntervalDuration = 1,
+            onZoomSelect = null,
+            onResetZoom = null,
           } = config;
 
           const wrapper = document.createElement('div');
@@ -781,6 +1416,18 @@ function renderDashboard(opts) {
                 setScale: true
               },
             },
+            hooks: {
+              // setSelect only fires for user drags, so fetching here cannot loop on our own setData calls
+              setSelect: [
+                (u) => {
+                  if (!onZoomSelect || u.select.width < 2) return;
+                  const min = u.posToVal(u.select.left, 'x');
+                  const max = u.posToVal(u.select.left + u.select.width, 'x');
+                  onZoomSelect(min, max);
+                },
+              ],
+            },
+            plugins: [timeMarkersPlugin()],
           }, data, chartEl);
 
           window.addEventListener('resize', () => {
@@ -789,6 +1436,7 @@ function renderDashboard(opts) {
           });
 
           chartEl.ondblclick = () => {
+            if (onResetZoom && onResetZoom() === true) return;
             uplot.setScale('x', { min: null, max: null });
           };
 
@@ -805,6 +1453,12 @@ function renderDashboard(opts) {
           displayXVals: ${JSON.stringify(shortTermPressureGraph.displayXVals)},
           lastUsedFactor: ${shortTermPressureGraph.lastUsedFactor},
           chartDataIntervalDuration: ${shortTermPressureGraph.chartDataIntervalDuration},
+          onZoomSelect: (fromSec, toSec) => loadPressureRange(fromSec, toSec),
+          onResetZoom: () => {
+            if (!pressureRange) return false;
+            exitPressureRange();
+            return true;
+          },
         });
 
         // Toggle state for pressure chart view
@@ -826,6 +1480,12 @@ function renderDashboard(opts) {
           },
         };
 
+        const DECIMATION_LABELS = {
+          stride: 'every Nth point',
+          minmax: 'min/max per bucket',
+          lttb: 'LTTB',
+        };
+
         function formatPressureChartStatus(meta) {
           const rawPointCount = Number(meta.rawPointCount ?? 0);
           const displayPointCount = Number(meta.displayPointCount ?? 0);
@@ -840,13 +1500,52 @@ function renderDashboard(opts) {
             return 'Showing all ' + rawPointCount.toLocaleString() + ' raw points (' + sourceResolutionLabel + ')';
           }
 
+          const decimationLabel = DECIMATION_LABELS[meta.decimation] || DECIMATION_LABELS.stride;
           return 'Showing ' + displayPointCount.toLocaleString() + ' of ' + rawPointCount.toLocaleString() +
-            ' raw points (downsample x' + downsampleFactor + ', ' + sourceResolutionLabel + ')';
+            ' raw points (downsample x' + downsampleFactor + ' ' + decimationLabel + ', ' + sourceResolutionLabel + ')';
         }
 
+        let lastPressureMeta = ${JSON.stringify(shortTermChartMeta)};
+
         function applyPressureChartData(chartData) {
           pressureChart.setData([chartData.xVals, chartData.yVals]);
           pressureChartStatus.textContent = formatPressureChartStatus(chartData);
+          lastPressureMeta = chartData;
+        }
+
+        async function reloadPressureChart() {
+          if (pressureRange) {
+            await loadPressureRange(pressureRange.fromSec, pressureRange.toSec);
+            return;
+          }
+
+          try {
+            const res = await fetch('/chart-data?view=' + currentPressureView);
+            applyPressureChartData(await res.json());
+          } catch (e) {
+            console.error('Failed to load chart data:', e);
+          }
+        }
+
+        // Splices a pushed display tail onto the plotted series; resyncs when the server re-sampled
+        function applyPressureChartAppend(update) {
+          if (pressureRange || update.view !== currentPressureView) return;
+
+          const xVals = pressureChart.data[0];
+          const yVals = pressureChart.data[1];
+          const keep = update.displayPointCount - update.xVals.length;
+
+          if (update.downsampleFactor !== lastPressureMeta.downsampleFactor || keep < 0 || keep > xVals.length) {
+            reloadPressureChart();
+            return;
+          }
+
+          pressureChart.setData([
+            xVals.slice(0, keep).concat(update.xVals),
+            yVals.slice(0, keep).concat(update.yVals),
+          ]);
+          pressureChartStatus.textContent = formatPressureChartStatus(update);
+          lastPressureMeta = update;
         }
 
         function updatePressureChartViewText() {
@@ -857,41 +1556,363 @@ function renderDashboard(opts) {
 
         pressureViewToggle.addEventListener('click', async () => {
           currentPressureView = currentPressureView === 'short' ? 'long' : 'short';
+          pressureRange = null;
+          pressureRangeReset.style.display = 'none';
           updatePressureChartViewText();
+          await reloadPressureChart();
+        });
+
+        // Historical range mode: a fixed window served by /chart-data?from=&to=, with live appends paused
+        let pressureRange = null;
+        const pressureRangeFrom = document.getElementById('pressure-range-from');
+        const pressureRangeTo = document.getElementById('pressure-range-to');
+        const pressureRangeLoad = document.getElementById('pressure-range-load');
+        const pressureRangeReset = document.getElementById('pressure-range-reset');
+
+        function toDateTimeLocalValue(sec, withSeconds = false) {
+          const date = new Date(sec * 1000);
+          return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, withSeconds ? 19 : 16);
+        }
+
+        function formatRangeBoundary(sec) {
+          return new Date(sec * 1000).toLocaleString('en-US', { hour12: true, timeZone: 'America/Chicago' });
+        }
+
+        async function loadPressureRange(fromSec, toSec) {
+          pressureRange = { fromSec, toSec };
+          pressureRangeFrom.value = toDateTimeLocalValue(fromSec);
+          pressureRangeTo.value = toDateTimeLocalValue(toSec);
+          pressureRangeReset.style.display = '';
+          pressureChartLabel.textContent = 'Range: ' + formatRangeBoundary(fromSec) + ' – ' + formatRangeBoundary(toSec);
+
+          const params = new URLSearchParams({
+            from: String(Math.floor(fromSec)),
+            to: String(Math.ceil(toSec)),
+            width: String(Math.round(pressureChart.width)),
+          });
 
           try {
-            const res = await fetch('/chart-data?view=' + currentPressureView);
-            const chartData = await res.json();
-            applyPressureChartData(chartData);
+            const res = await fetch('/chart-data?' + params.toString());
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || res.statusText);
+            if (pressureRange?.fromSec !== fromSec || pressureRange?.toSec !== toSec) return;
+            applyPressureChartData(body);
           } catch (e) {
-            console.error('Failed to load chart data:', e);
+            console.error('Failed to load pressure range:', e);
+            pressureChartStatus.textContent = 'Failed to load range: ' + e.message;
+          }
+        }
+
+        function exitPressureRange() {
+          pressureRange = null;
+          pressureRangeReset.style.display = 'none';
+          updatePressureChartViewText();
+          reloadPressureChart();
+        }
+
+        pressureRangeLoad.addEventListener('click', () => {
+          const fromMs = Date.parse(pressureRangeFrom.value);
+          const toMs = pressureRangeTo.value ? Date.parse(pressureRangeTo.value) : Date.now();
+          if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs >= toMs) {
+            pressureChartStatus.textContent = 'Pick a start time before the end time.';
+            return;
+          }
+          loadPressureRange(fromMs / 1000, toMs / 1000);
+        });
+
+        pressureRangeReset.addEventListener('click', exitPressureRange);
+
+        // Runs: the current one plus archived ones from /runs, with their pressure overlaid on one chart
+        const RUN_OVERLAY_COLORS = ['#38bdf8', '#f59e0b', '#a78bfa', '#22c55e', '#f472b6', '#ef4444'];
+        const runList = document.getElementById('run-list');
+        const runListMore = document.getElementById('run-list-more');
+        const runOverlayStatus = document.getElementById('run-overlay-status');
+        const runOverlayRoot = document.getElementById('run-overlay-root');
+        const selectedRuns = new Set();
+        let runListNext = null;
+        let runOverlayChart = null;
+
+        function formatRunTime(iso) {
+          return iso ? new Date(iso).toLocaleString('en-US', { hour12: true, timeZone: 'America/Chicago' }) : 'first row';
+        }
+
+        function createRunItem(runId, label, detail) {
+          const item = document.createElement('li');
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.checked = selectedRuns.has(runId);
+          checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selectedRuns.add(runId);
+            else selectedRuns.delete(runId);
+            renderRunOverlay();
+          });
+
+          const name = document.createElement('span');
+          name.className = 'timeline-signal';
+          name.textContent = label;
+
+          const text = document.createElement('span');
+          text.textContent = detail;
+
+          item.append(checkbox, name, text);
+          return item;
+        }
+
+        async function loadRuns(append = false) {
+          const params = new URLSearchParams({ limit: '20' });
+          if (append && runListNext) {
+            params.set('before', runListNext.before);
+            params.set('beforeId', runListNext.beforeId);
+          }
+
+          try {
+            const res = await fetch('/runs?' + params.toString());
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || res.statusText);
+
+            if (!append) {
+              runList.replaceChildren(createRunItem('current', 'Run ' + (body.current?.number ?? '?') + ' (current)',
+                'since ' + formatRunTime(body.current?.startedAt)));
+            }
+            body.runs.forEach((run) => runList.appendChild(createRunItem(String(run.id), 'Run ' + run.id,
+              formatRunTime(run.started_at) + ' – ' + formatRunTime(run.ended_at) +
+              (run.closed_by ? ' by ' + run.closed_by : '') + (run.note ? ': ' + run.note : ''))));
+            runListNext = body.nextBefore;
+            runListMore.style.display = runListNext ? '' : 'none';
+          } catch (e) {
+            console.error('Failed to load runs:', e);
+          }
+        }
+
+        async function renderRunOverlay() {
+          const runIds = [...selectedRuns];
+          if (runOverlayChart) {
+            runOverlayChart.destroy();
+            runOverlayChart = null;
+          }
+          if (runIds.length === 0) {
+            runOverlayStatus.textContent = 'Tick runs to overlay their pressure, aligned on the time since each run started';
+            return;
+          }
+
+          runOverlayStatus.textContent = 'Loading ' + runIds.length + ' run(s)…';
+          const width = Math.round(runOverlayRoot.clientWidth || pressureChart.width);
+          try {
+            const curves = await Promise.all(runIds.map(async (runId) => {
+              const res = await fetch('/runs/' + encodeURIComponent(runId) + '/pressure?width=' + width);
+              const body = await res.json();
+              if (!res.ok) throw new Error(body.error || res.statusText);
+              return body;
+            }));
+            if (runIds.join() !== [...selectedRuns].join()) return; // the selection changed meanwhile
+
+            // uPlot wants one shared x axis; join fills the gaps between runs' samples with nulls
+            const data = uPlot.join(curves.map((curve) => [
+              curve.elapsedSec.map((sec) => sec / 3600),
+              curve.yVals,
+            ]));
+            runOverlayChart = new uPlot({
+              width,
+              height: 300,
+              series: [
+                { value: (u, v) => (v == null ? '' : v.toFixed(2) + ' h') },
+                ...curves.map((curve, index) => ({
+                  label: curve.run.ended_at ? 'Run ' + curve.run.id : 'Run ' + curve.run.id + ' (current)',
+                  stroke: RUN_OVERLAY_COLORS[index % RUN_OVERLAY_COLORS.length],
+                  spanGaps: true,
+                  value: (u, v) => (v == null ? '' : v.toExponential(4)),
+                })),
+              ],
+              scales: { x: { time: false } },
+              axes: [
+                {
+                  label: 'Hours since run start',
+                  labelFont: '10px Arial',
+                  stroke: '#94a3b8',
+                  font: '10px Arial',
+                  grid: { stroke: 'rgba(255,255,255,0.06)', width: 1 },
+                },
+                {
+                  label: 'Pressure (mbar)',
+                  labelSize: 20,
+                  labelFont: '10px Arial',
+                  stroke: '#94a3b8',
+                  font: '10px Arial',
+                  size: 80,
+                  values: (u, vals) => vals.map((v) => v.toExponential(2)),
+                  grid: { stroke: 'rgba(255,255,255,0.06)', width: 1 },
+                },
+              ],
+            }, data, runOverlayRoot);
+            runOverlayStatus.textContent = curves
+              .map((curve) => 'Run ' + curve.run.id + ': ' + curve.yVals.length.toLocaleString() + ' points (' + curve.sourceResolutionLabel + ')')
+              .join(' · ');
+          } catch (e) {
+            console.error('Failed to load run overlay:', e);
+            runOverlayStatus.textContent = 'Failed to load runs: ' + e.message;
+          }
+        }
+
+        runListMore.addEventListener('click', () => loadRuns(true));
+        loadRuns();
+
+        // Logbook: the searchable list, the markers and the note dialog
+        const ANNOTATION_MARKER_LIMIT = 1000;
+        const annotationList = document.getElementById('annotation-list');
+        const annotationListMore = document.getElementById('annotation-list-more');
+        const annotationSearch = document.getElementById('annotation-search');
+        const annotationOverlay = document.getElementById('annotation-modal-overlay');
+        const annotationAtInput = document.getElementById('annotation-at-input');
+        const annotationTextInput = document.getElementById('annotation-text-input');
+        const annotationMsg = document.getElementById('annotation-modal-message');
+        const annotationSaveBtn = document.getElementById('annotation-save-btn');
+        let annotationListNext = null;
+        let annotationSearchTimer = null;
+
+        function createAnnotationItem(note) {
+          const item = document.createElement('li');
+          item.className = 'annotation-item';
+
+          const time = document.createElement('span');
+          time.className = 'timeline-time';
+          time.textContent = formatAnnotationTime(note.at);
+
+          const author = document.createElement('span');
+          author.className = 'timeline-signal';
+          author.textContent = note.author || '—';
+
+          const text = document.createElement('span');
+          text.className = 'annotation-text';
+          text.textContent = note.text;
+
+          item.append(time, author, text);
+          return item;
+        }
+
+        async function loadAnnotationList(append = false) {
+          const params = new URLSearchParams({ limit: '20' });
+          if (annotationSearch.value.trim()) params.set('q', annotationSearch.value.trim());
+          if (append && annotationListNext) {
+            params.set('before', annotationListNext.before);
+            params.set('beforeId', annotationListNext.beforeId);
+          }
+
+          try {
+            const res = await fetch('/annotations?' + params.toString());
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || res.statusText);
+
+            if (!append) annotationList.replaceChildren();
+            body.annotations.forEach((note) => annotationList.appendChild(createAnnotationItem(note)));
+            annotationListNext = body.nextBefore;
+            annotationListMore.style.display = annotationListNext ? '' : 'none';
+          } catch (e) {
+            console.error('Failed to load the logbook:', e);
+          }
+        }
+
+        async function loadAnnotationMarkers() {
+          try {
+            const res = await fetch('/annotations?limit=' + ANNOTATION_MARKER_LIMIT);
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || res.statusText);
+            annotationNotes = body.annotations;
+            redrawAnnotationMarkers();
+          } catch (e) {
+            console.error('Failed to load chart notes:', e);
+          }
+        }
+
+        // From the "annotations" stream event, including notes added in other tabs
+        function addAnnotations(notes) {
+          annotationNotes = notes.concat(annotationNotes).slice(0, ANNOTATION_MARKER_LIMIT);
+          redrawAnnotationMarkers();
+          loadAnnotationList();
+        }
+
+        function openAnnotationModal(atMs) {
+          annotationAtInput.value = toDateTimeLocalValue(Math.floor(atMs / 1000), true);
+          annotationTextInput.value = '';
+          annotationMsg.textContent = '';
+          annotationSaveBtn.disabled = false;
+          annotationOverlay.style.display = 'flex';
+          annotationTextInput.focus();
+        }
+
+        function closeAnnotationModal() {
+          annotationOverlay.style.display = 'none';
+        }
+
+        annotationSaveBtn.addEventListener('click', async () => {
+          const atMs = Date.parse(annotationAtInput.value);
+          if (!Number.isFinite(atMs) || !annotationTextInput.value.trim()) {
+            annotationMsg.style.color = '#ef4444';
+            annotationMsg.textContent = 'Pick a time and write a note.';
+            return;
+          }
+
+          annotationSaveBtn.disabled = true;
+          try {
+            const res = await fetch('/annotations', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ at: new Date(atMs).toISOString(), text: annotationTextInput.value }),
+            });
+            const result = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(result.error || res.statusText);
+            // Without /stream the note would otherwise only show up after a reload
+            if (!window.EventSource) addAnnotations([result.annotation]);
+            closeAnnotationModal();
+          } catch (e) {
+            annotationMsg.style.color = '#ef4444';
+            annotationMsg.textContent = 'Error: ' + e.message;
+            annotationSaveBtn.disabled = false;
           }
         });
+
+        document.getElementById('annotation-add-btn').addEventListener('click', () => openAnnotationModal(Date.now()));
+        document.getElementById('annotation-cancel-btn').addEventListener('click', closeAnnotationModal);
+        annotationOverlay.addEventListener('click', (e) => {
+          if (e.target === annotationOverlay) closeAnnotationModal();
+        });
+        annotationSearch.addEventListener('input', () => {
+          clearTimeout(annotationSearchTimer);
+          annotationSearchTimer = setTimeout(() => loadAnnotationList(), 300);
+        });
+        annotationListMore.addEventListener('click', () => loadAnnotationList(true));
+        loadAnnotationList();
+        loadAnnotationMarkers();
       </script>
 
-      <div id="ccs-charts-section">
-        <div id="ccs-chart-A"></div>
-        <div id="ccs-chart-B"></div>
-        <div id="ccs-chart-C"></div>
+      <div id="ccs-charts-section" class="series-charts-section">
+        ${ccsPanelSeries.map((entry) => `<div id="series-chart-${entry.name}"></div>`).join('\n        ')}
       </div>
+      ${extraPanels.map(({ panel, title, series: panelSeries }) => `
+      <h3 class="section-header" style="width:98%; margin:14px auto 0 auto;">${title}</h3>
+      <div id="${panel}-charts-section" class="series-charts-section">
+        ${panelSeries.map((entry) => `<div id="series-chart-${entry.name}"></div>`).join('\n        ')}
+      </div>`).join('')}
 
       <script>
-        function createCCSUplotChart(container, config) {
+        function createSeriesUplotChart(container, config) {
           if (typeof container === 'string') container = document.querySelector(container);
 
           const {
-            title = "CCS Temperature",
+            title = "Series",
             data = [[], []],
-            seriesLabel = "Temp (°C)",
+            seriesLabel = "Value",
+            unit = "",
             stroke = '#f97316',
+            precision = 1,
           } = config;
 
           const wrapper = document.createElement('div');
           wrapper.className = 'chart-container';
           wrapper.innerHTML = \`
-            <div class="chart-title">\${title}</div>
+            <div class="chart-title"></div>
             <div class="chart"></div>
           \`;
+          wrapper.querySelector('.chart-title').textContent = title;
           container.appendChild(wrapper);
 
           const chartEl = wrapper.querySelector('.chart');
@@ -903,7 +1924,7 @@ function renderDashboard(opts) {
               {},
               {
                 label: seriesLabel,
-                value: (u, v) => v == null ? "" : v.toFixed(1) + " °C",
+                value: (u, v) => v == null ? "" : v.toFixed(precision) + (unit ? " " + unit : ""),
                 stroke,
                 points: { show: false },
               }
@@ -917,13 +1938,13 @@ function renderDashboard(opts) {
                 grid:  { stroke: 'rgba(255,255,255,0.06)', width: 1 },
               },
               {
-                label: '°C',
+                label: unit,
                 labelSize: 18,
                 labelFont: '10px Arial',
                 stroke: '#94a3b8',
                 font: '10px Arial',
                 size: 50,
-                values: (u, vals) => vals.map(v => v != null ? v.toFixed(1) : ""),
+                values: (u, vals) => vals.map(v => v != null ? v.toFixed(precision) : ""),
                 ticks: { stroke: 'rgba(255,255,255,0.15)', width: 1 },
                 grid:  { stroke: 'rgba(255,255,255,0.06)', width: 1 },
               },
@@ -932,6 +1953,7 @@ function renderDashboard(opts) {
               focus: { prox: 16 },
               drag: { x: true, y: false, setScale: true },
             },
+            plugins: [timeMarkersPlugin()],
           }, data, chartEl);
 
           window.addEventListener('resize', () => {
@@ -945,24 +1967,73 @@ function renderDashboard(opts) {
           return uplot;
         }
 
-        let ccsChartA = createCCSUplotChart(document.getElementById('ccs-chart-A'), {
-          title: 'Cathode A \u2014 Clamp Temperature',
-          data: [${JSON.stringify(ccsGraphA.xVals)}, ${JSON.stringify(ccsGraphA.yVals)}],
-          seriesLabel: 'Temp A (°C)',
-          stroke: '#f97316',
-        });
-        let ccsChartB = createCCSUplotChart(document.getElementById('ccs-chart-B'), {
-          title: 'Cathode B \u2014 Clamp Temperature',
-          data: [${JSON.stringify(ccsGraphB.xVals)}, ${JSON.stringify(ccsGraphB.yVals)}],
-          seriesLabel: 'Temp B (°C)',
-          stroke: '#22c55e',
-        });
-        let ccsChartC = createCCSUplotChart(document.getElementById('ccs-chart-C'), {
-          title: 'Cathode C \u2014 Clamp Temperature',
-          data: [${JSON.stringify(ccsGraphC.xVals)}, ${JSON.stringify(ccsGraphC.yVals)}],
-          seriesLabel: 'Temp C (°C)',
-          stroke: '#818cf8',
+        // One chart per registered non-pressure series, keyed by series name
+        const seriesCharts = {};
+        ${toScriptJson(seriesChartConfigs)}.forEach((config) => {
+          seriesCharts[config.name] = {
+            config,
+            downsampleFactor: config.downsampleFactor,
+            chart: createSeriesUplotChart(document.getElementById('series-chart-' + config.name), {
+              title: config.label,
+              data: [config.xVals, config.yVals],
+              seriesLabel: config.seriesLabel || config.label,
+              unit: config.unit || '',
+              stroke: config.stroke || '#38bdf8',
+              precision: config.precision,
+            }),
+          };
         });
+
+        async function reloadSeriesChart(name) {
+          const entry = seriesCharts[name];
+          if (!entry) return;
+
+          try {
+            const res = await fetch('/chart-data?series=' + encodeURIComponent(name));
+            const chartData = await res.json();
+            entry.chart.setData([chartData.xVals, chartData.yVals]);
+            entry.downsampleFactor = chartData.downsampleFactor;
+          } catch (e) {
+            console.error('Series chart update failed for ' + name + ':', e);
+          }
+        }
+
+        function appendRingPoints(chart, xVals, yVals, maxPoints) {
+          const nextX = chart.data[0].concat(xVals);
+          const nextY = chart.data[1].concat(yVals);
+          const overflow = Math.max(0, nextX.length - maxPoints);
+          chart.setData([nextX.slice(overflow), nextY.slice(overflow)]);
+        }
+
+        // "series-append" carries the raw rows for every ring-buffer series of one batch
+        function applySeriesAppend(update) {
+          Object.entries(update.series).forEach(([name, yVals]) => {
+            const entry = seriesCharts[name];
+            if (!entry) return;
+            appendRingPoints(entry.chart, update.xVals, yVals, update.maxPoints[name] || entry.config.maxPoints || Infinity);
+          });
+        }
+
+        // "chart-append" for a decimated non-pressure series: same tail splice as the pressure chart
+        function applySeriesChartAppend(update) {
+          const entry = seriesCharts[update.series];
+          if (!entry) return;
+
+          const keep = update.displayPointCount - update.xVals.length;
+          if (update.downsampleFactor !== entry.downsampleFactor || keep < 0 || keep > entry.chart.data[0].length) {
+            reloadSeriesChart(update.series);
+            return;
+          }
+
+          entry.chart.setData([
+            entry.chart.data[0].slice(0, keep).concat(update.xVals),
+            entry.chart.data[1].slice(0, keep).concat(update.yVals),
+          ]);
+        }
+
+        Object.values(seriesCharts)
+          .filter((entry) => entry.config.lazy)
+          .forEach((entry) => reloadSeriesChart(entry.config.name));
       </script>
 
       <!-- Log Viewer -->
@@ -976,8 +2047,28 @@ function renderDashboard(opts) {
               : "N/A"
         }</span></h3>
         <button id="toggleButton" class="btn-toggle">Show Full Log</button>
+        <a href="/log-archive" style="margin-left:12px; font-size:0.8rem; color:#7dd3fc;">Older log files</a>
         <div id="fullContent" class="content-section">
-          <pre></pre>
+          <div class="log-controls">
+            ${LOG_LEVELS.map((level) => `<label><input type="checkbox" class="log-level-filter" value="${level}" /> <span class="log-level-${level}">${level}</span> <span class="log-level-count" data-level="${level}"></span></label>`).join('\n            ')}
+            <select id="log-subsystem-filter"><option value="">All subsystems</option></select>
+            <input id="log-search" type="search" placeholder="Search messages" />
+            <select id="log-window-size" title="Time window around a chart point">
+              <option value="10">±10 s</option>
+              <option value="30" selected>±30 s</option>
+              <option value="60">±1 min</option>
+              <option value="300">±5 min</option>
+            </select>
+            <span id="log-window" class="range-hint" hidden><span id="log-window-label"></span> <button id="log-window-clear" class="range-btn" title="Show the whole log">×</button></span>
+            <span id="log-status" class="range-hint"></span>
+          </div>
+          <div class="log-table-wrap">
+            <table class="log-table">
+              <thead><tr><th>Time</th><th>Level</th><th>Subsystem</th><th>Message</th></tr></thead>
+              <tbody id="log-rows"></tbody>
+            </table>
+          </div>
+          <button id="log-more" class="timeline-more" style="display:none;">Load older</button>
         </div>
       </div>
       <!-- Auto-refresh & Toggle Script -->
@@ -988,21 +2079,243 @@ function renderDashboard(opts) {
 
          const toggleButton = document.getElementById('toggleButton');
          const fullSection = document.getElementById('fullContent');
-         const pre = fullSection.querySelector('pre')
+         const logRows = document.getElementById('log-rows');
+         const logMore = document.getElementById('log-more');
+         const logStatus = document.getElementById('log-status');
+         const logSearch = document.getElementById('log-search');
+         const logSubsystemFilter = document.getElementById('log-subsystem-filter');
+         const logLevelFilters = Array.from(document.querySelectorAll('.log-level-filter'));
+         let logNextBefore = null;
+         let logSearchTimer = null;
+         let logTotal = 0;
+         let logFileName = null;
+         const logWindowSize = document.getElementById('log-window-size');
+         const logWindowChip = document.getElementById('log-window');
+         // Set from a chart point: only entries within ±logWindowSize seconds of centerMs are listed
+         let logWindow = null;
+         let selectedLogId = null;
+
+         function logWindowBounds() {
+          const halfMs = Number(logWindowSize.value) * 1000;
+          return { fromMs: logWindow.centerMs - halfMs, toMs: logWindow.centerMs + halfMs };
+         }
+
+         function createLogRow(entry) {
+          const row = document.createElement('tr');
+          row.dataset.id = String(entry.id);
+          if (entry.atMs !== null && entry.atMs !== undefined) row.dataset.atMs = String(entry.atMs);
+          if (entry.id === selectedLogId) row.classList.add('log-selected');
+          const cells = [entry.timestamp || '', entry.level || '', entry.subsystem || '', entry.message];
+          cells.forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (index === 1 && entry.level) cell.className = 'log-level-' + entry.level;
+            row.appendChild(cell);
+          });
+          return row;
+         }
+
+         function renderLogFacets(body) {
+          document.querySelectorAll('.log-level-count').forEach((count) => {
+            count.textContent = '(' + (body.levels[count.dataset.level] || 0).toLocaleString() + ')';
+          });
+          const selected = logSubsystemFilter.value;
+          logSubsystemFilter.replaceChildren(new Option('All subsystems', ''));
+          body.subsystems.forEach((subsystem) => logSubsystemFilter.appendChild(new Option(subsystem, subsystem)));
+          logSubsystemFilter.value = body.subsystems.includes(selected) ? selected : '';
+         }
+
+         function renderLogStatus() {
+          logStatus.textContent = 'Showing ' + logRows.children.length.toLocaleString() + ' of ' +
+            logTotal.toLocaleString() + ' entries' + (logFileName ? ' from ' + logFileName : '');
+         }
+
+         function matchesLogFilters(entry) {
+          const levels = logLevelFilters.filter((box) => box.checked).map((box) => box.value);
+          const needle = logSearch.value.trim().toLowerCase();
+          if (logWindow) {
+            const { fromMs, toMs } = logWindowBounds();
+            if (entry.atMs === null || entry.atMs < fromMs || entry.atMs > toMs) return false;
+          }
+          return (levels.length === 0 || levels.includes(entry.level))
+            && (!logSubsystemFilter.value || entry.subsystem === logSubsystemFilter.value)
+            && (!needle || ((entry.subsystem || '') + ' ' + entry.message).toLowerCase().includes(needle));
+         }
+
+         // New lines at the end of the Drive log arrive over the stream: add them on top, and redraw
+         // an entry a continuation line extended. A new log file starts the table over.
+         function applyLogUpdate(update) {
+          if (!showingFull) return;
+          if (update.reset) {
+            loadLogs();
+            return;
+          }
+
+          update.entries.forEach((entry) => {
+            const shown = logRows.querySelector('tr[data-id="' + entry.id + '"]');
+            if (shown) {
+              shown.replaceWith(createLogRow(entry));
+            } else if (matchesLogFilters(entry)) {
+              logRows.insertBefore(createLogRow(entry), logRows.firstChild);
+              logTotal++;
+            }
+          });
+          renderLogFacets(update);
+          logFileName = update.file && update.file.name;
+          renderLogStatus();
+         }
+
+         async function loadLogs(append = false) {
+          const params = new URLSearchParams({ limit: '200' });
+          const levels = logLevelFilters.filter((box) => box.checked).map((box) => box.value);
+          if (levels.length > 0) params.set('level', levels.join(','));
+          if (logSubsystemFilter.value) params.set('subsystem', logSubsystemFilter.value);
+          if (logSearch.value.trim()) params.set('q', logSearch.value.trim());
+          if (append && logNextBefore) params.set('before', String(logNextBefore));
+          if (logWindow) {
+            const { fromMs, toMs } = logWindowBounds();
+            params.set('from', new Date(fromMs).toISOString());
+            params.set('to', new Date(toMs).toISOString());
+          }
+
+          try {
+            const res = await fetch('/logs?' + params.toString());
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || res.statusText);
+
+            if (!append) logRows.replaceChildren();
+            body.entries.forEach((entry) => logRows.appendChild(createLogRow(entry)));
+            renderLogFacets(body);
+            logNextBefore = body.nextBefore;
+            logMore.style.display = logNextBefore ? '' : 'none';
+            logTotal = body.total;
+            logFileName = body.file && body.file.name;
+            renderLogStatus();
+            if (!append && logWindow) focusLogWindowCenter();
+          } catch (e) {
+            console.error('Failed to load the display log:', e);
+            logStatus.textContent = 'Failed to load the log: ' + e.message;
+          }
+         }
+
+         // Outlines the entry closest to the chart point and scrolls the table to it
+         function focusLogWindowCenter() {
+          let closest = null;
+          Array.from(logRows.children).forEach((row) => {
+            row.classList.remove('log-focus');
+            if (!row.dataset.atMs) return;
+            const distance = Math.abs(Number(row.dataset.atMs) - logWindow.centerMs);
+            if (!closest || distance < closest.distance) closest = { row, distance };
+          });
+          if (!closest) return;
+          closest.row.classList.add('log-focus');
+          closest.row.scrollIntoView({ block: 'center' });
+         }
+
+         // Opens the log viewer on the entries around a moment picked on a chart
+         function showLogsAround(atMs) {
+          logWindow = { centerMs: atMs };
+          document.getElementById('log-window-label').textContent = 'Around ' +
+            new Date(atMs).toLocaleString("en-US", { hour12: true, timeZone: "America/Chicago" });
+          logWindowChip.hidden = false;
+          if (!showingFull) {
+            fullSection.classList.add('active');
+            toggleButton.textContent = 'Collapse Log View';
+            showingFull = true;
+            sessionStorage.setItem('showingFull', showingFull);
+          }
+          fullSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          loadLogs();
+         }
+
+         // Selecting a line marks its time on every chart; selecting it again clears the mark
+         logRows.addEventListener('click', (e) => {
+          const row = e.target.closest('tr');
+          if (!row) return;
+          const id = Number(row.dataset.id);
+          logRows.querySelectorAll('tr.log-selected').forEach((selected) => selected.classList.remove('log-selected'));
+          if (id === selectedLogId) {
+            selectedLogId = null;
+            setLogCursor(null);
+            return;
+          }
+          if (!row.dataset.atMs) {
+            logStatus.textContent = 'This line has no date, so it cannot be placed on the charts.';
+            return;
+          }
+          selectedLogId = id;
+          row.classList.add('log-selected');
+          setLogCursor(Number(row.dataset.atMs));
+         });
+
+         logWindowSize.addEventListener('change', () => {
+          if (logWindow) loadLogs();
+         });
+         document.getElementById('log-window-clear').addEventListener('click', () => {
+          logWindow = null;
+          logWindowChip.hidden = true;
+          loadLogs();
+         });
+         logLevelFilters.forEach((box) => box.addEventListener('change', () => loadLogs()));
+         logSubsystemFilter.addEventListener('change', () => loadLogs());
+         logSearch.addEventListener('input', () => {
+          clearTimeout(logSearchTimer);
+          logSearchTimer = setTimeout(() => loadLogs(), 300);
+         });
+         logMore.addEventListener('click', () => loadLogs(true));
 
          if (showingFull) {
-          fetch('/raw').then(resp => resp.text()).then(text => {
-          pre.textContent = text;
           fullSection.classList.add('active');
           toggleButton.textContent = 'Collapse Log View';
-          });
+          loadLogs();
         }
 
-        setInterval(async() => {
-          try {
+        function renderReplayBadge(replay) {
+          const badge = document.getElementById('replay-badge');
+          badge.hidden = !replay;
+          if (!replay) return;
+
+          const position = replay.position
+            ? new Date(replay.position).toLocaleString("en-US", { hour12: true, timeZone: "America/Chicago" })
+            : '';
+          badge.textContent = 'REPLAY ' + replay.speed + '×' + (position ? ' · ' + position : '');
+          badge.title = 'Replaying ' + replay.source;
+        }
 
-          const res = await fetch('/data');
-          const data = await res.json();
+        const QUALITY_LABELS = { stale: 'Stale', disconnected: 'Disconnected', invalid: 'Invalid reading' };
+
+        // Marks a widget with its field's quality; the title says since when it was last good
+        function markQuality(elem, quality, lastGoodAt) {
+          elem.dataset.quality = quality;
+          if (quality === 'fresh') {
+            elem.removeAttribute('title');
+            return;
+          }
+          const since = lastGoodAt
+            ? ' · last good ' + new Date(lastGoodAt).toLocaleString("en-US", { hour12: true, timeZone: "America/Chicago" })
+            : '';
+          elem.title = QUALITY_LABELS[quality] + since;
+        }
+
+        function fieldQualityOf(data, key) {
+          return (data.fieldQuality && data.fieldQuality[key]) || { quality: 'disconnected', lastGoodAt: null };
+        }
+
+        function renderRunBadge(run) {
+          const badge = document.getElementById('run-badge');
+          badge.hidden = !run;
+          if (!run) return;
+
+          badge.textContent = 'RUN ' + run.number;
+          badge.title = (run.startedAt
+            ? 'Started ' + new Date(run.startedAt).toLocaleString("en-US", { hour12: true, timeZone: "America/Chicago" })
+            : 'Started with the first stored row') + ' · all runs';
+        }
+
+        function applyDashboardData(data) {
+          renderAlarmBanner(data.alarms);
+          renderReplayBadge(data.replay);
+          renderRunBadge(data.run);
 
           const interlockIds = ['sic-door', 'sic-water', 'sic-vacuum-power', 'sic-vacuum-pressure', 'sic-oil-low', 'sic-oil-high', 'sic-estop', 'sic-estopExt', 'all-interlocks', 'g9-output', 'hvolt'];
           const vacuumIds = ['vac-indicator-0', 'vac-indicator-1', 'vac-indicator-2', 'vac-indicator-3', 'vac-indicator-4', 'vac-indicator-5', 'vac-indicator-6', 'vac-indicator-7'];
@@ -1028,11 +2341,8 @@ function renderDashboard(opts) {
           logLastModified.textContent = clean_string_1;
           displayLastModified.textContent = clean_string_2;
 
-          const now = Date.now();
-
-          const THRESHOLD = 2 * 60 * 1000;
-
-          let experimentRunning = (now - dateObject1) <= THRESHOLD;
+          // The server owns the staleness policy, and judges a replay against the replay clock
+          const experimentRunning = data.experimentRunning;
 
           statusDiv.textContent = experimentRunning
           ? 'Dashboard is running'
@@ -1041,14 +2351,21 @@ function renderDashboard(opts) {
           statusDiv.classList.toggle('neon-success', experimentRunning);
           statusDiv.classList.toggle('neon-warning', !experimentRunning);
 
+          // Only the lights whose flags are disconnected or invalid lose their color
           interlockIds.forEach((id, i) => {
             const elem = document.getElementById(id);
-            elem.style.backgroundColor = experimentRunning ? data.sicColors[i] : 'grey';
+            const quality = data.sicQuality[i];
+            const usable = quality === 'fresh' || quality === 'stale';
+            elem.style.backgroundColor = experimentRunning && usable ? data.sicColors[i] : 'grey';
+            markQuality(elem, quality, null);
           });
 
+          const vacuumBitsQuality = fieldQualityOf(data, 'vacuumBits');
           vacuumIds.forEach((id, i) => {
             const elem = document.getElementById(id);
-            elem.style.backgroundColor = experimentRunning ? data.vacuumColors[i] : 'grey';
+            const usable = data.vacuumQuality === 'fresh' || data.vacuumQuality === 'stale';
+            elem.style.backgroundColor = experimentRunning && usable ? data.vacuumColors[i] : 'grey';
+            markQuality(elem, data.vacuumQuality, vacuumBitsQuality.lastGoodAt);
           });
 
           const pressureReadings = document.getElementById('pressureReadings');
@@ -1076,18 +2393,22 @@ function renderDashboard(opts) {
           const sensor5 = document.getElementById('sensor-5');
           const sensor6 = document.getElementById('sensor-6');
 
-          heaterCurrentA.textContent = (data.heaterCurrent_A !== null && data.heaterCurrent_A !== undefined && experimentRunning? "Current: " + data.heaterCurrent_A : "Current: " + "--");
-          heaterCurrentB.textContent = (data.heaterCurrent_B !== null && data.heaterCurrent_B !== undefined && experimentRunning? "Current: " + data.heaterCurrent_B : "Current: " + "--");
-          heaterCurrentC.textContent = (data.heaterCurrent_C !== null && data.heaterCurrent_C !== undefined && experimentRunning? "Current: " + data.heaterCurrent_C : "Current: " + "--");
-
-          heaterVoltageA.textContent = (data.heaterVoltage_A !== null && data.heaterVoltage_A !== undefined && experimentRunning? "Voltage: " + data.heaterVoltage_A : "Voltage: " + "--");
-          heaterVoltageB.textContent = (data.heaterVoltage_B !== null && data.heaterVoltage_B !== undefined && experimentRunning? "Voltage: " + data.heaterVoltage_B : "Voltage: " + "--");
-          heaterVoltageC.textContent = (data.heaterVoltage_C !== null && data.heaterVoltage_C !== undefined && experimentRunning? "Voltage: " + data.heaterVoltage_C : "Voltage: " + "--");
-
-          heaterTemperatureA.textContent = (data.clamp_temperature_A !== null && data.clamp_temperature_A !== undefined && experimentRunning? "Clamp Temperature: " + data.clamp_temperature_A : "Clamp Temperature: " + "--");
-          heaterTemperatureB.textContent = (data.clamp_temperature_B !== null && data.clamp_temperature_B !== undefined && experimentRunning? "Clamp Temperature: " + data.clamp_temperature_B : "Clamp Temperature: " + "--");
-          heaterTemperatureC.textContent = (data.clamp_temperature_C !== null && data.clamp_temperature_C !== undefined && experimentRunning? "Clamp Temperature: " + data.clamp_temperature_C : "Clamp Temperature: " + "--");
-
+          const ccsReadings = [
+            [heaterCurrentA, 'heaterCurrent_A', 'Current: '],
+            [heaterCurrentB, 'heaterCurrent_B', 'Current: '],
+            [heaterCurrentC, 'heaterCurrent_C', 'Current: '],
+            [heaterVoltageA, 'heaterVoltage_A', 'Voltage: '],
+            [heaterVoltageB, 'heaterVoltage_B', 'Voltage: '],
+            [heaterVoltageC, 'heaterVoltage_C', 'Voltage: '],
+            [heaterTemperatureA, 'clamp_temperature_A', 'Clamp Temperature: '],
+            [heaterTemperatureB, 'clamp_temperature_B', 'Clamp Temperature: '],
+            [heaterTemperatureC, 'clamp_temperature_C', 'Clamp Temperature: '],
+          ];
+          ccsReadings.forEach(([elem, key, label]) => {
+            const { quality, lastGoodAt } = fieldQualityOf(data, key);
+            elem.textContent = label + (data[key] !== null && data[key] !== undefined && experimentRunning ? data[key] : "--");
+            markQuality(elem, quality, lastGoodAt);
+          });
 
           const dateObj = new Date(data.siteLastUpdated);
           const clean_string = dateObj.toLocaleString("en-US", {
@@ -1096,25 +2417,28 @@ function renderDashboard(opts) {
           });
           siteLastUpdated.textContent = clean_string;
 
-          pressureReadings.textContent = String(data.pressure).replace("E", "e") + " mbar";
-          sensor1.querySelector('.gauge-cover').textContent = (!data.temperatures || !data.temperatures["1"] || data.temperatures["1"] === "DISCONNECTED" || data.temperatures["1"] === "None" && !experimentRunning) ? '--' : data.temperatures["1"] + '°C';
-          sensor2.querySelector('.gauge-cover').textContent = (!data.temperatures || !data.temperatures["2"] || data.temperatures["2"] === "DISCONNECTED" || data.temperatures["2"] === "None" && !experimentRunning) ? '--' : data.temperatures["2"] + '°C';
-          sensor3.querySelector('.gauge-cover').textContent = (!data.temperatures || !data.temperatures["3"] || data.temperatures["3"] === "DISCONNECTED" || data.temperatures["3"] === "None" && !experimentRunning) ? '--' : data.temperatures["3"] + '°C';
-          sensor4.querySelector('.gauge-cover').textContent = (!data.temperatures || !data.temperatures["4"] || data.temperatures["4"] === "DISCONNECTED" || data.temperatures["4"] === "None" && !experimentRunning) ? '--' : data.temperatures["4"] + '°C';
-          sensor5.querySelector('.gauge-cover').textContent = (!data.temperatures || !data.temperatures["5"] || data.temperatures["5"] === "DISCONNECTED" || data.temperatures["5"] === "None" && !experimentRunning) ? '--' : data.temperatures["5"] + '°C';
-          sensor6.querySelector('.gauge-cover').textContent = (!data.temperatures || !data.temperatures["6"] || data.temperatures["6"] === "DISCONNECTED" || data.temperatures["6"] === "None" && !experimentRunning) ? '--' : data.temperatures["6"] + '°C';
-
-
-
-          console.log(sensor1.textContent);
-          console.log(data.sicColors);
+          const pressureQuality = fieldQualityOf(data, 'pressure');
+          pressureReadings.textContent = data.pressure !== null && data.pressure !== undefined
+            ? String(data.pressure).replace("E", "e") + " mbar"
+            : '--';
+          markQuality(pressureReadings, pressureQuality.quality, pressureQuality.lastGoodAt);
+
+          [sensor1, sensor2, sensor3, sensor4, sensor5, sensor6].forEach((sensor, i) => {
+            const key = String(i + 1);
+            const { quality, lastGoodAt } = fieldQualityOf(data, 'temperatures.' + key);
+            const value = data.temperatures ? data.temperatures[key] : null;
+            const usable = value && (quality === 'fresh' || quality === 'stale');
+            sensor.querySelector('.gauge-cover').textContent = usable ? value + '°C' : '--';
+            markQuality(sensor, quality, lastGoodAt);
+          });
+        }
 
-          // Live chart update
+        async function refreshCharts(forceLongTerm = false) {
           longTermPollCounter++;
-          const shouldUpdateLongTerm = longTermPollCounter >= LONG_TERM_POLL_EVERY;
+          const shouldUpdateLongTerm = forceLongTerm || longTermPollCounter >= LONG_TERM_POLL_EVERY;
           if (shouldUpdateLongTerm) longTermPollCounter = 0;
 
-          if (currentPressureView === 'short' || (currentPressureView === 'long' && shouldUpdateLongTerm)) {
+          if (!pressureRange && (currentPressureView === 'short' || (currentPressureView === 'long' && shouldUpdateLongTerm))) {
             try {
               const chartRes = await fetch('/chart-data?view=' + currentPressureView);
               const chartData = await chartRes.json();
@@ -1124,29 +2448,81 @@ function renderDashboard(opts) {
             }
           }
 
+          await Promise.all(Object.keys(seriesCharts).map(reloadSeriesChart));
+        }
+
+        async function pollDashboard() {
           try {
-            const ccsRes = await fetch('/ccs-chart-data');
-            const ccsData = await ccsRes.json();
-            ccsChartA.setData([ccsData.A.xVals, ccsData.A.yVals]);
-            ccsChartB.setData([ccsData.B.xVals, ccsData.B.yVals]);
-            ccsChartC.setData([ccsData.C.xVals, ccsData.C.yVals]);
-          } catch (e) {
-            console.error('CCS chart data update failed:', e);
+            const res = await fetch('/data');
+            applyDashboardData(await res.json());
+            await refreshCharts();
+          } catch {
+            console.error('Failed to load the dashboard!');
           }
+        }
 
-          }
-          catch {
-          console.error('Failed to load the dashboard!')
+        // Polling is only the fallback path; /stream pushes the same payloads when it is up
+        let pollTimer = null;
+
+        function startPolling() {
+          if (pollTimer) return;
+          pollTimer = setInterval(pollDashboard, 3000);
+          pollDashboard();
+        }
+
+        function stopPolling() {
+          clearInterval(pollTimer);
+          pollTimer = null;
+        }
+
+        if (window.EventSource) {
+          const source = new EventSource('/stream');
+
+          source.addEventListener('open', () => {
+            stopPolling();
+            refreshCharts(true);
+            loadInterlockTimeline();
+          });
+          source.addEventListener('error', () => {
+            console.warn('Live stream unavailable, falling back to polling');
+            startPolling();
+          });
+          source.addEventListener('state', (e) => applyDashboardData(JSON.parse(e.data)));
+          source.addEventListener('chart-append', (e) => {
+            const update = JSON.parse(e.data);
+            if (update.view) {
+              applyPressureChartAppend(update);
+            } else {
+              applySeriesChartAppend(update);
             }
-          }, 3000)
+          });
+          source.addEventListener('series-append', (e) => applySeriesAppend(JSON.parse(e.data)));
+          source.addEventListener('interlock-events', (e) => prependInterlockEvents(JSON.parse(e.data).events));
+          source.addEventListener('annotations', (e) => addAnnotations(JSON.parse(e.data).annotations));
+          source.addEventListener('logs', (e) => applyLogUpdate(JSON.parse(e.data)));
+          // A replay started, changed speed or handed back to live data: the charts were swapped underneath us
+          source.addEventListener('replay', (e) => {
+            renderReplayBadge(JSON.parse(e.data).replay);
+            refreshCharts(true);
+          });
+          // A run ended or everything was purged; after a Close Run or purge the server emptied the charts
+          source.addEventListener('run', (e) => {
+            renderRunBadge(JSON.parse(e.data).run);
+            refreshCharts(true);
+            loadRuns();
+          });
+        } else {
+          startPolling();
+        }
 
         toggleButton.addEventListener('click', async () => {
           if (!showingFull) {
-            pre.textContent = ' Fetching file contents...';
+            logStatus.textContent = 'Fetching file contents...';
             fullSection.classList.add('active');
-            await fetch('/refresh-display');
-            const resp = await (await fetch('/raw')).text();
-            pre.textContent = resp;
+            if (${allows('operator')}) {
+              await fetch('/refresh-display', { method: 'POST' });
+            }
+            await loadLogs();
             toggleButton.textContent = 'Collapse Log View';
           } else {
             fullSection.classList.remove('active');
@@ -1157,21 +2533,35 @@ function renderDashboard(opts) {
         })
       </script>
 
-      <!-- Experiment Reset Modal -->
+      <!-- Experiment Reset (close run) Modal -->
       <div id="reset-modal-overlay" style="display:none; position:fixed; inset:0; background:rgba(0,0,0,0.75); z-index:9999; align-items:center; justify-content:center;">
         <div style="background:#1e293b; border:1px solid #ef4444; border-radius:12px; padding:28px 32px; max-width:420px; width:90%; text-align:left; box-shadow:0 0 32px rgba(239,68,68,0.4);">
-          <h3 style="color:#fca5a5; margin:0 0 12px 0; font-size:1.1rem; font-weight:700;">Experiment Reset</h3>
+          <h3 style="color:#fca5a5; margin:0 0 12px 0; font-size:1.1rem; font-weight:700;">Close Run</h3>
           <p style="color:#cbd5e1; font-size:0.85rem; margin:0 0 18px 0;">
-            This will permanently delete all data from the long-term pressure log.
-            This action <strong style="color:#ef4444;">cannot be undone</strong>.
+            Archives the current run and starts a new one. The graphs start empty; the archived run stays
+            available under Runs.
           </p>
-          <input id="reset-password-input" type="password" placeholder='Password'
-            style="width:100%; padding:8px 10px; border-radius:6px; border:1px solid #475569; background:#0f172a; color:#e2e8f0; font-size:0.85rem; margin-bottom:16px; box-sizing:border-box;" />
+          <textarea id="reset-note-input" rows="3" maxlength="${NOTE_MAX_LENGTH}" placeholder="Note on this run (what was tested, how it ended)"
+            style="width:100%; padding:8px 10px; border-radius:6px; border:1px solid #475569; background:#0f172a; color:#e2e8f0; font-size:0.85rem; margin-bottom:16px; box-sizing:border-box; resize:vertical;"></textarea>
+          ${authEnabled ? '' : `<input id="reset-password-input" type="password" placeholder="Password"
+            style="width:100%; padding:8px 10px; border-radius:6px; border:1px solid #475569; background:#0f172a; color:#e2e8f0; font-size:0.85rem; margin-bottom:16px; box-sizing:border-box;" />`}
           <div id="reset-modal-message" style="font-size:0.8rem; margin-bottom:12px; min-height:1em;"></div>
           <div style="display:flex; gap:10px; justify-content:flex-end;">
             <button id="reset-cancel-btn" style="padding:7px 18px; border-radius:6px; border:1px solid #475569; background:transparent; color:#94a3b8; cursor:pointer; font-size:0.85rem;">Cancel</button>
-            <button id="reset-confirm-btn" disabled style="padding:7px 18px; border-radius:6px; border:1px solid #ef4444; background:#7f1d1d; color:#fca5a5; cursor:not-allowed; font-size:0.85rem; font-weight:bold; opacity:0.5;">Reset</button>
+            <button id="reset-confirm-btn" disabled style="padding:7px 18px; border-radius:6px; border:1px solid #ef4444; background:#7f1d1d; color:#fca5a5; cursor:not-allowed; font-size:0.85rem; font-weight:bold; opacity:0.5;">Close run</button>
           </div>
+          ${allows('admin') ? `<details id="purge-section" style="margin-top:18px; color:#cbd5e1; font-size:0.8rem;">
+            <summary style="cursor:pointer; color:#fca5a5;">Purge all data…</summary>
+            <p style="margin:10px 0;">
+              Permanently deletes every short-term and long-term log row and every archived run.
+              This action <strong style="color:#ef4444;">cannot be undone</strong>.
+            </p>
+            <input id="purge-password-input" type="password" placeholder='${authEnabled ? 'Your password' : 'Password'}'
+              style="width:100%; padding:8px 10px; border-radius:6px; border:1px solid #475569; background:#0f172a; color:#e2e8f0; font-size:0.85rem; margin-bottom:8px; box-sizing:border-box;" />
+            <input id="purge-confirm-input" placeholder='Type PURGE to confirm'
+              style="width:100%; padding:8px 10px; border-radius:6px; border:1px solid #475569; background:#0f172a; color:#e2e8f0; font-size:0.85rem; margin-bottom:8px; box-sizing:border-box;" />
+            <button id="purge-confirm-btn" disabled style="padding:7px 18px; border-radius:6px; border:1px solid #ef4444; background:#450a0a; color:#fca5a5; cursor:not-allowed; font-size:0.85rem; font-weight:bold; opacity:0.5;">Purge</button>
+          </details>` : ''}
         </div>
       </div>
 
@@ -1179,25 +2569,42 @@ function renderDashboard(opts) {
         (function () {
           const overlay = document.getElementById('reset-modal-overlay');
           const openBtn = document.getElementById('open-reset-modal');
+          if (!openBtn) return; // Only operators get the close-run button
           const cancelBtn = document.getElementById('reset-cancel-btn');
           const confirmBtn = document.getElementById('reset-confirm-btn');
-          const passwordInput = document.getElementById('reset-password-input');
+          const noteInput = document.getElementById('reset-note-input');
+          // Only shown without accounts, where the shared reset password stands in for a login
+          const resetPassword = document.getElementById('reset-password-input');
           const msg = document.getElementById('reset-modal-message');
+          const purgeSection = document.getElementById('purge-section');
+          const purgeBtn = document.getElementById('purge-confirm-btn');
+          const purgePassword = document.getElementById('purge-password-input');
+          const purgeConfirm = document.getElementById('purge-confirm-input');
+
+          function setButtonReady(button, ready) {
+            button.disabled = !ready;
+            button.style.opacity = ready ? '1' : '0.5';
+            button.style.cursor = ready ? 'pointer' : 'not-allowed';
+          }
 
           function setReady() {
-            const ready = passwordInput.value.length > 0;
-            confirmBtn.disabled = !ready;
-            confirmBtn.style.opacity = ready ? '1' : '0.5';
-            confirmBtn.style.cursor = ready ? 'pointer' : 'not-allowed';
+            setButtonReady(confirmBtn, noteInput.value.trim().length > 0 && (!resetPassword || resetPassword.value.length > 0));
+            if (purgeBtn) {
+              setButtonReady(purgeBtn, purgePassword.value.length > 0 && purgeConfirm.value === 'PURGE');
+            }
           }
 
           function openModal() {
-            passwordInput.value = '';
+            noteInput.value = '';
+            if (resetPassword) resetPassword.value = '';
             msg.textContent = '';
             msg.style.color = '';
-            confirmBtn.disabled = true;
-            confirmBtn.style.opacity = '0.5';
-            confirmBtn.style.cursor = 'not-allowed';
+            if (purgeSection) {
+              purgeSection.open = false;
+              purgePassword.value = '';
+              purgeConfirm.value = '';
+            }
+            setReady();
             overlay.style.display = 'flex';
           }
 
@@ -1211,39 +2618,136 @@ function renderDashboard(opts) {
             if (e.target === overlay) closeModal();
           });
 
-          passwordInput.addEventListener('input', setReady);
+          noteInput.addEventListener('input', setReady);
+          if (resetPassword) resetPassword.addEventListener('input', setReady);
+          if (purgeBtn) {
+            purgePassword.addEventListener('input', setReady);
+            purgeConfirm.addEventListener('input', setReady);
+          }
 
-          confirmBtn.addEventListener('click', async function () {
-            confirmBtn.disabled = true;
-            confirmBtn.style.opacity = '0.5';
+          // The server broadcasts a "run" event on success, which clears the charts in every tab
+          async function submit(button, url, body, busyText, doneText) {
+            setButtonReady(button, false);
             msg.style.color = '#94a3b8';
-            msg.textContent = 'Resetting…';
+            msg.textContent = busyText;
             try {
-              const res = await fetch('/experiment-reset', {
+              const res = await fetch(url, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ password: passwordInput.value }),
+                body: JSON.stringify(body),
               });
+              const result = await res.json().catch(() => ({}));
               if (res.ok) {
                 msg.style.color = '#22c55e';
-                msg.textContent = 'Reset successful. Short-term and long-term pressure logs cleared.';
+                msg.textContent = doneText(result);
                 setTimeout(closeModal, 1500);
-              } else {
-                const body = await res.json().catch(() => ({}));
-                msg.style.color = '#ef4444';
-                msg.textContent = 'Error: ' + (body.error || res.statusText);
-                confirmBtn.disabled = false;
-                confirmBtn.style.opacity = '1';
-                confirmBtn.style.cursor = 'pointer';
+                return;
               }
+              msg.style.color = '#ef4444';
+              msg.textContent = 'Error: ' + (result.error || res.statusText);
             } catch (err) {
               msg.style.color = '#ef4444';
               msg.textContent = 'Network error: ' + err.message;
-              confirmBtn.disabled = false;
-              confirmBtn.style.opacity = '1';
-              confirmBtn.style.cursor = 'pointer';
             }
-          });
+            setReady();
+          }
+
+          confirmBtn.addEventListener('click', () => submit(
+            confirmBtn,
+            '/experiment-reset',
+            resetPassword ? { note: noteInput.value.trim(), password: resetPassword.value } : { note: noteInput.value.trim() },
+            'Closing run…',
+            (result) => 'Run ' + result.archived.id + ' archived. Run ' + result.run.number + ' started.'
+          ));
+
+          if (purgeBtn) {
+            purgeBtn.addEventListener('click', () => submit(
+              purgeBtn,
+              '/experiment-purge',
+              { password: purgePassword.value, confirm: purgeConfirm.value },
+              'Purging…',
+              () => 'Purged. Short-term and long-term logs and archived runs deleted.'
+            ));
+          }
+        })();
+      </script>
+
+      <script>
+        // Admins' status panel: the background loops and series buffers from /status
+        (function () {
+          const panel = document.getElementById('status-panel');
+          if (!panel) return;
+          const summary = document.getElementById('status-summary');
+          const loopsBody = document.getElementById('status-loops');
+          const seriesBody = document.getElementById('status-series');
+
+          function formatStatusTime(iso) {
+            return iso ? new Date(iso).toLocaleString('en-US', { hour12: true, timeZone: 'America/Chicago' }) : '—';
+          }
+
+          function createRow(cells) {
+            const row = document.createElement('tr');
+            cells.forEach((cell) => {
+              const td = document.createElement('td');
+              if (cell instanceof Node) td.appendChild(cell);
+              else td.textContent = cell;
+              row.appendChild(td);
+            });
+            return row;
+          }
+
+          function createBadge(status) {
+            const badge = document.createElement('span');
+            badge.className = 'status-badge ' + status;
+            badge.textContent = status;
+            return badge;
+          }
+
+          function renderStatus(status) {
+            summary.textContent = (status.live ? 'Live' : 'Not live: a loop is stalled') + ' · ' +
+              (status.ready ? 'ready' : 'not ready') + ' · storage ' + status.storage.adapter +
+              (status.storage.connected ? ' connected' : ' disconnected') + ' · ' + status.ingestMode + ' ingest' +
+              (status.replaying ? ' (replaying)' : '') + ' · ' + status.streamClients + ' stream clients · up ' +
+              Math.round(status.uptimeSeconds / 60) + ' min';
+
+            loopsBody.replaceChildren(...status.loops.map((loop) => {
+              const row = createRow([
+                loop.label,
+                createBadge(loop.status),
+                formatStatusTime(loop.lastSucceededAt),
+                loop.inProgress
+                  ? 'running since ' + formatStatusTime(loop.lastStartedAt)
+                  : formatStatusTime(loop.lastStartedAt) + (loop.lastDurationMs === null ? '' : ' (' + loop.lastDurationMs + ' ms)'),
+                loop.runs + ' · ' + loop.failures + ' · ' + loop.skipped,
+                loop.lastError ? loop.lastError.message + ' (' + formatStatusTime(loop.lastError.at) + ')' : '—',
+              ]);
+              row.lastChild.className = 'status-error';
+              if (loop.consecutiveFailures > 1) row.lastChild.textContent += ' · ' + loop.consecutiveFailures + ' failures in a row';
+              return row;
+            }));
+
+            seriesBody.replaceChildren(...status.series.map((series) => createRow([
+              series.label,
+              series.points.toLocaleString() + ' / ' + series.capacity.toLocaleString(),
+              formatStatusTime(series.lastValueAt),
+            ])));
+          }
+
+          async function loadStatus() {
+            if (document.hidden) return;
+            try {
+              // 503 still carries the report: it only means not ready
+              const res = await fetch('/status');
+              const body = await res.json();
+              if (res.status !== 200 && res.status !== 503) throw new Error(body.error || res.statusText);
+              renderStatus(body);
+            } catch (err) {
+              summary.textContent = 'Could not load the status: ' + err.message;
+            }
+          }
+
+          loadStatus();
+          setInterval(loadStatus, 15000);
         })();
       </script>
     </body>
@@ -0,0 +1,12 @@
+// Shared by the page templates in views/
+
+/**
+ * Escapes text for HTML element content and quoted attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = { escapeHtml };
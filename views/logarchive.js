@@ -0,0 +1,260 @@
+const { escapeHtml } = require('./helpers');
+
+/**
+ * Renders the log archive page: the text files of the Drive log folder, newest first, with a
+ * viewer for one file at a time. The inline script loads /logs/files and /logs/files/:id.
+ *
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.user] - Logged-in user, null without accounts
+ * @returns {string} Full HTML string
+ */
+function renderLogArchivePage(opts = {}) {
+  const { user = null } = opts;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      <title>E-beam Web Monitor — Log Archive</title>
+      <style>
+        body {
+          margin: 0;
+          padding: 16px 24px;
+          background: #0f172a;
+          color: #e2e8f0;
+          font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+        }
+        header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding-bottom: 10px;
+          margin-bottom: 16px;
+          border-bottom: 1px solid #334155;
+        }
+        h2 { margin: 0; font-size: 1.4rem; color: #d6eaff; }
+        h3 { margin: 0 0 8px 0; font-size: 1rem; color: #d6eaff; overflow-wrap: anywhere; }
+        a { color: #7dd3fc; }
+        main { display: grid; grid-template-columns: minmax(280px, 1fr) 2fr; gap: 20px; align-items: start; }
+        input[type="search"] {
+          width: 100%;
+          box-sizing: border-box;
+          margin-bottom: 8px;
+          padding: 6px 8px;
+          border-radius: 6px;
+          border: 1px solid #475569;
+          background: #1e293b;
+          color: #e2e8f0;
+        }
+        table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+        th, td { padding: 5px 8px; border-bottom: 1px solid #1e293b; text-align: left; }
+        th { color: #94a3b8; font-weight: 600; }
+        #files-body tr { cursor: pointer; }
+        #files-body tr:hover td, #files-body tr.selected td { background: #1e293b; }
+        #files-body td.name { overflow-wrap: anywhere; }
+        #files-body td.size, #files-body td.modified { white-space: nowrap; color: #94a3b8; }
+        .cached { color: #86efac; font-size: 0.7rem; }
+        #file-lines {
+          margin: 0;
+          max-height: 70vh;
+          overflow: auto;
+          font-family: ui-monospace, Menlo, Consolas, monospace;
+          font-size: 0.75rem;
+          background: #020617;
+          border: 1px solid #1e293b;
+          border-radius: 6px;
+        }
+        #file-lines td { border: 0; padding: 1px 8px; white-space: pre-wrap; overflow-wrap: anywhere; vertical-align: top; }
+        #file-lines td.number { color: #64748b; text-align: right; white-space: nowrap; user-select: none; }
+        .message { min-height: 1em; margin: 8px 0; font-size: 0.8rem; color: #94a3b8; }
+        button {
+          padding: 6px 14px;
+          border-radius: 6px;
+          border: 1px solid #475569;
+          background: transparent;
+          color: #cbd5e1;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <header>
+        <h2>Log Archive</h2>
+        <div style="font-size:0.8rem;">
+          ${user ? `<span style="color:#94a3b8;">${escapeHtml(user.username)} (${user.role})</span> &nbsp;·&nbsp; ` : ''}<a href="/">Dashboard</a>
+        </div>
+      </header>
+
+      <main>
+        <section>
+          <input id="files-search" type="search" placeholder="Search file names" />
+          <table>
+            <thead><tr><th>File</th><th>Modified</th><th>Size</th></tr></thead>
+            <tbody id="files-body"></tbody>
+          </table>
+          <div id="files-message" class="message"></div>
+          <button id="files-more" hidden>Load more files</button>
+        </section>
+
+        <section id="file-view" hidden>
+          <h3 id="file-title"></h3>
+          <input id="file-search" type="search" placeholder="Search this file" />
+          <div style="display:flex; gap:12px; align-items:center;">
+            <span id="file-message" class="message" style="flex:1;"></span>
+            <a id="file-download" href="#">Download</a>
+          </div>
+          <table id="file-lines"><tbody id="file-lines-body"></tbody></table>
+          <button id="file-more" hidden style="margin-top:8px;">Load more lines</button>
+        </section>
+      </main>
+
+      <script>
+        (function () {
+          const filesBody = document.getElementById('files-body');
+          const filesMessage = document.getElementById('files-message');
+          const filesMore = document.getElementById('files-more');
+          const filesSearch = document.getElementById('files-search');
+          const fileView = document.getElementById('file-view');
+          const fileTitle = document.getElementById('file-title');
+          const fileSearch = document.getElementById('file-search');
+          const fileMessage = document.getElementById('file-message');
+          const fileDownload = document.getElementById('file-download');
+          const linesBody = document.getElementById('file-lines-body');
+          const fileMore = document.getElementById('file-more');
+          let nextPageToken = null;
+          let currentFileId = null;
+          let nextOffset = null;
+          let fileCounts = null; // only the first page of a file or search asks for the totals
+          let filesSearchTimer = null;
+          let fileSearchTimer = null;
+
+          function formatTime(iso) {
+            return iso ? new Date(iso).toLocaleString("en-US", { hour12: true, timeZone: "America/Chicago" }) : '—';
+          }
+
+          function formatSize(bytes) {
+            if (bytes === null || bytes === undefined) return '—';
+            if (bytes < 1024) return bytes + ' B';
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+          }
+
+          async function fetchJson(url) {
+            const res = await fetch(url);
+            const body = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(body.error || res.statusText);
+            return body;
+          }
+
+          function createFileRow(file) {
+            const row = document.createElement('tr');
+            row.dataset.id = file.id;
+            const name = document.createElement('td');
+            name.className = 'name';
+            name.textContent = file.name;
+            if (file.cached) {
+              const cached = document.createElement('span');
+              cached.className = 'cached';
+              cached.textContent = ' cached';
+              name.appendChild(cached);
+            }
+            const modified = document.createElement('td');
+            modified.className = 'modified';
+            modified.textContent = formatTime(file.modifiedTime);
+            const size = document.createElement('td');
+            size.className = 'size';
+            size.textContent = formatSize(file.size);
+            row.append(name, modified, size);
+            row.addEventListener('click', () => openFile(file.id));
+            return row;
+          }
+
+          async function loadFiles(append) {
+            filesMore.disabled = true;
+            try {
+              const params = new URLSearchParams({ pageSize: '50' });
+              if (filesSearch.value.trim()) params.set('q', filesSearch.value.trim());
+              if (append && nextPageToken) params.set('pageToken', nextPageToken);
+              const page = await fetchJson('/logs/files?' + params);
+
+              if (!append) filesBody.replaceChildren();
+              page.files.forEach((file) => filesBody.appendChild(createFileRow(file)));
+              nextPageToken = page.nextPageToken;
+              filesMore.hidden = !nextPageToken;
+              filesMessage.textContent = filesBody.children.length === 0 ? 'No log files found.' : '';
+            } catch (err) {
+              filesMessage.textContent = 'Could not list the log files: ' + err.message;
+            } finally {
+              filesMore.disabled = false;
+            }
+          }
+
+          async function loadLines(append) {
+            fileMore.disabled = true;
+            const fileId = currentFileId;
+            try {
+              const params = new URLSearchParams({ limit: '1000' });
+              if (fileSearch.value.trim()) params.set('q', fileSearch.value.trim());
+              if (append && nextOffset !== null) params.set('offset', String(nextOffset));
+              if (!append) params.set('count', '1');
+              if (!append) fileMessage.textContent = 'Loading...';
+              const page = await fetchJson('/logs/files/' + encodeURIComponent(fileId) + '?' + params);
+              if (fileId !== currentFileId) return;
+
+              if (!append) linesBody.replaceChildren();
+              page.lines.forEach((line) => {
+                const row = document.createElement('tr');
+                const number = document.createElement('td');
+                number.className = 'number';
+                number.textContent = String(line.number);
+                const text = document.createElement('td');
+                text.textContent = line.text;
+                row.append(number, text);
+                linesBody.appendChild(row);
+              });
+              fileTitle.textContent = page.file.name;
+              if (!append) fileCounts = { total: page.total, lineCount: page.lineCount };
+              nextOffset = page.nextOffset;
+              fileMore.hidden = nextOffset === null;
+              fileMessage.textContent = (fileSearch.value.trim()
+                ? fileCounts.total.toLocaleString() + ' matching of ' + fileCounts.lineCount.toLocaleString() + ' lines'
+                : fileCounts.lineCount.toLocaleString() + ' lines') + ' · modified ' + formatTime(page.file.modifiedTime);
+            } catch (err) {
+              fileMessage.textContent = 'Could not load the file: ' + err.message;
+            } finally {
+              fileMore.disabled = false;
+            }
+          }
+
+          function openFile(fileId) {
+            currentFileId = fileId;
+            nextOffset = null;
+            Array.from(filesBody.children).forEach((row) => row.classList.toggle('selected', row.dataset.id === fileId));
+            fileView.hidden = false;
+            fileTitle.textContent = '';
+            linesBody.replaceChildren();
+            fileDownload.href = '/logs/files/' + encodeURIComponent(fileId) + '/download';
+            loadLines(false);
+          }
+
+          filesSearch.addEventListener('input', () => {
+            clearTimeout(filesSearchTimer);
+            filesSearchTimer = setTimeout(() => loadFiles(false), 300);
+          });
+          fileSearch.addEventListener('input', () => {
+            clearTimeout(fileSearchTimer);
+            fileSearchTimer = setTimeout(() => loadLines(false), 300);
+          });
+          filesMore.addEventListener('click', () => loadFiles(true));
+          fileMore.addEventListener('click', () => loadLines(true));
+          loadFiles(false);
+        })();
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+module.exports = { renderLogArchivePage };
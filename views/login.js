@@ -0,0 +1,120 @@
+/**
+ * Renders the login page shown when accounts are enabled (AUTH_STORE=file|database).
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.next] - Path to return to after logging in
+ * @returns {string} Full HTML string
+ */
+// Browsers read a backslash as a slash and drop tabs and newlines in URLs, so '/\evil.com' and
+// '/\t/evil.com' would leave the site; only same-origin paths are kept
+function hasBackslashOrControl(text) {
+  return [...text].some((ch) => ch === '\\' || ch.charCodeAt(0) < 0x20 || ch.charCodeAt(0) === 0x7f);
+}
+
+function safeNextPath(next) {
+  if (typeof next !== 'string' || !next.startsWith('/') || hasBackslashOrControl(next)) return '/';
+  const base = 'http://login.invalid';
+  const url = new URL(next, base);
+  return url.origin === base ? `${url.pathname}${url.search}${url.hash}` : '/';
+}
+
+function renderLogin(opts = {}) {
+  const next = safeNextPath(opts.next);
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      <title>E-beam Web Monitor — Log in</title>
+      <style>
+        body {
+          margin: 0;
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: #0f172a;
+          color: #e2e8f0;
+          font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+        }
+        form {
+          background: #1e293b;
+          border: 1px solid #334155;
+          border-radius: 12px;
+          padding: 28px 32px;
+          width: min(360px, 90%);
+          box-shadow: 0 0 32px rgba(56, 189, 248, 0.15);
+        }
+        h2 { margin: 0 0 18px 0; font-size: 1.2rem; color: #d6eaff; }
+        input {
+          width: 100%;
+          padding: 8px 10px;
+          margin-bottom: 12px;
+          border-radius: 6px;
+          border: 1px solid #475569;
+          background: #0f172a;
+          color: #e2e8f0;
+          font-size: 0.9rem;
+          box-sizing: border-box;
+        }
+        button {
+          width: 100%;
+          padding: 8px;
+          border-radius: 6px;
+          border: 1px solid #38bdf8;
+          background: #0c4a6e;
+          color: #e0f2fe;
+          font-weight: bold;
+          cursor: pointer;
+        }
+        #login-message { min-height: 1em; margin-bottom: 12px; font-size: 0.8rem; color: #ef4444; }
+      </style>
+    </head>
+    <body>
+      <form id="login-form">
+        <h2>E-beam Web Monitor</h2>
+        <input id="login-username" name="username" autocomplete="username" placeholder="Username" required autofocus />
+        <input id="login-password" name="password" type="password" autocomplete="current-password" placeholder="Password" required />
+        <div id="login-message"></div>
+        <button type="submit">Log in</button>
+      </form>
+
+      <script>
+        (function () {
+          const form = document.getElementById('login-form');
+          const msg = document.getElementById('login-message');
+          const next = ${JSON.stringify(next).replace(/</g, '\\u003c')};
+
+          form.addEventListener('submit', async function (e) {
+            e.preventDefault();
+            msg.textContent = '';
+            try {
+              const res = await fetch('/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                  username: document.getElementById('login-username').value,
+                  password: document.getElementById('login-password').value,
+                }),
+              });
+              if (res.ok) {
+                const target = new URL(next, window.location.origin);
+                window.location.replace(target.origin === window.location.origin ? target.href : '/');
+                return;
+              }
+              const body = await res.json().catch(() => ({}));
+              msg.textContent = body.error || res.statusText;
+            } catch (err) {
+              msg.textContent = 'Network error: ' + err.message;
+            }
+          });
+        })();
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+module.exports = { renderLogin };
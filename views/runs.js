@@ -0,0 +1,186 @@
+const { escapeHtml } = require('./helpers');
+
+/**
+ * Renders the runs list page: the current run and the archived runs with their summary stats,
+ * newest first. The rows are loaded from /runs/current and /runs by the inline script.
+ *
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.user] - Logged-in user, null without accounts
+ * @returns {string} Full HTML string
+ */
+function renderRunsPage(opts = {}) {
+  const { user = null } = opts;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      <title>E-beam Web Monitor — Runs</title>
+      <style>
+        body {
+          margin: 0;
+          padding: 16px 24px;
+          background: #0f172a;
+          color: #e2e8f0;
+          font-family: system-ui, -apple-system, "Segoe UI", sans-serif;
+        }
+        header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding-bottom: 10px;
+          margin-bottom: 16px;
+          border-bottom: 1px solid #334155;
+        }
+        h2 { margin: 0; font-size: 1.4rem; color: #d6eaff; }
+        a { color: #7dd3fc; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+        th, td { padding: 6px 8px; border-bottom: 1px solid #1e293b; text-align: left; white-space: nowrap; }
+        th { color: #94a3b8; font-weight: 600; }
+        td.note { white-space: normal; max-width: 320px; color: #cbd5e1; }
+        tr.current td { color: #bae6fd; }
+        #runs-message { min-height: 1em; margin: 12px 0; font-size: 0.8rem; color: #94a3b8; }
+        #runs-more {
+          padding: 6px 14px;
+          border-radius: 6px;
+          border: 1px solid #475569;
+          background: transparent;
+          color: #cbd5e1;
+          cursor: pointer;
+        }
+      </style>
+    </head>
+    <body>
+      <header>
+        <h2>Runs</h2>
+        <div style="font-size:0.8rem;">
+          ${user ? `<span style="color:#94a3b8;">${escapeHtml(user.username)} (${user.role})</span> &nbsp;·&nbsp; ` : ''}<a href="/">Dashboard</a>
+        </div>
+      </header>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th>Started</th>
+            <th>Ended</th>
+            <th>Duration</th>
+            <th>Ended by</th>
+            <th>Pressure min / max (mbar)</th>
+            <th>Peak clamp A / B / C (°C)</th>
+            <th>HV on</th>
+            <th>Interlock trips</th>
+            <th>Note</th>
+          </tr>
+        </thead>
+        <tbody id="runs-body"></tbody>
+      </table>
+      <div id="runs-message"></div>
+      <button id="runs-more" hidden>Load older runs</button>
+
+      <script>
+        (function () {
+          const body = document.getElementById('runs-body');
+          const msg = document.getElementById('runs-message');
+          const more = document.getElementById('runs-more');
+          let nextBefore = null;
+
+          function formatTime(iso) {
+            return iso ? new Date(iso).toLocaleString("en-US", { hour12: true, timeZone: "America/Chicago" }) : '—';
+          }
+
+          function formatDuration(seconds) {
+            if (!Number.isFinite(seconds)) return '—';
+            const hours = Math.floor(seconds / 3600);
+            const minutes = Math.floor((seconds % 3600) / 60);
+            return hours > 0 ? hours + 'h ' + minutes + 'm' : minutes + 'm';
+          }
+
+          function formatNumber(value, digits) {
+            return value === null || value === undefined ? '—' : Number(value).toFixed(digits);
+          }
+
+          function formatPressure(value) {
+            return value === null || value === undefined ? '—' : Number(value).toExponential(2);
+          }
+
+          function endedBy(run) {
+            if (!run.ended_at) return 'running';
+            if (run.end_reason === 'operator') return run.closed_by ? 'operator (' + run.closed_by + ')' : 'operator';
+            return run.end_reason || '—';
+          }
+
+          function createRow(run, isCurrent) {
+            const startMs = Date.parse(run.started_at);
+            const endMs = run.ended_at ? Date.parse(run.ended_at) : Date.now();
+            const peaks = run.peak_clamp_temperatures || {};
+            const cells = [
+              (isCurrent ? 'Run ' + run.id + ' (current)' : 'Run ' + run.id),
+              formatTime(run.started_at),
+              isCurrent ? '—' : formatTime(run.ended_at),
+              formatDuration((endMs - startMs) / 1000),
+              endedBy(run),
+              formatPressure(run.min_pressure) + ' / ' + formatPressure(run.max_pressure),
+              ['A', 'B', 'C'].map(function (cathode) { return formatNumber(peaks[cathode], 1); }).join(' / '),
+              formatDuration(run.hv_on_seconds),
+              run.interlock_trips ?? '—',
+              run.note || '',
+            ];
+
+            const row = document.createElement('tr');
+            if (isCurrent) row.className = 'current';
+            cells.forEach(function (text, index) {
+              const cell = document.createElement('td');
+              if (index === cells.length - 1) cell.className = 'note';
+              cell.textContent = String(text);
+              row.appendChild(cell);
+            });
+            return row;
+          }
+
+          async function loadRuns() {
+            more.disabled = true;
+            try {
+              const params = new URLSearchParams({ limit: '50' });
+              if (nextBefore) {
+                params.set('before', nextBefore.before);
+                params.set('beforeId', String(nextBefore.beforeId));
+              }
+              const res = await fetch('/runs?' + params);
+              if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+              const page = await res.json();
+
+              page.runs.forEach(function (run) { body.appendChild(createRow(run, false)); });
+              nextBefore = page.nextBefore;
+              more.hidden = !nextBefore;
+              msg.textContent = body.children.length === 0 ? 'No runs yet.' : '';
+            } catch (err) {
+              msg.textContent = 'Could not load runs: ' + err.message;
+            } finally {
+              more.disabled = false;
+            }
+          }
+
+          async function loadCurrentRun() {
+            try {
+              const res = await fetch('/runs/current');
+              if (!res.ok) return;
+              const run = await res.json();
+              if (run.started_at) body.insertBefore(createRow(run, true), body.firstChild);
+            } catch (err) {
+              console.error('Could not load the current run:', err);
+            }
+          }
+
+          more.addEventListener('click', loadRuns);
+          loadCurrentRun().then(loadRuns);
+        })();
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+module.exports = { renderRunsPage };